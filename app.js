@@ -6,6 +6,7 @@ import prisma from './prisma/prisma.js';
 import * as emailService from './services/emailService.js';
 import * as userService from './services/userService.js';
 import * as walletService from './services/walletService.js';
+import * as ledgerService from './services/ledgerService.js';
 import * as matchmakingController from './controllers/matchmakingController.js';
 import * as badgeController from './controllers/badgeController.js';
 import * as rankingController from './controllers/rankingController.js';
@@ -13,11 +14,43 @@ import * as challengeService from './services/challengeService.js';
 import * as discordThreadService from './services/discordThreadService.js';
 import * as discordService from './services/discordService.js';
 import * as paynetworxService from './services/paynetworxService.js';
+import * as paynetworxSettlementService from './services/paynetworxSettlementService.js';
+import * as depositReversalService from './services/depositReversalService.js';
 import * as paymentMethodService from './services/paymentMethodService.js';
 import * as cloudinaryService from './services/cloudinaryService.js';
 import * as transactionProcessorService from './services/transactionProcessorService.js';
+import * as reconciliationService from './services/reconciliationService.js';
+import * as challengeExpiryService from './services/challengeExpiryService.js';
+import * as disputeService from './services/disputeService.js';
+import * as challengeResultService from './services/challengeResultService.js';
+import * as feeService from './services/feeService.js';
+import * as withdrawalRiskService from './services/withdrawalRiskService.js';
+import * as adminService from './services/adminService.js';
+import * as sessionService from './services/sessionService.js';
+import * as accountTokenService from './services/accountTokenService.js';
+import * as twoFactorService from './services/twoFactorService.js';
+import * as securityService from './services/securityService.js';
+import * as kycService from './services/kycService.js';
+import * as responsibleGamingService from './services/responsibleGamingService.js';
+import * as auditLogService from './services/auditLogService.js';
+import * as chargebackService from './services/chargebackService.js';
+import * as accountHoldService from './services/accountHoldService.js';
+import * as multiAccountService from './services/multiAccountService.js';
+import * as statementService from './services/statementService.js';
+import * as taxService from './services/taxService.js';
 import { extractClientIP } from './middleware/ipExtractor.js';
 import { geofence } from './middleware/geofence.js';
+import { requireAdmin, requireRole } from './middleware/adminGuard.js';
+import { auditAction } from './middleware/auditLog.js';
+import { requireStepUp } from './middleware/stepUp.js';
+import { bruteForceGuard } from './middleware/bruteForce.js';
+import { requireKyc } from './middleware/kyc.js';
+import { requireTaxInfo } from './middleware/taxInfo.js';
+import { requireNoAccountHold } from './middleware/accountHold.js';
+import { idempotent } from './middleware/idempotency.js';
+import { requireBotSignature } from './middleware/botAuth.js';
+import { requirePaynetworxSignature } from './middleware/paynetworxSignature.js';
+import { actingUser, selfOrAdmin, challengeOwner } from './middleware/authorize.js';
 import multer from 'multer';
 import cors from 'cors';
 import jwt from 'jsonwebtoken';
@@ -53,16 +86,26 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 app.set('trust proxy', true);
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so signed bot requests and webhooks can be verified (middleware/botAuth.js, middleware/paynetworxSignature.js)
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(extractClientIP);
 
 app.get('/', (req, res) => {
   res.send('Hello world!');
 });
 
-app.post('/register', geofence, userService.registerUser);
-app.get('/verify-email', userService.verifyEmail);
-app.post('/login', geofence, userService.login);
+app.post('/register', geofence, bruteForceGuard('register'), userService.registerUser);
+app.get('/verify-email', bruteForceGuard('verify_email'), userService.verifyEmail);
+app.post('/login', geofence, bruteForceGuard('login', { accountOf: (req) => req.body?.email }), userService.login);
+app.post('/login/2fa', geofence, bruteForceGuard('login_2fa', { accountOf: (req) => twoFactorService.getLoginChallengeEmail(req.body?.challengeToken) }), userService.loginTwoFactor);
+
+// Account lockout - unlock with the emailed link
+app.post('/account/unlock/request', geofence, securityService.requestUnlock);
+app.post('/account/unlock', geofence, securityService.confirmUnlock);
 
 // POST /validate-token
 // Validates if a token is still valid
@@ -72,6 +115,23 @@ app.post('/validate-token', userService.authenticateToken, userService.validateT
 // Invalidates the current session
 app.post('/logout', userService.authenticateToken, userService.logout);
 
+// POST /token/refresh
+// Trades a refresh token for a new access token (the refresh token is rotated)
+app.post('/token/refresh', sessionService.refreshToken);
+
+// Signed-in devices
+app.get('/sessions', userService.authenticateToken, sessionService.listSessions);
+app.delete('/sessions/:sessionId', userService.authenticateToken, sessionService.revokeSession);
+app.post('/logout/all', userService.authenticateToken, sessionService.logoutEverywhere);
+
+// Two-factor authentication (TOTP)
+app.get('/2fa', userService.authenticateToken, twoFactorService.getStatus);
+app.post('/2fa/enroll', userService.authenticateToken, twoFactorService.beginEnrollment);
+app.post('/2fa/enroll/verify', userService.authenticateToken, twoFactorService.confirmEnrollment);
+app.post('/2fa/step-up', userService.authenticateToken, twoFactorService.stepUp);
+app.post('/2fa/recovery-codes', userService.authenticateToken, twoFactorService.regenerateRecoveryCodes);
+app.post('/2fa/disable', userService.authenticateToken, twoFactorService.disable);
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -110,7 +170,16 @@ if (!fs.existsSync(uploadsDir)) {
 app.get('/user/profile', userService.authenticateToken, userService.getCurrentUser);
 app.get('/user/referral-code', geofence, userService.authenticateToken, userService.getReferralCode);
 app.put('/user/profile', geofence, userService.authenticateToken, userService.updateUserProfile);
-app.put('/user/password', geofence, userService.authenticateToken, userService.changePassword);
+app.put('/user/password', geofence, userService.authenticateToken, requireStepUp(), userService.changePassword);
+
+// Forgot password - emails a single-use, expiring reset link
+app.post('/password/reset/request', geofence, accountTokenService.requestPasswordReset);
+app.post('/password/reset/confirm', geofence, accountTokenService.confirmPasswordReset);
+
+// Email change - the new address must be confirmed via an emailed link before it takes effect
+app.post('/user/email', geofence, userService.authenticateToken, accountTokenService.requestEmailChange);
+app.post('/user/email/confirm', accountTokenService.confirmEmailChange);
+
 app.post('/user/push-token', geofence, userService.authenticateToken, userService.storePushToken);
 // Avatar upload endpoint with error handling
 app.post('/user/avatar/upload', geofence, userService.authenticateToken, (req, res, next) => {
@@ -150,46 +219,149 @@ app.get('/consoles', userService.getAllAvailableConsoles);
 
 
 // Wallet endpoints
-app.get('/wallet/balance/:userId', geofence, walletService.getWalletBalance);
-app.get('/wallet/transactions/:userId', geofence, walletService.getTransactionHistory);
-app.post('/add-funds', geofence, userService.authenticateToken, walletService.addFunds);
+app.get('/wallet/balance/:userId', geofence, userService.authenticateToken, selfOrAdmin('userId'), walletService.getWalletBalance);
+app.get('/wallet/transactions/:userId', geofence, userService.authenticateToken, selfOrAdmin('userId'), walletService.getTransactionHistory);
+app.get('/wallet/ledger/:userId', geofence, userService.authenticateToken, selfOrAdmin('userId'), ledgerService.getWalletLedger);
+app.get('/wallet/statements/:userId', geofence, userService.authenticateToken, selfOrAdmin('userId'), statementService.getStatement);
+app.post('/add-funds', geofence, userService.authenticateToken, idempotent, walletService.addFunds);
 
 // CRUD add/withdraw methods specifically for venmo/cashapp
-app.post('/wallet/withdraw', geofence, userService.authenticateToken, walletService.withdrawFundsCRUD);
-app.post('/wallet/add', geofence, userService.authenticateToken, walletService.addFundsCRUD);
+app.post('/wallet/withdraw', geofence, userService.authenticateToken, requireNoAccountHold, requireKyc, requireTaxInfo, requireStepUp(), idempotent, walletService.withdrawFundsCRUD);
+app.post('/wallet/add', geofence, userService.authenticateToken, idempotent, walletService.addFundsCRUD);
+app.get('/wallet/fees/preview', geofence, feeService.previewFee);
 
 // Matchmaking endpoints
-app.get('/matchmaking/suggestions/:userId', matchmakingController.getMatchSuggestions);
-app.get('/matchmaking/player-data/:userId', matchmakingController.getPlayerData);
-app.post('/matchmaking/update-mmi/:userId', matchmakingController.updatePlayerMMI);
-app.post('/matchmaking/update-mmi/:userId/:gameId', matchmakingController.updatePlayerMMIForGame);
-app.get('/matchmaking/mmi/:userId/:gameId', matchmakingController.getPlayerMMIForGame);
-app.get('/matchmaking/rivalries/:userId', matchmakingController.getPlayerRivalries);
-app.get('/matchmaking/stats/:userId', matchmakingController.getMatchmakingStats);
-app.get('/matchmaking/opponents/:userId', matchmakingController.getPotentialOpponents);
+app.get('/matchmaking/suggestions/:userId', userService.authenticateToken, selfOrAdmin('userId'), matchmakingController.getMatchSuggestions);
+app.get('/matchmaking/player-data/:userId', userService.authenticateToken, selfOrAdmin('userId'), matchmakingController.getPlayerData);
+app.post('/matchmaking/update-mmi/:userId', userService.authenticateToken, selfOrAdmin('userId'), matchmakingController.updatePlayerMMI);
+app.post('/matchmaking/update-mmi/:userId/:gameId', userService.authenticateToken, selfOrAdmin('userId'), matchmakingController.updatePlayerMMIForGame);
+app.get('/matchmaking/mmi/:userId/:gameId', userService.authenticateToken, selfOrAdmin('userId'), matchmakingController.getPlayerMMIForGame);
+app.get('/matchmaking/rivalries/:userId', userService.authenticateToken, selfOrAdmin('userId'), matchmakingController.getPlayerRivalries);
+app.get('/matchmaking/stats/:userId', userService.authenticateToken, selfOrAdmin('userId'), matchmakingController.getMatchmakingStats);
+app.get('/matchmaking/opponents/:userId', userService.authenticateToken, selfOrAdmin('userId'), matchmakingController.getPotentialOpponents);
 
 // Ranking system endpoints
-app.post('/api/admin/backfill-earnings', geofence, rankingController.backfillEarnings);
-app.post('/api/admin/recalculate-ranks', geofence, rankingController.recalculateAllRanks);
+app.post('/api/admin/backfill-earnings', userService.authenticateToken, requireAdmin, auditAction('ranking.backfill_earnings'), rankingController.backfillEarnings);
+app.post('/api/admin/recalculate-ranks', userService.authenticateToken, requireAdmin, auditAction('ranking.recalculate'), rankingController.recalculateAllRanks);
+app.get('/api/admin/ledger/reconcile', userService.authenticateToken, requireRole('support'), auditAction('ledger.reconcile'), ledgerService.getReconciliation);
+app.get('/api/admin/reconciliation/reports', userService.authenticateToken, requireRole('support'), auditAction('reconciliation.list'), reconciliationService.listReports);
+app.post('/api/admin/reconciliation/reports', userService.authenticateToken, requireAdmin, auditAction('reconciliation.run'), reconciliationService.createReport);
+app.get('/api/admin/reconciliation/reports/:reportId', userService.authenticateToken, requireRole('support'), auditAction('reconciliation.view', 'reconciliation_report', 'reportId'), reconciliationService.getReport);
+app.get('/api/admin/reconciliation/reports/:reportId/download', userService.authenticateToken, requireRole('support'), auditAction('reconciliation.download', 'reconciliation_report', 'reportId'), reconciliationService.downloadReport);
+app.get('/api/admin/statements/export', userService.authenticateToken, requireRole('support'), auditAction('statement.export'), statementService.exportStatements);
 app.get('/api/ranking/user/:userId', rankingController.getUserRankDetails);
 
-// Badge endpoints
-app.post('/badges', badgeController.createBadge);
+// Fee rule administration
+app.get('/api/admin/fee-rules', userService.authenticateToken, requireAdmin, auditAction('fee_rule.list'), feeService.getFeeRules);
+app.post('/api/admin/fee-rules', userService.authenticateToken, requireAdmin, auditAction('fee_rule.create'), feeService.createFeeRule);
+app.put('/api/admin/fee-rules/:ruleId', userService.authenticateToken, requireAdmin, auditAction('fee_rule.update', 'fee_rule', 'ruleId'), feeService.updateFeeRule);
+app.delete('/api/admin/fee-rules/:ruleId', userService.authenticateToken, requireAdmin, auditAction('fee_rule.delete', 'fee_rule', 'ruleId'), feeService.deleteFeeRule);
+
+// Withdrawal risk rule administration
+app.get('/api/admin/withdrawal-rules', userService.authenticateToken, requireAdmin, auditAction('withdrawal_rule.list'), withdrawalRiskService.getRiskRules);
+app.post('/api/admin/withdrawal-rules', userService.authenticateToken, requireAdmin, auditAction('withdrawal_rule.create'), withdrawalRiskService.createRiskRule);
+app.put('/api/admin/withdrawal-rules/:ruleId', userService.authenticateToken, requireAdmin, auditAction('withdrawal_rule.update', 'withdrawal_rule', 'ruleId'), withdrawalRiskService.updateRiskRule);
+app.delete('/api/admin/withdrawal-rules/:ruleId', userService.authenticateToken, requireAdmin, auditAction('withdrawal_rule.delete', 'withdrawal_rule', 'ruleId'), withdrawalRiskService.deleteRiskRule);
+
+// Admin API - roles: support (read-only lookups), moderator (badges, challenges, disputes), admin (everything)
+app.get('/api/admin/users', userService.authenticateToken, requireRole('support'), auditAction('user.search'), adminService.searchUsers);
+app.get('/api/admin/users/:userId', userService.authenticateToken, requireRole('support'), auditAction('user.view', 'user', 'userId'), adminService.getUserDetail);
+app.get('/api/admin/users/:userId/linked-accounts', userService.authenticateToken, requireRole('support'), auditAction('user.linked_accounts', 'user', 'userId'), multiAccountService.getLinkedAccountGraph);
+app.get('/api/admin/collusion-report', userService.authenticateToken, requireRole('support'), auditAction('collusion.report'), multiAccountService.getCollusionReport);
+app.put('/api/admin/users/:userId/role', userService.authenticateToken, requireAdmin, auditAction('user.set_role', 'user', 'userId'), adminService.setUserRole);
+app.post('/api/admin/users/:userId/wallet-adjustments', userService.authenticateToken, requireAdmin, auditAction('wallet.adjust', 'user', 'userId'), adminService.adjustWallet);
+app.post('/api/admin/transactions/:transactionId/void', userService.authenticateToken, requireAdmin, auditAction('transaction.void', 'transaction', 'transactionId'), idempotent, depositReversalService.voidDeposit);
+app.post('/api/admin/transactions/:transactionId/refund', userService.authenticateToken, requireAdmin, auditAction('transaction.refund', 'transaction', 'transactionId'), idempotent, depositReversalService.refundDeposit);
+app.post('/api/admin/transactions/:transactionId/chargeback', userService.authenticateToken, requireAdmin, auditAction('transaction.chargeback', 'transaction', 'transactionId'), paynetworxSettlementService.recordChargeback);
+app.get('/api/admin/chargebacks', userService.authenticateToken, requireRole('support'), auditAction('chargeback.list'), chargebackService.listChargebacks);
+app.post('/api/admin/chargebacks/:chargebackId/resolve', userService.authenticateToken, requireAdmin, auditAction('chargeback.resolve', 'chargeback', 'chargebackId'), chargebackService.resolveChargeback);
+app.get('/api/admin/account-holds', userService.authenticateToken, requireRole('support'), auditAction('account_hold.list'), accountHoldService.listHolds);
+app.post('/api/admin/users/:userId/account-holds', userService.authenticateToken, requireRole('moderator'), auditAction('account_hold.place', 'user', 'userId'), accountHoldService.createHold);
+app.post('/api/admin/account-holds/:holdId/release', userService.authenticateToken, requireAdmin, auditAction('account_hold.release', 'account_hold', 'holdId'), accountHoldService.releaseHold);
+app.get('/api/admin/negative-balances', userService.authenticateToken, requireRole('support'), auditAction('wallet.negative_balances'), accountHoldService.listNegativeBalances);
+app.get('/api/admin/payment-reviews', userService.authenticateToken, requireRole('support'), auditAction('payment_review.list'), transactionProcessorService.listReviewQueue);
+app.post('/api/admin/payment-reviews/:transactionId/approve', userService.authenticateToken, requireAdmin, auditAction('payment_review.approve', 'transaction', 'transactionId'), idempotent, transactionProcessorService.approveReview);
+app.post('/api/admin/payment-reviews/:transactionId/reject', userService.authenticateToken, requireAdmin, auditAction('payment_review.reject', 'transaction', 'transactionId'), transactionProcessorService.rejectReview);
+app.post('/api/admin/challenges/:challengeId/cancel', userService.authenticateToken, requireRole('moderator'), auditAction('challenge.force_cancel', 'challenge', 'challengeId'), adminService.forceCancelChallenge);
+app.post('/api/admin/users/:userId/unlock', userService.authenticateToken, requireRole('support'), auditAction('user.unlock', 'user', 'userId'), securityService.adminUnlockAccount);
+app.get('/api/admin/security-events', userService.authenticateToken, requireRole('support'), auditAction('security_event.list'), securityService.listSecurityEvents);
+app.get('/api/admin/audit-log', userService.authenticateToken, requireAdmin, auditLogService.listAuditLog);
+
+// Badge endpoints - reads are public, management is for moderators
+app.post('/badges', userService.authenticateToken, requireRole('moderator'), auditAction('badge.create'), badgeController.createBadge);
 app.get('/badges', badgeController.getAllBadges);
 app.get('/badges/:id', badgeController.getBadgeById);
-app.put('/badges/:id', badgeController.updateBadge);
-app.delete('/badges/:id', badgeController.deleteBadge);
-app.post('/badges/earn', badgeController.earnBadge);
+app.put('/badges/:id', userService.authenticateToken, requireRole('moderator'), auditAction('badge.update', 'badge', 'id'), badgeController.updateBadge);
+app.delete('/badges/:id', userService.authenticateToken, requireRole('moderator'), auditAction('badge.delete', 'badge', 'id'), badgeController.deleteBadge);
+app.post('/badges/earn', userService.authenticateToken, requireRole('moderator'), auditAction('badge.grant'), badgeController.earnBadge);
+app.post('/badges/revoke', userService.authenticateToken, requireRole('moderator'), auditAction('badge.revoke'), badgeController.revokeBadge);
 
 // Challenge endpoints
-app.post('/challenges', geofence, challengeService.createChallenge);
+app.post('/challenges', geofence, userService.authenticateToken, actingUser('challengerId'), challengeService.createChallenge);
 app.get('/challenges/open', geofence, challengeService.getOpenChallenges);
-app.get('/challenges/user/:userId', geofence, challengeService.getUserChallenges);
+app.get('/challenges/preview', geofence, challengeService.previewChallengePayout);
+app.get('/challenges/user/:userId', geofence, userService.authenticateToken, selfOrAdmin('userId'), challengeService.getUserChallenges);
 app.get('/challenges/:challengeId', geofence, challengeService.getChallengeById);
-app.get('/challenges/:challengeId/requests', geofence, challengeService.getChallengeRequests);
-app.post('/challenges/:challengeId/accept', geofence, challengeService.acceptChallenge);
-app.post('/challenges/:challengeId/decline', geofence, challengeService.declineChallenge);
-app.delete('/challenges/:challengeId', geofence, userService.authenticateToken, challengeService.cancelChallenge);
+app.get('/challenges/:challengeId/requests', geofence, userService.authenticateToken, challengeOwner, challengeService.getChallengeRequests);
+app.post('/challenges/:challengeId/accept', geofence, userService.authenticateToken, actingUser('userId'), challengeService.acceptChallenge);
+app.post('/challenges/:challengeId/decline', geofence, userService.authenticateToken, actingUser('userId'), challengeService.declineChallenge);
+app.delete('/challenges/:challengeId', geofence, userService.authenticateToken, challengeOwner, challengeService.cancelChallenge);
+
+// Result reporting - each participant reports independently
+app.post('/challenges/:challengeId/result', geofence, userService.authenticateToken, challengeResultService.reportResult);
+app.get('/challenges/:challengeId/result', geofence, userService.authenticateToken, challengeResultService.getResultReports);
+
+// Result dispute endpoints
+app.post('/challenges/:challengeId/dispute', geofence, userService.authenticateToken, disputeService.openDispute);
+app.get('/challenges/:challengeId/disputes', geofence, userService.authenticateToken, disputeService.getChallengeDisputes);
+app.post('/disputes/:disputeId/evidence', geofence, userService.authenticateToken, (req, res, next) => {
+  upload.single('evidence')(req, res, (err) => {
+    if (err) {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).send({ message: 'File size exceeds 5MB limit' });
+        }
+        return res.status(400).send({ message: err.message });
+      }
+      return res.status(400).send({ message: err.message });
+    }
+    next();
+  });
+}, disputeService.addDisputeEvidence);
+
+// Identity verification (KYC) - ID images uploaded as id_front (required), id_back, selfie
+app.get('/kyc', geofence, userService.authenticateToken, kycService.getMyKyc);
+app.post('/kyc', geofence, userService.authenticateToken, (req, res, next) => {
+  upload.fields(kycService.DOCUMENT_TYPES.map(name => ({ name, maxCount: 1 })))(req, res, (err) => {
+    if (err) {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).send({ message: 'File size exceeds 5MB limit' });
+        }
+        return res.status(400).send({ message: err.message });
+      }
+      return res.status(400).send({ message: err.message });
+    }
+    next();
+  });
+}, kycService.submitKyc);
+app.get('/api/admin/kyc', userService.authenticateToken, requireRole('support'), auditAction('kyc.list'), kycService.listKycVerifications);
+app.get('/api/admin/kyc/:verificationId', userService.authenticateToken, requireRole('support'), auditAction('kyc.view', 'kyc_verification', 'verificationId'), kycService.getKycVerification);
+app.post('/api/admin/kyc/:verificationId/review', userService.authenticateToken, requireRole('support'), auditAction('kyc.review', 'kyc_verification', 'verificationId'), kycService.reviewKyc);
+app.get('/tax', geofence, userService.authenticateToken, taxService.getMyTaxInfo);
+app.post('/tax/w9', geofence, userService.authenticateToken, taxService.submitW9);
+app.get('/api/admin/tax/reportable', userService.authenticateToken, requireRole('support'), auditAction('tax.list'), taxService.listReportable);
+app.get('/api/admin/tax/reportable/export', userService.authenticateToken, requireAdmin, auditAction('tax.export'), taxService.exportReportable);
+app.get('/api/admin/tax/withholding-flags', userService.authenticateToken, requireRole('support'), auditAction('tax.withholding_list'), taxService.listWithholdingFlags);
+app.get('/api/admin/disputes', userService.authenticateToken, requireRole('moderator'), auditAction('dispute.list'), disputeService.listDisputes);
+app.post('/api/admin/disputes/:disputeId/resolve', userService.authenticateToken, requireRole('moderator'), auditAction('dispute.resolve', 'dispute', 'disputeId'), disputeService.resolveDispute);
+
+// Responsible gaming - limits, cool-off and self-exclusion (enforced in the deposit and challenge handlers)
+app.get('/responsible-gaming', geofence, userService.authenticateToken, responsibleGamingService.getMyResponsibleGaming);
+app.put('/responsible-gaming/limits', geofence, userService.authenticateToken, responsibleGamingService.setLimit);
+app.post('/responsible-gaming/cool-off', geofence, userService.authenticateToken, responsibleGamingService.startCoolOff);
+app.post('/responsible-gaming/self-exclusion', geofence, userService.authenticateToken, responsibleGamingService.selfExclude);
+app.get('/api/admin/users/:userId/responsible-gaming', userService.authenticateToken, requireRole('support'), auditAction('responsible_gaming.view', 'user', 'userId'), responsibleGamingService.getUserResponsibleGaming);
 
 // Discord thread endpoints
 app.post('/api/ggthread', discordThreadService.createDiscordThread);
@@ -202,8 +374,8 @@ app.get('/api/user/discord/oauth-url', userService.authenticateToken, discordSer
 app.get('/api/user/discord/oauth/callback', discordService.handleOAuthCallback);
 app.get('/api/user/discord/status', userService.authenticateToken, discordService.getDiscordStatus);
 app.delete('/api/user/discord/unlink', userService.authenticateToken, discordService.unlinkDiscordAccount);
-// Discord bot endpoint for challenge verification (no auth required - bot uses its own verification)
-app.post('/api/discord/verify-challenge', geofence, discordService.handleDiscordVerification);
+// Discord bot endpoint for challenge result reports (signed with DISCORD_BOT_SECRET)
+app.post('/api/discord/verify-challenge', geofence, requireBotSignature, discordService.handleDiscordVerification);
 
 // Email test endpoint (for development/testing)
 app.get('/api/test/email', async (req, res) => {
@@ -216,7 +388,7 @@ app.get('/api/test/email', async (req, res) => {
 });
 
 // PayNetWorx 3DS endpoints (all require authentication)
-app.post('/paynetworx/3ds/initiate', geofence, userService.authenticateToken, paynetworxService.initiate3DSAuth);
+app.post('/paynetworx/3ds/initiate', geofence, userService.authenticateToken, actingUser('userId'), paynetworxService.initiate3DSAuth);
 app.get('/paynetworx/3ds/method/:tranId', geofence, paynetworxService.check3DSMethod);
 app.get('/paynetworx/3ds/challenge/:tranId', geofence, paynetworxService.checkChallengeResult);
 
@@ -232,26 +404,38 @@ app.delete('/payment-methods/:paymentMethodId', geofence, userService.authentica
 // Combined verification + tokenization flow (requires authentication)
 app.post('/payment-methods/verify-and-tokenize', geofence, userService.authenticateToken, paymentMethodService.verifyAndTokenizeCard);
 
-// Bank account management endpoints (all require authentication)
+// Bank account management endpoints (all require authentication; changes need 2FA step-up)
 app.get('/bank-accounts', geofence, userService.authenticateToken, paymentMethodService.getUserBankAccounts);
-app.post('/bank-accounts', geofence, userService.authenticateToken, paymentMethodService.saveBankAccount);
-app.put('/bank-accounts/:bankAccountId/default', geofence, userService.authenticateToken, paymentMethodService.setDefaultBankAccount);
-app.delete('/bank-accounts/:bankAccountId', geofence, userService.authenticateToken, paymentMethodService.deleteBankAccount);
+app.post('/bank-accounts', geofence, userService.authenticateToken, requireStepUp(), paymentMethodService.saveBankAccount);
+app.put('/bank-accounts/:bankAccountId/default', geofence, userService.authenticateToken, requireStepUp(), paymentMethodService.setDefaultBankAccount);
+app.delete('/bank-accounts/:bankAccountId', geofence, userService.authenticateToken, requireStepUp(), paymentMethodService.deleteBankAccount);
 
 // Payment processing with saved tokens (requires authentication)
-app.post('/paynetworx/payment', geofence, userService.authenticateToken, paynetworxService.processPaymentWithToken);
+app.post('/paynetworx/payment', geofence, userService.authenticateToken, idempotent, paynetworxService.processPaymentWithToken);
 
 // Withdrawal endpoint (requires authentication)
-app.post('/paynetworx/withdraw', geofence, userService.authenticateToken, paynetworxService.processWithdrawal);
+app.post('/paynetworx/withdraw', geofence, userService.authenticateToken, requireNoAccountHold, requireKyc, requireTaxInfo, requireStepUp(), idempotent, paynetworxService.processWithdrawal);
 
 // ACH Debit deposit endpoint (requires authentication)
-app.post('/paynetworx/deposit', geofence, userService.authenticateToken, paynetworxService.processDepositWithBankAccount);
+app.post('/paynetworx/deposit', geofence, userService.authenticateToken, idempotent, paynetworxService.processDepositWithBankAccount);
+
+// PayNetWorx settlement, ACH return and chargeback notifications (signed, no user auth or geofence)
+app.post('/paynetworx/webhook', requirePaynetworxSignature, paynetworxSettlementService.handleWebhook);
 
 const server = app.listen(PORT, () => {
   console.log(`Server is running on ${PORT}`);
   
-  // Start the transaction processor for Venmo/CashApp transactions
-  transactionProcessorService.startTransactionProcessor();
+  // Expire stale challenges and refund their locked wagers
+  challengeExpiryService.startChallengeExpirySweeper();
+
+  // Pay out reported results once their dispute window closes
+  disputeService.startResultFinalizer();
+
+  // Pick up PayNetWorx settlements, ACH returns and chargebacks the webhook missed
+  paynetworxSettlementService.startSettlementPoller();
+
+  // Reconcile wallets, transactions and PayNetWorx for the previous day
+  reconciliationService.startReconciliationJob();
 });
 
 server.on('error', (error) => {
@@ -16,4 +16,7 @@ export const updateBadge = badgeService.updateBadge;
 export const deleteBadge = badgeService.deleteBadge;
 
 // Earn a badge
-export const earnBadge = badgeService.earnBadge;
\ No newline at end of file
+export const earnBadge = badgeService.earnBadge;
+
+// Revoke a badge
+export const revokeBadge = badgeService.revokeBadge;
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { SimpleRankingService } from '../services/simpleRankingService.js';
+import * as money from '../services/moneyService.js';
 
 /**
  * Backfill Earnings field from historical match data
@@ -16,7 +17,7 @@ export const backfillEarnings = async (req, res) => {
       message: 'Earnings backfilled successfully',
       data: {
         usersProcessed: result.processedCount,
-        totalEarnings: result.totalEarnings
+        totalEarnings: money.toDollars(result.totalEarnings)
       }
     });
   } catch (error) {
@@ -0,0 +1,22 @@
+import * as accountHoldService from '../services/accountHoldService.js';
+
+// Account hold guard - must run after userService.authenticateToken.
+// Used on withdrawal routes; new challenges are checked inside challengeService with the other wager checks.
+export const requireNoAccountHold = async (req, res, next) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    if (!userId) {
+      return res.status(401).send({ error: 'User authentication required' });
+    }
+
+    const holdBlock = await accountHoldService.checkAccountHold(userId);
+    if (holdBlock) {
+      return res.status(403).send(holdBlock);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking account hold:', error);
+    res.status(500).send({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,55 @@
+import prisma from '../prisma/prisma.js';
+
+// Role guard - must run after userService.authenticateToken
+// Users.Role is 'user' for players; staff are 'support', 'moderator' or 'admin'.
+// Roles are read from the database on every request so a demotion takes effect immediately.
+// 'admin' passes every role check.
+export const ROLES = ['user', 'support', 'moderator', 'admin'];
+
+/**
+ * Look up a user's role
+ * @param {number|string} userId
+ * @returns {Promise<string|null>} The role, or null for unknown/inactive users
+ */
+export const getUserRole = async (userId) => {
+  if (!userId || isNaN(parseInt(userId))) return null;
+
+  const user = await prisma.Users.findUnique({
+    where: { id: parseInt(userId) },
+    select: { Role: true, Active: true }
+  });
+
+  if (!user || user.Active === false) return null;
+  return user.Role || 'user';
+};
+
+export const hasRole = (role, allowedRoles) => role === 'admin' || allowedRoles.includes(role);
+
+export const isAdmin = async (userId) => (await getUserRole(userId)) === 'admin';
+
+/**
+ * Only let users holding one of the given roles through (admins always pass)
+ * Sets req.user.role for later middleware and handlers.
+ * @param {...string} roles - e.g. 'moderator', 'support'
+ */
+export const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const userId = req.user?.userId || req.user?.id;
+    if (!userId) {
+      return res.status(401).send({ error: 'User authentication required' });
+    }
+
+    const role = await getUserRole(userId);
+    if (!hasRole(role, roles)) {
+      return res.status(403).send({ error: 'Insufficient permissions', requiredRoles: ['admin', ...roles.filter(r => r !== 'admin')] });
+    }
+
+    req.user.role = role;
+    next();
+  } catch (error) {
+    console.error('Error checking user role:', error);
+    res.status(500).send({ error: 'Internal server error' });
+  }
+};
+
+export const requireAdmin = requireRole('admin');
@@ -0,0 +1,31 @@
+import * as auditLogService from '../services/auditLogService.js';
+
+// Audit middleware - must run after requireRole so req.user.role is set.
+// The row is written once the response has been sent, so it records the outcome (status code)
+// of the action whether it succeeded or was rejected. A response replayed for a repeated Idempotency-Key
+// (middleware/idempotency.js) is not recorded again: the action did not run a second time.
+
+/**
+ * Record an admin action in the audit log
+ * @param {string} action - Dotted action name, e.g. 'wallet.adjust'
+ * @param {string} [targetType] - What the action targets, e.g. 'user', 'challenge'
+ * @param {string} [targetParam] - Route parameter holding the target id
+ */
+export const auditAction = (action, targetType = null, targetParam = null) => (req, res, next) => {
+  res.on('finish', () => {
+    if (res.get('Idempotent-Replayed')) return;
+
+    auditLogService.recordAuditLog({
+      actorId: parseInt(req.user?.userId || req.user?.id),
+      actorRole: req.user?.role,
+      action,
+      targetType,
+      targetId: targetParam ? req.params[targetParam] : null,
+      statusCode: res.statusCode,
+      details: auditLogService.buildRequestDetails(req, res),
+      ip: req.clientIP || null
+    }).catch(error => console.error(`Failed to write audit log for ${action}:`, error));
+  });
+
+  next();
+};
@@ -0,0 +1,80 @@
+import prisma from '../prisma/prisma.js';
+import { isAdmin } from './adminGuard.js';
+
+// Shared authorization policies - all run after userService.authenticateToken.
+// Handlers keep reading userId/challengerId from the request as before; these policies make sure
+// those values are the authenticated user, so ownership rules live here instead of in each handler.
+
+export const getAuthUserId = (req) => parseInt(req.user?.userId || req.user?.id);
+
+/**
+ * The acting user comes from the JWT: fill the given body fields with it and reject requests
+ * that try to act on behalf of someone else
+ * @param {...string} fields - Body fields that identify the acting user, e.g. 'userId', 'challengerId'
+ */
+export const actingUser = (...fields) => (req, res, next) => {
+  const authUserId = getAuthUserId(req);
+  if (!authUserId) {
+    return res.status(401).send({ error: 'User authentication required' });
+  }
+
+  req.body = req.body || {};
+  for (const field of fields) {
+    const claimed = req.body[field];
+    if (claimed !== undefined && claimed !== null && claimed !== '' && parseInt(claimed) !== authUserId) {
+      return res.status(403).send({ error: 'You can only act on your own behalf' });
+    }
+    req.body[field] = authUserId;
+  }
+
+  next();
+};
+
+/**
+ * A route parameter names a user: only that user (or an admin) may access it
+ * @param {string} param - Route parameter holding the user id
+ */
+export const selfOrAdmin = (param = 'userId') => async (req, res, next) => {
+  try {
+    const authUserId = getAuthUserId(req);
+    if (!authUserId) {
+      return res.status(401).send({ error: 'User authentication required' });
+    }
+
+    if (parseInt(req.params[param]) !== authUserId && !(await isAdmin(authUserId))) {
+      return res.status(403).send({ error: 'Not authorized to access another user\'s data' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking user access:', error);
+    res.status(500).send({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Only the user who created the challenge (or an admin) may continue
+ * Loads the challenge onto req.challenge
+ */
+export const challengeOwner = async (req, res, next) => {
+  try {
+    const authUserId = getAuthUserId(req);
+    const challenge = await prisma.Challenges.findUnique({
+      where: { id: parseInt(req.params.challengeId) }
+    });
+
+    if (!challenge) {
+      return res.status(404).json({ error: 'Challenge not found' });
+    }
+
+    if (challenge.ChallengerId !== authUserId && !(await isAdmin(authUserId))) {
+      return res.status(403).json({ error: 'Only the challenge creator can do this' });
+    }
+
+    req.challenge = challenge;
+    next();
+  } catch (error) {
+    console.error('Error checking challenge ownership:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+
+// Requests from the Discord bot are signed with a shared secret (DISCORD_BOT_SECRET):
+//   X-Bot-Timestamp: unix seconds
+//   X-Bot-Signature: hex HMAC-SHA256 of `${timestamp}.${rawBody}`
+// Requires express.json to keep the raw body (req.rawBody).
+const MAX_SKEW_SECONDS = Number(process.env.DISCORD_BOT_SIGNATURE_TOLERANCE_SECONDS || 300);
+
+export const signBotPayload = (secret, timestamp, rawBody) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+
+export const requireBotSignature = (req, res, next) => {
+  const secret = process.env.DISCORD_BOT_SECRET;
+  if (!secret) {
+    console.error('DISCORD_BOT_SECRET is not configured - rejecting bot request');
+    return res.status(503).send({ error: 'Bot authentication not configured' });
+  }
+
+  const timestamp = req.headers['x-bot-timestamp'];
+  const signature = req.headers['x-bot-signature'];
+  if (!timestamp || !signature) {
+    return res.status(401).send({ error: 'Bot signature required' });
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp));
+  if (isNaN(age) || age > MAX_SKEW_SECONDS) {
+    return res.status(401).send({ error: 'Bot signature expired' });
+  }
+
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const expected = Buffer.from(signBotPayload(secret, timestamp, rawBody), 'hex');
+  const provided = Buffer.from(String(signature), 'hex');
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).send({ error: 'Invalid bot signature' });
+  }
+
+  next();
+};
@@ -0,0 +1,43 @@
+import * as securityService from '../services/securityService.js';
+
+// Brute-force guard for unauthenticated auth routes. Refuses the request with 429 while the caller's
+// IP or target account is delayed or locked, and records the outcome once the response is sent:
+// 4xx responses count as failures, 2xx responses clear the account counter (see securityService).
+
+/**
+ * @param {string} action - Key of securityService.THROTTLE_POLICIES
+ * @param {{ accountOf?: (req) => Promise<string|null>|string|null }} options - Resolves the target
+ *   account's email for per-account tracking
+ */
+export const bruteForceGuard = (action, { accountOf = null } = {}) => async (req, res, next) => {
+  try {
+    const ip = req.clientIP || null;
+    const account = accountOf ? await accountOf(req) : null;
+
+    for (const key of securityService.throttleKeys(action, { ip, account })) {
+      const status = await securityService.getThrottleStatus(key);
+      if (status.blocked) {
+        res.set('Retry-After', String(status.retryAfterSeconds));
+        return res.status(429).send({
+          message: status.locked
+            ? 'Too many failed attempts. This has been temporarily locked - try again later or use the unlock link we emailed you.'
+            : 'Too many failed attempts. Please wait before trying again.',
+          locked: status.locked,
+          retryAfterSeconds: status.retryAfterSeconds
+        });
+      }
+    }
+
+    res.on('finish', () => {
+      // Server errors say nothing about the credentials
+      if (res.statusCode >= 500) return;
+      securityService.recordAttempt(action, { ip, account, succeeded: res.statusCode < 400 })
+        .catch(error => console.error(`Failed to record ${action} attempt:`, error));
+    });
+
+    next();
+  } catch (error) {
+    console.error('Error checking brute-force throttle:', error);
+    res.status(500).send({ message: 'Internal server error' });
+  }
+};
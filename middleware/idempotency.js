@@ -0,0 +1,68 @@
+import * as idempotencyService from '../services/idempotencyService.js';
+
+// Idempotency-Key support for money routes - must run after userService.authenticateToken and any
+// other guards, right before the handler, so only the handler's own answer is stored.
+// - first use of a key: the request runs and its response is stored against the key
+// - retry with the same key and body: the stored response is replayed (Idempotent-Replayed: true)
+// - same key with a different route or body: 422; while the first request is still running: 409
+// 5xx responses are not stored, so the client can retry with the same key. The key is also exposed
+// as req.idempotencyKey and forwarded to PayNetWorx as the Request-ID, which makes the processor
+// drop a duplicate charge even when we never saw its first answer.
+// Keys must be 16-255 characters of letters, digits, '-', '_', ':' or '.' (a UUID is ideal).
+
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]{16,255}$/;
+
+export const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    if (!userId) {
+      return res.status(401).send({ error: 'User authentication required' });
+    }
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).send({ error: 'Idempotency-Key must be 16-255 letters, digits, -, _, : or .' });
+    }
+
+    const requestHash = idempotencyService.fingerprintRequest({
+      method: req.method,
+      route: `${req.baseUrl}${req.route?.path || req.path}`,
+      body: req.body
+    });
+
+    const { claimed, record } = await idempotencyService.claimKey({ userId, key, requestHash });
+
+    if (!claimed) {
+      if (record.RequestHash !== requestHash) {
+        return res.status(422).send({ error: 'Idempotency-Key has already been used for a different request' });
+      }
+      if (record.Status !== 'completed') {
+        return res.status(409).send({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.ResponseStatus).json(record.ResponseBody);
+    }
+
+    // Capture the body the handler answers with (res.send with an object goes through res.json)
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      const stored = res.statusCode >= 500
+        ? idempotencyService.releaseKey(record.id)
+        : idempotencyService.completeKey(record.id, { status: res.statusCode, body: responseBody });
+      stored.catch(error => console.error('Failed to store idempotent response:', error));
+    });
+
+    req.idempotencyKey = key;
+    next();
+  } catch (error) {
+    console.error('Error checking Idempotency-Key:', error);
+    res.status(500).send({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,26 @@
+import * as kycService from '../services/kycService.js';
+
+// KYC guard - must run after userService.authenticateToken.
+// Used on withdrawal routes; wager limits are checked inside challengeService where the final stake is known.
+export const requireKyc = async (req, res, next) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    if (!userId) {
+      return res.status(401).send({ error: 'User authentication required' });
+    }
+
+    if (!(await kycService.isKycVerified(userId))) {
+      const state = await kycService.getKycState(userId);
+      return res.status(403).send({
+        error: 'Identity verification is required before withdrawing',
+        kycRequired: true,
+        kycStatus: state.status
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking KYC status:', error);
+    res.status(500).send({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+
+// PayNetWorx webhooks are signed with the shared webhook secret (PAYNETWORX_WEBHOOK_SECRET):
+//   X-PNX-Timestamp: unix seconds
+//   X-PNX-Signature: hex HMAC-SHA256 of `${timestamp}.${rawBody}`
+// Requires express.json to keep the raw body (req.rawBody).
+const MAX_SKEW_SECONDS = Number(process.env.PAYNETWORX_WEBHOOK_TOLERANCE_SECONDS || 300);
+
+export const signWebhookPayload = (secret, timestamp, rawBody) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+
+export const requirePaynetworxSignature = (req, res, next) => {
+  const secret = process.env.PAYNETWORX_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('PAYNETWORX_WEBHOOK_SECRET is not configured - rejecting webhook');
+    return res.status(503).send({ error: 'Webhook authentication not configured' });
+  }
+
+  const timestamp = req.headers['x-pnx-timestamp'];
+  const signature = req.headers['x-pnx-signature'];
+  if (!timestamp || !signature) {
+    return res.status(401).send({ error: 'Webhook signature required' });
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp));
+  if (isNaN(age) || age > MAX_SKEW_SECONDS) {
+    return res.status(401).send({ error: 'Webhook signature expired' });
+  }
+
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, rawBody), 'hex');
+  const provided = Buffer.from(String(signature), 'hex');
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).send({ error: 'Invalid webhook signature' });
+  }
+
+  next();
+};
@@ -0,0 +1,59 @@
+import prisma from '../prisma/prisma.js';
+import * as twoFactorService from '../services/twoFactorService.js';
+
+// Step-up guard - must run after userService.authenticateToken.
+// Users with 2FA enabled must have verified a code on this session within STEP_UP_WINDOW_MINUTES
+// (POST /2fa/step-up), or send one with the request in the X-2FA-Code header.
+const STEP_UP_WINDOW_MINUTES = parseInt(process.env.STEP_UP_WINDOW_MINUTES || '5');
+
+/**
+ * Require a recent 2FA verification before a sensitive action
+ * @param {{ enrollmentRequired?: boolean }} options - enrollmentRequired: users without 2FA are refused
+ *   instead of let through
+ */
+export const requireStepUp = ({ enrollmentRequired = false } = {}) => async (req, res, next) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    if (!userId) {
+      return res.status(401).send({ error: 'User authentication required' });
+    }
+
+    const [user, session] = await Promise.all([
+      prisma.Users.findUnique({ where: { id: userId }, select: { TwoFactorEnabled: true } }),
+      req.user.sid ? prisma.UserSession.findUnique({ where: { id: req.user.sid }, select: { StepUpAt: true } }) : null
+    ]);
+
+    if (!user?.TwoFactorEnabled) {
+      if (enrollmentRequired) {
+        return res.status(403).send({
+          error: 'Two-factor authentication must be enabled for this action',
+          twoFactorSetupRequired: true
+        });
+      }
+      return next();
+    }
+
+    const windowStart = new Date(Date.now() - STEP_UP_WINDOW_MINUTES * 60 * 1000);
+    if (session?.StepUpAt && session.StepUpAt >= windowStart) {
+      return next();
+    }
+
+    const headerCode = req.headers['x-2fa-code'];
+    if (headerCode) {
+      const { method, throttle } = await twoFactorService.verifyStepUpCode(userId, String(headerCode), { ip: req.clientIP });
+      if (throttle) return twoFactorService.sendThrottled(res, throttle);
+      if (method) {
+        if (req.user.sid) await twoFactorService.markStepUp(req.user.sid);
+        return next();
+      }
+    }
+
+    return res.status(401).send({
+      error: headerCode ? 'Invalid verification code' : 'Two-factor verification required',
+      stepUpRequired: true
+    });
+  } catch (error) {
+    console.error('Error checking step-up verification:', error);
+    res.status(500).send({ error: 'Internal server error' });
+  }
+};
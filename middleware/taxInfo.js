@@ -0,0 +1,22 @@
+import * as taxService from '../services/taxService.js';
+
+// Tax information guard - must run after userService.authenticateToken.
+// Used on withdrawal routes: withdrawals are withheld while the user has an open withholding flag.
+export const requireTaxInfo = async (req, res, next) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    if (!userId) {
+      return res.status(401).send({ error: 'User authentication required' });
+    }
+
+    const taxBlock = await taxService.checkTaxInfo(userId);
+    if (taxBlock) {
+      return res.status(403).send(taxBlock);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking tax information:', error);
+    res.status(500).send({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,76 @@
+-- AlterTable
+ALTER TABLE "Challenges" ADD COLUMN "WinnerId" INTEGER,
+ADD COLUMN "CompletedAt" TIMESTAMPTZ(6);
+
+-- CreateTable
+CREATE TABLE "ChallengeEscrow" (
+    "id" SERIAL NOT NULL,
+    "ChallengeId" INTEGER NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "RequestId" INTEGER,
+    "Amount" DECIMAL NOT NULL,
+    "Status" VARCHAR NOT NULL DEFAULT 'locked',
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "ReleasedAt" TIMESTAMPTZ(6),
+
+    CONSTRAINT "ChallengeEscrow_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ChallengeEscrow_ChallengeId_idx" ON "ChallengeEscrow"("ChallengeId");
+
+-- CreateIndex
+CREATE INDEX "ChallengeEscrow_UserId_idx" ON "ChallengeEscrow"("UserId");
+
+-- CreateIndex
+CREATE INDEX "ChallengeEscrow_RequestId_idx" ON "ChallengeEscrow"("RequestId");
+
+-- CreateIndex
+CREATE INDEX "ChallengeEscrow_Status_idx" ON "ChallengeEscrow"("Status");
+
+-- AddForeignKey
+ALTER TABLE "ChallengeEscrow" ADD CONSTRAINT "ChallengeEscrow_ChallengeId_fkey" FOREIGN KEY ("ChallengeId") REFERENCES "Challenges"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChallengeEscrow" ADD CONSTRAINT "ChallengeEscrow_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChallengeEscrow" ADD CONSTRAINT "ChallengeEscrow_RequestId_fkey" FOREIGN KEY ("RequestId") REFERENCES "Challenge_Requests"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill
+-- Wagers on live challenges were previously deducted from Users.Wallet up front.
+-- Record them as locked escrow and give the amount back to the wallet, since locks are now logical.
+INSERT INTO "ChallengeEscrow" ("ChallengeId", "UserId", "Amount", "Status")
+SELECT "id", "ChallengerId", "Wager", 'locked'
+FROM "Challenges"
+WHERE "Status" IN ('open', 'pending', 'accepted') AND "Wager" > 0;
+
+INSERT INTO "ChallengeEscrow" ("ChallengeId", "UserId", "RequestId", "Amount", "Status")
+SELECT r."ChallengeId", r."ChallengerId", r."id", r."Wager", 'locked'
+FROM "Challenge_Requests" r
+JOIN "Challenges" c ON c."id" = r."ChallengeId"
+WHERE r."ChallengerId" IS NOT NULL
+  AND r."Wager" > 0
+  AND ((r."Status" = 'request' AND c."Status" = 'open')
+    OR (r."Status" = 'accepted' AND c."Status" = 'accepted'));
+
+UPDATE "Users" u
+SET "Wallet" = u."Wallet" + e."Total"
+FROM (
+    SELECT "UserId", ROUND(SUM("Amount"))::INTEGER AS "Total"
+    FROM "ChallengeEscrow"
+    GROUP BY "UserId"
+) e
+WHERE u."id" = e."UserId";
+
+-- Challenged players on accepted direct challenges were never charged, so lock without re-crediting.
+INSERT INTO "ChallengeEscrow" ("ChallengeId", "UserId", "Amount", "Status")
+SELECT c."id", c."ChallengedId", c."Wager", 'locked'
+FROM "Challenges" c
+WHERE c."Status" = 'accepted'
+  AND c."ChallengedId" IS NOT NULL
+  AND c."Wager" > 0
+  AND NOT EXISTS (
+    SELECT 1 FROM "ChallengeEscrow" e
+    WHERE e."ChallengeId" = c."id" AND e."UserId" = c."ChallengedId"
+  );
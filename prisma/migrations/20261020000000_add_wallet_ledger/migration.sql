@@ -0,0 +1,64 @@
+-- CreateTable
+CREATE TABLE "LedgerJournal" (
+    "id" SERIAL NOT NULL,
+    "Reason" VARCHAR NOT NULL,
+    "ReferenceType" VARCHAR,
+    "ReferenceId" VARCHAR,
+    "Description" VARCHAR,
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LedgerJournal_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LedgerEntry" (
+    "id" SERIAL NOT NULL,
+    "JournalId" INTEGER NOT NULL,
+    "Account" VARCHAR NOT NULL,
+    "UserId" INTEGER,
+    "Amount" DECIMAL NOT NULL,
+    "TransactionId" INTEGER,
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LedgerEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LedgerJournal_ReferenceType_ReferenceId_idx" ON "LedgerJournal"("ReferenceType", "ReferenceId");
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_JournalId_idx" ON "LedgerEntry"("JournalId");
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_Account_UserId_idx" ON "LedgerEntry"("Account", "UserId");
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_TransactionId_idx" ON "LedgerEntry"("TransactionId");
+
+-- AddForeignKey
+ALTER TABLE "LedgerEntry" ADD CONSTRAINT "LedgerEntry_JournalId_fkey" FOREIGN KEY ("JournalId") REFERENCES "LedgerJournal"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LedgerEntry" ADD CONSTRAINT "LedgerEntry_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LedgerEntry" ADD CONSTRAINT "LedgerEntry_TransactionId_fkey" FOREIGN KEY ("TransactionId") REFERENCES "Transaction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill
+-- Existing balances have no history to rebuild from, so each user starts with an opening balance journal.
+INSERT INTO "LedgerJournal" ("Reason", "ReferenceType", "ReferenceId", "Description")
+SELECT 'opening_balance', 'user', "id"::VARCHAR, 'Opening balance from Users.Wallet'
+FROM "Users"
+WHERE "Wallet" <> 0;
+
+INSERT INTO "LedgerEntry" ("JournalId", "Account", "UserId", "Amount")
+SELECT j."id", 'user_wallet', u."id", u."Wallet"
+FROM "LedgerJournal" j
+JOIN "Users" u ON j."ReferenceId" = u."id"::VARCHAR
+WHERE j."Reason" = 'opening_balance' AND j."ReferenceType" = 'user';
+
+INSERT INTO "LedgerEntry" ("JournalId", "Account", "Amount")
+SELECT j."id", 'opening_balance', -u."Wallet"
+FROM "LedgerJournal" j
+JOIN "Users" u ON j."ReferenceId" = u."id"::VARCHAR
+WHERE j."Reason" = 'opening_balance' AND j."ReferenceType" = 'user';
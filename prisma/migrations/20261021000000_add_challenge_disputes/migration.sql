@@ -0,0 +1,55 @@
+-- AlterTable
+ALTER TABLE "Challenges" ADD COLUMN "ReportedWinnerId" INTEGER,
+ADD COLUMN "ReportedGameId" INTEGER,
+ADD COLUMN "ResultReportedAt" TIMESTAMPTZ(6),
+ADD COLUMN "DisputeWindowEndsAt" TIMESTAMPTZ(6);
+
+-- CreateTable
+CREATE TABLE "ChallengeDispute" (
+    "id" SERIAL NOT NULL,
+    "ChallengeId" INTEGER NOT NULL,
+    "RaisedById" INTEGER NOT NULL,
+    "Reason" TEXT NOT NULL,
+    "Status" VARCHAR NOT NULL DEFAULT 'open',
+    "Resolution" VARCHAR,
+    "ResolvedById" INTEGER,
+    "ResolutionNote" TEXT,
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "ResolvedAt" TIMESTAMPTZ(6),
+
+    CONSTRAINT "ChallengeDispute_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DisputeEvidence" (
+    "id" SERIAL NOT NULL,
+    "DisputeId" INTEGER NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "Type" VARCHAR NOT NULL,
+    "Url" TEXT NOT NULL,
+    "Note" TEXT,
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DisputeEvidence_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ChallengeDispute_ChallengeId_idx" ON "ChallengeDispute"("ChallengeId");
+
+-- CreateIndex
+CREATE INDEX "ChallengeDispute_Status_idx" ON "ChallengeDispute"("Status");
+
+-- CreateIndex
+CREATE INDEX "DisputeEvidence_DisputeId_idx" ON "DisputeEvidence"("DisputeId");
+
+-- AddForeignKey
+ALTER TABLE "ChallengeDispute" ADD CONSTRAINT "ChallengeDispute_ChallengeId_fkey" FOREIGN KEY ("ChallengeId") REFERENCES "Challenges"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChallengeDispute" ADD CONSTRAINT "ChallengeDispute_RaisedById_fkey" FOREIGN KEY ("RaisedById") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DisputeEvidence" ADD CONSTRAINT "DisputeEvidence_DisputeId_fkey" FOREIGN KEY ("DisputeId") REFERENCES "ChallengeDispute"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DisputeEvidence" ADD CONSTRAINT "DisputeEvidence_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
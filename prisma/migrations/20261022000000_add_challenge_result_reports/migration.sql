@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "ChallengeResultReport" (
+    "id" SERIAL NOT NULL,
+    "ChallengeId" INTEGER NOT NULL,
+    "ReporterId" INTEGER NOT NULL,
+    "WinnerId" INTEGER NOT NULL,
+    "Source" VARCHAR NOT NULL,
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ChallengeResultReport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChallengeResultReport_ChallengeId_ReporterId_key" ON "ChallengeResultReport"("ChallengeId", "ReporterId");
+
+-- AddForeignKey
+ALTER TABLE "ChallengeResultReport" ADD CONSTRAINT "ChallengeResultReport_ChallengeId_fkey" FOREIGN KEY ("ChallengeId") REFERENCES "Challenges"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChallengeResultReport" ADD CONSTRAINT "ChallengeResultReport_ReporterId_fkey" FOREIGN KEY ("ReporterId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "Fee" DECIMAL NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "FeeRule" (
+    "id" SERIAL NOT NULL,
+    "Name" VARCHAR NOT NULL,
+    "Type" VARCHAR NOT NULL,
+    "Game" VARCHAR,
+    "Provider" VARCHAR,
+    "Percent" DECIMAL NOT NULL DEFAULT 0,
+    "Minimum" DECIMAL NOT NULL DEFAULT 0,
+    "Maximum" DECIMAL,
+    "Priority" INTEGER NOT NULL DEFAULT 0,
+    "StartsAt" TIMESTAMPTZ(6),
+    "EndsAt" TIMESTAMPTZ(6),
+    "Active" BOOLEAN NOT NULL DEFAULT true,
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FeeRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FeeRule_Type_Active_idx" ON "FeeRule"("Type", "Active");
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "Users" ADD COLUMN "Role" VARCHAR NOT NULL DEFAULT 'user';
+
+-- CreateTable
+CREATE TABLE "AdminAuditLog" (
+    "id" SERIAL NOT NULL,
+    "ActorId" INTEGER NOT NULL,
+    "ActorRole" VARCHAR NOT NULL,
+    "Action" VARCHAR NOT NULL,
+    "TargetType" VARCHAR,
+    "TargetId" VARCHAR,
+    "StatusCode" INTEGER NOT NULL,
+    "Details" JSON,
+    "Ip" VARCHAR,
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AdminAuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AdminAuditLog_ActorId_idx" ON "AdminAuditLog"("ActorId");
+
+-- CreateIndex
+CREATE INDEX "AdminAuditLog_TargetType_TargetId_idx" ON "AdminAuditLog"("TargetType", "TargetId");
+
+-- AddForeignKey
+ALTER TABLE "AdminAuditLog" ADD CONSTRAINT "AdminAuditLog_ActorId_fkey" FOREIGN KEY ("ActorId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE "UserSession" (
+    "id" SERIAL NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "DeviceName" VARCHAR,
+    "UserAgent" VARCHAR,
+    "Ip" VARCHAR,
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "LastUsedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "ExpiresAt" TIMESTAMPTZ(6) NOT NULL,
+    "RevokedAt" TIMESTAMPTZ(6),
+    "RevokedReason" VARCHAR,
+
+    CONSTRAINT "UserSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SessionRefreshToken" (
+    "id" SERIAL NOT NULL,
+    "SessionId" INTEGER NOT NULL,
+    "TokenHash" VARCHAR NOT NULL,
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "UsedAt" TIMESTAMPTZ(6),
+
+    CONSTRAINT "SessionRefreshToken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "UserSession_UserId_idx" ON "UserSession"("UserId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SessionRefreshToken_TokenHash_key" ON "SessionRefreshToken"("TokenHash");
+
+-- CreateIndex
+CREATE INDEX "SessionRefreshToken_SessionId_idx" ON "SessionRefreshToken"("SessionId");
+
+-- AddForeignKey
+ALTER TABLE "UserSession" ADD CONSTRAINT "UserSession_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SessionRefreshToken" ADD CONSTRAINT "SessionRefreshToken_SessionId_fkey" FOREIGN KEY ("SessionId") REFERENCES "UserSession"("id") ON DELETE CASCADE ON UPDATE CASCADE;
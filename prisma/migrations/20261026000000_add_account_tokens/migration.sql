@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "AccountToken" (
+    "id" SERIAL NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "Type" VARCHAR NOT NULL,
+    "TokenHash" VARCHAR NOT NULL,
+    "NewEmail" VARCHAR,
+    "ExpiresAt" TIMESTAMPTZ(6) NOT NULL,
+    "UsedAt" TIMESTAMPTZ(6),
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AccountToken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AccountToken_TokenHash_key" ON "AccountToken"("TokenHash");
+
+-- CreateIndex
+CREATE INDEX "AccountToken_UserId_Type_idx" ON "AccountToken"("UserId", "Type");
+
+-- AddForeignKey
+ALTER TABLE "AccountToken" ADD CONSTRAINT "AccountToken_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
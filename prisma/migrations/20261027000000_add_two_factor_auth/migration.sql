@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "Users" ADD COLUMN "TwoFactorEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "TwoFactorSecret" VARCHAR,
+ADD COLUMN "TwoFactorPendingSecret" VARCHAR,
+ADD COLUMN "TwoFactorLastStep" INTEGER;
+
+-- AlterTable
+ALTER TABLE "UserSession" ADD COLUMN "StepUpAt" TIMESTAMPTZ(6);
+
+-- CreateTable
+CREATE TABLE "TwoFactorRecoveryCode" (
+    "id" SERIAL NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "CodeHash" VARCHAR NOT NULL,
+    "UsedAt" TIMESTAMPTZ(6),
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TwoFactorRecoveryCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TwoFactorRecoveryCode_UserId_idx" ON "TwoFactorRecoveryCode"("UserId");
+
+-- AddForeignKey
+ALTER TABLE "TwoFactorRecoveryCode" ADD CONSTRAINT "TwoFactorRecoveryCode_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "AuthThrottle" (
+    "id" SERIAL NOT NULL,
+    "Key" VARCHAR NOT NULL,
+    "Failures" INTEGER NOT NULL DEFAULT 0,
+    "LastFailureAt" TIMESTAMPTZ(6),
+    "LockedUntil" TIMESTAMPTZ(6),
+
+    CONSTRAINT "AuthThrottle_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SecurityEvent" (
+    "id" SERIAL NOT NULL,
+    "UserId" INTEGER,
+    "Type" VARCHAR NOT NULL,
+    "Ip" VARCHAR,
+    "Details" JSON,
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SecurityEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AuthThrottle_Key_key" ON "AuthThrottle"("Key");
+
+-- CreateIndex
+CREATE INDEX "SecurityEvent_UserId_idx" ON "SecurityEvent"("UserId");
+
+-- CreateIndex
+CREATE INDEX "SecurityEvent_Type_CreatedAt_idx" ON "SecurityEvent"("Type", "CreatedAt");
+
+-- AddForeignKey
+ALTER TABLE "SecurityEvent" ADD CONSTRAINT "SecurityEvent_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "KycVerification" (
+    "id" SERIAL NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "Status" VARCHAR NOT NULL DEFAULT 'pending',
+    "Provider" VARCHAR NOT NULL,
+    "ProviderReference" VARCHAR,
+    "FirstName" VARCHAR NOT NULL,
+    "LastName" VARCHAR NOT NULL,
+    "DateOfBirth" DATE NOT NULL,
+    "AddressLine1" VARCHAR NOT NULL,
+    "AddressLine2" VARCHAR,
+    "City" VARCHAR NOT NULL,
+    "State" VARCHAR NOT NULL,
+    "PostalCode" VARCHAR NOT NULL,
+    "Country" VARCHAR NOT NULL DEFAULT 'US',
+    "SsnLast4" VARCHAR(4),
+    "Documents" JSON,
+    "ProviderNote" TEXT,
+    "ReviewNote" TEXT,
+    "ReviewedById" INTEGER,
+    "SubmittedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "ReviewedAt" TIMESTAMPTZ(6),
+
+    CONSTRAINT "KycVerification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "KycVerification_UserId_idx" ON "KycVerification"("UserId");
+
+-- CreateIndex
+CREATE INDEX "KycVerification_Status_idx" ON "KycVerification"("Status");
+
+-- AddForeignKey
+ALTER TABLE "KycVerification" ADD CONSTRAINT "KycVerification_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KycVerification" ADD CONSTRAINT "KycVerification_ReviewedById_fkey" FOREIGN KEY ("ReviewedById") REFERENCES "Users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
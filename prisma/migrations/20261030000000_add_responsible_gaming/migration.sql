@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "Users" ADD COLUMN     "CoolOffUntil" TIMESTAMPTZ(6),
+ADD COLUMN     "SelfExcludedAt" TIMESTAMPTZ(6),
+ADD COLUMN     "SelfExcludedUntil" TIMESTAMPTZ(6);
+
+-- CreateTable
+CREATE TABLE "GamingLimit" (
+    "id" SERIAL NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "Type" VARCHAR NOT NULL,
+    "Period" VARCHAR NOT NULL,
+    "Amount" DECIMAL NOT NULL,
+    "PendingAmount" DECIMAL,
+    "PendingRemoval" BOOLEAN NOT NULL DEFAULT false,
+    "PendingEffectiveAt" TIMESTAMPTZ(6),
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "UpdatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "GamingLimit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GamingLimit_UserId_Type_Period_key" ON "GamingLimit"("UserId", "Type", "Period");
+
+-- AddForeignKey
+ALTER TABLE "GamingLimit" ADD CONSTRAINT "GamingLimit_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
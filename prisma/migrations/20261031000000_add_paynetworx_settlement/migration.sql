@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN     "SettlementStatus" VARCHAR,
+ADD COLUMN     "SettledAt" TIMESTAMPTZ(6),
+ADD COLUMN     "ReturnCode" VARCHAR,
+ADD COLUMN     "ReturnReason" TEXT;
+
+-- CreateTable
+CREATE TABLE "PaynetworxEvent" (
+    "id" SERIAL NOT NULL,
+    "EventId" VARCHAR NOT NULL,
+    "Source" VARCHAR NOT NULL,
+    "Type" VARCHAR,
+    "PaynetworxTransaction" VARCHAR,
+    "TransactionId" INTEGER,
+    "Payload" JSON NOT NULL,
+    "Status" VARCHAR NOT NULL DEFAULT 'processed',
+    "Error" TEXT,
+    "ReceivedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "ProcessedAt" TIMESTAMPTZ(6),
+
+    CONSTRAINT "PaynetworxEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaynetworxEvent_EventId_key" ON "PaynetworxEvent"("EventId");
+
+-- CreateIndex
+CREATE INDEX "PaynetworxEvent_PaynetworxTransaction_idx" ON "PaynetworxEvent"("PaynetworxTransaction");
+
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "IdempotencyKey" (
+    "id" SERIAL NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "Key" VARCHAR(255) NOT NULL,
+    "RequestHash" VARCHAR(64) NOT NULL,
+    "Status" VARCHAR NOT NULL DEFAULT 'in_progress',
+    "ResponseStatus" INTEGER,
+    "ResponseBody" JSON,
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "CompletedAt" TIMESTAMPTZ(6),
+    "ExpiresAt" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "IdempotencyKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "IdempotencyKey_UserId_Key_key" ON "IdempotencyKey"("UserId", "Key");
+
+-- CreateIndex
+CREATE INDEX "IdempotencyKey_ExpiresAt_idx" ON "IdempotencyKey"("ExpiresAt");
+
+-- AddForeignKey
+ALTER TABLE "IdempotencyKey" ADD CONSTRAINT "IdempotencyKey_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
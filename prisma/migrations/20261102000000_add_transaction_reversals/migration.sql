@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN     "ReversalOfId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Transaction_ReversalOfId_idx" ON "Transaction"("ReversalOfId");
+
+-- AddForeignKey
+ALTER TABLE "Transaction" ADD CONSTRAINT "Transaction_ReversalOfId_fkey" FOREIGN KEY ("ReversalOfId") REFERENCES "Transaction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
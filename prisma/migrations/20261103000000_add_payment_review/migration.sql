@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN     "ExternalReference" VARCHAR,
+ADD COLUMN     "ReviewNote" TEXT,
+ADD COLUMN     "ReviewedById" INTEGER,
+ADD COLUMN     "ReviewedAt" TIMESTAMPTZ(6);
+
+-- CreateIndex
+CREATE INDEX "Transaction_Provider_Status_idx" ON "Transaction"("Provider", "Status");
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "ReconciliationReport" (
+    "id" SERIAL NOT NULL,
+    "ReportDate" DATE NOT NULL,
+    "Source" VARCHAR NOT NULL,
+    "Status" VARCHAR NOT NULL DEFAULT 'running',
+    "UsersChecked" INTEGER NOT NULL DEFAULT 0,
+    "PaymentsChecked" INTEGER NOT NULL DEFAULT 0,
+    "DiscrepancyCount" INTEGER NOT NULL DEFAULT 0,
+    "Summary" JSON,
+    "Discrepancies" JSON,
+    "Error" TEXT,
+    "RequestedById" INTEGER,
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "CompletedAt" TIMESTAMPTZ(6),
+
+    CONSTRAINT "ReconciliationReport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReconciliationReport_ReportDate_idx" ON "ReconciliationReport"("ReportDate");
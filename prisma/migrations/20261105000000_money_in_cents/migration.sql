@@ -0,0 +1,36 @@
+-- Money is stored as integer cents (see services/moneyService.js).
+-- Integer columns held whole dollars and are scaled; decimal columns are converted and rounded to the cent.
+
+-- AlterTable
+UPDATE "Users" SET "Wallet" = "Wallet" * 100, "Earnings" = "Earnings" * 100;
+
+-- AlterTable
+UPDATE "Challenge_Requests" SET "Wager" = "Wager" * 100;
+
+-- AlterTable
+ALTER TABLE "Challenges" ALTER COLUMN "Wager" SET DATA TYPE INTEGER USING ROUND("Wager" * 100)::INTEGER;
+
+-- AlterTable
+ALTER TABLE "Match_History" ALTER COLUMN "BetAmount" SET DATA TYPE INTEGER USING ROUND("BetAmount" * 100)::INTEGER;
+
+-- AlterTable
+ALTER TABLE "Transaction" ALTER COLUMN "Amount" SET DATA TYPE INTEGER USING ROUND("Amount" * 100)::INTEGER,
+ALTER COLUMN "Fee" DROP DEFAULT,
+ALTER COLUMN "Fee" SET DATA TYPE INTEGER USING ROUND("Fee" * 100)::INTEGER,
+ALTER COLUMN "Fee" SET DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "ChallengeEscrow" ALTER COLUMN "Amount" SET DATA TYPE INTEGER USING ROUND("Amount" * 100)::INTEGER;
+
+-- AlterTable
+ALTER TABLE "LedgerEntry" ALTER COLUMN "Amount" SET DATA TYPE INTEGER USING ROUND("Amount" * 100)::INTEGER;
+
+-- AlterTable
+ALTER TABLE "FeeRule" ALTER COLUMN "Minimum" DROP DEFAULT,
+ALTER COLUMN "Minimum" SET DATA TYPE INTEGER USING ROUND("Minimum" * 100)::INTEGER,
+ALTER COLUMN "Minimum" SET DEFAULT 0,
+ALTER COLUMN "Maximum" SET DATA TYPE INTEGER USING ROUND("Maximum" * 100)::INTEGER;
+
+-- AlterTable
+ALTER TABLE "GamingLimit" ALTER COLUMN "Amount" SET DATA TYPE INTEGER USING ROUND("Amount" * 100)::INTEGER,
+ALTER COLUMN "PendingAmount" SET DATA TYPE INTEGER USING ROUND("PendingAmount" * 100)::INTEGER;
@@ -0,0 +1,58 @@
+-- CreateTable
+CREATE TABLE "Chargeback" (
+    "id" SERIAL NOT NULL,
+    "TransactionId" INTEGER NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "Amount" INTEGER NOT NULL,
+    "Shortfall" INTEGER NOT NULL DEFAULT 0,
+    "ReasonCode" VARCHAR,
+    "Reason" TEXT,
+    "Source" VARCHAR NOT NULL,
+    "Status" VARCHAR NOT NULL DEFAULT 'open',
+    "ResolutionNote" TEXT,
+    "ResolvedById" INTEGER,
+    "ResolvedAt" TIMESTAMPTZ(6),
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Chargeback_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AccountHold" (
+    "id" SERIAL NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "Reason" VARCHAR NOT NULL,
+    "ChargebackId" INTEGER,
+    "Note" TEXT,
+    "CreatedById" INTEGER,
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "ReleasedAt" TIMESTAMPTZ(6),
+    "ReleasedById" INTEGER,
+    "ReleaseNote" TEXT,
+
+    CONSTRAINT "AccountHold_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Chargeback_TransactionId_key" ON "Chargeback"("TransactionId");
+
+-- CreateIndex
+CREATE INDEX "Chargeback_Status_idx" ON "Chargeback"("Status");
+
+-- CreateIndex
+CREATE INDEX "Chargeback_UserId_idx" ON "Chargeback"("UserId");
+
+-- CreateIndex
+CREATE INDEX "AccountHold_UserId_ReleasedAt_idx" ON "AccountHold"("UserId", "ReleasedAt");
+
+-- AddForeignKey
+ALTER TABLE "Chargeback" ADD CONSTRAINT "Chargeback_TransactionId_fkey" FOREIGN KEY ("TransactionId") REFERENCES "Transaction"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Chargeback" ADD CONSTRAINT "Chargeback_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AccountHold" ADD CONSTRAINT "AccountHold_ChargebackId_fkey" FOREIGN KEY ("ChargebackId") REFERENCES "Chargeback"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AccountHold" ADD CONSTRAINT "AccountHold_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "RiskFlags" JSON;
+
+-- CreateTable
+CREATE TABLE "WithdrawalRiskRule" (
+    "id" SERIAL NOT NULL,
+    "Name" VARCHAR NOT NULL,
+    "Type" VARCHAR NOT NULL,
+    "Provider" VARCHAR,
+    "Threshold" INTEGER NOT NULL,
+    "WindowHours" INTEGER,
+    "Active" BOOLEAN NOT NULL DEFAULT true,
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WithdrawalRiskRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "WithdrawalRiskRule_Active_idx" ON "WithdrawalRiskRule"("Active");
+
+-- Default rules
+-- Hold the first payout to a bank account added in the last 72 hours, require half of the last 30 days'
+-- deposits to have been wagered, cap withdrawals at $2,000 a day, require one completed match and hold
+-- payouts requested from a device first signed in on in the last 24 hours.
+INSERT INTO "WithdrawalRiskRule" ("Name", "Type", "Provider", "Threshold", "WindowHours") VALUES
+    ('First withdrawal to a new bank account', 'new_bank_account', 'paynetworx', 72, NULL),
+    ('Deposits not wagered', 'deposit_ratio', NULL, 50, 720),
+    ('Daily withdrawal cap', 'daily_cap', NULL, 200000, 24),
+    ('No matches played', 'min_matches', NULL, 1, NULL),
+    ('New device', 'new_device', NULL, 24, NULL);
@@ -0,0 +1,42 @@
+-- CreateTable
+CREATE TABLE "SessionActivity" (
+    "id" SERIAL NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "SessionId" INTEGER,
+    "Event" VARCHAR NOT NULL,
+    "Ip" VARCHAR,
+    "DeviceId" VARCHAR,
+    "UserAgent" VARCHAR,
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SessionActivity_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SessionActivity_UserId_idx" ON "SessionActivity"("UserId");
+
+-- CreateIndex
+CREATE INDEX "SessionActivity_SessionId_idx" ON "SessionActivity"("SessionId");
+
+-- CreateIndex
+CREATE INDEX "SessionActivity_Ip_idx" ON "SessionActivity"("Ip");
+
+-- CreateIndex
+CREATE INDEX "SessionActivity_DeviceId_idx" ON "SessionActivity"("DeviceId");
+
+-- AddForeignKey
+ALTER TABLE "SessionActivity" ADD CONSTRAINT "SessionActivity_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SessionActivity" ADD CONSTRAINT "SessionActivity_SessionId_fkey" FOREIGN KEY ("SessionId") REFERENCES "UserSession"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill
+-- Existing sessions keep the IP and user agent they started with; Users.ip (first login) is kept as a legacy row.
+INSERT INTO "SessionActivity" ("UserId", "SessionId", "Event", "Ip", "UserAgent", "CreatedAt")
+SELECT "UserId", "id", 'login', "Ip", "UserAgent", "CreatedAt"
+FROM "UserSession";
+
+INSERT INTO "SessionActivity" ("UserId", "Event", "Ip", "CreatedAt")
+SELECT "id", 'legacy', "ip", COALESCE("createdAt", CURRENT_TIMESTAMP)
+FROM "Users"
+WHERE "ip" IS NOT NULL AND "ip" <> '';
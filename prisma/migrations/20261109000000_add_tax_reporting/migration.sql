@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE "TaxProfile" (
+    "id" SERIAL NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "KycVerificationId" INTEGER,
+    "LegalName" VARCHAR NOT NULL,
+    "BusinessName" VARCHAR,
+    "TaxClassification" VARCHAR NOT NULL,
+    "TinType" VARCHAR NOT NULL,
+    "Tin" VARCHAR NOT NULL,
+    "TinLast4" VARCHAR(4) NOT NULL,
+    "AddressLine1" VARCHAR NOT NULL,
+    "AddressLine2" VARCHAR,
+    "City" VARCHAR NOT NULL,
+    "State" VARCHAR NOT NULL,
+    "PostalCode" VARCHAR NOT NULL,
+    "CertifiedAt" TIMESTAMPTZ(6) NOT NULL,
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "UpdatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TaxProfile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "TaxWithholdingFlag" (
+    "id" SERIAL NOT NULL,
+    "UserId" INTEGER NOT NULL,
+    "TaxYear" INTEGER NOT NULL,
+    "NetWinnings" INTEGER NOT NULL,
+    "Status" VARCHAR NOT NULL DEFAULT 'open',
+    "CreatedAt" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "ClearedAt" TIMESTAMPTZ(6),
+
+    CONSTRAINT "TaxWithholdingFlag_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TaxProfile_UserId_key" ON "TaxProfile"("UserId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TaxWithholdingFlag_UserId_TaxYear_key" ON "TaxWithholdingFlag"("UserId", "TaxYear");
+
+-- CreateIndex
+CREATE INDEX "TaxWithholdingFlag_Status_idx" ON "TaxWithholdingFlag"("Status");
+
+-- AddForeignKey
+ALTER TABLE "TaxProfile" ADD CONSTRAINT "TaxProfile_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TaxProfile" ADD CONSTRAINT "TaxProfile_KycVerificationId_fkey" FOREIGN KEY ("KycVerificationId") REFERENCES "KycVerification"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TaxWithholdingFlag" ADD CONSTRAINT "TaxWithholdingFlag_UserId_fkey" FOREIGN KEY ("UserId") REFERENCES "Users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
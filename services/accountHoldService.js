@@ -0,0 +1,243 @@
+import prisma from '../prisma/prisma.js';
+import * as money from './moneyService.js';
+
+// Account holds freeze a user's withdrawals and new challenges while staff look into the account.
+// A hold is placed automatically when a card deposit is charged back (see chargebackService.js) and by
+// hand for suspected fraud; it stays until staff release it. Withdrawal routes are guarded by
+// middleware/accountHold.js and challenge handlers call checkAccountHold with the other wager checks.
+// Balances already locked in accepted challenges are unaffected, and a wallet left negative by a
+// reversal is repaid by the user's next deposits or written off with a wallet adjustment.
+
+export const HOLD_REASONS = ['chargeback', 'fraud', 'manual'];
+
+const getActorId = (req) => parseInt(req.user?.userId || req.user?.id);
+
+export const formatHold = (hold) => ({
+  id: hold.id,
+  userId: hold.UserId,
+  reason: hold.Reason,
+  chargebackId: hold.ChargebackId,
+  note: hold.Note,
+  createdBy: hold.CreatedById,
+  createdAt: hold.CreatedAt,
+  active: !hold.ReleasedAt,
+  releasedAt: hold.ReleasedAt,
+  releasedBy: hold.ReleasedById,
+  releaseNote: hold.ReleaseNote
+});
+
+/**
+ * Put a hold on a user's account
+ * @param {object} client - Prisma client or interactive transaction client
+ * @param {{ userId: number, reason: string, chargebackId?: number, note?: string, createdById?: number }} hold
+ * @returns {Promise<object>} The AccountHold
+ */
+export const placeHold = async (client, { userId, reason, chargebackId = null, note = null, createdById = null }) => {
+  return await client.AccountHold.create({
+    data: {
+      UserId: userId,
+      Reason: reason,
+      ChargebackId: chargebackId,
+      Note: note,
+      CreatedById: createdById
+    }
+  });
+};
+
+/**
+ * A user's holds that have not been released, oldest first
+ * @param {number} userId
+ * @param {object} client - Prisma client or interactive transaction client
+ * @returns {Promise<object[]>}
+ */
+export const getActiveHolds = async (userId, client = prisma) => {
+  return await client.AccountHold.findMany({
+    where: { UserId: userId, ReleasedAt: null },
+    orderBy: { CreatedAt: 'asc' }
+  });
+};
+
+/**
+ * Check whether a user's account is on hold. The reason is kept from the user.
+ * @param {number|string} userId
+ * @param {object} client - Prisma client or interactive transaction client
+ * @returns {Promise<object|null>} An error payload (answer with 403) when the account is on hold, otherwise null
+ */
+export const checkAccountHold = async (userId, client = prisma) => {
+  const holds = await getActiveHolds(parseInt(userId), client);
+  if (holds.length === 0) return null;
+
+  return {
+    error: 'Your account is on hold while we review it. Withdrawals and new challenges are paused - please contact support.',
+    accountHold: { since: holds[0].CreatedAt }
+  };
+};
+
+// GET /api/admin/account-holds - holds, active ones by default
+export const listHolds = async (req, res) => {
+  try {
+    const { status = 'active', userId, page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    if (pageNum < 1 || limitNum < 1 || limitNum > 200) {
+      return res.status(400).send({ error: 'Invalid pagination parameters' });
+    }
+    if (!['active', 'released', 'all'].includes(status)) {
+      return res.status(400).send({ error: 'Invalid status', validStatuses: ['active', 'released', 'all'] });
+    }
+
+    const where = {
+      ...(status === 'active' ? { ReleasedAt: null } : {}),
+      ...(status === 'released' ? { ReleasedAt: { not: null } } : {}),
+      ...(userId ? { UserId: parseInt(userId) } : {})
+    };
+
+    const [holds, totalCount] = await Promise.all([
+      prisma.AccountHold.findMany({
+        where,
+        include: { Users: { select: { id: true, Username: true, Email: true, Wallet: true } } },
+        orderBy: { CreatedAt: 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum
+      }),
+      prisma.AccountHold.count({ where })
+    ]);
+
+    res.status(200).send({
+      holds: holds.map(h => ({
+        ...formatHold(h),
+        user: { id: h.Users.id, username: h.Users.Username, email: h.Users.Email, balance: money.toDollars(h.Users.Wallet) }
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        totalCount,
+        limit: limitNum
+      }
+    });
+  } catch (err) {
+    console.error('Error listing account holds:', err);
+    res.status(500).send({ error: 'Failed to list account holds' });
+  }
+};
+
+// POST /api/admin/users/:userId/account-holds - freeze a user's withdrawals and new challenges
+export const createHold = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const { reason = 'manual', note } = req.body;
+
+    if (isNaN(userId)) {
+      return res.status(400).send({ error: 'Valid userId is required' });
+    }
+    if (!['fraud', 'manual'].includes(reason)) {
+      return res.status(400).send({ error: 'Invalid reason', validReasons: ['fraud', 'manual'] });
+    }
+    if (!note || !String(note).trim()) {
+      return res.status(400).send({ error: 'A note explaining the hold is required' });
+    }
+
+    const user = await prisma.Users.findUnique({ where: { id: userId }, select: { id: true } });
+    if (!user) {
+      return res.status(404).send({ error: 'User not found' });
+    }
+
+    const hold = await placeHold(prisma, {
+      userId,
+      reason,
+      note: String(note).trim(),
+      createdById: getActorId(req)
+    });
+
+    res.locals.auditDetails = { holdId: hold.id, reason };
+
+    res.status(201).send({ success: true, hold: formatHold(hold) });
+  } catch (err) {
+    console.error('Error placing account hold:', err);
+    res.status(500).send({ error: 'Failed to place account hold' });
+  }
+};
+
+// POST /api/admin/account-holds/:holdId/release - lift a hold
+export const releaseHold = async (req, res) => {
+  try {
+    const holdId = parseInt(req.params.holdId);
+    const { note } = req.body;
+
+    if (isNaN(holdId)) {
+      return res.status(400).send({ error: 'Valid holdId is required' });
+    }
+    if (!note || !String(note).trim()) {
+      return res.status(400).send({ error: 'A note explaining the release is required' });
+    }
+
+    const hold = await prisma.AccountHold.findUnique({ where: { id: holdId } });
+    if (!hold) {
+      return res.status(404).send({ error: 'Hold not found' });
+    }
+
+    const updated = await prisma.AccountHold.updateMany({
+      where: { id: holdId, ReleasedAt: null },
+      data: { ReleasedAt: new Date(), ReleasedById: getActorId(req), ReleaseNote: String(note).trim() }
+    });
+    if (updated.count === 0) {
+      return res.status(409).send({ error: 'Hold has already been released' });
+    }
+
+    const [released, remainingHolds, user] = await Promise.all([
+      prisma.AccountHold.findUnique({ where: { id: holdId } }),
+      getActiveHolds(hold.UserId),
+      prisma.Users.findUnique({ where: { id: hold.UserId }, select: { Wallet: true } })
+    ]);
+
+    res.locals.auditDetails = { userId: hold.UserId, reason: hold.Reason, remainingHolds: remainingHolds.length };
+
+    res.status(200).send({
+      success: true,
+      hold: formatHold(released),
+      accountOnHold: remainingHolds.length > 0,
+      // A negative balance is not cleared by releasing the hold
+      balance: money.toDollars(user?.Wallet ?? 0)
+    });
+  } catch (err) {
+    console.error('Error releasing account hold:', err);
+    res.status(500).send({ error: 'Failed to release account hold' });
+  }
+};
+
+// GET /api/admin/negative-balances - users whose wallet is below zero, most owed first
+export const listNegativeBalances = async (req, res) => {
+  try {
+    const users = await prisma.Users.findMany({
+      where: { Wallet: { lt: 0 } },
+      select: {
+        id: true,
+        Username: true,
+        Email: true,
+        Wallet: true,
+        AccountHold: { where: { ReleasedAt: null }, select: { id: true } },
+        Chargeback: { where: { Status: 'open' }, select: { id: true, Shortfall: true } }
+      },
+      orderBy: { Wallet: 'asc' },
+      take: 200
+    });
+
+    res.status(200).send({
+      users: users.map(u => ({
+        id: u.id,
+        username: u.Username,
+        email: u.Email,
+        balance: money.toDollars(u.Wallet),
+        owed: money.toDollars(-u.Wallet),
+        onHold: u.AccountHold.length > 0,
+        openChargebacks: u.Chargeback.map(c => c.id),
+        chargebackShortfall: money.toDollars(money.sum(u.Chargeback.map(c => c.Shortfall)))
+      })),
+      totalOwed: money.toDollars(-money.sum(users.map(u => u.Wallet)))
+    });
+  } catch (err) {
+    console.error('Error listing negative balances:', err);
+    res.status(500).send({ error: 'Failed to list negative balances' });
+  }
+};
@@ -0,0 +1,231 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import prisma from '../prisma/prisma.js';
+import * as emailService from './emailService.js';
+import * as sessionService from './sessionService.js';
+
+// Forgot-password and email-change flows.
+// Both email the user a random single-use token (only its SHA-256 hash is stored) that expires;
+// issuing a new token of the same type invalidates any earlier unused one.
+// issueToken/consumeToken are shared with securityService for account unlock links.
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+const EMAIL_CHANGE_TTL_HOURS = parseInt(process.env.EMAIL_CHANGE_TTL_HOURS || '24');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const validateNewPassword = (newPassword) => {
+  if (!newPassword) return 'New password is required';
+  if (typeof newPassword !== 'string' || newPassword.length < 6) return 'New password must be at least 6 characters long';
+  if (newPassword.length > 128) return 'New password must be less than 128 characters';
+  return null;
+};
+
+/**
+ * Create a token for a user, invalidating earlier unused tokens of the same type
+ * @returns {Promise<string>} The raw token to email
+ */
+export const issueToken = async (userId, type, ttlMs, newEmail = null) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await prisma.$transaction([
+    prisma.AccountToken.updateMany({
+      where: { UserId: userId, Type: type, UsedAt: null },
+      data: { UsedAt: new Date() }
+    }),
+    prisma.AccountToken.create({
+      data: {
+        UserId: userId,
+        Type: type,
+        TokenHash: hashToken(token),
+        NewEmail: newEmail,
+        ExpiresAt: new Date(Date.now() + ttlMs)
+      }
+    })
+  ]);
+
+  return token;
+};
+
+/**
+ * Mark a token used if it is valid, unused and unexpired
+ * @returns {Promise<object|null>} The token row, or null if it cannot be used
+ */
+export const consumeToken = async (tx, token, type) => {
+  const stored = await tx.AccountToken.findUnique({ where: { TokenHash: hashToken(String(token)) } });
+  if (!stored || stored.Type !== type) return null;
+
+  const claimed = await tx.AccountToken.updateMany({
+    where: { id: stored.id, UsedAt: null, ExpiresAt: { gt: new Date() } },
+    data: { UsedAt: new Date() }
+  });
+
+  return claimed.count === 1 ? stored : null;
+};
+
+// POST /password/reset/request - always answers the same way so it can't be used to probe for accounts
+export const requestPasswordReset = async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim();
+    if (!email) {
+      return res.status(400).send({ message: 'Email is required' });
+    }
+
+    const user = await prisma.Users.findUnique({
+      where: { Email: email },
+      select: { id: true, Email: true, Username: true, Active: true }
+    });
+
+    if (user && user.Active !== false) {
+      const token = await issueToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+      try {
+        await emailService.sendPasswordResetEmail(user.Email, token, user.Username, PASSWORD_RESET_TTL_MINUTES);
+      } catch (emailError) {
+        console.error('Error sending password reset email:', emailError);
+      }
+    }
+
+    res.status(200).send({ message: 'If an account exists for that email, a password reset link has been sent.' });
+  } catch (err) {
+    console.error('Error requesting password reset:', err);
+    res.status(500).send({ message: 'Failed to request password reset' });
+  }
+};
+
+// POST /password/reset/confirm
+export const confirmPasswordReset = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token) {
+      return res.status(400).send({ message: 'Reset token is required' });
+    }
+
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) {
+      return res.status(400).send({ message: passwordError });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+    const userId = await prisma.$transaction(async (tx) => {
+      const stored = await consumeToken(tx, token, 'password_reset');
+      if (!stored) return null;
+
+      await tx.Users.update({
+        where: { id: stored.UserId },
+        data: { Password: hashedPassword, JWT: null }
+      });
+      return stored.UserId;
+    });
+
+    if (!userId) {
+      return res.status(400).send({ message: 'Invalid or expired reset token' });
+    }
+
+    // Whoever knew the old password is signed out everywhere
+    await sessionService.revokeSessions({ UserId: userId }, 'password_reset');
+
+    res.status(200).send({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (err) {
+    console.error('Error confirming password reset:', err);
+    res.status(500).send({ message: 'Failed to reset password' });
+  }
+};
+
+// POST /user/email - start an email change; the new address must be confirmed before it takes effect
+export const requestEmailChange = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    const newEmail = String(req.body.newEmail || '').trim();
+    const { currentPassword } = req.body;
+
+    if (!newEmail || !EMAIL_PATTERN.test(newEmail)) {
+      return res.status(400).send({ message: 'A valid new email address is required' });
+    }
+    if (!currentPassword) {
+      return res.status(400).send({ message: 'Current password is required' });
+    }
+
+    const user = await prisma.Users.findUnique({
+      where: { id: userId },
+      select: { id: true, Email: true, Username: true, Password: true }
+    });
+    if (!user) {
+      return res.status(404).send({ message: 'User not found' });
+    }
+
+    const passwordMatch = await bcrypt.compare(currentPassword, user.Password);
+    if (!passwordMatch) {
+      return res.status(400).send({ message: 'Current password is incorrect' });
+    }
+
+    if (newEmail.toLowerCase() === (user.Email || '').toLowerCase()) {
+      return res.status(400).send({ message: 'New email must be different from current email' });
+    }
+
+    const taken = await prisma.Users.findUnique({ where: { Email: newEmail }, select: { id: true } });
+    if (taken) {
+      return res.status(400).send({ message: 'Email is already in use' });
+    }
+
+    const token = await issueToken(user.id, 'email_change', EMAIL_CHANGE_TTL_HOURS * 60 * 60 * 1000, newEmail);
+    await emailService.sendEmailChangeVerification(newEmail, token, user.Username, EMAIL_CHANGE_TTL_HOURS);
+
+    res.status(200).send({ message: `A confirmation link has been sent to ${newEmail}` });
+  } catch (err) {
+    console.error('Error requesting email change:', err);
+    res.status(500).send({ message: 'Failed to request email change' });
+  }
+};
+
+// POST /user/email/confirm
+export const confirmEmailChange = async (req, res) => {
+  try {
+    const token = req.body.token || req.query.token;
+    if (!token) {
+      return res.status(400).send({ message: 'Confirmation token is required' });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const stored = await consumeToken(tx, token, 'email_change');
+      if (!stored) return { error: 'Invalid or expired confirmation token' };
+
+      const taken = await tx.Users.findUnique({ where: { Email: stored.NewEmail }, select: { id: true } });
+      if (taken) return { error: 'Email is already in use' };
+
+      const before = await tx.Users.findUnique({
+        where: { id: stored.UserId },
+        select: { Email: true, Username: true }
+      });
+      const updated = await tx.Users.update({
+        where: { id: stored.UserId },
+        data: { Email: stored.NewEmail, Authenticated: true },
+        select: { id: true, Email: true, Username: true }
+      });
+
+      return { previousEmail: before.Email, user: updated };
+    });
+
+    if (result.error) {
+      return res.status(400).send({ message: result.error });
+    }
+
+    if (result.previousEmail) {
+      try {
+        await emailService.sendEmailChangedNotice(result.previousEmail, result.user.Email, result.user.Username);
+      } catch (emailError) {
+        console.error('Error sending email change notice:', emailError);
+      }
+    }
+
+    res.status(200).send({
+      message: 'Email changed successfully',
+      user: { id: result.user.id, Email: result.user.Email, Username: result.user.Username }
+    });
+  } catch (err) {
+    console.error('Error confirming email change:', err);
+    res.status(500).send({ message: 'Failed to change email' });
+  }
+};
@@ -0,0 +1,381 @@
+import prisma from '../prisma/prisma.js';
+import * as money from './moneyService.js';
+import * as escrowService from './escrowService.js';
+import * as ledgerService from './ledgerService.js';
+import * as disputeService from './disputeService.js';
+import * as accountHoldService from './accountHoldService.js';
+import * as chargebackService from './chargebackService.js';
+import * as multiAccountService from './multiAccountService.js';
+import { ROLES } from '../middleware/adminGuard.js';
+
+// Staff tooling behind /api/admin. Routes are guarded by requireRole and audited by auditAction;
+// handlers put action-specific results in res.locals.auditDetails for the audit log.
+
+// Why a wallet was adjusted by hand - required on every adjustment
+export const ADJUSTMENT_REASONS = [
+  'goodwill',
+  'promotion',
+  'correction',
+  'compensation',
+  'chargeback_recovery',
+  'fraud_reversal'
+];
+
+const CANCELLABLE_STATUSES = ['open', 'pending', 'accepted', 'reported', 'disputed'];
+
+const getActorId = (req) => parseInt(req.user?.userId || req.user?.id);
+
+// Search users by id, username, email, Discord id or gamertag
+export const searchUsers = async (req, res) => {
+  try {
+    const query = String(req.query.query || '').trim();
+    if (!query) {
+      return res.status(400).send({ error: 'query is required' });
+    }
+
+    const numericId = /^\d+$/.test(query) ? parseInt(query) : null;
+    const users = await prisma.Users.findMany({
+      where: {
+        OR: [
+          ...(numericId ? [{ id: numericId }] : []),
+          { Username: { contains: query, mode: 'insensitive' } },
+          { Email: { contains: query, mode: 'insensitive' } },
+          { Discord: query },
+          { Gamertag: { contains: query, mode: 'insensitive' } }
+        ]
+      },
+      select: { id: true, Username: true, Email: true, Discord: true, Gamertag: true, Role: true, Active: true, Wallet: true },
+      orderBy: { id: 'asc' },
+      take: 25
+    });
+
+    res.status(200).send({
+      users: users.map(u => ({
+        id: u.id,
+        username: u.Username,
+        email: u.Email,
+        discord: u.Discord,
+        gamertag: u.Gamertag,
+        role: u.Role,
+        active: u.Active,
+        balance: money.toDollars(u.Wallet)
+      }))
+    });
+  } catch (err) {
+    console.error('Error searching users:', err);
+    res.status(500).send({ error: 'Failed to search users' });
+  }
+};
+
+// Full account view for support: profile, balances, recent transactions, disputes and security events
+export const getUserDetail = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    if (isNaN(userId)) {
+      return res.status(400).send({ error: 'Valid userId is required' });
+    }
+
+    const user = await prisma.Users.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        Username: true,
+        Email: true,
+        Discord: true,
+        Gamertag: true,
+        Role: true,
+        Active: true,
+        Wallet: true,
+        Earnings: true,
+        Badges: true,
+        KYC_Marker: true,
+        ReferredBy: true,
+        ip: true,
+        createdAt: true
+      }
+    });
+
+    if (!user) {
+      return res.status(404).send({ error: 'User not found' });
+    }
+
+    const [escrowedAmount, pendingWithdrawals, ledgerBalance, transactions, disputes, securityEvents, holds, chargebacks, linkedAccounts] = await Promise.all([
+      escrowService.getLockedBalance(userId),
+      escrowService.getHeldWithdrawals(userId),
+      ledgerService.getLedgerBalance(userId),
+      prisma.Transaction.findMany({
+        where: { UserId: userId },
+        orderBy: { created_at: 'desc' },
+        take: 20
+      }),
+      prisma.ChallengeDispute.findMany({
+        where: {
+          Challenges: { OR: [{ ChallengerId: userId }, { ChallengedId: userId }] }
+        },
+        orderBy: { CreatedAt: 'desc' },
+        take: 20
+      }),
+      prisma.SecurityEvent.findMany({
+        where: { UserId: userId },
+        orderBy: { id: 'desc' },
+        take: 20
+      }),
+      accountHoldService.getActiveHolds(userId),
+      prisma.Chargeback.findMany({
+        where: { UserId: userId },
+        orderBy: { CreatedAt: 'desc' },
+        take: 20
+      }),
+      multiAccountService.findLinkedAccounts(userId)
+    ]);
+
+    res.status(200).send({
+      user: {
+        id: user.id,
+        username: user.Username,
+        email: user.Email,
+        discord: user.Discord,
+        gamertag: user.Gamertag,
+        role: user.Role,
+        active: user.Active,
+        badges: user.Badges,
+        kyc: user.KYC_Marker,
+        referredBy: user.ReferredBy,
+        ip: user.ip,
+        createdAt: user.createdAt
+      },
+      wallet: {
+        balance: money.toDollars(user.Wallet),
+        availableBalance: money.toDollars(Math.max(0, user.Wallet - escrowedAmount - pendingWithdrawals)),
+        escrowedAmount: money.toDollars(escrowedAmount),
+        pendingWithdrawals: money.toDollars(pendingWithdrawals),
+        ledgerBalance: money.toDollars(ledgerBalance),
+        earnings: money.toDollars(user.Earnings),
+        onHold: holds.length > 0
+      },
+      accountHolds: holds.map(accountHoldService.formatHold),
+      chargebacks: chargebacks.map(chargebackService.formatChargeback),
+      // Accounts sharing a device or IP; GET /api/admin/users/:userId/linked-accounts has the full graph
+      linkedAccounts,
+      transactions: transactions.map(t => ({
+        id: t.id,
+        type: t.Type,
+        amount: money.toDollars(t.Amount),
+        fee: money.toDollars(t.Fee),
+        status: t.Status,
+        provider: t.Provider,
+        description: t.Description,
+        created_at: t.created_at.toISOString()
+      })),
+      disputes: disputes.map(disputeService.formatDispute),
+      securityEvents: securityEvents.map(e => ({
+        id: e.id,
+        type: e.Type,
+        ip: e.Ip,
+        details: e.Details,
+        created_at: e.CreatedAt.toISOString()
+      }))
+    });
+  } catch (err) {
+    console.error('Error getting user detail:', err);
+    res.status(500).send({ error: 'Failed to get user' });
+  }
+};
+
+// Change a user's role (admin only)
+export const setUserRole = async (req, res) => {
+  try {
+    const actorId = getActorId(req);
+    const userId = parseInt(req.params.userId);
+    const { role } = req.body;
+
+    if (isNaN(userId)) {
+      return res.status(400).send({ error: 'Valid userId is required' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).send({ error: 'Invalid role', validRoles: ROLES });
+    }
+    if (userId === actorId) {
+      return res.status(400).send({ error: 'You cannot change your own role' });
+    }
+
+    const user = await prisma.Users.findUnique({ where: { id: userId }, select: { id: true, Role: true } });
+    if (!user) {
+      return res.status(404).send({ error: 'User not found' });
+    }
+
+    const updated = await prisma.Users.update({
+      where: { id: userId },
+      data: { Role: role },
+      select: { id: true, Username: true, Role: true }
+    });
+
+    res.locals.auditDetails = { previousRole: user.Role, role: updated.Role };
+
+    res.status(200).send({
+      success: true,
+      user: { id: updated.id, username: updated.Username, role: updated.Role }
+    });
+  } catch (err) {
+    console.error('Error setting user role:', err);
+    res.status(500).send({ error: 'Failed to set user role' });
+  }
+};
+
+// Credit or debit a user's wallet by hand. Positive amounts credit, negative amounts debit.
+export const adjustWallet = async (req, res) => {
+  try {
+    const actorId = getActorId(req);
+    const userId = parseInt(req.params.userId);
+    const { amount, reasonCode, note } = req.body;
+
+    if (isNaN(userId)) {
+      return res.status(400).send({ error: 'Valid userId is required' });
+    }
+    if (!ADJUSTMENT_REASONS.includes(reasonCode)) {
+      return res.status(400).send({ error: 'Invalid reasonCode', validReasonCodes: ADJUSTMENT_REASONS });
+    }
+    if (!note || !String(note).trim()) {
+      return res.status(400).send({ error: 'A note explaining the adjustment is required' });
+    }
+
+    const delta = money.parseAmount(amount);
+    if (delta === null || delta === 0) {
+      return res.status(400).send({ error: 'Amount must be non-zero with at most two decimal places' });
+    }
+
+    const description = `Admin adjustment (${reasonCode}): ${String(note).trim()}`;
+    const result = await prisma.$transaction(async (tx) => {
+      const user = await tx.Users.findUnique({ where: { id: userId }, select: { id: true } });
+      if (!user) return { error: 'User not found', status: 404 };
+
+      if (delta < 0) {
+        const available = await escrowService.lockAvailableBalance(tx, userId);
+        if (-delta > available) {
+          return { error: 'Debit exceeds available balance', status: 400, availableBalance: money.toDollars(available) };
+        }
+      }
+
+      const transaction = await tx.Transaction.create({
+        data: {
+          UserId: userId,
+          Type: 'adjustment',
+          Amount: delta,
+          Currency: 'USD',
+          Description: description,
+          Status: 'completed',
+          Provider: 'wallet'
+        }
+      });
+
+      const ledgerOptions = {
+        userId,
+        amount: Math.abs(delta),
+        account: ledgerService.ACCOUNTS.ADMIN_ADJUSTMENTS,
+        reason: `admin_adjustment_${reasonCode}`,
+        referenceType: 'admin',
+        referenceId: actorId,
+        transactionId: transaction.id,
+        description
+      };
+      if (delta > 0) {
+        await ledgerService.creditWallet(tx, ledgerOptions);
+      } else {
+        await ledgerService.debitWallet(tx, ledgerOptions);
+      }
+
+      const updated = await tx.Users.findUnique({ where: { id: userId }, select: { Wallet: true } });
+      return { transaction, balance: updated.Wallet };
+    });
+
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).send(body);
+    }
+
+    res.locals.auditDetails = { transactionId: result.transaction.id, amount: money.toDollars(delta), reasonCode };
+
+    res.status(200).send({
+      success: true,
+      message: delta > 0 ? 'Wallet credited' : 'Wallet debited',
+      transactionId: result.transaction.id,
+      amount: money.toDollars(delta),
+      reasonCode,
+      balance: money.toDollars(result.balance)
+    });
+  } catch (err) {
+    console.error('Error adjusting wallet:', err);
+    res.status(500).send({ error: 'Failed to adjust wallet' });
+  }
+};
+
+// Cancel a challenge in any unfinished state and refund every locked wager
+export const forceCancelChallenge = async (req, res) => {
+  try {
+    const actorId = getActorId(req);
+    const challengeId = parseInt(req.params.challengeId);
+    const { reason } = req.body;
+
+    if (isNaN(challengeId)) {
+      return res.status(400).send({ error: 'Valid challengeId is required' });
+    }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).send({ error: 'A reason is required' });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const challenge = await tx.Challenges.findUnique({ where: { id: challengeId } });
+      if (!challenge) return { error: 'Challenge not found', status: 404 };
+
+      const updated = await tx.Challenges.updateMany({
+        where: { id: challengeId, Status: { in: CANCELLABLE_STATUSES } },
+        data: { Status: 'cancelled', ChallengeRequests: [] }
+      });
+      if (updated.count === 0) {
+        return { error: `Challenge cannot be cancelled (status: ${challenge.Status})`, status: 400 };
+      }
+
+      const refunded = await escrowService.refundEscrow(tx, { ChallengeId: challengeId });
+
+      await tx.Challenge_Requests.updateMany({
+        where: { ChallengeId: challengeId, Status: { in: ['request', 'pending'] } },
+        data: { Status: 'declined' }
+      });
+
+      const disputes = await tx.ChallengeDispute.updateMany({
+        where: { ChallengeId: challengeId, Status: 'open' },
+        data: {
+          Status: 'resolved',
+          Resolution: 'cancelled',
+          ResolvedById: actorId,
+          ResolutionNote: String(reason).trim(),
+          ResolvedAt: new Date()
+        }
+      });
+      if (disputes.count > 0) {
+        await disputeService.setThreadDispute(tx, challenge.DiscordThreadId, false);
+      }
+
+      return { previousStatus: challenge.Status, refunded, disputesClosed: disputes.count };
+    });
+
+    if (result.error) {
+      return res.status(result.status).send({ error: result.error });
+    }
+
+    const refunds = result.refunded.map(e => ({ userId: e.UserId, amount: money.toDollars(e.Amount) }));
+    res.locals.auditDetails = { previousStatus: result.previousStatus, refunds, disputesClosed: result.disputesClosed };
+
+    res.status(200).send({
+      success: true,
+      message: 'Challenge cancelled and wagers refunded',
+      challengeId,
+      previousStatus: result.previousStatus,
+      refunds,
+      disputesClosed: result.disputesClosed
+    });
+  } catch (err) {
+    console.error('Error force-cancelling challenge:', err);
+    res.status(500).send({ error: 'Failed to cancel challenge' });
+  }
+};
@@ -0,0 +1,101 @@
+import prisma from '../prisma/prisma.js';
+
+// Admin audit trail. Rows are written by middleware/auditLog.js for every admin API request;
+// handlers can add action-specific context via res.locals.auditDetails.
+
+const REDACTED_FIELDS = ['password', 'newPassword', 'currentPassword', 'token', 'cardNumber', 'cvv', 'accountNumber', 'routingNumber'];
+
+const redact = (body) => {
+  if (!body || typeof body !== 'object') return body ?? null;
+  return Object.fromEntries(
+    Object.entries(body).map(([key, value]) => [key, REDACTED_FIELDS.includes(key) ? '[redacted]' : value])
+  );
+};
+
+/**
+ * Write one audit log row
+ * @param {{ actorId: number, actorRole: string, action: string, targetType?: string, targetId?: string|number,
+ *   statusCode: number, details?: object, ip?: string }} entry
+ */
+export const recordAuditLog = async ({ actorId, actorRole, action, targetType = null, targetId = null, statusCode, details = null, ip = null }) => {
+  return await prisma.AdminAuditLog.create({
+    data: {
+      ActorId: actorId,
+      ActorRole: actorRole || 'user',
+      Action: action,
+      TargetType: targetType,
+      TargetId: targetId != null ? String(targetId) : null,
+      StatusCode: statusCode,
+      Details: details,
+      Ip: ip
+    }
+  });
+};
+
+/**
+ * Build the Details payload for a request: route params, query, redacted body and handler context
+ */
+export const buildRequestDetails = (req, res) => ({
+  method: req.method,
+  path: req.originalUrl,
+  params: req.params,
+  query: req.query,
+  body: redact(req.body),
+  ...(res.locals.auditDetails ? { result: res.locals.auditDetails } : {})
+});
+
+// List audit log entries, newest first
+export const listAuditLog = async (req, res) => {
+  try {
+    const { actorId, action, targetType, targetId, page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    if (pageNum < 1 || limitNum < 1 || limitNum > 200) {
+      return res.status(400).send({ error: 'Invalid pagination parameters' });
+    }
+
+    const where = {
+      ...(actorId ? { ActorId: parseInt(actorId) } : {}),
+      ...(action ? { Action: action } : {}),
+      ...(targetType ? { TargetType: targetType } : {}),
+      ...(targetId ? { TargetId: String(targetId) } : {})
+    };
+
+    const [entries, totalCount] = await Promise.all([
+      prisma.AdminAuditLog.findMany({
+        where,
+        orderBy: { id: 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum,
+        include: { Users: { select: { id: true, Username: true } } }
+      }),
+      prisma.AdminAuditLog.count({ where })
+    ]);
+
+    res.status(200).send({
+      entries: entries.map(e => ({
+        id: e.id,
+        actorId: e.ActorId,
+        actorUsername: e.Users?.Username || null,
+        actorRole: e.ActorRole,
+        action: e.Action,
+        targetType: e.TargetType,
+        targetId: e.TargetId,
+        statusCode: e.StatusCode,
+        details: e.Details,
+        ip: e.Ip,
+        created_at: e.CreatedAt.toISOString()
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        totalCount,
+        limit: limitNum
+      }
+    });
+  } catch (err) {
+    console.error('Error listing audit log:', err);
+    res.status(500).send({ error: 'Failed to list audit log' });
+  }
+};
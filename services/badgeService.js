@@ -343,4 +343,54 @@ export const earnBadge = async (req, res) => {
     console.error('Earn badge error:', error);
     res.status(500).send({ error: 'Failed to earn badge' });
   }
-};
\ No newline at end of file
+};
+// Revoke a badge (remove badge from user's badge collection)
+export const revokeBadge = async (req, res) => {
+  try {
+    const { userId, badgeId } = req.body;
+
+    // Validate required fields
+    if (!userId || !badgeId) {
+      return res.status(400).send({ error: 'User ID and Badge ID are required' });
+    }
+
+    const userIdInt = parseInt(userId);
+    const badgeIdInt = parseInt(badgeId);
+
+    if (isNaN(userIdInt) || isNaN(badgeIdInt)) {
+      return res.status(400).send({ error: 'Invalid User ID or Badge ID' });
+    }
+
+    const user = await prisma.Users.findUnique({
+      where: { id: userIdInt }
+    });
+
+    if (!user) {
+      return res.status(404).send({ error: 'User not found' });
+    }
+
+    if (!user.Badges || !user.Badges.includes(badgeIdInt)) {
+      return res.status(400).send({ error: 'User does not have this badge' });
+    }
+
+    const updatedUser = await prisma.Users.update({
+      where: { id: userIdInt },
+      data: {
+        Badges: user.Badges.filter(id => id !== badgeIdInt)
+      }
+    });
+
+    res.status(200).send({
+      success: true,
+      message: 'Badge revoked successfully',
+      user: {
+        id: updatedUser.id,
+        username: updatedUser.Username,
+        badges: updatedUser.Badges
+      }
+    });
+  } catch (error) {
+    console.error('Revoke badge error:', error);
+    res.status(500).send({ error: 'Failed to revoke badge' });
+  }
+};
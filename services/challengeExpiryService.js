@@ -0,0 +1,157 @@
+import prisma from '../prisma/prisma.js';
+import cron from 'node-cron';
+import * as escrowService from './escrowService.js';
+import * as pushNotificationService from './pushNotificationService.js';
+import * as money from './moneyService.js';
+
+// Only challenges still waiting for an opponent can expire
+const EXPIRABLE_STATUSES = ['open', 'pending'];
+
+/**
+ * Expire a single challenge, its outstanding requests, and refund every wager locked on it.
+ * The status guard runs inside the transaction so a challenge accepted concurrently is left alone.
+ * @param {number} challengeId
+ * @returns {Promise<object[]|null>} Refunded escrow records, or null if the challenge was not expirable
+ */
+export const expireChallenge = async (challengeId) => {
+  return await prisma.$transaction(async (tx) => {
+    const updated = await tx.Challenges.updateMany({
+      where: { id: challengeId, Status: { in: EXPIRABLE_STATUSES } },
+      data: { Status: 'expired', ChallengeRequests: [] }
+    });
+    if (updated.count === 0) return null;
+
+    await tx.Challenge_Requests.updateMany({
+      where: { ChallengeId: challengeId, Status: 'request' },
+      data: { Status: 'expired' }
+    });
+
+    return await escrowService.refundEscrow(tx, { ChallengeId: challengeId });
+  });
+};
+
+/**
+ * Tell each player whose wager was refunded that their challenge expired
+ * @param {number} challengeId
+ * @param {object[]} refunds - Refunded escrow records
+ */
+const notifyRefunds = async (challengeId, refunds) => {
+  const amountByUser = new Map();
+  for (const escrow of refunds) {
+    amountByUser.set(escrow.UserId, (amountByUser.get(escrow.UserId) || 0) + escrow.Amount);
+  }
+  if (amountByUser.size === 0) return;
+
+  const users = await prisma.Users.findMany({
+    where: { id: { in: [...amountByUser.keys()] } },
+    select: { id: true, PushToken: true }
+  });
+
+  for (const user of users) {
+    if (!user.PushToken) continue;
+    try {
+      // Sent as a plain 'challenge' notification so the app opens the challenge as it does for the others
+      const refunded = amountByUser.get(user.id);
+      await pushNotificationService.sendPushNotification(
+        user.PushToken,
+        'Challenge Expired ⌛',
+        refunded > 0
+          ? `Your challenge expired. Your ${money.formatDollars(refunded)} wager has been returned to your wallet.`
+          : 'Your challenge expired without an opponent.',
+        { type: 'challenge', challengeId: challengeId.toString() }
+      );
+    } catch (notificationError) {
+      console.error(`[ChallengeExpiry] Error notifying user ${user.id}:`, notificationError);
+    }
+  }
+};
+
+/**
+ * Expire every stale open/pending challenge and any request left outstanding on a challenge
+ * that is no longer open, refunding locked wagers and notifying the players.
+ * @returns {Promise<{ challenges: number, requests: number, errors: object[] }>}
+ */
+export const sweepExpiredChallenges = async () => {
+  const errors = [];
+  let challenges = 0;
+  let requests = 0;
+
+  try {
+    const staleChallenges = await prisma.Challenges.findMany({
+      where: {
+        Status: { in: EXPIRABLE_STATUSES },
+        ExpiresAt: { lte: new Date() }
+      },
+      select: { id: true },
+      orderBy: { ExpiresAt: 'asc' }
+    });
+
+    for (const { id } of staleChallenges) {
+      try {
+        const refunds = await expireChallenge(id);
+        if (!refunds) continue;
+        challenges++;
+        await notifyRefunds(id, refunds);
+      } catch (error) {
+        console.error(`[ChallengeExpiry] Error expiring challenge ${id}:`, error);
+        errors.push({ challengeId: id, error: error.message });
+      }
+    }
+
+    // Requests can outlive their challenge (e.g. challenge expired lazily or was closed another way)
+    const strayRequests = await prisma.Challenge_Requests.findMany({
+      where: {
+        Status: 'request',
+        Challenges: { Status: { not: 'open' } }
+      },
+      select: { id: true, ChallengeId: true }
+    });
+
+    for (const request of strayRequests) {
+      try {
+        const refunds = await prisma.$transaction(async (tx) => {
+          const updated = await tx.Challenge_Requests.updateMany({
+            where: { id: request.id, Status: 'request' },
+            data: { Status: 'expired' }
+          });
+          if (updated.count === 0) return null;
+          return await escrowService.refundEscrow(tx, { RequestId: request.id });
+        });
+        if (!refunds) continue;
+        requests++;
+        await notifyRefunds(request.ChallengeId, refunds);
+      } catch (error) {
+        console.error(`[ChallengeExpiry] Error expiring request ${request.id}:`, error);
+        errors.push({ requestId: request.id, error: error.message });
+      }
+    }
+
+    if (challenges > 0 || requests > 0 || errors.length > 0) {
+      console.log(`[ChallengeExpiry] Completed: ${challenges} challenges and ${requests} requests expired, ${errors.length} errors`);
+    }
+    return { challenges, requests, errors };
+  } catch (error) {
+    console.error('[ChallengeExpiry] Fatal error:', error);
+    return { challenges, requests, errors: [...errors, { error: error.message }] };
+  }
+};
+
+/**
+ * Start the challenge expiry cron job
+ * Runs every 5 minutes by default (override with CHALLENGE_EXPIRY_CRON)
+ */
+export const startChallengeExpirySweeper = () => {
+  const schedule = process.env.CHALLENGE_EXPIRY_CRON || '*/5 * * * *';
+
+  cron.schedule(schedule, async () => {
+    await sweepExpiredChallenges();
+  });
+
+  // Also run immediately on startup to catch anything that expired while the server was down
+  console.log('[ChallengeExpiry] Starting challenge expiry sweeper...');
+  sweepExpiredChallenges().catch(error => {
+    console.error('[ChallengeExpiry] Error in initial run:', error);
+  });
+
+  console.log(`[ChallengeExpiry] Challenge expiry sweeper started (${schedule})`);
+};
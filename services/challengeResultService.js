@@ -0,0 +1,211 @@
+import prisma from '../prisma/prisma.js';
+import * as disputeService from './disputeService.js';
+import * as money from './moneyService.js';
+
+// Each participant reports the result independently (app or Discord bot).
+// - First report: challenge becomes 'reported' and the dispute window starts
+// - Matching second report: paid out immediately
+// - Conflicting second report: a dispute is opened automatically
+// - No second report: disputeService's finalizer pays out when the window closes
+
+const SOURCES = ['app', 'discord'];
+
+const reportError = (message, status) => Object.assign(new Error(message), { reportError: true, status });
+
+const isParticipant = (challenge, userId) =>
+  challenge.ChallengerId === userId || challenge.ChallengedId === userId;
+
+// Challenges store Game as free text; match it against Lookup_Game by name or id
+const resolveGameId = async (client, game) => {
+  if (!game) return null;
+  const numericId = /^\d+$/.test(String(game)) ? parseInt(game) : null;
+  const gameRecord = await client.Lookup_Game.findFirst({
+    where: numericId ? { OR: [{ id: numericId }, { Game: String(game) }] } : { Game: String(game) },
+    select: { id: true }
+  });
+  return gameRecord?.id || null;
+};
+
+/**
+ * Record one participant's result report and act on it
+ * @param {{ challengeId: number, reporterId: number, winnerId: number, source: string, gameId?: number }} report
+ * @returns {Promise<{ action: 'awaiting_confirmation'|'confirmed'|'disputed', challenge: object, dispute?: object, settlement?: object }>}
+ */
+export const submitResultReport = async ({ challengeId, reporterId, winnerId, source, gameId = null }) => {
+  if (!SOURCES.includes(source)) throw new Error(`Unknown report source: ${source}`);
+
+  const outcome = await prisma.$transaction(async (tx) => {
+    const challenge = await tx.Challenges.findUnique({ where: { id: challengeId } });
+    if (!challenge) throw reportError('Challenge not found', 404);
+
+    if (!isParticipant(challenge, reporterId)) {
+      throw reportError('Only challenge participants can report a result', 403);
+    }
+    if (!isParticipant(challenge, winnerId)) {
+      throw reportError('Winner must be a challenge participant', 400);
+    }
+    if (!['accepted', 'reported'].includes(challenge.Status)) {
+      throw reportError(`Challenge result cannot be reported (status: ${challenge.Status})`, 400);
+    }
+
+    const existing = await tx.ChallengeResultReport.findUnique({
+      where: { ChallengeId_ReporterId: { ChallengeId: challengeId, ReporterId: reporterId } }
+    });
+    if (existing) {
+      throw reportError('You have already reported a result for this challenge', 409);
+    }
+
+    await tx.ChallengeResultReport.create({
+      data: {
+        ChallengeId: challengeId,
+        ReporterId: reporterId,
+        WinnerId: winnerId,
+        Source: source
+      }
+    });
+
+    if (challenge.Status === 'accepted') {
+      const resolvedGameId = gameId || await resolveGameId(tx, challenge.Game);
+      const updated = await tx.Challenges.updateMany({
+        where: { id: challengeId, Status: 'accepted' },
+        data: {
+          Status: 'reported',
+          ReportedWinnerId: winnerId,
+          ReportedGameId: resolvedGameId,
+          ResultReportedAt: new Date(),
+          DisputeWindowEndsAt: disputeService.getDisputeWindowEnd()
+        }
+      });
+      if (updated.count === 0) throw reportError('Challenge result was reported in the meantime', 409);
+
+      return { action: 'awaiting_confirmation' };
+    }
+
+    if (challenge.ReportedWinnerId === winnerId) {
+      return { action: 'confirmed' };
+    }
+
+    const dispute = await disputeService.createDispute(
+      tx,
+      challenge,
+      reporterId,
+      `Conflicting result reports: user ${challenge.ReportedWinnerId} and user ${winnerId} were each reported as the winner`
+    );
+    if (!dispute) throw reportError('Challenge result was finalized or disputed in the meantime', 409);
+
+    return { action: 'disputed', dispute };
+  });
+
+  // Both players agree - no need to wait for the dispute window
+  if (outcome.action === 'confirmed') {
+    outcome.settlement = await disputeService.settleChallenge(challengeId, winnerId);
+  }
+
+  outcome.challenge = await prisma.Challenges.findUnique({
+    where: { id: challengeId },
+    select: {
+      id: true,
+      Status: true,
+      ReportedWinnerId: true,
+      WinnerId: true,
+      DisputeWindowEndsAt: true
+    }
+  });
+
+  return outcome;
+};
+
+/**
+ * Shape a report outcome for API responses
+ * @param {object} outcome - Result of submitResultReport
+ */
+export const formatReportOutcome = (outcome) => {
+  const messages = {
+    awaiting_confirmation: 'Result recorded. Payout will be released when your opponent confirms or the dispute window closes.',
+    confirmed: 'Both players reported the same result. Challenge completed.',
+    disputed: 'Reports conflict. A dispute has been opened and payout is on hold.'
+  };
+
+  return {
+    success: true,
+    action: outcome.action,
+    message: messages[outcome.action],
+    challenge: {
+      id: outcome.challenge.id,
+      status: outcome.challenge.Status,
+      reportedWinnerId: outcome.challenge.ReportedWinnerId,
+      winnerId: outcome.challenge.WinnerId,
+      disputeWindowEndsAt: outcome.challenge.DisputeWindowEndsAt
+    },
+    ...(outcome.dispute ? { dispute: disputeService.formatDispute(outcome.dispute) } : {}),
+    ...(outcome.settlement ? { payout: money.toDollars(outcome.settlement.amount), fee: money.toDollars(outcome.settlement.fee) } : {})
+  };
+};
+
+/**
+ * Report a challenge result from the app (authenticated participant)
+ */
+export const reportResult = async (req, res) => {
+  try {
+    const reporterId = parseInt(req.user?.userId || req.user?.id);
+    const { challengeId } = req.params;
+    const { winnerId } = req.body;
+
+    if (!winnerId || isNaN(parseInt(winnerId))) {
+      return res.status(400).json({ error: 'Valid winnerId is required' });
+    }
+
+    const outcome = await submitResultReport({
+      challengeId: parseInt(challengeId),
+      reporterId,
+      winnerId: parseInt(winnerId),
+      source: 'app'
+    });
+
+    res.status(200).send(formatReportOutcome(outcome));
+  } catch (error) {
+    if (error.reportError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error reporting challenge result:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get the result reports submitted for a challenge (participants only)
+ */
+export const getResultReports = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    const { challengeId } = req.params;
+
+    const challenge = await prisma.Challenges.findUnique({
+      where: { id: parseInt(challengeId) },
+      include: { ChallengeResultReport: { orderBy: { CreatedAt: 'asc' } } }
+    });
+
+    if (!challenge) {
+      return res.status(404).json({ error: 'Challenge not found' });
+    }
+
+    if (!isParticipant(challenge, userId)) {
+      return res.status(403).json({ error: 'Not authorized to view results for this challenge' });
+    }
+
+    res.status(200).send({
+      challengeId: challenge.id,
+      status: challenge.Status,
+      disputeWindowEndsAt: challenge.DisputeWindowEndsAt,
+      reports: challenge.ChallengeResultReport.map(r => ({
+        reporterId: r.ReporterId,
+        winnerId: r.WinnerId,
+        source: r.Source,
+        createdAt: r.CreatedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting result reports:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
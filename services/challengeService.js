@@ -1,5 +1,51 @@
 import prisma from '../prisma/prisma.js';
 import * as pushNotificationService from './pushNotificationService.js';
+import * as escrowService from './escrowService.js';
+import * as challengeExpiryService from './challengeExpiryService.js';
+import * as feeService from './feeService.js';
+import * as kycService from './kycService.js';
+import * as responsibleGamingService from './responsibleGamingService.js';
+import * as accountHoldService from './accountHoldService.js';
+import * as multiAccountService from './multiAccountService.js';
+import * as money from './moneyService.js';
+
+/**
+ * Whether a player may put up a stake: no hold on their account, identity verification for large
+ * wagers, then their cool-off, self-exclusion and wager/loss limits
+ * @param {number|string} userId
+ * @param {number} wager - The player's stake on the challenge
+ * @param {number} [addedStake] - How much of it is newly locked (defaults to the whole wager)
+ * @returns {Promise<object|null>} An error payload to answer with 403, otherwise null
+ */
+const checkWager = async (userId, wager, addedStake = wager) => {
+  return await accountHoldService.checkAccountHold(userId) ||
+    await kycService.checkWagerAllowed(userId, wager) ||
+    await responsibleGamingService.checkWagerAllowed(userId, addedStake);
+};
+
+/**
+ * Wagers are stored in cents; convert a challenge or request (and the ones nested in it) for a response
+ * @param {object|null} record - Challenges or Challenge_Requests row
+ * @returns {object|null}
+ */
+const withDollarWagers = (record) => record && ({
+  ...record,
+  ...(record.Wager !== undefined && { Wager: money.toDollars(record.Wager) }),
+  ...(record.Challenge_Requests && { Challenge_Requests: record.Challenge_Requests.map(withDollarWagers) }),
+  ...(record.Challenges && { Challenges: withDollarWagers(record.Challenges) })
+});
+
+const INVALID_WAGER_ERROR = 'Wager must be positive with at most two decimal places';
+
+const challengeConflictError = () =>
+  Object.assign(new Error('Challenge was accepted or changed in the meantime'), { challengeConflict: true });
+
+// Move a challenge or request on from the status it was read in, inside the transaction that moves its
+// wagers; throws (rolling the transaction back) if a concurrent request got there first
+const claimStatus = async (model, where, data) => {
+  const updated = await model.updateMany({ where, data });
+  if (updated.count === 0) throw challengeConflictError();
+};
 
 /**
  * Create a new challenge
@@ -24,8 +70,7 @@ export const createChallenge = async (req, res) => {
         Avatar: true,
         MMI: true,
         PushToken: true,
-        Discord: true,
-        Wallet: true
+        Discord: true
       }
     });
 
@@ -40,13 +85,24 @@ export const createChallenge = async (req, res) => {
       });
     }
 
-    // Validate wallet has sufficient balance for wager
-    if (challenger.Wallet < wager) {
+    const wagerAmount = money.parseAmount(wager);
+    if (wagerAmount === null || wagerAmount <= 0) {
+      return res.status(400).json({ error: INVALID_WAGER_ERROR });
+    }
+
+    // Validate wallet has sufficient available balance (wallet minus locked escrow) for wager
+    const availableBalance = await escrowService.getAvailableBalance(challengerId);
+    if (availableBalance < wagerAmount) {
       return res.status(400).json({
         error: 'Insufficient Balance. Please credit into your account to increase your wager limit'
       });
     }
 
+    const wagerBlock = await checkWager(challengerId, wagerAmount);
+    if (wagerBlock) {
+      return res.status(403).json(wagerBlock);
+    }
+
     // Determine challenge status and validate challengedId
     let status = 'pending';
     let challenged = null;
@@ -73,6 +129,11 @@ export const createChallenge = async (req, res) => {
         return res.status(400).json({ error: 'Cannot challenge yourself' });
       }
 
+      const opponentBlock = await multiAccountService.checkOpponents(challengerId, challengedId);
+      if (opponentBlock) {
+        return res.status(403).json(opponentBlock);
+      }
+
       // Check if there's already a pending challenge between these users
       const existingChallenge = await prisma.Challenges.findFirst({
         where: {
@@ -105,9 +166,7 @@ export const createChallenge = async (req, res) => {
     const expiresAt = new Date();
     expiresAt.setDate(expiresAt.getDate() + 7);
 
-    const wagerAmount = parseFloat(wager);
-
-    // Create challenge and deduct wallet in a transaction to ensure atomicity
+    // Create challenge and lock the wager in escrow in a transaction to ensure atomicity
     const challenge = await prisma.$transaction(async (tx) => {
       // Create the challenge
       const newChallenge = await tx.Challenges.create({
@@ -140,10 +199,11 @@ export const createChallenge = async (req, res) => {
         }
       });
 
-      // Deduct wager from challenger when challenge is created
-      await tx.Users.update({
-        where: { id: challengerId },
-        data: { Wallet: { decrement: wagerAmount } }
+      // Lock challenger's wager in escrow when challenge is created
+      await escrowService.lockEscrow(tx, {
+        challengeId: newChallenge.id,
+        userId: challengerId,
+        amount: wagerAmount
       });
 
       return newChallenge;
@@ -159,7 +219,7 @@ export const createChallenge = async (req, res) => {
             id: challenge.id,
             challengerId: challenge.ChallengerId,
             game: challenge.Game,
-            wager: challenge.Wager,
+            wager: money.toDollars(challenge.Wager),
           }
         );
       } catch (notificationError) {
@@ -171,10 +231,16 @@ export const createChallenge = async (req, res) => {
     res.status(201).send({
       message: 'Challenge created successfully',
       success: true,
-      challenge
+      challenge: withDollarWagers(challenge)
     });
 
   } catch (error) {
+    if (error.insufficientBalance) {
+      return res.status(400).json({
+        error: 'Insufficient Balance. Please credit into your account to increase your wager limit',
+        availableBalance: money.toDollars(error.availableBalance)
+      });
+    }
     console.error('Error creating challenge:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -195,11 +261,12 @@ export const getUserChallenges = async (req, res) => {
         { ChallengedId: parseInt(userId) }
       ],
       // Exclude open challenges - they should only appear in marketplace
-      Status: { not: 'open' }
+      // Cancelled challenges are kept for escrow history but hidden unless requested
+      Status: { notIn: ['open', 'cancelled'] }
     };
 
     // Filter by status if provided (but still exclude 'open')
-    if (status && ['pending', 'accepted', 'declined', 'expired'].includes(status)) {
+    if (status && ['pending', 'accepted', 'reported', 'disputed', 'declined', 'expired', 'completed', 'cancelled'].includes(status)) {
       whereClause.Status = status;
     }
 
@@ -317,9 +384,9 @@ export const getUserChallenges = async (req, res) => {
     res.status(200).send({
       message: 'Challenges fetched successfully',
       success: true,
-      challenges,
-      openChallengesWithRequests, // Open challenges with requests (for displaying requests to challenger)
-      requests: userRequests // Requests where user created the request
+      challenges: challenges.map(withDollarWagers),
+      openChallengesWithRequests: openChallengesWithRequests.map(withDollarWagers), // Open challenges with requests (for displaying requests to challenger)
+      requests: userRequests.map(withDollarWagers) // Requests where user created the request
     });
 
   } catch (error) {
@@ -371,7 +438,7 @@ export const getOpenChallenges = async (req, res) => {
     res.status(200).send({
       message: 'Open challenges fetched successfully',
       success: true,
-      challenges
+      challenges: challenges.map(withDollarWagers)
     });
 
   } catch (error) {
@@ -399,15 +466,13 @@ export const acceptChallenge = async (req, res) => {
         Users_Challenges_ChallengerIdToUsers: {
           select: {
             id: true,
-            Username: true,
-            Wallet: true
+            Username: true
           }
         },
         Users_Challenges_ChallengedIdToUsers: {
           select: {
             id: true,
-            Username: true,
-            Wallet: true
+            Username: true
           }
         }
       }
@@ -417,12 +482,10 @@ export const acceptChallenge = async (req, res) => {
       return res.status(404).json({ error: 'Challenge not found' });
     }
 
-    // Check if challenge has expired
-    if (new Date() > challenge.ExpiresAt) {
-      await prisma.Challenges.update({
-        where: { id: parseInt(challengeId) },
-        data: { Status: 'expired' }
-      });
+    // Check if challenge has expired (only challenges still waiting for an opponent can expire)
+    if (['open', 'pending'].includes(challenge.Status) && new Date() > challenge.ExpiresAt) {
+      // Same path as the expiry sweeper: unlock every wager still held for this challenge
+      await challengeExpiryService.expireChallenge(parseInt(challengeId));
       return res.status(400).json({ error: 'Challenge has expired' });
     }
 
@@ -450,8 +513,7 @@ export const acceptChallenge = async (req, res) => {
                 Avatar: true,
                 MMI: true,
                 PushToken: true,
-                Discord: true,
-                Wallet: true
+                Discord: true
               }
             }
           }
@@ -465,122 +527,121 @@ export const acceptChallenge = async (req, res) => {
           return res.status(404).json({ error: 'User associated with request not found' });
         }
 
-        // Wager is stored in dollars
         const requestWager = challengeRequest.Wager;
-        const originalWager = challenge.Wager;
-        
-        // Note: Wallet validation and deduction already happened when the request was created
-        // No need to check again here
-
-        // Adjust original challenger's wallet based on wager difference
-        // If final wager is more than original, challenger pays the difference
-        // If final wager is less than original, challenger gets a refund
-        if (requestWager !== originalWager) {
-          const wagerDifference = requestWager - originalWager;
-          
-          // Get challenger's current wallet to validate they can pay if needed
-          const challenger = await prisma.Users.findUnique({
-            where: { id: challenge.ChallengerId },
-            select: { Wallet: true }
-          });
 
-          if (wagerDifference > 0) {
-            // Final wager is higher - challenger needs to pay the difference
-            if (challenger.Wallet < wagerDifference) {
-              return res.status(400).json({
-                error: 'Insufficient balance. You need additional funds to accept this wager amount.'
-              });
-            }
-            // Deduct the difference from challenger
-            await prisma.Users.update({
-              where: { id: challenge.ChallengerId },
-              data: { Wallet: { decrement: wagerDifference } }
-            });
-          } else {
-            // Final wager is lower - challenger gets a refund
-            await prisma.Users.update({
-              where: { id: challenge.ChallengerId },
-              data: { Wallet: { increment: Math.abs(wagerDifference) } }
-            });
-          }
+        // The challenger's stake becomes the request's wager; only an increase is newly locked
+        const wagerBlock = await checkWager(
+          challenge.ChallengerId,
+          requestWager,
+          Math.max(0, requestWager - challenge.Wager)
+        );
+        if (wagerBlock) {
+          return res.status(403).json(wagerBlock);
         }
 
-        // Update selected request to accepted
-        await prisma.Challenge_Requests.update({
-          where: { id: parseInt(requestId) },
-          data: { Status: 'accepted' }
-        });
+        const opponentBlock = await multiAccountService.checkOpponents(challenge.ChallengerId, challengeRequest.ChallengerId);
+        if (opponentBlock) {
+          return res.status(403).json(opponentBlock);
+        }
 
-        // Deny all other requests for this challenge (set to 'denied' so they can still be tracked)
-        const deniedRequests = await prisma.Challenge_Requests.findMany({
-          where: {
-            ChallengeId: parseInt(challengeId),
-            id: { not: parseInt(requestId) },
-            Status: 'request'
-          },
-          include: {
-            Users: {
-              select: {
-                id: true,
-                Username: true,
-                PushToken: true
-              }
-            }
-          }
-        });
+        // Requester's wager was locked in escrow when the request was created.
+        // Re-lock the challenger's stake at the final wager (they cover any increase,
+        // a decrease simply unlocks the difference), unlock every denied requester and
+        // attach the challenged player - all atomically.
+        let updatedChallenge;
+        let deniedRequests;
+        try {
+          ({ updatedChallenge, deniedRequests } = await prisma.$transaction(async (tx) => {
+            // Update challenge: set ChallengedId, Status, and Wager, only if it is still open
+            // ChallengerId in Challenge_Requests is the person who created the request (Player B)
+            // This becomes the ChallengedId in the Challenges table
+            // The ChallengeRequests array is cleared since the challenge is no longer open
+            await claimStatus(tx.Challenges, { id: parseInt(challengeId), Status: 'open' }, {
+              ChallengedId: challengeRequest.ChallengerId, // Person who created the request (Player B)
+              Status: 'accepted',
+              Wager: requestWager,
+              ChallengeRequests: []
+            });
 
-        // Update all other requests to 'denied' status
-        await prisma.Challenge_Requests.updateMany({
-          where: {
-            ChallengeId: parseInt(challengeId),
-            id: { not: parseInt(requestId) },
-            Status: 'request'
-          },
-          data: { Status: 'declined' }
-        });
+            // Update selected request to accepted, unless it was withdrawn in the meantime
+            await claimStatus(tx.Challenge_Requests, { id: parseInt(requestId), Status: 'request' }, { Status: 'accepted' });
 
-        // Update ChallengeRequests array - remove all request IDs since challenge is now accepted
-        // The challenge is no longer open, so we clear the requests array
-        await prisma.Challenges.update({
-          where: { id: parseInt(challengeId) },
-          data: {
-            ChallengeRequests: []
-          }
-        });
+            await escrowService.adjustEscrow(tx, {
+              challengeId: parseInt(challengeId),
+              userId: challenge.ChallengerId,
+              amount: requestWager
+            });
 
-        // Update challenge: set ChallengedId, Status, and Wager
-        // ChallengerId in Challenge_Requests is the person who created the request (Player B)
-        // This becomes the ChallengedId in the Challenges table
-        const updatedChallenge = await prisma.Challenges.update({
-          where: { id: parseInt(challengeId) },
-          data: {
-            ChallengedId: challengeRequest.ChallengerId, // Person who created the request (Player B)
-            Status: 'accepted',
-            Wager: requestWager
-          },
-          include: {
-            Users_Challenges_ChallengerIdToUsers: {
-              select: {
-                id: true,
-                Username: true,
-                Avatar: true,
-                MMI: true,
-                PushToken: true,
-                Discord: true
+            // Requests that lose out are denied (set to 'declined' so they can still be tracked).
+            // Read under the challenge row lock so a request made concurrently is not missed
+            const denied = await tx.Challenge_Requests.findMany({
+              where: {
+                ChallengeId: parseInt(challengeId),
+                id: { not: parseInt(requestId) },
+                Status: 'request'
+              },
+              include: {
+                Users: {
+                  select: {
+                    id: true,
+                    Username: true,
+                    PushToken: true
+                  }
+                }
               }
-            },
-            Users_Challenges_ChallengedIdToUsers: {
-              select: {
-                id: true,
-                Username: true,
-                Avatar: true,
-                MMI: true,
-                PushToken: true,
-                Discord: true
+            });
+
+            // Update all other requests to 'declined' status and unlock their wagers
+            await tx.Challenge_Requests.updateMany({
+              where: { id: { in: denied.map(r => r.id) } },
+              data: { Status: 'declined' }
+            });
+
+            await escrowService.refundEscrow(tx, {
+              ChallengeId: parseInt(challengeId),
+              RequestId: { in: denied.map(r => r.id) }
+            });
+
+            const accepted = await tx.Challenges.findUnique({
+              where: { id: parseInt(challengeId) },
+              include: {
+                Users_Challenges_ChallengerIdToUsers: {
+                  select: {
+                    id: true,
+                    Username: true,
+                    Avatar: true,
+                    MMI: true,
+                    PushToken: true,
+                    Discord: true
+                  }
+                },
+                Users_Challenges_ChallengedIdToUsers: {
+                  select: {
+                    id: true,
+                    Username: true,
+                    Avatar: true,
+                    MMI: true,
+                    PushToken: true,
+                    Discord: true
+                  }
+                }
               }
-            }
+            });
+            return { updatedChallenge: accepted, deniedRequests: denied };
+          }));
+        } catch (error) {
+          if (error.challengeConflict) {
+            return res.status(409).json({ error: error.message });
           }
-        });
+          if (error.insufficientBalance) {
+            return res.status(400).json({
+              error: 'Insufficient balance. You need additional funds to accept this wager amount.',
+              availableBalance: money.toDollars(error.availableBalance),
+              required: money.toDollars(error.required)
+            });
+          }
+          throw error;
+        }
 
         // Send notifications to users whose requests were denied
         try {
@@ -621,7 +682,7 @@ export const acceptChallenge = async (req, res) => {
         return res.status(200).send({
           message: 'Challenge request sent successfully',
           success: true,
-          challenge: updatedChallenge
+          challenge: withDollarWagers(updatedChallenge)
         });
       }
 
@@ -638,8 +699,7 @@ export const acceptChallenge = async (req, res) => {
           Username: true,
           Avatar: true,
           MMI: true,
-          PushToken: true,
-          Wallet: true
+          PushToken: true
         }
       });
 
@@ -647,6 +707,9 @@ export const acceptChallenge = async (req, res) => {
         return res.status(404).json({ error: 'User not found' });
       }
 
+      // Balance available for wagering (wallet minus wagers already locked in escrow)
+      const availableBalance = await escrowService.getAvailableBalance(parseInt(userId));
+
       // Check if user already has a pending request for this challenge
       const existingRequest = await prisma.Challenge_Requests.findFirst({
         where: {
@@ -663,57 +726,53 @@ export const acceptChallenge = async (req, res) => {
       // Validate wager if provided
       let finalWager = challenge.Wager;
       if (wager !== undefined && wager !== null) {
-        const wagerAmount = parseFloat(wager);
-        if (isNaN(wagerAmount) || wagerAmount <= 0) {
-          return res.status(400).json({ error: 'Invalid wager amount' });
+        const wagerAmount = money.parseAmount(wager);
+        if (wagerAmount === null || wagerAmount <= 0) {
+          return res.status(400).json({ error: INVALID_WAGER_ERROR });
         }
-        // Validate challenged user has sufficient wallet balance
-        if (challengedUser.Wallet < wagerAmount) {
+        // Validate challenged user has sufficient available balance
+        if (availableBalance < wagerAmount) {
           return res.status(400).json({
             error: 'Insufficient Balance. Please credit into your account to increase your wager limit'
           });
         }
         finalWager = wagerAmount;
       } else {
-        finalWager = parseFloat(challenge.Wager);
-        // Validate challenged user has sufficient wallet balance for default wager
-        if (challengedUser.Wallet < finalWager) {
+        // Validate challenged user has sufficient available balance for default wager
+        if (availableBalance < finalWager) {
           return res.status(400).json({
             error: 'Insufficient Balance. Please credit into your account to increase your wager limit'
           });
         }
       }
 
-      // Deduct wager from challenged user when they create a request for an open challenge
-      // Challenger already paid when creating the challenge
-      await prisma.Users.update({
-        where: { id: parseInt(userId) },
-        data: { Wallet: { decrement: finalWager } }
-      });
+      const wagerBlock = await checkWager(userId, finalWager);
+      if (wagerBlock) {
+        return res.status(403).json(wagerBlock);
+      }
+
+      const opponentBlock = await multiAccountService.checkOpponents(challenge.ChallengerId, userId);
+      if (opponentBlock) {
+        return res.status(403).json(opponentBlock);
+      }
 
       // Create a new ChallengeRequest instead of updating the challenge
       // Challenge stays 'open' and ChallengedId remains null
       // ChallengerId in Challenge_Requests is the person creating the request (Player B)
-      const challengeRequest = await prisma.Challenge_Requests.create({
-        data: {
-          ChallengeId: parseInt(challengeId),
-          ChallengerId: parseInt(userId), // Person creating the request (Player B)
-          Wager: Math.round(finalWager), // Store as dollars (Int)
-          Status: 'request'
-        },
-        include: {
-          Users: {
-            select: {
-              id: true,
-              Username: true,
-              Avatar: true,
-              MMI: true,
-              PushToken: true
-            }
-          },
-          Challenges: {
+      // The requester's wager is locked in escrow alongside the request
+      // (challenger's wager was locked when creating the challenge)
+      let challengeRequest;
+      try {
+        challengeRequest = await prisma.$transaction(async (tx) => {
+          const newRequest = await tx.Challenge_Requests.create({
+            data: {
+              ChallengeId: parseInt(challengeId),
+              ChallengerId: parseInt(userId), // Person creating the request (Player B)
+              Wager: finalWager,
+              Status: 'request'
+            },
             include: {
-              Users_Challenges_ChallengerIdToUsers: {
+              Users: {
                 select: {
                   id: true,
                   Username: true,
@@ -721,28 +780,50 @@ export const acceptChallenge = async (req, res) => {
                   MMI: true,
                   PushToken: true
                 }
+              },
+              Challenges: {
+                include: {
+                  Users_Challenges_ChallengerIdToUsers: {
+                    select: {
+                      id: true,
+                      Username: true,
+                      Avatar: true,
+                      MMI: true,
+                      PushToken: true
+                    }
+                  }
+                }
               }
             }
-          }
-        }
-      });
+          });
 
-      // Update the ChallengeRequests array on the Challenges table to include the new request ID
-      // Get current challenge to access existing ChallengeRequests array
-      const currentChallenge = await prisma.Challenges.findUnique({
-        where: { id: parseInt(challengeId) },
-        select: { ChallengeRequests: true }
-      });
+          // Add the new request ID to the challenge's ChallengeRequests array, only while it is still
+          // open, so a request cannot slip in after the challenger has accepted another one
+          await claimStatus(tx.Challenges, { id: parseInt(challengeId), Status: 'open' }, {
+            ChallengeRequests: { push: newRequest.id }
+          });
 
-      // Add the new request ID to the ChallengeRequests array
-      const updatedRequestIds = [...(currentChallenge?.ChallengeRequests || []), challengeRequest.id];
-      
-      await prisma.Challenges.update({
-        where: { id: parseInt(challengeId) },
-        data: {
-          ChallengeRequests: updatedRequestIds
+          // Lock the stored wager so a decline refunds exactly what was locked
+          await escrowService.lockEscrow(tx, {
+            challengeId: parseInt(challengeId),
+            userId: parseInt(userId),
+            amount: newRequest.Wager,
+            requestId: newRequest.id
+          });
+
+          return newRequest;
+        });
+      } catch (error) {
+        if (error.challengeConflict) {
+          return res.status(409).json({ error: error.message });
         }
-      });
+        if (error.insufficientBalance) {
+          return res.status(400).json({
+            error: 'Insufficient Balance. Please credit into your account to increase your wager limit'
+          });
+        }
+        throw error;
+      }
 
       // Send push notification to challenger that challenge has been requested
       try {
@@ -764,8 +845,8 @@ export const acceptChallenge = async (req, res) => {
       res.status(200).send({
         message: 'Challenge requested successfully',
         success: true,
-        request: challengeRequest,
-        challenge: challengeRequest.Challenges // Return challenge from the request relation
+        request: withDollarWagers(challengeRequest),
+        challenge: withDollarWagers(challengeRequest.Challenges) // Return challenge from the request relation
       });
     } else if (challenge.Status === 'pending') {
       // Regular challenge: verify the user is the challenged player
@@ -773,67 +854,112 @@ export const acceptChallenge = async (req, res) => {
         return res.status(403).json({ error: 'Only the challenged player can accept this challenge' });
       }
 
-      // Get challenged user info for wallet validation if wager is being updated
-      const challengedUser = await prisma.Users.findUnique({
-        where: { id: parseInt(userId) },
-        select: { Wallet: true }
-      });
+      // Balance available for wagering (wallet minus wagers already locked in escrow)
+      const availableBalance = await escrowService.getAvailableBalance(parseInt(userId));
 
       // Validate wager if provided
       let finalWager = challenge.Wager;
       if (wager !== undefined && wager !== null) {
-        const wagerAmount = parseFloat(wager);
-        if (isNaN(wagerAmount) || wagerAmount <= 0) {
-          return res.status(400).json({ error: 'Invalid wager amount' });
+        const wagerAmount = money.parseAmount(wager);
+        if (wagerAmount === null || wagerAmount <= 0) {
+          return res.status(400).json({ error: INVALID_WAGER_ERROR });
         }
-        // Validate challenged user has sufficient wallet balance
-        if (challengedUser && challengedUser.Wallet < wagerAmount) {
+        // Validate challenged user has sufficient available balance
+        if (availableBalance < wagerAmount) {
           return res.status(400).json({
             error: 'Insufficient Balance. Please credit into your account to increase your wager limit'
           });
         }
         finalWager = wagerAmount;
       } else {
-        // Validate challenged user has sufficient wallet balance for default wager
-        if (challengedUser && challengedUser.Wallet < challenge.Wager) {
+        // Validate challenged user has sufficient available balance for default wager
+        if (availableBalance < challenge.Wager) {
           return res.status(400).json({
             error: 'Insufficient Balance. Please credit into your account to increase your wager limit'
           });
         }
       }
 
-      // Note: Wallet deduction does NOT happen for pending challenges
-      // Both users' wallets were already deducted when the challenge was created
+      // Both stakes end up at the final wager: the challenged player's is new, the challenger only adds any increase
+      const wagerBlock = await checkWager(userId, finalWager);
+      if (wagerBlock) {
+        return res.status(403).json(wagerBlock);
+      }
+      if (await checkWager(challenge.ChallengerId, finalWager, Math.max(0, finalWager - challenge.Wager))) {
+        return res.status(403).json({ error: 'The challenger cannot raise their stake to this wager' });
+      }
+
+      const opponentBlock = await multiAccountService.checkOpponents(challenge.ChallengerId, userId);
+      if (opponentBlock) {
+        return res.status(403).json(opponentBlock);
+      }
 
-      // Update challenge status to accepted, and wager if modified
+      // Lock the challenged player's wager and re-lock the challenger's stake at the
+      // final wager (challenger covers any increase) while accepting, atomically
       const updateData = { Status: 'accepted' };
-      if (wager !== undefined && wager !== null && parseFloat(wager) !== challenge.Wager) {
+      if (finalWager !== challenge.Wager) {
         updateData.Wager = finalWager;
       }
-      const updatedChallenge = await prisma.Challenges.update({
-        where: { id: parseInt(challengeId) },
-        data: updateData,
-        include: {
-          Users_Challenges_ChallengerIdToUsers: {
-            select: {
-              id: true,
-              Username: true,
-              Avatar: true,
-              MMI: true,
-              PushToken: true
-            }
-          },
-          Users_Challenges_ChallengedIdToUsers: {
-            select: {
-              id: true,
-              Username: true,
-              Avatar: true,
-              MMI: true,
-              PushToken: true
+
+      let updatedChallenge;
+      try {
+        updatedChallenge = await prisma.$transaction(async (tx) => {
+          // Accept only if it is still pending, so a second accept cannot lock the stakes again
+          await claimStatus(tx.Challenges, {
+            id: challenge.id,
+            Status: 'pending',
+            ChallengedId: parseInt(userId)
+          }, updateData);
+
+          await escrowService.lockEscrow(tx, {
+            challengeId: challenge.id,
+            userId: parseInt(userId),
+            amount: finalWager
+          });
+
+          await escrowService.adjustEscrow(tx, {
+            challengeId: challenge.id,
+            userId: challenge.ChallengerId,
+            amount: finalWager
+          });
+
+          return await tx.Challenges.findUnique({
+            where: { id: challenge.id },
+            include: {
+              Users_Challenges_ChallengerIdToUsers: {
+                select: {
+                  id: true,
+                  Username: true,
+                  Avatar: true,
+                  MMI: true,
+                  PushToken: true
+                }
+              },
+              Users_Challenges_ChallengedIdToUsers: {
+                select: {
+                  id: true,
+                  Username: true,
+                  Avatar: true,
+                  MMI: true,
+                  PushToken: true
+                }
+              }
             }
-          }
+          });
+        });
+      } catch (error) {
+        if (error.challengeConflict) {
+          return res.status(409).json({ error: error.message });
         }
-      });
+        if (error.insufficientBalance) {
+          return res.status(400).json({
+            error: error.userId === challenge.ChallengerId
+              ? 'Challenger has insufficient balance for this wager amount'
+              : 'Insufficient Balance. Please credit into your account to increase your wager limit'
+          });
+        }
+        throw error;
+      }
 
       // Send push notification to challenger
       try {
@@ -855,7 +981,7 @@ export const acceptChallenge = async (req, res) => {
       res.status(200).send({
         message: 'Challenge accepted successfully',
         success: true,
-        challenge: updatedChallenge
+        challenge: withDollarWagers(updatedChallenge)
       });
     } else {
       return res.status(400).json({ error: 'Challenge is not open or pending' });
@@ -888,7 +1014,7 @@ export const getChallengeRequests = async (req, res) => {
     };
 
     // Filter by status if provided
-    if (status && ['request', 'accepted', 'declined'].includes(status)) {
+    if (status && ['request', 'accepted', 'declined', 'expired'].includes(status)) {
       whereClause.Status = status;
     }
 
@@ -912,7 +1038,7 @@ export const getChallengeRequests = async (req, res) => {
     res.status(200).send({
       message: 'Challenge requests fetched successfully',
       success: true,
-      requests
+      requests: requests.map(withDollarWagers)
     });
 
   } catch (error) {
@@ -982,18 +1108,16 @@ export const declineChallenge = async (req, res) => {
       }
 
       // Refund Player B's wager when request is declined
-      // Player B's wallet was deducted when they created the request, so they need a refund
+      // Player B's wager was locked in escrow when they created the request, so unlock it
       // This applies whether Player A declines the request OR Player B declines their own request
-      const requestWager = challengeRequest.Wager;
-      await prisma.Users.update({
-        where: { id: challengeRequest.ChallengerId }, // Player B who created the request
-        data: { Wallet: { increment: requestWager } }
-      });
+      await prisma.$transaction(async (tx) => {
+        await escrowService.refundEscrow(tx, { RequestId: parseInt(requestId) });
 
-      // Update request status to declined
-      await prisma.Challenge_Requests.update({
-        where: { id: parseInt(requestId) },
-        data: { Status: 'declined' }
+        // Update request status to declined
+        await tx.Challenge_Requests.update({
+          where: { id: parseInt(requestId) },
+          data: { Status: 'declined' }
+        });
       });
 
       // Remove the request ID from the ChallengeRequests array
@@ -1061,28 +1185,32 @@ export const declineChallenge = async (req, res) => {
       select: { PushToken: true, Username: true }
     });
 
-    // Update challenge status to declined
-    const updatedChallenge = await prisma.Challenges.update({
-      where: { id: parseInt(challengeId) },
-      data: { Status: 'declined' },
-      include: {
-        Users_Challenges_ChallengerIdToUsers: {
-          select: {
-            id: true,
-            Username: true,
-            Avatar: true,
-            MMI: true
-          }
-        },
-        Users_Challenges_ChallengedIdToUsers: {
-          select: {
-            id: true,
-            Username: true,
-            Avatar: true,
-            MMI: true
+    // Update challenge status to declined and unlock the challenger's wager
+    const updatedChallenge = await prisma.$transaction(async (tx) => {
+      await escrowService.refundEscrow(tx, { ChallengeId: challenge.id });
+
+      return await tx.Challenges.update({
+        where: { id: parseInt(challengeId) },
+        data: { Status: 'declined' },
+        include: {
+          Users_Challenges_ChallengerIdToUsers: {
+            select: {
+              id: true,
+              Username: true,
+              Avatar: true,
+              MMI: true
+            }
+          },
+          Users_Challenges_ChallengedIdToUsers: {
+            select: {
+              id: true,
+              Username: true,
+              Avatar: true,
+              MMI: true
+            }
           }
         }
-      }
+      });
     });
 
     // Send push notification to challenger
@@ -1105,7 +1233,7 @@ export const declineChallenge = async (req, res) => {
     res.status(200).send({
       message: 'Challenge declined successfully',
       success: true,
-      challenge: updatedChallenge
+      challenge: withDollarWagers(updatedChallenge)
     });
 
   } catch (error) {
@@ -1134,6 +1262,38 @@ export const updateChallengeWithDiscordThread = async (challengeId, threadId, th
   }
 };
 
+/**
+ * Preview net winnings for a wager before creating a challenge
+ */
+export const previewChallengePayout = async (req, res) => {
+  try {
+    const { game, wager, userId } = req.query;
+
+    if (!game || !wager) {
+      return res.status(400).json({ error: 'Missing required fields: game, wager' });
+    }
+
+    const wagerAmount = money.parseAmount(wager);
+    if (wagerAmount === null || wagerAmount <= 0) {
+      return res.status(400).json({ error: INVALID_WAGER_ERROR });
+    }
+
+    const payoutPreview = await feeService.getPayoutPreview(prisma, {
+      game,
+      wager: wagerAmount,
+      userId: userId ? parseInt(userId) : null
+    });
+
+    res.status(200).send({
+      success: true,
+      payoutPreview: feeService.formatPayoutPreview(payoutPreview)
+    });
+  } catch (error) {
+    console.error('Error previewing challenge payout:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 /**
  * Get challenge by ID
  */
@@ -1183,10 +1343,18 @@ export const getChallengeById = async (req, res) => {
       return res.status(404).json({ error: 'Challenge not found' });
     }
 
+    // What the viewer would take home if they win (referral waivers depend on the viewer)
+    const payoutPreview = await feeService.getPayoutPreview(prisma, {
+      game: challenge.Game,
+      wager: challenge.Wager,
+      userId: req.query.userId ? parseInt(req.query.userId) : null
+    });
+
     res.status(200).send({
       message: 'Challenge fetched successfully',
       success: true,
-      challenge
+      challenge: withDollarWagers(challenge),
+      payoutPreview: feeService.formatPayoutPreview(payoutPreview)
     });
 
   } catch (error) {
@@ -1196,74 +1364,46 @@ export const getChallengeById = async (req, res) => {
 };
 
 /**
- * Cancel a challenge (only challenger can cancel)
+ * Cancel a challenge (only the challenger or an admin - see challengeOwner)
  */
 export const cancelChallenge = async (req, res) => {
   try {
-    const { challengeId } = req.params;
-    const userId = req.user?.id || req.body?.userId; // Get from token or fallback to body
-
-    const challenge = await prisma.Challenges.findUnique({
-      where: { id: parseInt(challengeId) },
-      include: {
-        Challenge_Requests: {
-          where: {
-            Status: { in: ['request', 'pending'] } // Only refund active requests
-          }
-        }
-      }
-    });
-
-    if (!challenge) {
-      return res.status(404).json({ error: 'Challenge not found' });
-    }
-
-    // Verify the user is the challenger
-    if (challenge.ChallengerId !== parseInt(userId)) {
-      return res.status(403).json({ error: 'Only the challenger can cancel this challenge' });
-    }
+    // Loaded (and ownership checked) by the challengeOwner middleware
+    const challenge = req.challenge;
 
     // Allow canceling open or pending challenges
     if (challenge.Status !== 'pending' && challenge.Status !== 'open') {
       return res.status(400).json({ error: 'Challenge cannot be cancelled in its current state' });
     }
 
-    // Refund challenger's wager
-    await prisma.Users.update({
-      where: { id: challenge.ChallengerId },
-      data: { Wallet: { increment: challenge.Wager } }
-    });
+    // Unlock every wager held for this challenge (challenger + any open requests).
+    // The challenge is kept as 'cancelled' rather than deleted so its escrow history survives.
+    // Cancelled first, only from the status it was read in, so an accept that got there first is not undone
+    try {
+      await prisma.$transaction(async (tx) => {
+        await claimStatus(tx.Challenges, { id: challenge.id, Status: challenge.Status }, {
+          Status: 'cancelled',
+          ChallengeRequests: []
+        });
 
-    // If it's an open challenge, refund all pending requests and mark them as cancelled
-    if (challenge.Status === 'open' && challenge.Challenge_Requests && challenge.Challenge_Requests.length > 0) {
-      // Refund each request creator's wager
-      for (const request of challenge.Challenge_Requests) {
-        if (request.Status === 'request' || request.Status === 'pending') {
-          // Refund the request creator's wager
-          await prisma.Users.update({
-            where: { id: request.ChallengerId },
-            data: { Wallet: { increment: request.Wager } }
-          });
+        await escrowService.refundEscrow(tx, { ChallengeId: challenge.id });
 
-          // Mark request as cancelled/declined
-          await prisma.Challenge_Requests.update({
-            where: { id: request.id },
-            data: { Status: 'declined' }
-          });
-        }
+        // Mark active requests as cancelled/declined
+        await tx.Challenge_Requests.updateMany({
+          where: {
+            ChallengeId: challenge.id,
+            Status: { in: ['request', 'pending'] }
+          },
+          data: { Status: 'declined' }
+        });
+      });
+    } catch (error) {
+      if (error.challengeConflict) {
+        return res.status(409).json({ error: error.message });
       }
+      throw error;
     }
 
-    // Delete all associated requests
-    await prisma.Challenge_Requests.deleteMany({
-      where: { ChallengeId: parseInt(challengeId) }
-    });
-
-    // Delete the challenge
-    await prisma.Challenges.delete({
-      where: { id: parseInt(challengeId) }
-    });
-
     res.status(200).send({
       message: 'Challenge cancelled successfully. Wager refunded and all requests cancelled.',
       success: true
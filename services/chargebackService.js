@@ -0,0 +1,222 @@
+import prisma from '../prisma/prisma.js';
+import * as ledgerService from './ledgerService.js';
+import * as feeService from './feeService.js';
+import * as money from './moneyService.js';
+import * as accountHoldService from './accountHoldService.js';
+
+// Card deposit chargebacks. PayNetWorx reports them on the settlement webhook / poll, or staff record one
+// by hand (see paynetworxSettlementService.js); either way the deposit is taken back out of the wallet and
+// a Chargeback is opened, linked to the deposit, together with an account hold. When the wallet could not
+// cover the reversal - the money was already wagered or withdrawn - it goes negative and the uncovered
+// part is recorded as the chargeback's Shortfall.
+// Staff then resolve the chargeback: 'won' when PayNetWorx reverses it in our favour (the deposit is
+// credited back and its fee charged again) or 'lost'. Releasing the hold is a separate decision.
+
+export const CHARGEBACK_STATUSES = ['open', 'won', 'lost'];
+
+const getActorId = (req) => parseInt(req.user?.userId || req.user?.id);
+
+export const formatChargeback = (chargeback) => ({
+  id: chargeback.id,
+  transactionId: chargeback.TransactionId,
+  userId: chargeback.UserId,
+  amount: money.toDollars(chargeback.Amount),
+  shortfall: money.toDollars(chargeback.Shortfall),
+  reasonCode: chargeback.ReasonCode,
+  reason: chargeback.Reason,
+  source: chargeback.Source,
+  status: chargeback.Status,
+  resolutionNote: chargeback.ResolutionNote,
+  resolvedBy: chargeback.ResolvedById,
+  resolvedAt: chargeback.ResolvedAt,
+  createdAt: chargeback.CreatedAt
+});
+
+/**
+ * Record a chargeback once the deposit has been taken back out of the wallet, and put the account on hold.
+ * Must be called inside the transaction that reversed the deposit.
+ * @param {object} tx - Interactive transaction client
+ * @param {{ trx: object, amount: number, walletBefore: number, reasonCode?: string, reason?: string, source: string }} chargeback
+ *   amount is what was debited (cents); walletBefore is Users.Wallet before the reversal
+ * @returns {Promise<object>} The Chargeback
+ */
+export const openChargeback = async (tx, { trx, amount, walletBefore, reasonCode = null, reason = null, source }) => {
+  const user = await tx.Users.findUnique({ where: { id: trx.UserId }, select: { Wallet: true } });
+  // Only the part of the reversal that took the wallet (further) below zero is uncovered
+  const shortfall = Math.max(0, -user.Wallet) - Math.max(0, -walletBefore);
+
+  const chargeback = await tx.Chargeback.create({
+    data: {
+      TransactionId: trx.id,
+      UserId: trx.UserId,
+      Amount: amount,
+      Shortfall: shortfall,
+      ReasonCode: reasonCode,
+      Reason: reason,
+      Source: source
+    }
+  });
+
+  await accountHoldService.placeHold(tx, {
+    userId: trx.UserId,
+    reason: 'chargeback',
+    chargebackId: chargeback.id,
+    note: `Chargeback on deposit #${trx.id}${reasonCode ? ` (${reasonCode})` : ''}`
+  });
+
+  return chargeback;
+};
+
+// GET /api/admin/chargebacks - chargebacks, open ones by default
+export const listChargebacks = async (req, res) => {
+  try {
+    const { status = 'open', userId, page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    if (pageNum < 1 || limitNum < 1 || limitNum > 200) {
+      return res.status(400).send({ error: 'Invalid pagination parameters' });
+    }
+    if (status !== 'all' && !CHARGEBACK_STATUSES.includes(status)) {
+      return res.status(400).send({ error: 'Invalid status', validStatuses: [...CHARGEBACK_STATUSES, 'all'] });
+    }
+
+    const where = {
+      ...(status === 'all' ? {} : { Status: status }),
+      ...(userId ? { UserId: parseInt(userId) } : {})
+    };
+
+    const [chargebacks, totalCount] = await Promise.all([
+      prisma.Chargeback.findMany({
+        where,
+        include: {
+          Users: { select: { id: true, Username: true, Email: true, Wallet: true } },
+          Transaction: { select: { id: true, Amount: true, Fee: true, PaynetworxPaymentId: true, created_at: true } }
+        },
+        orderBy: { CreatedAt: 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum
+      }),
+      prisma.Chargeback.count({ where })
+    ]);
+
+    res.status(200).send({
+      chargebacks: chargebacks.map(c => ({
+        ...formatChargeback(c),
+        user: { id: c.Users.id, username: c.Users.Username, email: c.Users.Email, balance: money.toDollars(c.Users.Wallet) },
+        deposit: {
+          id: c.Transaction.id,
+          amount: money.toDollars(c.Transaction.Amount),
+          fee: money.toDollars(c.Transaction.Fee),
+          paynetworxTransactionId: c.Transaction.PaynetworxPaymentId,
+          created_at: c.Transaction.created_at.toISOString()
+        }
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        totalCount,
+        limit: limitNum
+      }
+    });
+  } catch (err) {
+    console.error('Error listing chargebacks:', err);
+    res.status(500).send({ error: 'Failed to list chargebacks' });
+  }
+};
+
+// POST /api/admin/chargebacks/:chargebackId/resolve - close a chargeback as won or lost
+export const resolveChargeback = async (req, res) => {
+  try {
+    const actorId = getActorId(req);
+    const chargebackId = parseInt(req.params.chargebackId);
+    const { outcome, note, releaseHold = false } = req.body;
+
+    if (isNaN(chargebackId)) {
+      return res.status(400).send({ error: 'Valid chargebackId is required' });
+    }
+    if (!['won', 'lost'].includes(outcome)) {
+      return res.status(400).send({ error: 'Invalid outcome', validOutcomes: ['won', 'lost'] });
+    }
+    if (!note || !String(note).trim()) {
+      return res.status(400).send({ error: 'A note explaining the resolution is required' });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const chargeback = await tx.Chargeback.findUnique({ where: { id: chargebackId }, include: { Transaction: true } });
+      if (!chargeback) return { error: 'Chargeback not found', status: 404 };
+
+      const updated = await tx.Chargeback.updateMany({
+        where: { id: chargebackId, Status: 'open' },
+        data: { Status: outcome, ResolutionNote: String(note).trim(), ResolvedById: actorId, ResolvedAt: new Date() }
+      });
+      if (updated.count === 0) {
+        return { error: `Chargeback has already been resolved (status: ${chargeback.Status})`, status: 409 };
+      }
+
+      const deposit = chargeback.Transaction;
+      if (outcome === 'won') {
+        // The money is back with us: credit what the chargeback took and charge the deposit fee again
+        await ledgerService.creditWallet(tx, {
+          userId: chargeback.UserId,
+          amount: chargeback.Amount,
+          account: ledgerService.ACCOUNTS.PAYNETWORX,
+          reason: 'chargeback_reversal',
+          referenceType: 'transaction',
+          referenceId: deposit.id,
+          transactionId: deposit.id,
+          description: `Chargeback #${chargeback.id} won: ${String(note).trim()}`
+        });
+        await feeService.recordFee(tx, {
+          userId: chargeback.UserId,
+          fee: deposit.Fee,
+          type: 'deposit',
+          referenceType: 'transaction',
+          referenceId: deposit.id,
+          description: `Deposit #${deposit.id} fee (chargeback reversed)`
+        });
+        await tx.Transaction.update({
+          where: { id: deposit.id },
+          data: { Status: 'completed', SettlementStatus: 'settled' }
+        });
+      }
+
+      if (releaseHold) {
+        await tx.AccountHold.updateMany({
+          where: { ChargebackId: chargebackId, ReleasedAt: null },
+          data: { ReleasedAt: new Date(), ReleasedById: actorId, ReleaseNote: `Chargeback ${outcome}: ${String(note).trim()}` }
+        });
+      }
+
+      return { chargeback: await tx.Chargeback.findUnique({ where: { id: chargebackId } }) };
+    });
+
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).send(body);
+    }
+
+    const { chargeback } = result;
+    const [holds, user] = await Promise.all([
+      accountHoldService.getActiveHolds(chargeback.UserId),
+      prisma.Users.findUnique({ where: { id: chargeback.UserId }, select: { Wallet: true } })
+    ]);
+
+    res.locals.auditDetails = {
+      transactionId: chargeback.TransactionId,
+      outcome,
+      amount: money.toDollars(chargeback.Amount),
+      holdReleased: Boolean(releaseHold)
+    };
+
+    res.status(200).send({
+      success: true,
+      chargeback: formatChargeback(chargeback),
+      accountOnHold: holds.length > 0,
+      balance: money.toDollars(user.Wallet)
+    });
+  } catch (err) {
+    console.error('Error resolving chargeback:', err);
+    res.status(500).send({ error: 'Failed to resolve chargeback' });
+  }
+};
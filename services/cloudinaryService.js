@@ -74,6 +74,91 @@ export const uploadAvatar = async (file, userId) => {
   }
 };
 
+// Upload dispute evidence screenshot to Cloudinary
+export const uploadDisputeEvidence = async (file, disputeId, userId) => {
+  try {
+    const validation = validateImageFile(file);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    // Keep evidence at full resolution - admins need to read scoreboards
+    const uploadResult = await cloudinary.uploader.upload(file.path, {
+      folder: 'dispute-evidence',
+      public_id: `dispute_${disputeId}_user_${userId}_${Date.now()}`,
+      overwrite: false,
+      resource_type: 'image',
+    });
+
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+
+    return {
+      success: true,
+      url: uploadResult.secure_url,
+      publicId: uploadResult.public_id,
+    };
+  } catch (error) {
+    if (file && file.path && fs.existsSync(file.path)) {
+      try {
+        fs.unlinkSync(file.path);
+      } catch (unlinkError) {
+        console.error('Error deleting temporary file:', unlinkError);
+      }
+    }
+
+    throw error;
+  }
+};
+
+// Upload an identity document for KYC review
+// Stored as a private asset: it is only reachable through a signed URL (see getKycDocumentUrl)
+export const uploadKycDocument = async (file, userId, documentType) => {
+  try {
+    const validation = validateImageFile(file);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const uploadResult = await cloudinary.uploader.upload(file.path, {
+      folder: 'kyc-documents',
+      public_id: `kyc_user_${userId}_${documentType}_${Date.now()}`,
+      overwrite: false,
+      resource_type: 'image',
+      type: 'private',
+    });
+
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+
+    return {
+      success: true,
+      publicId: uploadResult.public_id,
+      format: uploadResult.format,
+    };
+  } catch (error) {
+    if (file && file.path && fs.existsSync(file.path)) {
+      try {
+        fs.unlinkSync(file.path);
+      } catch (unlinkError) {
+        console.error('Error deleting temporary file:', unlinkError);
+      }
+    }
+
+    throw error;
+  }
+};
+
+// Short-lived signed URL for a private KYC document
+export const getKycDocumentUrl = (publicId, format, expiresInSeconds = 600) =>
+  cloudinary.utils.private_download_url(publicId, format, {
+    resource_type: 'image',
+    type: 'private',
+    expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+  });
+
 // Delete avatar from Cloudinary
 export const deleteAvatar = async (cloudinaryUrl) => {
   try {
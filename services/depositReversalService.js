@@ -0,0 +1,284 @@
+import prisma from '../prisma/prisma.js';
+import * as escrowService from './escrowService.js';
+import * as ledgerService from './ledgerService.js';
+import * as feeService from './feeService.js';
+import * as money from './moneyService.js';
+import * as paynetworxService from './paynetworxService.js';
+
+// Staff voids and refunds of PayNetWorx card deposits.
+// - void: a deposit made today that has not settled yet, always in full
+// - refund: a settled deposit, in full or in parts up to the amount deposited
+// Each one is a 'void' / 'refund' Transaction linked to the deposit by ReversalOfId. The wallet is debited
+// before PayNetWorx is called - refused when the user's available balance (wallet minus wagers locked in
+// escrow) cannot cover it - and credited back if PayNetWorx declines. A full reversal refunds the deposit
+// fee in the same step (charged again on a decline) and marks the deposit 'voided' / 'refunded'.
+// When PayNetWorx does not answer the reversal stays 'pending' and debited: it may have gone through, so
+// it is left for reconciliation against the settlement file rather than credited back.
+
+const ACTIVE_REVERSAL_STATUSES = ['pending', 'completed'];
+
+const getActorId = (req) => parseInt(req.user?.userId || req.user?.id);
+
+const isCardDeposit = (trx) =>
+  trx.Type === 'deposit' && trx.Provider === 'paynetworx' && !trx.BankAccountId && Boolean(trx.PaynetworxPaymentId);
+
+const isSameUtcDay = (a, b) => a.toISOString().slice(0, 10) === b.toISOString().slice(0, 10);
+
+/**
+ * How much of a deposit has been voided or refunded so far (including reversals still in flight)
+ * @param {object} client - Prisma client or interactive transaction client
+ * @param {number} transactionId - The deposit
+ * @returns {Promise<number>} cents
+ */
+export const getReversedAmount = async (client, transactionId) => {
+  const reversed = await client.Transaction.aggregate({
+    where: { ReversalOfId: transactionId, Status: { in: ACTIVE_REVERSAL_STATUSES } },
+    _sum: { Amount: true }
+  });
+  return reversed._sum.Amount || 0;
+};
+
+// Why a deposit cannot be reversed this way, or null
+const checkReversible = (kind, trx, now = new Date()) => {
+  if (!isCardDeposit(trx)) {
+    return 'Only PayNetWorx card deposits can be voided or refunded';
+  }
+  if (trx.Status !== 'completed') {
+    return `Deposit cannot be reversed (status: ${trx.Status})`;
+  }
+  if (kind === 'void' && (trx.SettlementStatus !== 'pending' || !isSameUtcDay(trx.created_at, now))) {
+    return 'Only unsettled deposits made today can be voided - refund it once it has settled';
+  }
+  if (kind === 'refund' && trx.SettlementStatus !== 'settled') {
+    return 'Deposit has not settled yet - void it instead if it was made today';
+  }
+  return null;
+};
+
+// Give back a reversal PayNetWorx declined, charging the deposit fee again if it was refunded with it
+const cancelReversal = async (reversal, refundedFee, description) => {
+  await prisma.$transaction(async (tx) => {
+    await feeService.recordFee(tx, {
+      userId: reversal.UserId,
+      fee: refundedFee,
+      type: 'deposit',
+      referenceType: 'transaction',
+      referenceId: reversal.ReversalOfId,
+      description: `Deposit #${reversal.ReversalOfId} fee charged again (${reversal.Type} declined)`
+    });
+    await ledgerService.creditWallet(tx, {
+      userId: reversal.UserId,
+      amount: reversal.Amount,
+      account: ledgerService.ACCOUNTS.PAYNETWORX,
+      reason: `deposit_${reversal.Type}_reversal`,
+      referenceType: 'transaction',
+      referenceId: reversal.ReversalOfId,
+      transactionId: reversal.id,
+      description
+    });
+    await tx.Transaction.update({
+      where: { id: reversal.id },
+      data: { Status: 'failed' }
+    });
+  });
+};
+
+const reverseDeposit = (kind) => async (req, res) => {
+  let reversal = null;
+
+  try {
+    const actorId = getActorId(req);
+    const transactionId = parseInt(req.params.transactionId);
+    const { amount, reason } = req.body;
+
+    if (isNaN(transactionId)) {
+      return res.status(400).send({ error: 'Valid transactionId is required' });
+    }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).send({ error: 'A reason is required' });
+    }
+
+    const deposit = await prisma.Transaction.findUnique({ where: { id: transactionId } });
+    if (!deposit) {
+      return res.status(404).send({ error: 'Transaction not found' });
+    }
+
+    const notReversible = checkReversible(kind, deposit);
+    if (notReversible) {
+      return res.status(400).send({ error: notReversible });
+    }
+
+    let requested = null;
+    if (amount !== undefined && amount !== null) {
+      if (kind === 'void') {
+        return res.status(400).send({ error: 'A void always releases the full amount - omit amount' });
+      }
+      requested = money.parseAmount(amount);
+      if (requested === null || requested <= 0) {
+        return res.status(400).send({ error: 'Amount must be positive with at most two decimal places' });
+      }
+    }
+
+    const description = `${kind === 'void' ? 'Void' : 'Refund'} of deposit #${deposit.id}: ${String(reason).trim()}`;
+
+    // Book the reversal and take it out of the wallet before any money moves at PayNetWorx
+    const booked = await prisma.$transaction(async (tx) => {
+      const current = await tx.Transaction.findUnique({ where: { id: deposit.id } });
+      const stillNotReversible = checkReversible(kind, current);
+      if (stillNotReversible) return { error: stillNotReversible, status: 409 };
+
+      const alreadyReversed = await getReversedAmount(tx, deposit.id);
+      const remaining = current.Amount - alreadyReversed;
+      if (kind === 'void' && alreadyReversed > 0) {
+        return { error: 'Deposit has already been partly refunded and cannot be voided', status: 409 };
+      }
+      if (remaining <= 0) {
+        return { error: 'Deposit has already been reversed in full', status: 409 };
+      }
+
+      const reversalAmount = requested || remaining;
+      if (reversalAmount > remaining) {
+        return { error: 'Amount exceeds what is left of the deposit', status: 400, refundable: money.toDollars(remaining) };
+      }
+
+      // A full reversal also gives the deposit fee back, as its own journal ahead of the debit,
+      // so the wallet only loses what it was credited
+      const fullyReversed = reversalAmount === remaining;
+      const refundedFee = fullyReversed ? current.Fee : 0;
+      await feeService.reverseFee(tx, {
+        userId: current.UserId,
+        fee: refundedFee,
+        type: 'deposit',
+        referenceType: 'transaction',
+        referenceId: current.id,
+        description: `Deposit #${current.id} fee refunded (${kind})`
+      });
+
+      // Thrown rather than returned so the fee refund above is rolled back
+      const availableBalance = await escrowService.lockAvailableBalance(tx, current.UserId);
+      if (reversalAmount > availableBalance) {
+        throw Object.assign(new Error('Insufficient available balance'), {
+          refused: {
+            error: `Cannot ${kind} - the user's available balance does not cover it (funds may be locked in wagers)`,
+            status: 409,
+            availableBalance: money.toDollars(availableBalance - refundedFee),
+            lockedBalance: money.toDollars(await escrowService.getLockedBalance(current.UserId, tx)),
+            required: money.toDollars(reversalAmount - refundedFee)
+          }
+        });
+      }
+
+      const created = await tx.Transaction.create({
+        data: {
+          UserId: current.UserId,
+          Type: kind,
+          Amount: reversalAmount,
+          Currency: current.Currency,
+          Description: description,
+          Status: 'pending',
+          Provider: 'paynetworx',
+          PaymentMethodId: current.PaymentMethodId,
+          ReversalOfId: current.id
+        }
+      });
+
+      await ledgerService.debitWallet(tx, {
+        userId: current.UserId,
+        amount: reversalAmount,
+        account: ledgerService.ACCOUNTS.PAYNETWORX,
+        reason: `deposit_${kind}`,
+        referenceType: 'transaction',
+        referenceId: current.id,
+        transactionId: created.id,
+        description
+      });
+
+      return { reversal: created, fullyReversed, refundedFee, remaining: remaining - reversalAmount };
+    });
+
+    if (booked.error) {
+      const { status, ...body } = booked;
+      return res.status(status).send(body);
+    }
+    reversal = booked.reversal;
+
+    const pnx = kind === 'void'
+      ? await paynetworxService.voidPaynetworxTransaction(deposit.PaynetworxPaymentId, req.idempotencyKey)
+      : await paynetworxService.refundPaynetworxTransaction(deposit.PaynetworxPaymentId, reversal.Amount, reversal.Currency, req.idempotencyKey);
+
+    const approved = pnx.Approved === true || Boolean(pnx.PaymentResponse?.Response?.Approved);
+    if (!approved) {
+      await cancelReversal(reversal, booked.refundedFee, pnx.ResponseText || `${kind} not approved`);
+      reversal = null;
+      return res.status(400).send({
+        error: `${kind === 'void' ? 'Void' : 'Refund'} was not approved`,
+        message: pnx.ResponseText || 'PayNetWorx declined the request'
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.Transaction.update({
+        where: { id: reversal.id },
+        data: { Status: 'completed', PaynetworxPaymentId: pnx.TransactionID || null }
+      });
+
+      if (booked.fullyReversed) {
+        await tx.Transaction.update({
+          where: { id: deposit.id },
+          data: { Status: kind === 'void' ? 'voided' : 'refunded' }
+        });
+      }
+    });
+
+    res.locals.auditDetails = {
+      reversalTransactionId: reversal.id,
+      amount: money.toDollars(reversal.Amount),
+      fullyReversed: booked.fullyReversed,
+      paynetworxTransactionId: pnx.TransactionID || null
+    };
+
+    res.status(200).send({
+      success: true,
+      message: kind === 'void' ? 'Deposit voided' : 'Deposit refunded',
+      originalTransactionId: deposit.id,
+      reversal: {
+        id: reversal.id,
+        type: reversal.Type,
+        amount: money.toDollars(reversal.Amount),
+        status: 'completed',
+        paynetworxTransactionId: pnx.TransactionID || null,
+        reversedBy: actorId
+      },
+      fullyReversed: booked.fullyReversed,
+      remainingRefundable: money.toDollars(booked.remaining)
+    });
+  } catch (err) {
+    if (err.refused) {
+      const { status, ...body } = err.refused;
+      return res.status(status).send(body);
+    }
+
+    console.error(`Error processing deposit ${kind}:`, err);
+
+    // No clear answer from PayNetWorx - the reversal may have gone through, so it stays pending (and debited)
+    // for reconciliation instead of being credited back
+    if (reversal) {
+      console.error(`Deposit ${kind} #${reversal.id} left pending for reconciliation`);
+      return res.status(502).send({
+        error: `PayNetWorx ${kind} outcome unknown - left pending for reconciliation`,
+        reversalTransactionId: reversal.id,
+        ...(err.response && { details: err.response.data })
+      });
+    }
+    if (err.response) {
+      return res.status(502).send({ error: `PayNetWorx ${kind} failed`, details: err.response.data });
+    }
+    res.status(500).send({ error: `Failed to ${kind} deposit` });
+  }
+};
+
+// POST /api/admin/transactions/:transactionId/void - void an unsettled same-day card deposit
+export const voidDeposit = reverseDeposit('void');
+
+// POST /api/admin/transactions/:transactionId/refund - refund all or part of a settled card deposit
+export const refundDeposit = reverseDeposit('refund');
@@ -1,7 +1,8 @@
 import prisma from '../prisma/prisma.js';
 import jwt from 'jsonwebtoken';
 import * as emailService from './emailService.js';
-import { SimpleRankingService } from './simpleRankingService.js';
+import * as challengeResultService from './challengeResultService.js';
+import * as money from './moneyService.js';
 
 // Discord API configuration
 const DISCORD_API_BASE = 'https://discord.com/api/v10';
@@ -488,11 +489,18 @@ const createDiscordServerInviteAndDM = async (guildId, userId, username) => {
 
 /**
  * Handle Discord bot verification of challenge completion
- * Creates match history and updates challenge status
+ * Records one participant's result report (reporterDiscordId) - see challengeResultService
+ * Requests must be signed by the bot (middleware/botAuth.js)
  */
 export const handleDiscordVerification = async (req, res) => {
   try {
-    const { game, winnerDiscordId, loserDiscordId, discordThreadId } = req.body;
+    const { game, winnerDiscordId, loserDiscordId, discordThreadId, reporterDiscordId } = req.body;
+
+    if (!reporterDiscordId) {
+      return res.status(400).send({
+        message: 'reporterDiscordId is required - each player reports the result separately'
+      });
+    }
 
     console.log('game', game);
     console.log('winnerDiscordId', winnerDiscordId);
@@ -548,64 +556,43 @@ export const handleDiscordVerification = async (req, res) => {
       });
     }
 
-    // Create match history record
-    const matchHistory = await prisma.Match_History.create({
-      data: {
-        Game: gameRecord.id,
-        P1: winner.id, // WinnerID
-        P2: loser.id, // LoserID
-        Status: 2, // Completed
-        Result: true, // To be deleted, default true
-        BetAmount: challenge.Wager || null
-      }
-    });
+    if (!gameRecord) {
+      return res.status(404).send({
+        message: `Game not found: ${game}`
+      });
+    }
 
-    // Update challenge status to completed
-    await prisma.Challenges.update({
-      where: { id: challenge.id },
-      data: { Status: 'completed' }
+    const reporter = await prisma.Users.findUnique({
+      where: { Discord: reporterDiscordId },
+      select: { id: true }
     });
 
-    // Award the pot (wager * 2) to the winner
-    // Both players already lost their wager when the challenge was accepted
-    await prisma.Users.update({
-      where: { id: winner.id },
-      data: { Wallet: { increment: challenge.Wager*2 } }
-    });
+    if (!reporter) {
+      return res.status(404).send({ message: 'Reporter not found by Discord ID' });
+    }
 
-    // Update Earnings field for lifetime tracking
-    await prisma.Users.update({
-      where: { id: winner.id },
-      data: { Earnings: { increment: challenge.Wager } }
+    const outcome = await challengeResultService.submitResultReport({
+      challengeId: challenge.id,
+      reporterId: reporter.id,
+      winnerId: winner.id,
+      source: 'discord',
+      gameId: gameRecord.id
     });
 
-    // Recalculate ranks for both players
-    try {
-      const rankingService = new SimpleRankingService();
-      await rankingService.updateUserRank(winner.id);
-      await rankingService.updateUserRank(loser.id);
-    } catch (rankError) {
-      console.error('Error updating ranks after match:', rankError);
-      // Don't fail the request if rank update fails
-    }
-
     res.status(200).send({
-      success: true,
-      message: 'Match history created and challenge completed',
-      matchHistory: {
-        id: matchHistory.id,
+      ...challengeResultService.formatReportOutcome(outcome),
+      result: {
         game: gameRecord.Game,
         winner: winner.Username,
         loser: loser.Username,
-        betAmount: challenge.Wager
-      },
-      challenge: {
-        id: challenge.id,
-        status: 'completed'
+        betAmount: money.toDollars(challenge.Wager)
       }
     });
 
   } catch (error) {
+    if (error.reportError) {
+      return res.status(error.status).send({ message: error.message });
+    }
     console.error('Error handling Discord verification:', error);
     res.status(500).send({ 
       message: 'Failed to handle Discord verification',
@@ -0,0 +1,558 @@
+import prisma from '../prisma/prisma.js';
+import cron from 'node-cron';
+import * as escrowService from './escrowService.js';
+import * as cloudinaryService from './cloudinaryService.js';
+import * as feeService from './feeService.js';
+import * as taxService from './taxService.js';
+import * as money from './moneyService.js';
+import { SimpleRankingService } from './simpleRankingService.js';
+
+// Results reported by the Discord bot are held for this long before payout so either player can contest them
+const DISPUTE_WINDOW_MINUTES = Number(process.env.DISPUTE_WINDOW_MINUTES || 60);
+
+const RESOLUTIONS = ['finalize', 'reverse', 'split'];
+
+/**
+ * When the dispute window for a result reported now closes
+ * @param {Date} from
+ * @returns {Date}
+ */
+export const getDisputeWindowEnd = (from = new Date()) =>
+  new Date(from.getTime() + DISPUTE_WINDOW_MINUTES * 60 * 1000);
+
+// Flag (or clear) the dispute on the challenge's Discord thread
+export const setThreadDispute = async (tx, threadId, dispute) => {
+  if (!threadId) return;
+  await tx.Discord_Threads.updateMany({
+    where: { ThreadId: threadId },
+    data: { Dispute: dispute }
+  });
+};
+
+const isParticipant = (challenge, userId) =>
+  challenge.ChallengerId === userId || challenge.ChallengedId === userId;
+
+const disputeConflictError = () =>
+  Object.assign(new Error('Dispute was resolved in the meantime'), { disputeConflict: true });
+
+// Close an open dispute inside the transaction that pays it out, so the payout and the resolution
+// commit together; throws (rolling the payout back) if it was resolved concurrently
+const closeDispute = async (tx, { id, resolution, resolvedById, note }) => {
+  const updated = await tx.ChallengeDispute.updateMany({
+    where: { id, Status: 'open' },
+    data: {
+      Status: 'resolved',
+      Resolution: resolution,
+      ResolvedById: resolvedById,
+      ResolutionNote: note || null,
+      ResolvedAt: new Date()
+    }
+  });
+  if (updated.count === 0) throw disputeConflictError();
+};
+
+/**
+ * Pay out a reported or disputed challenge: record match history, settle escrow, take the platform rake
+ * and update earnings.
+ * @param {number} challengeId
+ * @param {number} winnerId
+ * @param {{ dispute?: { id: number, resolution: string, resolvedById: number, note?: string } }} options
+ *   dispute: resolve this dispute in the same transaction
+ * @returns {Promise<{ matchHistory: object, winnerId: number, loserId: number, amount: number, fee: number }|null>}
+ *   null if the challenge is no longer awaiting payout
+ */
+export const settleChallenge = async (challengeId, winnerId, { dispute = null } = {}) => {
+  const result = await prisma.$transaction(async (tx) => {
+    const challenge = await tx.Challenges.findUnique({ where: { id: challengeId } });
+    if (!challenge || !['reported', 'disputed'].includes(challenge.Status)) return null;
+    if (!isParticipant(challenge, winnerId)) {
+      throw new Error(`User ${winnerId} is not a participant in challenge ${challengeId}`);
+    }
+
+    const loserId = winnerId === challenge.ChallengerId ? challenge.ChallengedId : challenge.ChallengerId;
+
+    // Guard on the status we read so a concurrent finalize/resolve cannot pay out twice
+    const updated = await tx.Challenges.updateMany({
+      where: { id: challengeId, Status: challenge.Status },
+      data: {
+        Status: 'completed',
+        WinnerId: winnerId,
+        CompletedAt: new Date()
+      }
+    });
+    if (updated.count === 0) return null;
+
+    // Work out the rake before this match is recorded so referral waivers count prior matches only
+    const preview = await feeService.getPayoutPreview(tx, {
+      game: challenge.Game,
+      wager: challenge.Wager,
+      userId: winnerId
+    });
+
+    const matchHistory = await tx.Match_History.create({
+      data: {
+        Game: challenge.ReportedGameId,
+        P1: winnerId, // WinnerID
+        P2: loserId, // LoserID
+        Status: 2, // Completed
+        Result: true, // To be deleted, default true
+        BetAmount: challenge.Wager || null
+      }
+    });
+
+    // Release both escrow locks - the loser's locked stake moves to the winner
+    const { amount } = await escrowService.settleEscrow(tx, { challengeId, winnerId, loserId });
+
+    // The rake is capped at what the winner actually won
+    const fee = Math.min(preview.fee, amount);
+    await feeService.recordFee(tx, {
+      userId: winnerId,
+      fee,
+      type: 'payout',
+      referenceType: 'challenge',
+      referenceId: challengeId,
+      description: `Challenge #${challengeId} platform fee`
+    });
+
+    // Update Earnings field for lifetime tracking
+    await tx.Users.update({
+      where: { id: winnerId },
+      data: { Earnings: { increment: amount - fee } }
+    });
+
+    // Withhold the winner's withdrawals once they pass the reporting threshold without a W-9
+    await taxService.flagIfReportable(tx, winnerId);
+
+    await setThreadDispute(tx, challenge.DiscordThreadId, false);
+    if (dispute) await closeDispute(tx, dispute);
+
+    return { matchHistory, winnerId, loserId, amount, fee };
+  });
+
+  if (result) {
+    // Recalculate ranks for both players
+    try {
+      const rankingService = new SimpleRankingService();
+      await rankingService.updateUserRank(result.winnerId);
+      await rankingService.updateUserRank(result.loserId);
+    } catch (rankError) {
+      console.error('Error updating ranks after match:', rankError);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Split the pot of a disputed challenge: each player gets their own wager back, nobody wins.
+ * @param {number} challengeId
+ * @param {{ dispute?: { id: number, resolution: string, resolvedById: number, note?: string } }} options
+ *   dispute: resolve this dispute in the same transaction
+ * @returns {Promise<object[]|null>} Refunded escrow records, or null if the challenge is not disputed
+ */
+export const splitChallenge = async (challengeId, { dispute = null } = {}) => {
+  return await prisma.$transaction(async (tx) => {
+    const challenge = await tx.Challenges.findUnique({ where: { id: challengeId } });
+    if (!challenge) return null;
+
+    const updated = await tx.Challenges.updateMany({
+      where: { id: challengeId, Status: 'disputed' },
+      data: {
+        Status: 'completed',
+        WinnerId: null,
+        CompletedAt: new Date()
+      }
+    });
+    if (updated.count === 0) return null;
+
+    await setThreadDispute(tx, challenge.DiscordThreadId, false);
+    if (dispute) await closeDispute(tx, dispute);
+
+    return await escrowService.refundEscrow(tx, { ChallengeId: challengeId });
+  });
+};
+
+/**
+ * Pay out every reported result whose dispute window has closed without a dispute
+ * @returns {Promise<{ finalized: number, errors: object[] }>}
+ */
+export const finalizeReportedResults = async () => {
+  const errors = [];
+  let finalized = 0;
+
+  try {
+    const due = await prisma.Challenges.findMany({
+      where: {
+        Status: 'reported',
+        DisputeWindowEndsAt: { lte: new Date() }
+      },
+      select: { id: true, ReportedWinnerId: true },
+      orderBy: { DisputeWindowEndsAt: 'asc' }
+    });
+
+    for (const challenge of due) {
+      try {
+        const result = await settleChallenge(challenge.id, challenge.ReportedWinnerId);
+        if (result) finalized++;
+      } catch (error) {
+        console.error(`[ResultFinalizer] Error finalizing challenge ${challenge.id}:`, error);
+        errors.push({ challengeId: challenge.id, error: error.message });
+      }
+    }
+
+    if (finalized > 0 || errors.length > 0) {
+      console.log(`[ResultFinalizer] Completed: ${finalized} results finalized, ${errors.length} errors`);
+    }
+    return { finalized, errors };
+  } catch (error) {
+    console.error('[ResultFinalizer] Fatal error:', error);
+    return { finalized, errors: [...errors, { error: error.message }] };
+  }
+};
+
+/**
+ * Start the result finalizer cron job
+ * Runs every minute to pay out results whose dispute window has closed
+ */
+export const startResultFinalizer = () => {
+  cron.schedule('* * * * *', async () => {
+    await finalizeReportedResults();
+  });
+
+  console.log('[ResultFinalizer] Starting result finalizer...');
+  finalizeReportedResults().catch(error => {
+    console.error('[ResultFinalizer] Error in initial run:', error);
+  });
+
+  console.log(`[ResultFinalizer] Result finalizer started (dispute window ${DISPUTE_WINDOW_MINUTES} minutes)`);
+};
+
+/**
+ * Move a reported challenge to 'disputed' and record the dispute, holding the payout.
+ * Must be called inside prisma.$transaction.
+ * @param {object} tx - Interactive transaction client
+ * @param {object} challenge - Challenge row
+ * @param {number} raisedById - User contesting the result
+ * @param {string} reason
+ * @returns {Promise<object|null>} The dispute, or null if the challenge was no longer 'reported'
+ */
+export const createDispute = async (tx, challenge, raisedById, reason) => {
+  const updated = await tx.Challenges.updateMany({
+    where: { id: challenge.id, Status: 'reported' },
+    data: { Status: 'disputed' }
+  });
+  if (updated.count === 0) return null;
+
+  await setThreadDispute(tx, challenge.DiscordThreadId, true);
+
+  return await tx.ChallengeDispute.create({
+    data: {
+      ChallengeId: challenge.id,
+      RaisedById: raisedById,
+      Reason: reason
+    },
+    include: { DisputeEvidence: true }
+  });
+};
+
+export const formatDispute = (dispute) => ({
+  id: dispute.id,
+  challengeId: dispute.ChallengeId,
+  raisedBy: dispute.RaisedById,
+  reason: dispute.Reason,
+  status: dispute.Status,
+  resolution: dispute.Resolution,
+  resolvedBy: dispute.ResolvedById,
+  resolutionNote: dispute.ResolutionNote,
+  createdAt: dispute.CreatedAt,
+  resolvedAt: dispute.ResolvedAt,
+  evidence: (dispute.DisputeEvidence || []).map(e => ({
+    id: e.id,
+    userId: e.UserId,
+    type: e.Type,
+    url: e.Url,
+    note: e.Note,
+    createdAt: e.CreatedAt
+  }))
+});
+
+/**
+ * Contest a reported result (participants only, within the dispute window)
+ */
+export const openDispute = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    const { challengeId } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: 'A reason is required to dispute a result' });
+    }
+
+    const challenge = await prisma.Challenges.findUnique({
+      where: { id: parseInt(challengeId) }
+    });
+
+    if (!challenge) {
+      return res.status(404).json({ error: 'Challenge not found' });
+    }
+
+    if (!isParticipant(challenge, userId)) {
+      return res.status(403).json({ error: 'Only challenge participants can dispute a result' });
+    }
+
+    if (challenge.Status !== 'reported') {
+      return res.status(400).json({ error: `Challenge result cannot be disputed (status: ${challenge.Status})` });
+    }
+
+    if (!challenge.DisputeWindowEndsAt || new Date() > challenge.DisputeWindowEndsAt) {
+      return res.status(400).json({ error: 'Dispute window has closed' });
+    }
+
+    // Payout stays held while the challenge is disputed
+    const dispute = await prisma.$transaction(async (tx) =>
+      createDispute(tx, challenge, userId, String(reason).trim())
+    );
+
+    if (!dispute) {
+      return res.status(409).json({ error: 'Challenge result was finalized or disputed in the meantime' });
+    }
+
+    res.status(201).send({
+      message: 'Dispute opened. Payout is on hold until an admin resolves it.',
+      success: true,
+      dispute: formatDispute(dispute)
+    });
+  } catch (error) {
+    console.error('Error opening dispute:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get the disputes raised on a challenge (participants only)
+ */
+export const getChallengeDisputes = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    const { challengeId } = req.params;
+
+    const challenge = await prisma.Challenges.findUnique({
+      where: { id: parseInt(challengeId) },
+      include: {
+        ChallengeDispute: {
+          include: { DisputeEvidence: true },
+          orderBy: { CreatedAt: 'desc' }
+        }
+      }
+    });
+
+    if (!challenge) {
+      return res.status(404).json({ error: 'Challenge not found' });
+    }
+
+    if (!isParticipant(challenge, userId)) {
+      return res.status(403).json({ error: 'Not authorized to view disputes for this challenge' });
+    }
+
+    res.status(200).send({
+      challengeId: challenge.id,
+      status: challenge.Status,
+      reportedWinnerId: challenge.ReportedWinnerId,
+      disputeWindowEndsAt: challenge.DisputeWindowEndsAt,
+      disputes: challenge.ChallengeDispute.map(formatDispute)
+    });
+  } catch (error) {
+    console.error('Error getting challenge disputes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Attach evidence to an open dispute - an uploaded screenshot (multipart field 'evidence') or a link
+ */
+export const addDisputeEvidence = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    const { disputeId } = req.params;
+    const { url, note } = req.body || {};
+
+    const dispute = await prisma.ChallengeDispute.findUnique({
+      where: { id: parseInt(disputeId) },
+      include: { Challenges: true }
+    });
+
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    if (!isParticipant(dispute.Challenges, userId)) {
+      return res.status(403).json({ error: 'Only challenge participants can add evidence' });
+    }
+
+    if (dispute.Status !== 'open') {
+      return res.status(400).json({ error: 'Dispute is already resolved' });
+    }
+
+    let evidence;
+    if (req.file) {
+      const uploadResult = await cloudinaryService.uploadDisputeEvidence(req.file, dispute.id, userId);
+      evidence = { Type: 'image', Url: uploadResult.url };
+    } else if (url) {
+      if (!/^https?:\/\/\S+$/i.test(url)) {
+        return res.status(400).json({ error: 'Evidence link must be an http(s) URL' });
+      }
+      evidence = { Type: 'link', Url: url };
+    } else {
+      return res.status(400).json({ error: 'Provide an evidence screenshot or url' });
+    }
+
+    const created = await prisma.DisputeEvidence.create({
+      data: {
+        DisputeId: dispute.id,
+        UserId: userId,
+        Type: evidence.Type,
+        Url: evidence.Url,
+        Note: note || null
+      }
+    });
+
+    res.status(201).send({
+      message: 'Evidence added',
+      success: true,
+      evidence: {
+        id: created.id,
+        userId: created.UserId,
+        type: created.Type,
+        url: created.Url,
+        note: created.Note,
+        createdAt: created.CreatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error adding dispute evidence:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+};
+
+/**
+ * Admin: list disputes, open ones by default
+ */
+export const listDisputes = async (req, res) => {
+  try {
+    const { status = 'open' } = req.query;
+
+    const disputes = await prisma.ChallengeDispute.findMany({
+      where: status === 'all' ? {} : { Status: status },
+      include: {
+        DisputeEvidence: true,
+        Challenges: {
+          select: {
+            id: true,
+            ChallengerId: true,
+            ChallengedId: true,
+            Game: true,
+            Wager: true,
+            Status: true,
+            ReportedWinnerId: true,
+            DiscordThreadId: true,
+            DiscordThreadUrl: true
+          }
+        }
+      },
+      orderBy: { CreatedAt: 'asc' }
+    });
+
+    res.status(200).send({
+      disputes: disputes.map(d => ({
+        ...formatDispute(d),
+        challenge: d.Challenges && { ...d.Challenges, Wager: money.toDollars(d.Challenges.Wager) }
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing disputes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Admin: resolve a dispute
+ * - finalize: pay out the reported winner
+ * - reverse: pay out the other player
+ * - split: refund both wagers
+ */
+export const resolveDispute = async (req, res) => {
+  try {
+    const adminId = parseInt(req.user?.userId || req.user?.id);
+    const { disputeId } = req.params;
+    const { resolution, note } = req.body;
+
+    if (!RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({ error: 'Invalid resolution', validResolutions: RESOLUTIONS });
+    }
+
+    const dispute = await prisma.ChallengeDispute.findUnique({
+      where: { id: parseInt(disputeId) },
+      include: { Challenges: true }
+    });
+
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    if (dispute.Status !== 'open') {
+      return res.status(400).json({ error: 'Dispute is already resolved' });
+    }
+
+    const challenge = dispute.Challenges;
+    if (challenge.Status !== 'disputed') {
+      return res.status(400).json({ error: `Challenge is not disputed (status: ${challenge.Status})` });
+    }
+
+    // The dispute is closed in the same transaction as the payout or refund
+    const resolving = { dispute: { id: dispute.id, resolution, resolvedById: adminId, note } };
+    let outcome;
+    try {
+      if (resolution === 'split') {
+        outcome = await splitChallenge(challenge.id, resolving);
+      } else {
+        const reportedWinnerId = challenge.ReportedWinnerId;
+        const winnerId = resolution === 'finalize'
+          ? reportedWinnerId
+          : (reportedWinnerId === challenge.ChallengerId ? challenge.ChallengedId : challenge.ChallengerId);
+        outcome = await settleChallenge(challenge.id, winnerId, resolving);
+      }
+    } catch (settleError) {
+      if (settleError.disputeConflict) {
+        return res.status(409).json({ error: settleError.message });
+      }
+      throw settleError;
+    }
+
+    if (!outcome) {
+      return res.status(409).json({ error: 'Challenge was resolved in the meantime' });
+    }
+
+    const resolved = await prisma.ChallengeDispute.findUnique({
+      where: { id: dispute.id },
+      include: { DisputeEvidence: true }
+    });
+
+    res.locals.auditDetails = {
+      resolution,
+      winnerId: resolution === 'split' ? null : outcome.winnerId,
+      amount: resolution === 'split' ? 0 : money.toDollars(outcome.amount)
+    };
+
+    res.status(200).send({
+      message: 'Dispute resolved',
+      success: true,
+      dispute: formatDispute(resolved),
+      winnerId: resolution === 'split' ? null : outcome.winnerId,
+      amount: resolution === 'split' ? 0 : money.toDollars(outcome.amount)
+    });
+  } catch (error) {
+    console.error('Error resolving dispute:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -149,4 +149,130 @@ export const sendDiscordInviteEmail = async (email, username, inviteUrl) => {
     emailTemplate.html, 
     emailTemplate.text
   );
-};
\ No newline at end of file
+};
+// Shared layout for account emails with a single call-to-action link
+const createActionEmail = ({ subject, heading, username, message, buttonLabel, url, footer }) => ({
+  subject,
+  html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background: #0A1626; color: #FFFFFF;">
+      <h2 style="color: #7CFF4C; margin-bottom: 20px;">${heading}</h2>
+      <p style="color: #FFFFFF; font-size: 16px; line-height: 1.5;">Hi ${username},</p>
+      <p style="color: #B3B3B3; font-size: 16px; line-height: 1.5;">${message}</p>
+      ${url ? `
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${url}" 
+           style="background: #7CFF4C; color: #0A1626; padding: 15px 30px; text-decoration: none; border-radius: 8px; display: inline-block; font-weight: bold; font-size: 16px; box-shadow: 0 4px 15px rgba(124, 255, 76, 0.3);">
+          ${buttonLabel}
+        </a>
+      </div>
+      
+      <div style="background: #14213D; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #7CFF4C;">
+        <p style="color: #B3B3B3; font-size: 14px; margin: 0 0 10px 0;">If the button doesn't work, copy and paste this link into your browser:</p>
+        <p style="word-break: break-all; color: #7CFF4C; background: #0A1626; padding: 12px; border-radius: 4px; font-family: monospace; font-size: 13px; margin: 0;">${url}</p>
+      </div>` : ''}
+      
+      <p style="color: #555555; font-size: 14px; margin-top: 30px; text-align: center;">
+        ${footer.replace(/\n/g, '<br>')}
+      </p>
+      
+      <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #1A2233;">
+        <p style="color: #7CFF4C; font-size: 18px; font-weight: bold; margin: 0;">GGVerse</p>
+        <p style="color: #555555; font-size: 12px; margin: 5px 0 0 0;">Where Gamers Compete</p>
+      </div>
+    </div>
+  `,
+  text: `Hi ${username},\n\n${message}\n\n${url ? `${url}\n\n` : ''}${footer}\n\n---\nGGVerse - Where Gamers Compete`
+});
+
+// Password reset email template
+const createPasswordResetEmail = (resetUrl, username = 'User', expiresInMinutes = 60) => createActionEmail({
+  subject: 'Reset Your Password - GGVerse',
+  heading: 'Reset your password',
+  username,
+  message: 'We received a request to reset your GGVerse password. Click the link below to choose a new one:',
+  buttonLabel: 'Reset Password',
+  url: resetUrl,
+  footer: `This link will expire in ${expiresInMinutes} minutes and can only be used once.\nIf you didn't request a password reset, you can ignore this email - your password won't change.`
+});
+
+// Email change verification template (sent to the new address)
+const createEmailChangeEmail = (confirmUrl, username = 'User', expiresInHours = 24) => createActionEmail({
+  subject: 'Confirm Your New Email - GGVerse',
+  heading: 'Confirm your new email address',
+  username,
+  message: 'Please confirm this is the new email address for your GGVerse account by clicking the link below:',
+  buttonLabel: 'Confirm Email Address',
+  url: confirmUrl,
+  footer: `This link will expire in ${expiresInHours} hours and can only be used once.\nIf you didn't ask to change your email, you can ignore this email.`
+});
+
+// Security notice sent to the old address once an email change completes
+const createEmailChangedNotice = (newEmail, username = 'User') => createActionEmail({
+  subject: 'Your Email Was Changed - GGVerse',
+  heading: 'Your email address was changed',
+  username,
+  message: `The email address on your GGVerse account was changed to ${newEmail}.`,
+  footer: 'If you didn\'t make this change, contact our support team immediately.'
+});
+
+// Public function for password reset emails
+export const sendPasswordResetEmail = async (email, token, username = null, expiresInMinutes = 60) => {
+  const resetUrl = `${BASE_URL}/ResetPassword?token=${token}`;
+  const emailTemplate = createPasswordResetEmail(resetUrl, username || 'User', expiresInMinutes);
+
+  return await sendEmail(
+    email,
+    emailTemplate.subject,
+    emailTemplate.html,
+    emailTemplate.text
+  );
+};
+
+// Public function for email change verification emails
+export const sendEmailChangeVerification = async (newEmail, token, username = null, expiresInHours = 24) => {
+  const confirmUrl = `${BASE_URL}/ConfirmEmailChange?token=${token}`;
+  const emailTemplate = createEmailChangeEmail(confirmUrl, username || 'User', expiresInHours);
+
+  return await sendEmail(
+    newEmail,
+    emailTemplate.subject,
+    emailTemplate.html,
+    emailTemplate.text
+  );
+};
+
+// Public function for the email-changed security notice
+export const sendEmailChangedNotice = async (oldEmail, newEmail, username = null) => {
+  const emailTemplate = createEmailChangedNotice(newEmail, username || 'User');
+
+  return await sendEmail(
+    oldEmail,
+    emailTemplate.subject,
+    emailTemplate.html,
+    emailTemplate.text
+  );
+};
+
+// Account lockout notice with an unlock link
+const createAccountLockedEmail = (unlockUrl, username = 'User', lockMinutes = 15) => createActionEmail({
+  subject: 'Your Account Was Locked - GGVerse',
+  heading: 'Your account was temporarily locked',
+  username,
+  message: `We locked your GGVerse account for ${lockMinutes} minutes after too many failed sign-in attempts. If this was you, you can unlock it right away:`,
+  buttonLabel: 'Unlock My Account',
+  url: unlockUrl,
+  footer: 'If this wasn\'t you, someone may be trying to guess your password.\nWe recommend resetting your password and enabling two-factor authentication.'
+});
+
+// Public function for account lockout emails
+export const sendAccountLockedEmail = async (email, token, username = null, lockMinutes = 15) => {
+  const unlockUrl = `${BASE_URL}/UnlockAccount?token=${token}`;
+  const emailTemplate = createAccountLockedEmail(unlockUrl, username || 'User', lockMinutes);
+
+  return await sendEmail(
+    email,
+    emailTemplate.subject,
+    emailTemplate.html,
+    emailTemplate.text
+  );
+};
@@ -0,0 +1,237 @@
+import prisma from '../prisma/prisma.js';
+import * as ledgerService from './ledgerService.js';
+import * as transactionRules from './transactionRules.js';
+
+// Escrow locks are logical: a locked wager stays in Users.Wallet but is not spendable.
+// Wallet only moves when a challenge is settled (loser -> winner). All amounts are cents.
+// Venmo/CashApp withdrawals awaiting review are held the same way until an operator approves
+// (wallet debited) or rejects (hold released) them - see transactionProcessorService.js. So are
+// PayNetWorx withdrawals a risk rule sent to review (Status 'review', see withdrawalRiskService.js).
+
+/**
+ * Get the total amount a user currently has locked in challenge escrow
+ * @param {number} userId
+ * @param {object} client - Prisma client or interactive transaction client
+ * @returns {Promise<number>}
+ */
+export const getLockedBalance = async (userId, client = prisma) => {
+  const totalEscrow = await client.ChallengeEscrow.aggregate({
+    where: {
+      UserId: userId,
+      Status: 'locked'
+    },
+    _sum: { Amount: true }
+  });
+
+  return totalEscrow._sum.Amount || 0;
+};
+
+/**
+ * Get the total of a user's withdrawals still waiting for review
+ * @param {number} userId
+ * @param {object} client - Prisma client or interactive transaction client
+ * @returns {Promise<number>}
+ */
+export const getHeldWithdrawals = async (userId, client = prisma) => {
+  const held = await client.Transaction.aggregate({
+    where: {
+      UserId: userId,
+      Type: 'withdrawal',
+      OR: [
+        { Provider: { in: transactionRules.REVIEWED_WITHDRAWAL_PROVIDERS }, Status: 'pending' },
+        { Provider: 'paynetworx', Status: 'review' }
+      ]
+    },
+    _sum: { Amount: true }
+  });
+
+  return held._sum.Amount || 0;
+};
+
+/**
+ * Get user's available balance (wallet - escrow - withdrawals awaiting review)
+ * @param {number} userId
+ * @param {object} client - Prisma client or interactive transaction client
+ * @returns {Promise<number>}
+ */
+export const getAvailableBalance = async (userId, client = prisma) => {
+  const user = await client.Users.findUnique({
+    where: { id: userId },
+    select: { Wallet: true }
+  });
+
+  if (!user) return 0;
+
+  const locked = await getLockedBalance(userId, client);
+  const held = await getHeldWithdrawals(userId, client);
+  return Math.max(0, (user.Wallet || 0) - locked - held);
+};
+
+/**
+ * Lock the user's row until the transaction ends, then read their available balance.
+ * Use this whenever money is held or debited after a balance check: at Read Committed two concurrent
+ * transactions could otherwise both pass the check and spend the same balance twice.
+ * @param {object} tx - Interactive transaction client
+ * @param {number} userId
+ * @returns {Promise<number>}
+ */
+export const lockAvailableBalance = async (tx, userId) => {
+  await tx.$queryRaw`SELECT id FROM "Users" WHERE id = ${userId} FOR UPDATE`;
+  return await getAvailableBalance(userId, tx);
+};
+
+/**
+ * Build the error thrown when a lock would exceed the user's available balance.
+ * Handlers check `insufficientBalance` to answer with a 400 instead of a 500.
+ */
+const insufficientBalanceError = (userId, availableBalance, required) =>
+  Object.assign(new Error('Insufficient available balance'), {
+    insufficientBalance: true,
+    userId,
+    availableBalance,
+    required
+  });
+
+/**
+ * Lock a wager in escrow for a challenge (or a request on an open challenge)
+ * Must be called inside prisma.$transaction: the user's row stays locked until it commits, so the
+ * balance check and the lock are atomic.
+ * @param {object} tx - Interactive transaction client
+ * @param {{ challengeId: number, userId: number, amount: number, requestId?: number }} options
+ */
+export const lockEscrow = async (tx, { challengeId, userId, amount, requestId = null }) => {
+  const availableBalance = await lockAvailableBalance(tx, userId);
+  if (availableBalance < amount) {
+    throw insufficientBalanceError(userId, availableBalance, amount);
+  }
+
+  return await tx.ChallengeEscrow.create({
+    data: {
+      ChallengeId: challengeId,
+      UserId: userId,
+      RequestId: requestId,
+      Amount: amount,
+      Status: 'locked'
+    }
+  });
+};
+
+/**
+ * Change the amount of a user's locked escrow on a challenge (wager renegotiated on accept)
+ * Only the increase needs to be covered by the user's available balance.
+ * @param {object} tx - Interactive transaction client
+ * @param {{ challengeId: number, userId: number, amount: number }} options
+ */
+export const adjustEscrow = async (tx, { challengeId, userId, amount }) => {
+  const escrow = await tx.ChallengeEscrow.findFirst({
+    where: { ChallengeId: challengeId, UserId: userId, Status: 'locked' }
+  });
+
+  if (!escrow) {
+    return await lockEscrow(tx, { challengeId, userId, amount });
+  }
+
+  const difference = amount - escrow.Amount;
+  if (difference > 0) {
+    const availableBalance = await lockAvailableBalance(tx, userId);
+    if (availableBalance < difference) {
+      throw insufficientBalanceError(userId, availableBalance, difference);
+    }
+  }
+
+  if (difference === 0) return escrow;
+
+  return await tx.ChallengeEscrow.update({
+    where: { id: escrow.id },
+    data: { Amount: amount }
+  });
+};
+
+/**
+ * Refund locked escrow (decline, cancel, expiry)
+ * Since locks are logical, refunding only unlocks the funds - the wallet is untouched.
+ * @param {object} tx - Prisma client or interactive transaction client
+ * @param {object} where - Extra filter, e.g. { ChallengeId } or { RequestId }
+ * @returns {Promise<object[]>} The escrow records that were refunded
+ */
+export const refundEscrow = async (tx, where) => {
+  const escrowRecords = await tx.ChallengeEscrow.findMany({
+    where: { ...where, Status: 'locked' }
+  });
+
+  if (escrowRecords.length === 0) return [];
+
+  await tx.ChallengeEscrow.updateMany({
+    where: { id: { in: escrowRecords.map(e => e.id) } },
+    data: {
+      Status: 'refunded',
+      ReleasedAt: new Date()
+    }
+  });
+
+  return escrowRecords;
+};
+
+/**
+ * Settle a completed challenge: release both locks and move the loser's stake to the winner
+ * Writes a game_loss/game_payout Transaction pair and the matching ledger journal.
+ * @param {object} tx - Interactive transaction client
+ * @param {{ challengeId: number, winnerId: number, loserId: number }} options
+ * @returns {Promise<{ amount: number }>} The amount transferred from loser to winner
+ */
+export const settleEscrow = async (tx, { challengeId, winnerId, loserId }) => {
+  const escrowRecords = await tx.ChallengeEscrow.findMany({
+    where: {
+      ChallengeId: challengeId,
+      UserId: { in: [winnerId, loserId] },
+      Status: 'locked'
+    }
+  });
+
+  const loserEscrow = escrowRecords.find(e => e.UserId === loserId);
+  const amount = loserEscrow?.Amount || 0;
+
+  await tx.ChallengeEscrow.updateMany({
+    where: { id: { in: escrowRecords.map(e => e.id) } },
+    data: {
+      Status: 'released',
+      ReleasedAt: new Date()
+    }
+  });
+
+  if (amount > 0) {
+    const lossTransaction = await tx.Transaction.create({
+      data: {
+        UserId: loserId,
+        Type: 'game_loss',
+        Amount: amount,
+        Description: `Challenge #${challengeId} wager lost`,
+        Status: 'completed',
+        Provider: 'wallet'
+      }
+    });
+
+    const payoutTransaction = await tx.Transaction.create({
+      data: {
+        UserId: winnerId,
+        Type: 'game_payout',
+        Amount: amount,
+        Description: `Challenge #${challengeId} winnings`,
+        Status: 'completed',
+        Provider: 'wallet'
+      }
+    });
+
+    await ledgerService.postJournal(tx, {
+      reason: 'challenge_settlement',
+      referenceType: 'challenge',
+      referenceId: challengeId,
+      entries: [
+        { account: ledgerService.ACCOUNTS.USER_WALLET, userId: loserId, amount: -amount, transactionId: lossTransaction.id },
+        { account: ledgerService.ACCOUNTS.USER_WALLET, userId: winnerId, amount, transactionId: payoutTransaction.id }
+      ]
+    });
+  }
+
+  return { amount };
+};
@@ -0,0 +1,25 @@
+import crypto from 'crypto';
+
+// Local KYC provider for development and testing (KYC_PROVIDER=fake, never in production) - no external calls.
+// The outcome is picked by the last four SSN digits so every review state can be exercised:
+//   0000 -> rejected, 1111 -> needs_info, 2222 -> pending (left for manual review), anything else -> approved
+
+const OUTCOMES = {
+  '0000': { status: 'rejected', note: 'Identity could not be verified (fake provider)' },
+  '1111': { status: 'needs_info', note: 'Please upload a clearer photo of your ID (fake provider)' },
+  '2222': { status: 'pending', note: 'Sent for manual review (fake provider)' }
+};
+
+export const name = 'fake';
+
+/**
+ * @param {{ ssnLast4?: string }} submission
+ * @returns {Promise<{ status: string, reference: string, note: string }>}
+ */
+export const verify = async (submission) => {
+  const outcome = OUTCOMES[submission.ssnLast4] || { status: 'approved', note: 'Identity verified (fake provider)' };
+  return {
+    ...outcome,
+    reference: `fake_${crypto.randomUUID()}`
+  };
+};
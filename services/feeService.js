@@ -0,0 +1,351 @@
+import prisma from '../prisma/prisma.js';
+import * as ledgerService from './ledgerService.js';
+import * as money from './moneyService.js';
+
+// Platform fees are driven by FeeRule rows:
+// - Type 'payout' is a rake on the challenge pot, 'deposit'/'withdrawal' are taken out of the amount moved
+// - Rules can target a game (payouts) or provider (deposits/withdrawals); null matches everything
+// - Promos are rules with a StartsAt/EndsAt window and a higher Priority
+// - Referred users pay no payout fee on their first REFERRAL_FEE_WAIVER_MATCHES matches
+// With no matching rule the fee is zero. Amounts are cents; a percentage fee is rounded half up to the cent.
+
+export const FEE_TYPES = ['payout', 'deposit', 'withdrawal'];
+
+const REFERRAL_FEE_WAIVER_MATCHES = Number(process.env.REFERRAL_FEE_WAIVER_MATCHES ?? 5);
+
+/**
+ * Find the rule that applies right now: highest priority first, then the most specific
+ * @param {object} client - Prisma client or interactive transaction client
+ * @param {{ type: string, game?: string, provider?: string }} options
+ * @returns {Promise<object|null>}
+ */
+export const findApplicableRule = async (client, { type, game = null, provider = null }) => {
+  const now = new Date();
+  const rules = await client.FeeRule.findMany({
+    where: {
+      Type: type,
+      Active: true,
+      AND: [
+        { OR: [{ Game: null }, ...(game ? [{ Game: String(game) }] : [])] },
+        { OR: [{ Provider: null }, ...(provider ? [{ Provider: provider }] : [])] },
+        { OR: [{ StartsAt: null }, { StartsAt: { lte: now } }] },
+        { OR: [{ EndsAt: null }, { EndsAt: { gt: now } }] }
+      ]
+    },
+    orderBy: [{ Priority: 'desc' }, { id: 'desc' }]
+  });
+
+  if (rules.length === 0) return null;
+
+  const topPriority = rules[0].Priority;
+  const specificity = (rule) => (rule.Game ? 1 : 0) + (rule.Provider ? 1 : 0);
+  return rules
+    .filter(rule => rule.Priority === topPriority)
+    .sort((a, b) => specificity(b) - specificity(a))[0];
+};
+
+// Referred users get their first N matches rake-free
+const hasReferralWaiver = async (client, userId) => {
+  if (!userId || REFERRAL_FEE_WAIVER_MATCHES <= 0) return false;
+
+  const user = await client.Users.findUnique({
+    where: { id: userId },
+    select: { ReferredBy: true }
+  });
+  if (!user?.ReferredBy) return false;
+
+  const matchesPlayed = await client.Match_History.count({
+    where: {
+      Status: 2, // Completed
+      OR: [{ P1: userId }, { P2: userId }]
+    }
+  });
+  return matchesPlayed < REFERRAL_FEE_WAIVER_MATCHES;
+};
+
+/**
+ * Calculate the platform fee for an amount
+ * @param {object} client - Prisma client or interactive transaction client
+ * @param {{ type: string, amount: number, game?: string, provider?: string, userId?: number }} options - amount in cents
+ * @returns {Promise<{ fee: number, net: number, ruleId: number|null, waived: string|null }>} fee and net in cents
+ */
+export const calculateFee = async (client, { type, amount, game = null, provider = null, userId = null }) => {
+  if (!FEE_TYPES.includes(type)) throw new Error(`Unknown fee type: ${type}`);
+
+  const gross = money.assertCents(amount);
+
+  if (type === 'payout' && await hasReferralWaiver(client, userId)) {
+    return { fee: 0, net: gross, ruleId: null, waived: 'referral' };
+  }
+
+  const rule = await findApplicableRule(client, { type, game, provider });
+  if (!rule) {
+    return { fee: 0, net: gross, ruleId: null, waived: null };
+  }
+
+  let fee = money.percentOf(gross, rule.Percent);
+  if (fee < rule.Minimum) fee = rule.Minimum;
+  if (rule.Maximum != null && fee > rule.Maximum) fee = rule.Maximum;
+  if (fee > gross) fee = gross;
+
+  return {
+    fee,
+    net: gross - fee,
+    ruleId: rule.id,
+    waived: null
+  };
+};
+
+/**
+ * Charge a fee from a user's wallet: a 'fee' Transaction plus a journal to platform revenue
+ * @param {object} tx - Interactive transaction client
+ * @param {{ userId: number, fee: number, type: string, referenceType: string, referenceId: string|number, description?: string }} options - fee in cents
+ * @returns {Promise<object|null>} The fee Transaction, or null when there is no fee
+ */
+export const recordFee = async (tx, { userId, fee, type, referenceType, referenceId, description }) => {
+  if (!fee || fee <= 0) return null;
+
+  const feeTransaction = await tx.Transaction.create({
+    data: {
+      UserId: userId,
+      Type: 'fee',
+      Amount: fee,
+      Description: description || `Platform ${type} fee`,
+      Status: 'completed',
+      Provider: 'wallet'
+    }
+  });
+
+  await ledgerService.debitWallet(tx, {
+    userId,
+    amount: fee,
+    account: ledgerService.ACCOUNTS.PLATFORM_REVENUE,
+    reason: `${type}_fee`,
+    referenceType,
+    referenceId,
+    transactionId: feeTransaction.id,
+    description
+  });
+
+  return feeTransaction;
+};
+
+/**
+ * Give a previously charged fee back (e.g. the withdrawal it was charged on failed)
+ * @param {object} tx - Interactive transaction client
+ * @param {{ userId: number, fee: number, type: string, referenceType: string, referenceId: string|number, description?: string }} options - fee in cents
+ * @returns {Promise<object|null>} The refund Transaction, or null when there is no fee
+ */
+export const reverseFee = async (tx, { userId, fee, type, referenceType, referenceId, description }) => {
+  if (!fee || fee <= 0) return null;
+
+  const refundTransaction = await tx.Transaction.create({
+    data: {
+      UserId: userId,
+      Type: 'fee_refund',
+      Amount: fee,
+      Description: description || `Platform ${type} fee refunded`,
+      Status: 'completed',
+      Provider: 'wallet'
+    }
+  });
+
+  await ledgerService.creditWallet(tx, {
+    userId,
+    amount: fee,
+    account: ledgerService.ACCOUNTS.PLATFORM_REVENUE,
+    reason: `${type}_fee_refund`,
+    referenceType,
+    referenceId,
+    transactionId: refundTransaction.id,
+    description
+  });
+
+  return refundTransaction;
+};
+
+/**
+ * What a player would take home from winning a challenge
+ * @param {object} client - Prisma client or interactive transaction client
+ * @param {{ game: string, wager: number, userId?: number }} options - wager in cents
+ * @returns {Promise<{ wager: number, pot: number, fee: number, netWinnings: number, profit: number, feeWaived: string|null }>}
+ *   amounts in cents
+ */
+export const getPayoutPreview = async (client, { game, wager, userId = null }) => {
+  const stake = money.assertCents(wager);
+  const pot = stake * 2;
+  const { fee, waived } = await calculateFee(client, { type: 'payout', amount: pot, game, userId });
+  // The rake can never eat into the winner's own stake
+  const cappedFee = Math.min(fee, stake);
+
+  return {
+    wager: stake,
+    pot,
+    fee: cappedFee,
+    netWinnings: pot - cappedFee,
+    profit: stake - cappedFee,
+    feeWaived: waived
+  };
+};
+
+/**
+ * A payout preview in dollars, for API responses
+ * @param {object} preview - From getPayoutPreview
+ * @returns {object}
+ */
+export const formatPayoutPreview = (preview) => ({
+  ...preview,
+  wager: money.toDollars(preview.wager),
+  pot: money.toDollars(preview.pot),
+  fee: money.toDollars(preview.fee),
+  netWinnings: money.toDollars(preview.netWinnings),
+  profit: money.toDollars(preview.profit)
+});
+
+const formatRule = (rule) => ({
+  id: rule.id,
+  name: rule.Name,
+  type: rule.Type,
+  game: rule.Game,
+  provider: rule.Provider,
+  percent: Number(rule.Percent),
+  minimum: money.toDollars(rule.Minimum),
+  maximum: money.toDollars(rule.Maximum),
+  priority: rule.Priority,
+  startsAt: rule.StartsAt,
+  endsAt: rule.EndsAt,
+  active: rule.Active
+});
+
+// Validate and map a fee rule request body onto FeeRule columns
+const parseRuleBody = (body, partial = false) => {
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    if (!body.name) return { error: 'name is required' };
+    data.Name = String(body.name);
+  }
+  if (!partial || body.type !== undefined) {
+    if (!FEE_TYPES.includes(body.type)) return { error: 'Invalid fee type', validTypes: FEE_TYPES };
+    data.Type = body.type;
+  }
+  if (!partial || body.percent !== undefined) {
+    const percent = Number(body.percent ?? 0);
+    if (isNaN(percent) || percent < 0 || percent > 100) return { error: 'percent must be between 0 and 100' };
+    data.Percent = percent;
+  }
+  if (body.minimum !== undefined) {
+    const minimum = money.parseAmount(body.minimum);
+    if (minimum === null || minimum < 0) return { error: 'minimum must be a non-negative amount with at most two decimal places' };
+    data.Minimum = minimum;
+  }
+  if (body.maximum !== undefined) {
+    const maximum = body.maximum === null ? null : money.parseAmount(body.maximum);
+    if (body.maximum !== null && (maximum === null || maximum < 0)) {
+      return { error: 'maximum must be a non-negative amount with at most two decimal places' };
+    }
+    data.Maximum = maximum;
+  }
+  if (body.game !== undefined) data.Game = body.game ? String(body.game) : null;
+  if (body.provider !== undefined) data.Provider = body.provider || null;
+  if (body.priority !== undefined) data.Priority = parseInt(body.priority) || 0;
+  if (body.startsAt !== undefined) data.StartsAt = body.startsAt ? new Date(body.startsAt) : null;
+  if (body.endsAt !== undefined) data.EndsAt = body.endsAt ? new Date(body.endsAt) : null;
+  if (body.active !== undefined) data.Active = Boolean(body.active);
+
+  if ([data.StartsAt, data.EndsAt].some(d => d && isNaN(d.getTime()))) {
+    return { error: 'startsAt/endsAt must be valid dates' };
+  }
+
+  return { data };
+};
+
+// Admin: list fee rules
+export const getFeeRules = async (req, res) => {
+  try {
+    const { type } = req.query;
+    const rules = await prisma.FeeRule.findMany({
+      where: type ? { Type: type } : {},
+      orderBy: [{ Type: 'asc' }, { Priority: 'desc' }, { id: 'asc' }]
+    });
+    res.status(200).send({ rules: rules.map(formatRule) });
+  } catch (err) {
+    console.error('Error getting fee rules:', err);
+    res.status(500).send({ error: 'Failed to get fee rules' });
+  }
+};
+
+// Admin: create a fee rule
+export const createFeeRule = async (req, res) => {
+  try {
+    const { data, ...error } = parseRuleBody(req.body || {});
+    if (!data) return res.status(400).send(error);
+
+    const rule = await prisma.FeeRule.create({ data });
+    res.status(201).send({ message: 'Fee rule created', rule: formatRule(rule) });
+  } catch (err) {
+    console.error('Error creating fee rule:', err);
+    res.status(500).send({ error: 'Failed to create fee rule' });
+  }
+};
+
+// Admin: update a fee rule
+export const updateFeeRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const existing = await prisma.FeeRule.findUnique({ where: { id: parseInt(ruleId) } });
+    if (!existing) return res.status(404).send({ error: 'Fee rule not found' });
+
+    const { data, ...error } = parseRuleBody(req.body || {}, true);
+    if (!data) return res.status(400).send(error);
+
+    const rule = await prisma.FeeRule.update({ where: { id: existing.id }, data });
+    res.status(200).send({ message: 'Fee rule updated', rule: formatRule(rule) });
+  } catch (err) {
+    console.error('Error updating fee rule:', err);
+    res.status(500).send({ error: 'Failed to update fee rule' });
+  }
+};
+
+// Admin: deactivate a fee rule (kept for history)
+export const deleteFeeRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const existing = await prisma.FeeRule.findUnique({ where: { id: parseInt(ruleId) } });
+    if (!existing) return res.status(404).send({ error: 'Fee rule not found' });
+
+    await prisma.FeeRule.update({ where: { id: existing.id }, data: { Active: false } });
+    res.status(200).send({ message: 'Fee rule deactivated' });
+  } catch (err) {
+    console.error('Error deactivating fee rule:', err);
+    res.status(500).send({ error: 'Failed to deactivate fee rule' });
+  }
+};
+
+// Preview the fee on a deposit or withdrawal before submitting it
+export const previewFee = async (req, res) => {
+  try {
+    const { type, amount, provider = 'paynetworx' } = req.query;
+    const cents = money.parseAmount(amount);
+
+    if (!['deposit', 'withdrawal'].includes(type)) {
+      return res.status(400).send({ error: 'type must be deposit or withdrawal' });
+    }
+    if (cents === null || cents <= 0) {
+      return res.status(400).send({ error: 'Amount must be positive with at most two decimal places' });
+    }
+
+    const { fee, net } = await calculateFee(prisma, { type, amount: cents, provider });
+    res.status(200).send({
+      type,
+      provider,
+      amount: money.toDollars(cents),
+      fee: money.toDollars(fee),
+      net: money.toDollars(net),
+      currency: 'USD'
+    });
+  } catch (err) {
+    console.error('Error previewing fee:', err);
+    res.status(500).send({ error: 'Failed to preview fee' });
+  }
+};
@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import prisma from '../prisma/prisma.js';
+
+// Storage behind the Idempotency-Key header on money routes (see middleware/idempotency.js).
+// Keys are scoped to the user and kept for KEY_TTL_HOURS; an expired key can be used again.
+
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24');
+
+// Same JSON for the same body regardless of key order
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = canonicalize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Fingerprint of a request: method, route and body
+ * @param {{ method: string, route: string, body: object }} request
+ * @returns {string} hex SHA-256
+ */
+export const fingerprintRequest = ({ method, route, body }) =>
+  crypto.createHash('sha256')
+    .update(JSON.stringify([method.toUpperCase(), route, canonicalize(body || {})]))
+    .digest('hex');
+
+/**
+ * Claim a key for a request
+ * @param {{ userId: number, key: string, requestHash: string }} claim
+ * @returns {Promise<{ claimed: true, record: object } | { claimed: false, record: object }>}
+ *   claimed is false when the key is already held; record is then the existing row
+ */
+export const claimKey = async ({ userId, key, requestHash }) => {
+  const now = new Date();
+
+  // An expired key is free again
+  await prisma.IdempotencyKey.deleteMany({
+    where: { UserId: userId, Key: key, ExpiresAt: { lte: now } }
+  });
+
+  try {
+    const record = await prisma.IdempotencyKey.create({
+      data: {
+        UserId: userId,
+        Key: key,
+        RequestHash: requestHash,
+        ExpiresAt: new Date(now.getTime() + KEY_TTL_HOURS * 60 * 60 * 1000)
+      }
+    });
+    return { claimed: true, record };
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+    const record = await prisma.IdempotencyKey.findUnique({
+      where: { UserId_Key: { UserId: userId, Key: key } }
+    });
+    if (!record) throw error;
+    return { claimed: false, record };
+  }
+};
+
+/**
+ * Store the response for replay
+ * @param {number} id - IdempotencyKey id
+ * @param {{ status: number, body: object }} response
+ */
+export const completeKey = async (id, { status, body }) => {
+  await prisma.IdempotencyKey.update({
+    where: { id },
+    data: {
+      Status: 'completed',
+      ResponseStatus: status,
+      ResponseBody: body === undefined ? null : body,
+      CompletedAt: new Date()
+    }
+  });
+};
+
+/**
+ * Free a key whose request failed on our side so the client can retry with it
+ * @param {number} id - IdempotencyKey id
+ */
+export const releaseKey = async (id) => {
+  await prisma.IdempotencyKey.deleteMany({ where: { id, Status: 'in_progress' } });
+};
@@ -0,0 +1,387 @@
+import prisma from '../prisma/prisma.js';
+import * as cloudinaryService from './cloudinaryService.js';
+import * as fakeKycProvider from './fakeKycProvider.js';
+import * as money from './moneyService.js';
+
+// Identity verification (KYC).
+// A user submits identity details plus ID images; the configured provider (KYC_PROVIDER, default 'manual')
+// checks them and answers approved / rejected / needs_info, or pending for manual review by staff.
+// Without a configured provider ('manual', the default) every submission waits for staff review.
+// The 'fake' provider approves almost anything, so it must be chosen explicitly and is refused in production.
+// Users.KYC_Marker mirrors whether the user's latest verification is approved, and gates withdrawals
+// (middleware/kyc.js) and wagers above KYC_WAGER_THRESHOLD.
+//
+// Provider interface: { name: string, verify(submission) => Promise<{ status, reference?, note? }> }
+// where submission is { userId, firstName, lastName, dateOfBirth, address, ssnLast4, documents }.
+
+export const KYC_STATUSES = ['pending', 'approved', 'rejected', 'needs_info'];
+const REVIEW_DECISIONS = ['approved', 'rejected', 'needs_info'];
+export const DOCUMENT_TYPES = ['id_front', 'id_back', 'selfie'];
+
+// Dollars in the env, cents here
+const KYC_WAGER_THRESHOLD = money.amountSetting(process.env.KYC_WAGER_THRESHOLD, 100);
+const MINIMUM_AGE = 18;
+
+// Leaves every submission for staff to review
+const manualProvider = {
+  name: 'manual',
+  verify: async () => ({ status: 'pending', note: 'Awaiting review by staff' })
+};
+
+const providers = new Map([
+  [manualProvider.name, manualProvider],
+  [fakeKycProvider.name, fakeKycProvider]
+]);
+
+/**
+ * Make a verification provider available to KYC_PROVIDER
+ * @param {{ name: string, verify: Function }} provider
+ */
+export const registerKycProvider = (provider) => {
+  if (!provider?.name || typeof provider.verify !== 'function') {
+    throw new Error('KYC provider must have a name and a verify function');
+  }
+  providers.set(provider.name, provider);
+};
+
+const getProvider = () => {
+  const name = process.env.KYC_PROVIDER || manualProvider.name;
+  if (name === fakeKycProvider.name && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake KYC provider cannot be used in production');
+  }
+  const provider = providers.get(name);
+  if (!provider) throw new Error(`Unknown KYC provider: ${name}`);
+  return provider;
+};
+
+const getAge = (dateOfBirth) => {
+  const now = new Date();
+  let age = now.getUTCFullYear() - dateOfBirth.getUTCFullYear();
+  const beforeBirthday = now.getUTCMonth() < dateOfBirth.getUTCMonth() ||
+    (now.getUTCMonth() === dateOfBirth.getUTCMonth() && now.getUTCDate() < dateOfBirth.getUTCDate());
+  return beforeBirthday ? age - 1 : age;
+};
+
+/**
+ * A user's current KYC state
+ * @param {number} userId
+ * @param {object} client - Prisma client or interactive transaction client
+ * @returns {Promise<{ status: string, verified: boolean, verification: object|null }>}
+ */
+export const getKycState = async (userId, client = prisma) => {
+  const verification = await client.KycVerification.findFirst({
+    where: { UserId: userId },
+    orderBy: { id: 'desc' }
+  });
+
+  return {
+    status: verification?.Status || 'not_submitted',
+    verified: verification?.Status === 'approved',
+    verification
+  };
+};
+
+/**
+ * Whether a user has passed KYC
+ * @param {number} userId
+ * @param {object} client - Prisma client or interactive transaction client
+ */
+export const isKycVerified = async (userId, client = prisma) => {
+  const user = await client.Users.findUnique({ where: { id: userId }, select: { KYC_Marker: true } });
+  return !!user?.KYC_Marker;
+};
+
+/**
+ * Check a wager against the KYC threshold
+ * @param {number} userId
+ * @param {number} amount - cents
+ * @returns {Promise<object|null>} An error payload when the user must verify first, otherwise null
+ */
+export const checkWagerAllowed = async (userId, amount) => {
+  if (!(amount > KYC_WAGER_THRESHOLD)) return null;
+  if (await isKycVerified(parseInt(userId))) return null;
+
+  return {
+    error: `Identity verification is required for wagers above ${money.formatDollars(KYC_WAGER_THRESHOLD)}`,
+    kycRequired: true,
+    kycWagerThreshold: money.toDollars(KYC_WAGER_THRESHOLD)
+  };
+};
+
+// Set a verification's status and keep Users.KYC_Marker in step
+const applyStatus = async (tx, verification, data) => {
+  const updated = await tx.KycVerification.update({
+    where: { id: verification.id },
+    data
+  });
+
+  await tx.Users.update({
+    where: { id: verification.UserId },
+    data: { KYC_Marker: updated.Status === 'approved' }
+  });
+
+  return updated;
+};
+
+const formatVerification = (v, { includeDocumentUrls = false } = {}) => ({
+  id: v.id,
+  userId: v.UserId,
+  status: v.Status,
+  provider: v.Provider,
+  providerReference: v.ProviderReference,
+  providerNote: v.ProviderNote,
+  reviewNote: v.ReviewNote,
+  reviewedBy: v.ReviewedById,
+  submittedAt: v.SubmittedAt,
+  reviewedAt: v.ReviewedAt,
+  ...(includeDocumentUrls ? {
+    firstName: v.FirstName,
+    lastName: v.LastName,
+    dateOfBirth: v.DateOfBirth,
+    address: {
+      line1: v.AddressLine1,
+      line2: v.AddressLine2,
+      city: v.City,
+      state: v.State,
+      postalCode: v.PostalCode,
+      country: v.Country
+    },
+    ssnLast4: v.SsnLast4,
+    documents: (v.Documents || []).map(d => ({
+      type: d.type,
+      url: cloudinaryService.getKycDocumentUrl(d.publicId, d.format)
+    }))
+  } : {
+    documents: (v.Documents || []).map(d => ({ type: d.type }))
+  })
+});
+
+// GET /kyc - the current user's KYC state
+export const getMyKyc = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    const state = await getKycState(userId);
+
+    res.status(200).send({
+      status: state.status,
+      verified: state.verified,
+      wagerThreshold: money.toDollars(KYC_WAGER_THRESHOLD),
+      verification: state.verification ? formatVerification(state.verification) : null
+    });
+  } catch (error) {
+    console.error('Error getting KYC status:', error);
+    res.status(500).send({ error: 'Failed to get verification status' });
+  }
+};
+
+// POST /kyc - submit identity details and documents (multipart: id_front, id_back, selfie)
+export const submitKyc = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    const {
+      firstName, lastName, dateOfBirth,
+      addressLine1, addressLine2, city, state, postalCode, country = 'US',
+      ssnLast4
+    } = req.body;
+
+    const missing = ['firstName', 'lastName', 'dateOfBirth', 'addressLine1', 'city', 'state', 'postalCode']
+      .filter(field => !req.body[field] || !String(req.body[field]).trim());
+    if (missing.length > 0) {
+      return res.status(400).send({ error: `Missing required fields: ${missing.join(', ')}` });
+    }
+
+    const dob = new Date(dateOfBirth);
+    if (isNaN(dob.getTime())) {
+      return res.status(400).send({ error: 'dateOfBirth must be a valid date (YYYY-MM-DD)' });
+    }
+    if (getAge(dob) < MINIMUM_AGE) {
+      return res.status(400).send({ error: `You must be at least ${MINIMUM_AGE} to verify your identity` });
+    }
+    if (ssnLast4 && !/^\d{4}$/.test(String(ssnLast4))) {
+      return res.status(400).send({ error: 'ssnLast4 must be exactly 4 digits' });
+    }
+
+    const current = await getKycState(userId);
+    if (current.status === 'approved') {
+      return res.status(400).send({ error: 'Your identity is already verified' });
+    }
+    if (current.status === 'pending') {
+      return res.status(400).send({ error: 'Your verification is already under review' });
+    }
+
+    const files = req.files || {};
+    if (!files.id_front?.length) {
+      return res.status(400).send({ error: 'A photo of the front of your ID (id_front) is required' });
+    }
+
+    const provider = getProvider();
+    const documents = [];
+    for (const type of DOCUMENT_TYPES) {
+      const file = files[type]?.[0];
+      if (!file) continue;
+      const uploaded = await cloudinaryService.uploadKycDocument(file, userId, type);
+      documents.push({ type, publicId: uploaded.publicId, format: uploaded.format });
+    }
+
+    const verification = await prisma.KycVerification.create({
+      data: {
+        UserId: userId,
+        Status: 'pending',
+        Provider: provider.name,
+        FirstName: String(firstName).trim(),
+        LastName: String(lastName).trim(),
+        DateOfBirth: dob,
+        AddressLine1: String(addressLine1).trim(),
+        AddressLine2: addressLine2 ? String(addressLine2).trim() : null,
+        City: String(city).trim(),
+        State: String(state).trim(),
+        PostalCode: String(postalCode).trim(),
+        Country: String(country).trim().toUpperCase(),
+        SsnLast4: ssnLast4 ? String(ssnLast4) : null,
+        Documents: documents
+      }
+    });
+
+    // Provider failures leave the submission pending for manual review rather than losing it
+    let result = { status: 'pending', note: null, reference: null };
+    try {
+      result = await provider.verify({
+        userId,
+        firstName: verification.FirstName,
+        lastName: verification.LastName,
+        dateOfBirth: verification.DateOfBirth,
+        address: {
+          line1: verification.AddressLine1,
+          line2: verification.AddressLine2,
+          city: verification.City,
+          state: verification.State,
+          postalCode: verification.PostalCode,
+          country: verification.Country
+        },
+        ssnLast4: verification.SsnLast4,
+        documents
+      });
+    } catch (providerError) {
+      console.error(`KYC provider ${provider.name} failed:`, providerError);
+      result = { status: 'pending', note: 'Provider check failed - queued for manual review', reference: null };
+    }
+
+    const status = KYC_STATUSES.includes(result.status) ? result.status : 'pending';
+    const updated = await prisma.$transaction(async (tx) => applyStatus(tx, verification, {
+      Status: status,
+      ProviderReference: result.reference || null,
+      ProviderNote: result.note || null,
+      ...(status !== 'pending' ? { ReviewedAt: new Date() } : {})
+    }));
+
+    res.status(201).send({
+      success: true,
+      status: updated.Status,
+      verified: updated.Status === 'approved',
+      verification: formatVerification(updated)
+    });
+  } catch (error) {
+    console.error('Error submitting KYC:', error);
+    res.status(500).send({ error: 'Failed to submit verification' });
+  }
+};
+
+// List verifications for staff review (default: pending)
+export const listKycVerifications = async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    if (status !== 'all' && !KYC_STATUSES.includes(status)) {
+      return res.status(400).send({ error: 'Invalid status', validStatuses: [...KYC_STATUSES, 'all'] });
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    if (pageNum < 1 || limitNum < 1 || limitNum > 100) {
+      return res.status(400).send({ error: 'Invalid pagination parameters' });
+    }
+
+    const where = status === 'all' ? {} : { Status: status };
+    const [verifications, totalCount] = await Promise.all([
+      prisma.KycVerification.findMany({
+        where,
+        orderBy: { SubmittedAt: 'asc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum
+      }),
+      prisma.KycVerification.count({ where })
+    ]);
+
+    res.status(200).send({
+      verifications: verifications.map(v => formatVerification(v)),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        totalCount,
+        limit: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Error listing KYC verifications:', error);
+    res.status(500).send({ error: 'Failed to list verifications' });
+  }
+};
+
+// Full verification for staff, with short-lived document links
+export const getKycVerification = async (req, res) => {
+  try {
+    const verification = await prisma.KycVerification.findUnique({
+      where: { id: parseInt(req.params.verificationId) }
+    });
+
+    if (!verification) {
+      return res.status(404).send({ error: 'Verification not found' });
+    }
+
+    res.status(200).send({ verification: formatVerification(verification, { includeDocumentUrls: true }) });
+  } catch (error) {
+    console.error('Error getting KYC verification:', error);
+    res.status(500).send({ error: 'Failed to get verification' });
+  }
+};
+
+// Staff decision on a verification
+export const reviewKyc = async (req, res) => {
+  try {
+    const reviewerId = parseInt(req.user?.userId || req.user?.id);
+    const { decision, note } = req.body;
+
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      return res.status(400).send({ error: 'Invalid decision', validDecisions: REVIEW_DECISIONS });
+    }
+    if (decision !== 'approved' && (!note || !String(note).trim())) {
+      return res.status(400).send({ error: 'A note for the user is required when rejecting or requesting info' });
+    }
+
+    const verification = await prisma.KycVerification.findUnique({
+      where: { id: parseInt(req.params.verificationId) }
+    });
+    if (!verification) {
+      return res.status(404).send({ error: 'Verification not found' });
+    }
+
+    const latest = await getKycState(verification.UserId);
+    if (latest.verification?.id !== verification.id) {
+      return res.status(400).send({ error: 'A newer verification exists for this user' });
+    }
+
+    const updated = await prisma.$transaction(async (tx) => applyStatus(tx, verification, {
+      Status: decision,
+      ReviewNote: note ? String(note).trim() : null,
+      ReviewedById: reviewerId,
+      ReviewedAt: new Date()
+    }));
+
+    res.locals.auditDetails = { userId: verification.UserId, previousStatus: verification.Status, status: updated.Status };
+
+    res.status(200).send({ success: true, verification: formatVerification(updated) });
+  } catch (error) {
+    console.error('Error reviewing KYC verification:', error);
+    res.status(500).send({ error: 'Failed to review verification' });
+  }
+};
@@ -0,0 +1,272 @@
+import prisma from '../prisma/prisma.js';
+import * as money from './moneyService.js';
+
+// Double-entry ledger backing Users.Wallet.
+// Every balance change is a LedgerJournal whose LedgerEntry amounts sum to zero.
+// Entries on the 'user_wallet' account carry a UserId; their sum per user is the wallet balance,
+// and Users.Wallet is kept as a cached copy of it (see reconcileWallets).
+// Amounts are signed integer cents from the account's point of view: positive increases the account.
+
+export const ACCOUNTS = {
+  USER_WALLET: 'user_wallet',
+  PAYNETWORX: 'paynetworx',
+  VENMO: 'venmo',
+  CASHAPP: 'cashapp',
+  PROMOTIONS: 'promotions',
+  PLATFORM_REVENUE: 'platform_revenue',
+  ADMIN_ADJUSTMENTS: 'admin_adjustments',
+  OPENING_BALANCE: 'opening_balance'
+};
+
+/**
+ * Map a Transaction.Provider to the external clearing account money moves through
+ * @param {string} provider
+ * @returns {string}
+ */
+export const providerAccount = (provider) => {
+  switch (provider) {
+    case 'venmo':
+      return ACCOUNTS.VENMO;
+    case 'cashapp':
+      return ACCOUNTS.CASHAPP;
+    default:
+      return ACCOUNTS.PAYNETWORX;
+  }
+};
+
+// Interactive transaction clients have no $transaction of their own
+const withTransaction = (client, fn) => (client.$transaction ? client.$transaction(fn) : fn(client));
+
+/**
+ * Post a balanced journal and update the cached Users.Wallet for every wallet entry
+ * @param {object} client - Prisma client or interactive transaction client
+ * @param {{ reason: string, referenceType?: string, referenceId?: string|number, description?: string,
+ *   entries: { account: string, userId?: number, amount: number, transactionId?: number }[] }} journal - amounts in cents
+ * @returns {Promise<object>} The created journal with its entries
+ */
+export const postJournal = async (client, { reason, referenceType = null, referenceId = null, description = null, entries }) => {
+  if (!reason) throw new Error('Ledger journal requires a reason');
+  if (!entries || entries.length < 2) throw new Error('Ledger journal requires at least two entries');
+
+  for (const entry of entries) {
+    money.assertCents(entry.amount, `Ledger entry amount (${reason})`);
+  }
+
+  const total = money.sum(entries.map(entry => entry.amount));
+  if (total !== 0) {
+    throw new Error(`Unbalanced ledger journal (${reason}): entries sum to ${total} cents`);
+  }
+
+  for (const entry of entries) {
+    if (entry.account === ACCOUNTS.USER_WALLET && !entry.userId) {
+      throw new Error('Wallet ledger entries require a userId');
+    }
+  }
+
+  return await withTransaction(client, async (tx) => {
+    const journal = await tx.LedgerJournal.create({
+      data: {
+        Reason: reason,
+        ReferenceType: referenceType,
+        ReferenceId: referenceId != null ? String(referenceId) : null,
+        Description: description,
+        LedgerEntry: {
+          create: entries.map(entry => ({
+            Account: entry.account,
+            UserId: entry.userId || null,
+            Amount: entry.amount,
+            TransactionId: entry.transactionId || null
+          }))
+        }
+      },
+      include: { LedgerEntry: true }
+    });
+
+    for (const entry of entries) {
+      if (entry.account !== ACCOUNTS.USER_WALLET) continue;
+      await tx.Users.update({
+        where: { id: entry.userId },
+        data: { Wallet: { increment: entry.amount } }
+      });
+    }
+
+    return journal;
+  });
+};
+
+/**
+ * Credit a user's wallet from another ledger account (deposit, bonus, reversal)
+ * @param {object} client - Prisma client or interactive transaction client
+ * @param {{ userId: number, amount: number, account: string, reason: string, referenceType?: string,
+ *   referenceId?: string|number, transactionId?: number, description?: string }} options - amount in cents
+ */
+export const creditWallet = async (client, { userId, amount, account, reason, referenceType, referenceId, transactionId, description }) => {
+  return await postJournal(client, {
+    reason,
+    referenceType,
+    referenceId,
+    description,
+    entries: [
+      { account: ACCOUNTS.USER_WALLET, userId, amount, transactionId },
+      { account, amount: -amount }
+    ]
+  });
+};
+
+/**
+ * Debit a user's wallet into another ledger account (withdrawal)
+ * @param {object} client - Prisma client or interactive transaction client
+ * @param {{ userId: number, amount: number, account: string, reason: string, referenceType?: string,
+ *   referenceId?: string|number, transactionId?: number, description?: string }} options - amount in cents
+ */
+export const debitWallet = async (client, { userId, amount, account, reason, referenceType, referenceId, transactionId, description }) => {
+  return await postJournal(client, {
+    reason,
+    referenceType,
+    referenceId,
+    description,
+    entries: [
+      { account: ACCOUNTS.USER_WALLET, userId, amount: -amount, transactionId },
+      { account, amount }
+    ]
+  });
+};
+
+/**
+ * Sum of a user's wallet ledger entries
+ * @param {number} userId
+ * @param {object} client - Prisma client or interactive transaction client
+ * @returns {Promise<number>} cents
+ */
+export const getLedgerBalance = async (userId, client = prisma) => {
+  const result = await client.LedgerEntry.aggregate({
+    where: { UserId: userId, Account: ACCOUNTS.USER_WALLET },
+    _sum: { Amount: true }
+  });
+
+  return result._sum.Amount || 0;
+};
+
+/**
+ * Compare the cached Users.Wallet against the ledger for one user or every user
+ * @param {{ userId?: number }} options
+ * @returns {Promise<{ checked: number, mismatches: { userId: number, username: string, wallet: number, ledgerBalance: number, drift: number }[] }>}
+ *   amounts in cents
+ */
+export const reconcileWallets = async ({ userId } = {}) => {
+  const users = await prisma.Users.findMany({
+    where: userId ? { id: userId } : {},
+    select: { id: true, Username: true, Wallet: true }
+  });
+
+  const sums = await prisma.LedgerEntry.groupBy({
+    by: ['UserId'],
+    where: {
+      Account: ACCOUNTS.USER_WALLET,
+      ...(userId ? { UserId: userId } : {})
+    },
+    _sum: { Amount: true }
+  });
+  const ledgerByUser = new Map(sums.map(s => [s.UserId, s._sum.Amount || 0]));
+
+  const mismatches = [];
+  for (const user of users) {
+    const ledgerBalance = ledgerByUser.get(user.id) || 0;
+    const drift = (user.Wallet || 0) - ledgerBalance;
+    if (drift !== 0) {
+      mismatches.push({
+        userId: user.id,
+        username: user.Username,
+        wallet: user.Wallet || 0,
+        ledgerBalance,
+        drift
+      });
+    }
+  }
+
+  return { checked: users.length, mismatches };
+};
+
+// Get a user's ledger entries, newest first
+export const getWalletLedger = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    if (!userId || isNaN(parseInt(userId))) {
+      return res.status(400).send({ error: 'Valid userId is required' });
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    if (pageNum < 1 || limitNum < 1 || limitNum > 100) {
+      return res.status(400).send({ error: 'Invalid pagination parameters' });
+    }
+
+    const user = await prisma.Users.findUnique({
+      where: { id: parseInt(userId) },
+      select: { id: true, Username: true, Wallet: true }
+    });
+    if (!user) return res.status(404).send({ error: 'User not found' });
+
+    const where = { UserId: user.id, Account: ACCOUNTS.USER_WALLET };
+    const [entries, totalCount, ledgerBalance] = await Promise.all([
+      prisma.LedgerEntry.findMany({
+        where,
+        orderBy: { id: 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum,
+        include: { LedgerJournal: true }
+      }),
+      prisma.LedgerEntry.count({ where }),
+      getLedgerBalance(user.id)
+    ]);
+
+    res.status(200).send({
+      userId: user.id,
+      username: user.Username,
+      balance: money.toDollars(user.Wallet),
+      ledgerBalance: money.toDollars(ledgerBalance),
+      entries: entries.map(e => ({
+        id: e.id,
+        journalId: e.JournalId,
+        amount: money.toDollars(e.Amount),
+        reason: e.LedgerJournal.Reason,
+        referenceType: e.LedgerJournal.ReferenceType,
+        referenceId: e.LedgerJournal.ReferenceId,
+        description: e.LedgerJournal.Description,
+        transactionId: e.TransactionId,
+        created_at: e.CreatedAt.toISOString()
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        totalCount,
+        limit: limitNum
+      }
+    });
+  } catch (err) {
+    console.error('Error getting wallet ledger:', err);
+    res.status(500).send({ error: 'Failed to get wallet ledger' });
+  }
+};
+
+// Report users whose cached wallet does not match the ledger
+export const getReconciliation = async (req, res) => {
+  try {
+    const userId = req.query.userId ? parseInt(req.query.userId) : undefined;
+    const { checked, mismatches } = await reconcileWallets({ userId });
+    res.status(200).send({
+      checked,
+      mismatches: mismatches.map(m => ({
+        ...m,
+        wallet: money.toDollars(m.wallet),
+        ledgerBalance: money.toDollars(m.ledgerBalance),
+        drift: money.toDollars(m.drift)
+      }))
+    });
+  } catch (err) {
+    console.error('Error reconciling wallets:', err);
+    res.status(500).send({ error: 'Failed to reconcile wallets' });
+  }
+};
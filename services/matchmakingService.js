@@ -1,4 +1,5 @@
 import prisma from '../prisma/prisma.js';
+import * as money from './moneyService.js';
 
 export class MatchmakingService {
   // Configuration constants
@@ -119,7 +120,8 @@ export class MatchmakingService {
       };
     }
 
-    const stakes = bettingMatches.map(match => parseFloat(match.BetAmount));
+    // Stakes are scored in dollars; BetAmount is stored in cents
+    const stakes = bettingMatches.map(match => money.toDollars(match.BetAmount));
     const avgStakeSize = stakes.reduce((sum, stake) => sum + stake, 0) / stakes.length;
 
     // Calculate volatility (coefficient of variation)
@@ -132,7 +134,7 @@ export class MatchmakingService {
     let totalWon = 0;
 
     bettingMatches.forEach(match => {
-      const stake = parseFloat(match.BetAmount);
+      const stake = money.toDollars(match.BetAmount);
       const isPlayer1 = match.P1 === playerId;
       const playerWon = isPlayer1 ? match.Result : !match.Result;
       
@@ -213,7 +215,7 @@ export class MatchmakingService {
       const recencyMultiplier = Math.exp(-daysAgo / 30); // Decay over 30 days
       
       // Stake bonus (higher stakes = higher heat)
-      const stakeMultiplier = match.BetAmount ? parseFloat(match.BetAmount) / 100 : 1;
+      const stakeMultiplier = match.BetAmount ? money.toDollars(match.BetAmount) / 100 : 1;
       
       // Frequency bonus (more matches = higher heat)
       const frequencyBonus = Math.min(index * 0.1, 1.0);
@@ -0,0 +1,90 @@
+import Decimal from 'decimal.js';
+
+// Money is held as integer cents everywhere inside the API: database columns (Users.Wallet,
+// Transaction.Amount, Challenges.Wager, ...), the ledger and service code. Dollars only exist at the
+// edges - amounts clients send and get back, amounts sent to PayNetWorx and money-valued env settings -
+// and are converted with these helpers. Adding and subtracting cents is plain integer arithmetic;
+// anything that can produce a fraction of a cent (percentages, splits) goes through a helper here.
+
+/**
+ * Parse a dollar amount (request body, query string or setting) into cents
+ * @param {number|string} dollars - e.g. 10, 10.5, '10.50'
+ * @returns {number|null} Integer cents, or null when it is not a number or has a fraction of a cent
+ */
+export const parseAmount = (dollars) => {
+  if (dollars === null || dollars === undefined || typeof dollars === 'boolean') return null;
+  if (typeof dollars === 'string' && !dollars.trim()) return null;
+
+  let value;
+  try {
+    value = new Decimal(typeof dollars === 'string' ? dollars.trim() : dollars);
+  } catch {
+    return null;
+  }
+  if (!value.isFinite() || value.decimalPlaces() > 2) return null;
+
+  const cents = value.times(100).toNumber();
+  return Number.isSafeInteger(cents) ? cents : null;
+};
+
+/**
+ * Read a dollar amount from an env setting, falling back to a default
+ * @param {string|undefined} value - e.g. process.env.SIGNUP_BONUS
+ * @param {number|string} fallbackDollars
+ * @returns {number} cents
+ */
+export const amountSetting = (value, fallbackDollars) => {
+  const cents = parseAmount(value);
+  return cents === null ? parseAmount(fallbackDollars) : cents;
+};
+
+/**
+ * Cents to dollars for API responses
+ * @param {number|null} cents
+ * @returns {number|null}
+ */
+export const toDollars = (cents) =>
+  (cents === null || cents === undefined ? null : new Decimal(cents).dividedBy(100).toNumber());
+
+/**
+ * Cents as a two-decimal dollar string, e.g. for PayNetWorx ('12.50') or CSV
+ * @param {number} cents
+ * @returns {string}
+ */
+export const formatAmount = (cents) => new Decimal(cents).dividedBy(100).toFixed(2);
+
+/**
+ * Cents for messages, e.g. '$12.50' or '-$3.00'
+ * @param {number} cents
+ * @returns {string}
+ */
+export const formatDollars = (cents) => `${cents < 0 ? '-' : ''}$${formatAmount(Math.abs(cents))}`;
+
+/**
+ * Throw unless a value is a whole number of cents
+ * @param {*} value
+ * @param {string} [label]
+ * @returns {number} The value
+ */
+export const assertCents = (value, label = 'amount') => {
+  if (!Number.isSafeInteger(value)) {
+    throw new Error(`${label} must be a whole number of cents (got ${value})`);
+  }
+  return value;
+};
+
+/**
+ * A percentage of an amount, rounded half up to a whole cent
+ * @param {number} cents
+ * @param {number|string|Decimal} percent - e.g. 2.5 for 2.5%
+ * @returns {number} cents
+ */
+export const percentOf = (cents, percent) =>
+  new Decimal(cents).times(percent).dividedBy(100).toDecimalPlaces(0, Decimal.ROUND_HALF_UP).toNumber();
+
+/**
+ * Sum amounts in cents, treating null/undefined as zero
+ * @param {(number|null|undefined)[]} amounts
+ * @returns {number} cents
+ */
+export const sum = (amounts) => amounts.reduce((total, amount) => total + (amount || 0), 0);
@@ -0,0 +1,353 @@
+import prisma from '../prisma/prisma.js';
+import * as money from './moneyService.js';
+
+// Multi-account and collusion detection.
+// - Every session records where it came from in SessionActivity (IP, X-Device-Id, user agent), again
+//   whenever a refresh arrives from a different IP or device
+// - Two accounts are linked when they share a device, or an IP used by at most LINKED_ACCOUNT_MAX_IP_USERS
+//   accounts (busier IPs are treated as shared networks - campus, carrier NAT, VPN exits)
+// - Registering on a device another account already uses is recorded as a security event; with
+//   BLOCK_DUPLICATE_DEVICE_REGISTRATION=true it is refused (the device id is client-supplied, so off by default)
+// - The collusion report looks for pairs who keep trading wins at high stakes in Match_History
+//   (P1 is the winner, P2 the loser), the pattern of alts throwing matches to move money
+// With BLOCK_LINKED_ACCOUNT_CHALLENGES=true linked accounts cannot play each other.
+
+const LINKED_ACCOUNT_MAX_IP_USERS = parseInt(process.env.LINKED_ACCOUNT_MAX_IP_USERS || '5');
+const BLOCK_LINKED_ACCOUNT_CHALLENGES = process.env.BLOCK_LINKED_ACCOUNT_CHALLENGES === 'true';
+const BLOCK_DUPLICATE_DEVICE_REGISTRATION = process.env.BLOCK_DUPLICATE_DEVICE_REGISTRATION === 'true';
+
+const COLLUSION_WINDOW_DAYS = parseInt(process.env.COLLUSION_WINDOW_DAYS || '30');
+const COLLUSION_MIN_MATCHES = parseInt(process.env.COLLUSION_MIN_MATCHES || '4');
+const COLLUSION_MIN_BET = money.amountSetting(process.env.COLLUSION_MIN_BET, 25);
+
+const MAX_GRAPH_NODES = 50;
+
+/**
+ * The device id a client sent, if any
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+export const getDeviceId = (req) => {
+  const deviceId = req.get?.('X-Device-Id') || req.body?.deviceId;
+  return deviceId ? String(deviceId).slice(0, 128) : null;
+};
+
+/**
+ * Record where a session was used from
+ * @param {object} client - Prisma client or interactive transaction client
+ * @param {{ userId: number, sessionId?: number, event: string, req: object }} activity
+ * @returns {Promise<object>} The SessionActivity
+ */
+export const recordActivity = async (client, { userId, sessionId = null, event, req }) => {
+  return await client.SessionActivity.create({
+    data: {
+      UserId: userId,
+      SessionId: sessionId,
+      Event: event,
+      Ip: req.clientIP || null,
+      DeviceId: getDeviceId(req),
+      UserAgent: req.headers?.['user-agent'] || null
+    }
+  });
+};
+
+/**
+ * Record a refresh, but only when it comes from a different IP or device than the session last did
+ * @param {number} sessionId
+ * @param {number} userId
+ * @param {object} req - Express request
+ */
+export const recordRefresh = async (sessionId, userId, req) => {
+  const last = await prisma.SessionActivity.findFirst({
+    where: { SessionId: sessionId },
+    orderBy: { id: 'desc' },
+    select: { Ip: true, DeviceId: true }
+  });
+  const ip = req.clientIP || null;
+  const deviceId = getDeviceId(req);
+  if (last && last.Ip === ip && (!deviceId || last.DeviceId === deviceId)) return;
+
+  await recordActivity(prisma, { userId, sessionId, event: 'refresh', req });
+};
+
+/**
+ * Other accounts that have used a device
+ * @param {string} deviceId
+ * @returns {Promise<number[]>} User ids
+ */
+export const findAccountsOnDevice = async (deviceId) => {
+  if (!deviceId) return [];
+  const rows = await prisma.SessionActivity.findMany({
+    where: { DeviceId: deviceId },
+    distinct: ['UserId'],
+    select: { UserId: true }
+  });
+  return rows.map(r => r.UserId);
+};
+
+/**
+ * Whether a registration may go ahead on a device other accounts have used: refused only when
+ * BLOCK_DUPLICATE_DEVICE_REGISTRATION is on
+ * @param {number[]} accountsOnDevice - From findAccountsOnDevice
+ * @returns {object|null} An error payload to answer with 400, otherwise null
+ */
+export const checkRegistrationDevice = (accountsOnDevice) => {
+  if (!BLOCK_DUPLICATE_DEVICE_REGISTRATION || accountsOnDevice.length === 0) return null;
+  return { error: 'An account has already been created on this device.' };
+};
+
+// The IPs in a list that few enough accounts use to link them
+const linkingIps = async (ips) => {
+  if (ips.length === 0) return new Set();
+  const rows = await prisma.SessionActivity.findMany({
+    where: { Ip: { in: ips } },
+    distinct: ['Ip', 'UserId'],
+    select: { Ip: true, UserId: true }
+  });
+  const usersPerIp = new Map();
+  for (const { Ip } of rows) usersPerIp.set(Ip, (usersPerIp.get(Ip) || 0) + 1);
+  return new Set(ips.filter(ip => (usersPerIp.get(ip) || 0) <= LINKED_ACCOUNT_MAX_IP_USERS));
+};
+
+/**
+ * Accounts linked to a user by a shared device or IP
+ * @param {number} userId
+ * @returns {Promise<{ userId: number, sharedIps: string[], sharedDevices: string[] }[]>}
+ */
+export const findLinkedAccounts = async (userId) => {
+  const mine = await prisma.SessionActivity.findMany({
+    where: { UserId: userId },
+    distinct: ['Ip', 'DeviceId'],
+    select: { Ip: true, DeviceId: true }
+  });
+  const ips = [...new Set(mine.map(a => a.Ip).filter(Boolean))];
+  const devices = [...new Set(mine.map(a => a.DeviceId).filter(Boolean))];
+  const usableIps = [...await linkingIps(ips)];
+  if (usableIps.length === 0 && devices.length === 0) return [];
+
+  const others = await prisma.SessionActivity.findMany({
+    where: {
+      UserId: { not: userId },
+      OR: [{ Ip: { in: usableIps } }, { DeviceId: { in: devices } }]
+    },
+    distinct: ['UserId', 'Ip', 'DeviceId'],
+    select: { UserId: true, Ip: true, DeviceId: true }
+  });
+
+  const links = new Map();
+  for (const activity of others) {
+    const link = links.get(activity.UserId) || { userId: activity.UserId, sharedIps: new Set(), sharedDevices: new Set() };
+    if (activity.Ip && usableIps.includes(activity.Ip)) link.sharedIps.add(activity.Ip);
+    if (activity.DeviceId && devices.includes(activity.DeviceId)) link.sharedDevices.add(activity.DeviceId);
+    links.set(activity.UserId, link);
+  }
+
+  return [...links.values()].map(link => ({
+    userId: link.userId,
+    sharedIps: [...link.sharedIps],
+    sharedDevices: [...link.sharedDevices]
+  }));
+};
+
+/**
+ * Whether two accounts share a device or a (linking) IP
+ * @param {number} userA
+ * @param {number} userB
+ * @returns {Promise<boolean>}
+ */
+export const areLinked = async (userA, userB) => {
+  const activity = await prisma.SessionActivity.findMany({
+    where: { UserId: { in: [userA, userB] } },
+    distinct: ['UserId', 'Ip', 'DeviceId'],
+    select: { UserId: true, Ip: true, DeviceId: true }
+  });
+  const of = (userId, field) => new Set(activity.filter(a => a.UserId === userId && a[field]).map(a => a[field]));
+
+  const devicesB = of(userB, 'DeviceId');
+  if ([...of(userA, 'DeviceId')].some(d => devicesB.has(d))) return true;
+
+  const ipsB = of(userB, 'Ip');
+  const sharedIps = [...of(userA, 'Ip')].filter(ip => ipsB.has(ip));
+  return (await linkingIps(sharedIps)).size > 0;
+};
+
+/**
+ * Whether two players may face each other: refused for linked accounts when
+ * BLOCK_LINKED_ACCOUNT_CHALLENGES is on. Which accounts are linked is not disclosed.
+ * @param {number|string} userA
+ * @param {number|string} userB
+ * @returns {Promise<object|null>} An error payload to answer with 403, otherwise null
+ */
+export const checkOpponents = async (userA, userB) => {
+  if (!BLOCK_LINKED_ACCOUNT_CHALLENGES || !userA || !userB) return null;
+  if (!(await areLinked(parseInt(userA), parseInt(userB)))) return null;
+
+  return { error: 'This challenge is not available between these accounts. Please contact support if you think this is a mistake.' };
+};
+
+/**
+ * Pairs of players who keep trading wins at high stakes
+ * @param {{ since: Date, minMatches: number, minBet: number }} criteria - minBet in cents
+ * @returns {Promise<object[]>} Most money moved first
+ */
+export const findSuspiciousPairs = async ({ since, minMatches, minBet }) => {
+  const matches = await prisma.Match_History.findMany({
+    where: {
+      Status: 2, // Completed
+      created_at: { gte: since },
+      BetAmount: { gte: minBet },
+      P1: { not: null },
+      P2: { not: null }
+    },
+    select: { P1: true, P2: true, BetAmount: true, created_at: true }
+  });
+
+  const pairs = new Map();
+  for (const match of matches) {
+    const [a, b] = [match.P1, match.P2].sort((x, y) => x - y);
+    const key = `${a}:${b}`;
+    const pair = pairs.get(key) || { a, b, matches: 0, wins: { [a]: 0, [b]: 0 }, won: { [a]: 0, [b]: 0 }, lastPlayedAt: null };
+    pair.matches += 1;
+    pair.wins[match.P1] += 1;
+    pair.won[match.P1] += match.BetAmount;
+    if (!pair.lastPlayedAt || match.created_at > pair.lastPlayedAt) pair.lastPlayedAt = match.created_at;
+    pairs.set(key, pair);
+  }
+
+  // Both sides must have won: one-sided results are just a better player
+  return [...pairs.values()]
+    .filter(pair => pair.matches >= minMatches && pair.wins[pair.a] > 0 && pair.wins[pair.b] > 0)
+    .map(pair => ({ ...pair, wagered: pair.won[pair.a] + pair.won[pair.b] }))
+    .sort((x, y) => y.wagered - x.wagered);
+};
+
+// GET /api/admin/collusion-report - pairs trading wins at high stakes, with whether they are linked accounts
+export const getCollusionReport = async (req, res) => {
+  try {
+    const days = parseInt(req.query.days ?? COLLUSION_WINDOW_DAYS);
+    const minMatches = parseInt(req.query.minMatches ?? COLLUSION_MIN_MATCHES);
+    const minBet = req.query.minBet !== undefined ? money.parseAmount(req.query.minBet) : COLLUSION_MIN_BET;
+
+    if (isNaN(days) || days < 1 || days > 365) {
+      return res.status(400).send({ error: 'days must be between 1 and 365' });
+    }
+    if (isNaN(minMatches) || minMatches < 2) {
+      return res.status(400).send({ error: 'minMatches must be at least 2' });
+    }
+    if (minBet === null || minBet < 0) {
+      return res.status(400).send({ error: 'minBet must be a non-negative amount with at most two decimal places' });
+    }
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const pairs = (await findSuspiciousPairs({ since, minMatches, minBet })).slice(0, 200);
+
+    const userIds = [...new Set(pairs.flatMap(p => [p.a, p.b]))];
+    const users = await prisma.Users.findMany({
+      where: { id: { in: userIds } },
+      select: { id: true, Username: true, Email: true, Active: true }
+    });
+    const usersById = new Map(users.map(u => [u.id, u]));
+
+    const report = [];
+    for (const pair of pairs) {
+      // Net money moved between the two: who came out ahead and by how much
+      const net = pair.won[pair.a] - pair.won[pair.b];
+      const player = (id) => ({
+        id,
+        username: usersById.get(id)?.Username ?? null,
+        email: usersById.get(id)?.Email ?? null,
+        active: usersById.get(id)?.Active ?? null,
+        wins: pair.wins[id],
+        won: money.toDollars(pair.won[id])
+      });
+      report.push({
+        players: [player(pair.a), player(pair.b)],
+        matches: pair.matches,
+        wagered: money.toDollars(pair.wagered),
+        netTransfer: net === 0
+          ? null
+          : { from: net > 0 ? pair.b : pair.a, to: net > 0 ? pair.a : pair.b, amount: money.toDollars(Math.abs(net)) },
+        lastPlayedAt: pair.lastPlayedAt,
+        linkedAccounts: await areLinked(pair.a, pair.b)
+      });
+    }
+
+    res.status(200).send({
+      criteria: { days, since, minMatches, minBet: money.toDollars(minBet) },
+      // Linked pairs are the strongest signal
+      pairs: report.sort((x, y) => Number(y.linkedAccounts) - Number(x.linkedAccounts))
+    });
+  } catch (err) {
+    console.error('Error building collusion report:', err);
+    res.status(500).send({ error: 'Failed to build collusion report' });
+  }
+};
+
+// GET /api/admin/users/:userId/linked-accounts - the graph of accounts linked to a user, followed up to `depth` hops
+export const getLinkedAccountGraph = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const depth = parseInt(req.query.depth ?? 2);
+
+    if (isNaN(userId)) {
+      return res.status(400).send({ error: 'Valid userId is required' });
+    }
+    if (isNaN(depth) || depth < 1 || depth > 3) {
+      return res.status(400).send({ error: 'depth must be between 1 and 3' });
+    }
+
+    const root = await prisma.Users.findUnique({ where: { id: userId }, select: { id: true } });
+    if (!root) {
+      return res.status(404).send({ error: 'User not found' });
+    }
+
+    const visited = new Set([userId]);
+    const edges = [];
+    const edgeKeys = new Set();
+    let frontier = [userId];
+    let truncated = false;
+
+    for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+      const next = [];
+      for (const id of frontier) {
+        for (const link of await findLinkedAccounts(id)) {
+          const key = [id, link.userId].sort((x, y) => x - y).join(':');
+          if (!edgeKeys.has(key)) {
+            edgeKeys.add(key);
+            edges.push({ from: id, to: link.userId, sharedIps: link.sharedIps, sharedDevices: link.sharedDevices });
+          }
+          if (visited.has(link.userId)) continue;
+          if (visited.size >= MAX_GRAPH_NODES) {
+            truncated = true;
+            continue;
+          }
+          visited.add(link.userId);
+          next.push(link.userId);
+        }
+      }
+      frontier = next;
+    }
+
+    const users = await prisma.Users.findMany({
+      where: { id: { in: [...visited] } },
+      select: { id: true, Username: true, Email: true, Active: true, Wallet: true, createdAt: true }
+    });
+
+    res.status(200).send({
+      userId,
+      nodes: users.map(u => ({
+        id: u.id,
+        username: u.Username,
+        email: u.Email,
+        active: u.Active,
+        balance: money.toDollars(u.Wallet),
+        createdAt: u.createdAt
+      })),
+      edges: edges.filter(e => visited.has(e.from) && visited.has(e.to)),
+      truncated
+    });
+  } catch (err) {
+    console.error('Error building linked account graph:', err);
+    res.status(500).send({ error: 'Failed to get linked accounts' });
+  }
+};
@@ -1,6 +1,7 @@
 import axios from 'axios';
 import ksuid from 'ksuid';
 import prisma from '../prisma/prisma.js';
+import * as money from './moneyService.js';
 import { tokenizeBankAccount } from './paynetworxService.js';
 
 // For tokenization, we need Hosted Payments API URL, not 3DS API URL
@@ -280,6 +281,10 @@ export const verifyAndTokenizeCard = async (req, res) => {
     if (!cardNumber || !expiryDate || !cvv || !amount) {
       return res.status(400).send({ error: 'Missing required fields: cardNumber, expiryDate, cvv, amount' });
     }
+    const cents = money.parseAmount(amount);
+    if (cents === null || cents <= 0) {
+      return res.status(400).send({ error: 'Amount must be positive with at most two decimal places' });
+    }
 
     // Step 1: Initiate 3DS authentication
     const THREE_DS_BASE_URL = process.env.PAYNETWORX_3DS_API_URL?.replace(/\/$/, '') || '';
@@ -295,7 +300,7 @@ export const verifyAndTokenizeCard = async (req, res) => {
 
     const authRequest = {
       Amount: {
-        Total: String(amount),
+        Total: money.formatAmount(cents),
         Fee: '0.00',
         Tax: '0.00',
         Currency: currency.toUpperCase()
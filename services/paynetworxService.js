@@ -1,6 +1,12 @@
 import axios from 'axios';
 import ksuid from 'ksuid';
 import prisma from '../prisma/prisma.js';
+import * as escrowService from './escrowService.js';
+import * as ledgerService from './ledgerService.js';
+import * as feeService from './feeService.js';
+import * as responsibleGamingService from './responsibleGamingService.js';
+import * as withdrawalRiskService from './withdrawalRiskService.js';
+import * as money from './moneyService.js';
 
 const THREE_DS_BASE_URL = process.env.PAYNETWORX_3DS_API_URL?.replace(/\/$/, '') || '';
 // Payment API URL for ACH and payment processing (e.g., https://api.qa.paynetworx.net for test, https://api.paynetworx.net for production)
@@ -14,6 +20,49 @@ const ACCESS_TOKEN_PASSWORD = process.env.PAYNETWORX_ACCESS_TOKEN_PASSWORD || pr
 const REQUEST_TIMEOUT_MS = Number(process.env.PAYNETWORX_REQUEST_TIMEOUT_MS || 15000);
 const APP_URL = process.env.APP_URL || 'http://localhost:3000';
 
+/**
+ * Mark a PayNetWorx deposit completed and credit the wallet through the ledger, then charge the
+ * deposit fee worked out when the transaction was created (Transaction.Fee).
+ * The status check runs inside the transaction so a deposit polled twice is only credited once.
+ * The payment then awaits settlement (SettlementStatus 'pending', see paynetworxSettlementService.js).
+ * @param {object} trx - Transaction row for the deposit
+ * @param {string} [paynetworxTransactionId] - PayNetWorx TransactionID, when known
+ * @returns {Promise<boolean>} false if the deposit had already been completed
+ */
+async function completeDeposit(trx, paynetworxTransactionId = null) {
+  return await prisma.$transaction(async (tx) => {
+    const updated = await tx.Transaction.updateMany({
+      where: { id: trx.id, Status: { not: 'completed' } },
+      data: {
+        Status: 'completed',
+        SettlementStatus: 'pending',
+        ...(paynetworxTransactionId ? { PaynetworxPaymentId: paynetworxTransactionId } : {})
+      }
+    });
+    if (updated.count === 0) return false;
+
+    await ledgerService.creditWallet(tx, {
+      userId: trx.UserId,
+      amount: trx.Amount,
+      account: ledgerService.ACCOUNTS.PAYNETWORX,
+      reason: 'deposit',
+      referenceType: 'paynetworx',
+      referenceId: paynetworxTransactionId || trx.PaynetworxPaymentId || trx.id,
+      transactionId: trx.id
+    });
+
+    await feeService.recordFee(tx, {
+      userId: trx.UserId,
+      fee: trx.Fee,
+      type: 'deposit',
+      referenceType: 'transaction',
+      referenceId: trx.id,
+      description: `Deposit #${trx.id} fee`
+    });
+    return true;
+  });
+}
+
 function getAuthHeader() {
   // If FORCE_BASIC_AUTH is set, skip API key check and use Basic Auth
   if (FORCE_BASIC_AUTH) {
@@ -60,7 +109,8 @@ async function pnx3DSRequest(method, path, data) {
 // Request helper for Payment API endpoints (ACH, etc.)
 // Note: Payment API endpoints like /v0/transaction/auth should use PAYMENT_API_URL (not Hosted Payments API URL)
 // Hosted Payments API URL is only for tokenization sessions (/v1/payments/sessions/create)
-async function pnxPaymentRequest(method, path, data) {
+// requestId is sent as Request-ID; pass the client's Idempotency-Key so PayNetWorx drops retried charges
+async function pnxPaymentRequest(method, path, data, requestId = null) {
   if (!PAYMENT_API_URL) {
     throw new Error('PayNetWorx Payment API URL not configured. Set PAYNETWORX_PAYMENT_API_URL');
   }
@@ -69,7 +119,7 @@ async function pnxPaymentRequest(method, path, data) {
   const headers = {
     Authorization: authHeader,
     'Content-Type': 'application/json',
-    'Request-ID': ksuid.randomSync().string
+    'Request-ID': requestId || ksuid.randomSync().string
   };
   console.log('pnxPaymentRequest', url);
   const resp = await axios({ method, url, data, headers, timeout: REQUEST_TIMEOUT_MS, validateStatus: () => true });
@@ -94,13 +144,24 @@ export const initiate3DSAuth = async (req, res) => {
       return res.status(400).send({ error: 'Missing required fields: cardNumber, expiryDate, cvv, amount, userId' });
     }
 
+    const cents = money.parseAmount(amount);
+    if (cents === null || cents <= 0) {
+      return res.status(400).send({ error: 'Amount must be positive with at most two decimal places' });
+    }
+
     const user = await prisma.Users.findUnique({ where: { id: parseInt(userId) } });
     if (!user) return res.status(404).send({ error: 'User not found' });
 
+    const depositBlock = await responsibleGamingService.checkDepositAllowed(userId, cents);
+    if (depositBlock) return res.status(403).send(depositBlock);
+
+    // Deposit fee is taken out of the amount charged
+    const { fee } = await feeService.calculateFee(prisma, { type: 'deposit', amount: cents, provider: 'paynetworx' });
+
     const authRequest = {
       Amount: {
-        Total: String(amount),
-        Fee: '0.00',
+        Total: money.formatAmount(cents),
+        Fee: money.formatAmount(fee),
         Tax: '0.00',
         Currency: currency.toUpperCase()
       },
@@ -136,11 +197,12 @@ export const initiate3DSAuth = async (req, res) => {
       data: {
         UserId: parseInt(userId),
         Type: 'deposit',
-        Amount: Number(amount),
+        Amount: cents,
         Currency: currency.toUpperCase(),
         Description: 'Deposit via PayNetWorx 3DS',
         PaynetworxPaymentId: pnx.TransactionID || null,
         Paynetworx3DSId: pnx.threeDSServerTransID || null,
+        Fee: fee,
         Status: 'pending_3ds',
         Provider: 'paynetworx'
       }
@@ -170,8 +232,7 @@ export const initiate3DSAuth = async (req, res) => {
       });
     }
 
-    await prisma.Users.update({ where: { id: parseInt(userId) }, data: { Wallet: { increment: Number(amount) } } });
-    await prisma.Transaction.update({ where: { id: trx.id }, data: { Status: 'completed' } });
+    await completeDeposit(trx);
 
     return res.json({ threeDSServerTransID: pnx.threeDSServerTransID, transactionId: trx.id, PaymentResponse: pnx, status: 'completed' });
   } catch (e) {
@@ -203,8 +264,7 @@ export const check3DSMethod = async (req, res) => {
     // frictionless after method
     const trx = await prisma.Transaction.findFirst({ where: { Paynetworx3DSId: pnx.threeDSServerTransID } });
     if (trx && trx.Status === 'pending_3ds') {
-      await prisma.Users.update({ where: { id: trx.UserId }, data: { Wallet: { increment: Number(trx.Amount) } } });
-      await prisma.Transaction.update({ where: { id: trx.id }, data: { Status: 'completed' } });
+      await completeDeposit(trx);
     }
 
     return res.json({ threeDSServerTransID: pnx.threeDSServerTransID, PaymentResponse: pnx, status: 'completed' });
@@ -245,8 +305,7 @@ export const checkChallengeResult = async (req, res) => {
     if (trx) {
       const approved = Boolean(result?.PaymentResponse?.Response?.Approved) || Boolean(result?.Approved);
       if (approved) {
-        await prisma.Users.update({ where: { id: trx.UserId }, data: { Wallet: { increment: Number(trx.Amount) } } });
-        await prisma.Transaction.update({ where: { id: trx.id }, data: { Status: 'completed' } });
+        await completeDeposit(trx);
       } else {
         await prisma.Transaction.update({ where: { id: trx.id }, data: { Status: 'failed' } });
       }
@@ -270,6 +329,14 @@ export const processPaymentWithToken = async (req, res) => {
       return res.status(400).send({ error: 'paymentMethodId and amount are required' });
     }
 
+    const cents = money.parseAmount(amount);
+    if (cents === null || cents <= 0) {
+      return res.status(400).send({ error: 'Amount must be positive with at most two decimal places' });
+    }
+
+    const depositBlock = await responsibleGamingService.checkDepositAllowed(userId, cents);
+    if (depositBlock) return res.status(403).send(depositBlock);
+
     // Step 1: Look up PaymentMethod by ID and verify it belongs to user
     const paymentMethod = await prisma.PaymentMethod.findFirst({
       where: {
@@ -288,12 +355,14 @@ export const processPaymentWithToken = async (req, res) => {
 
     // Step 2: Create payment request using token
     const originalToken = paymentMethod.ProviderPaymentMethodId;
-    const formattedAmount = parseFloat(amount).toFixed(2);
+
+    // Deposit fee is taken out of the amount charged
+    const { fee } = await feeService.calculateFee(prisma, { type: 'deposit', amount: cents, provider: 'paynetworx' });
     
     const paymentRequest = {
       Amount: {
-        Total: String(formattedAmount),
-        Fee: '0.00',
+        Total: money.formatAmount(cents),
+        Fee: money.formatAmount(fee),
         Tax: '0.00',
         Currency: currency.toUpperCase()
       },
@@ -326,7 +395,7 @@ export const processPaymentWithToken = async (req, res) => {
 
     // Step 4: Process payment via PayNetWorx Payment API
     // Endpoint: /v0/transaction/auth (per PayNetWorx Payment API documentation)
-    const pnx = await pnxPaymentRequest('post', '/transaction/auth', paymentRequest);
+    const pnx = await pnxPaymentRequest('post', '/transaction/auth', paymentRequest, req.idempotencyKey);
     
     // Log response for debugging
     if (pnx.PaymentResponse?.Response?.Status === 'FAILED_PRECONDITION' || pnx.status === 'FAILED_PRECONDITION') {
@@ -339,31 +408,31 @@ export const processPaymentWithToken = async (req, res) => {
       data: {
         UserId: parseInt(userId),
         Type: 'deposit',
-        Amount: Number(amount),
+        Amount: cents,
         Currency: currency.toUpperCase(),
         Description: description || 'Deposit via PayNetWorx token',
         PaynetworxPaymentId: pnx.TransactionID || null,
         Paynetworx3DSId: pnx.threeDSServerTransID || null,
         PaymentMethodId: parseInt(paymentMethodId),
-        Status: pnx.PaymentResponse?.Response?.Approved || pnx.Approved ? 'completed' : 'failed',
+        Fee: fee,
+        Status: pnx.PaymentResponse?.Response?.Approved || pnx.Approved ? 'pending' : 'failed',
         Provider: 'paynetworx'
       }
     });
 
-    // Step 5: If approved, increment user wallet
+    // Step 5: If approved, complete the deposit and credit the user wallet
     const approved = Boolean(pnx.PaymentResponse?.Response?.Approved) || Boolean(pnx.Approved);
     if (approved) {
-      await prisma.Users.update({
-        where: { id: parseInt(userId) },
-        data: { Wallet: { increment: Number(amount) } }
-      });
+      await completeDeposit(trx);
     }
 
     return res.json({
       success: approved,
       transactionId: trx.id,
       paymentResponse: pnx,
-      amount: Number(amount),
+      amount: money.toDollars(cents),
+      fee: money.toDollars(fee),
+      netAmount: money.toDollars(cents - fee),
       currency: currency.toUpperCase()
     });
   } catch (e) {
@@ -372,6 +441,59 @@ export const processPaymentWithToken = async (req, res) => {
   }
 };
 
+/**
+ * Look up a payment's current state at PayNetWorx (used to poll for ACH settlement and returns)
+ * @param {string} paynetworxTransactionId - PayNetWorx TransactionID
+ * @returns {Promise<object>} The PayNetWorx transaction
+ */
+export async function getPaynetworxTransaction(paynetworxTransactionId) {
+  return await pnxPaymentRequest('get', `/transaction/${encodeURIComponent(paynetworxTransactionId)}`);
+}
+
+/**
+ * Void a card payment that has not settled yet; the full amount is released back to the card
+ * @param {string} paynetworxTransactionId - PayNetWorx TransactionID of the original auth
+ * @param {string} [requestId] - Request-ID, e.g. the caller's Idempotency-Key
+ * @returns {Promise<object>} PayNetWorx response (Approved, TransactionID, ResponseText)
+ */
+export async function voidPaynetworxTransaction(paynetworxTransactionId, requestId = null) {
+  return await pnxPaymentRequest('post', '/transaction/void', {
+    TransactionID: paynetworxTransactionId,
+    TransactionEntry: {
+      Device: 'NA',
+      DeviceVersion: 'NA',
+      Application: 'GGVerse API',
+      ApplicationVersion: '1.0',
+      Timestamp: new Date().toISOString()
+    }
+  }, requestId);
+}
+
+/**
+ * Refund all or part of a settled card payment
+ * @param {string} paynetworxTransactionId - PayNetWorx TransactionID of the original auth
+ * @param {number} amount - Cents to refund, up to what is left of the original
+ * @param {string} [currency]
+ * @param {string} [requestId] - Request-ID, e.g. the caller's Idempotency-Key
+ * @returns {Promise<object>} PayNetWorx response (Approved, TransactionID, ResponseText)
+ */
+export async function refundPaynetworxTransaction(paynetworxTransactionId, amount, currency = 'USD', requestId = null) {
+  return await pnxPaymentRequest('post', '/transaction/refund', {
+    TransactionID: paynetworxTransactionId,
+    Amount: {
+      Total: money.formatAmount(amount),
+      Currency: currency.toUpperCase()
+    },
+    TransactionEntry: {
+      Device: 'NA',
+      DeviceVersion: 'NA',
+      Application: 'GGVerse API',
+      ApplicationVersion: '1.0',
+      Timestamp: new Date().toISOString()
+    }
+  }, requestId);
+}
+
 // Helper function to get tomorrow's date in YYYY-MM-DD format
 function getTomorrowDate() {
   const tomorrow = new Date();
@@ -429,36 +551,123 @@ export async function tokenizeBankAccount(options) {
   throw err;
 }
 
-// Helper function to get available balance (wallet - escrow)
-async function getAvailableBalance(userId) {
-  const user = await prisma.Users.findUnique({
-    where: { id: userId },
-    select: { Wallet: true }
+// Put a debited withdrawal back into the wallet (fee included) and mark it failed
+const reverseWithdrawal = async (transaction, description) => {
+  await prisma.$transaction(async (tx) => {
+    await ledgerService.creditWallet(tx, {
+      userId: transaction.UserId,
+      amount: transaction.Amount - transaction.Fee,
+      account: ledgerService.ACCOUNTS.PAYNETWORX,
+      reason: 'withdrawal_reversal',
+      referenceType: 'transaction',
+      referenceId: transaction.id,
+      transactionId: transaction.id,
+      description
+    });
+    await feeService.reverseFee(tx, {
+      userId: transaction.UserId,
+      fee: transaction.Fee,
+      type: 'withdrawal',
+      referenceType: 'transaction',
+      referenceId: transaction.id
+    });
+    await tx.Transaction.update({
+      where: { id: transaction.id },
+      data: { Status: 'failed' }
+    });
+  });
+};
+
+// The saved bank account matching bank details typed in on a withdrawal, if any
+const findSavedBankAccount = async (userId, bankAccount) => {
+  return await prisma.BankAccount.findFirst({
+    where: {
+      UserId: userId,
+      Active: true,
+      AccountLast4: bankAccount.accountNumber.slice(-4),
+      // Accounts saved through /bank-accounts keep the full routing number, ones tokenized on a withdrawal the last 4
+      RoutingLast4: { in: [bankAccount.routingNumber, bankAccount.routingNumber.slice(-4)] },
+      AccountType: bankAccount.accountType
+    },
+    orderBy: { created_at: 'asc' }
   });
-  
-  if (!user) return 0;
-  
-  // Check if ChallengeEscrow model exists (may not be migrated yet)
+};
+
+/**
+ * Send the ACH credit for a withdrawal a risk rule held for review, once an operator has approved it.
+ * The wallet must already be debited (Status 'pending'); the payout goes to the saved, tokenized bank
+ * account the withdrawal was held with. When PayNetWorx does not accept it the debit is reversed.
+ * @param {object} transaction - The withdrawal Transaction
+ * @param {string} [requestId] - Sent as Request-ID
+ * @returns {Promise<{ transaction: object, error?: string }>} The updated Transaction, and why the payout failed
+ */
+export const payoutReviewedWithdrawal = async (transaction, requestId = null) => {
+  let failure;
   try {
-    const totalEscrow = await prisma.challengeEscrow.aggregate({
-      where: {
-        UserId: userId,
-        Status: 'locked'
+    const bankAccount = transaction.BankAccountId
+      ? await prisma.BankAccount.findUnique({ where: { id: transaction.BankAccountId } })
+      : null;
+    if (!bankAccount?.ProviderBankId || !bankAccount.Active) {
+      throw new Error('The bank account is no longer available');
+    }
+
+    const pnxResponse = await pnxPaymentRequest('post', '/transaction/achcredit', {
+      Amount: {
+        Total: money.formatAmount(transaction.Amount - transaction.Fee),
+        Currency: transaction.Currency
       },
-      _sum: { Amount: true }
-    });
-    
-    const available = Number(user.Wallet || 0) - Number(totalEscrow._sum.Amount || 0);
-    return Math.max(0, available);
-  } catch (error) {
-    // ChallengeEscrow table doesn't exist yet, just return wallet balance
-    return Number(user.Wallet || 0);
+      PaymentMethod: {
+        Token: { TokenID: bankAccount.ProviderBankId },
+        ACH: {
+          AchAccountType: bankAccount.AccountType,
+          CustomerName: bankAccount.AccountName,
+          EffectiveDate: getTomorrowDate()
+        }
+      },
+      TransactionEntry: {
+        Device: 'NA',
+        DeviceVersion: 'NA',
+        Application: 'GGVerse API',
+        ApplicationVersion: '1.0',
+        Timestamp: new Date().toISOString()
+      },
+      Detail: {
+        MerchantData: {
+          MerchantDefinedKey1: `withdrawal_${transaction.id}`,
+          MerchantDefinedKey2: transaction.UserId.toString()
+        }
+      }
+    }, requestId);
+
+    if (pnxResponse.Approved === true) {
+      const updated = await prisma.Transaction.update({
+        where: { id: transaction.id },
+        data: {
+          Status: 'completed',
+          SettlementStatus: 'pending',
+          PaynetworxPaymentId: pnxResponse.TransactionID,
+          ExternalReference: pnxResponse.TransactionID
+        }
+      });
+      return { transaction: updated };
+    }
+    failure = pnxResponse.ResponseText || 'ACH credit request was not approved';
+  } catch (e) {
+    failure = e.message;
   }
-}
+
+  await reverseWithdrawal(transaction, failure);
+  return {
+    transaction: await prisma.Transaction.findUnique({ where: { id: transaction.id } }),
+    error: failure
+  };
+};
 
 // Withdrawal - Process withdrawal request (payout to user's bank account via ACH Credit)
+// Withdrawals that break a risk rule are held for manual review instead (see withdrawalRiskService.js)
 export const processWithdrawal = async (req, res) => {
   let transaction = null;
+  let walletDebited = false;
   
   try {
     const userId = req.user?.userId || req.user?.id;
@@ -472,8 +681,9 @@ export const processWithdrawal = async (req, res) => {
       bankAccount     // Required if no bankAccountId
     } = req.body;
     
-    if (!amount || amount <= 0) {
-      return res.status(400).send({ error: 'Valid amount is required' });
+    const withdrawalAmount = money.parseAmount(amount);
+    if (withdrawalAmount === null || withdrawalAmount <= 0) {
+      return res.status(400).send({ error: 'Amount must be positive with at most two decimal places' });
     }
 
     // Step 1: Get user and calculate available balance
@@ -486,23 +696,32 @@ export const processWithdrawal = async (req, res) => {
       return res.status(404).send({ error: 'User not found' });
     }
 
-    const withdrawalAmount = Number(amount);
-    const availableBalance = await getAvailableBalance(parseInt(userId));
+    const availableBalance = await escrowService.getAvailableBalance(parseInt(userId));
 
     // Step 2: Validate sufficient balance
     if (withdrawalAmount > availableBalance) {
-      const currentBalance = Number(user.Wallet || 0);
+      const currentBalance = user.Wallet || 0;
       const escrowedAmount = currentBalance - availableBalance;
       
       return res.status(400).send({ 
         error: 'Insufficient available balance',
-        availableBalance,
-        requestedAmount: withdrawalAmount,
-        currentBalance,
-        escrowedAmount: escrowedAmount > 0 ? escrowedAmount : 0
+        availableBalance: money.toDollars(availableBalance),
+        requestedAmount: money.toDollars(withdrawalAmount),
+        currentBalance: money.toDollars(currentBalance),
+        escrowedAmount: money.toDollars(escrowedAmount > 0 ? escrowedAmount : 0)
       });
     }
 
+    // Withdrawal fee is taken out of the amount paid out
+    const { fee: withdrawalFee, net: payoutAmount } = await feeService.calculateFee(prisma, {
+      type: 'withdrawal',
+      amount: withdrawalAmount,
+      provider: 'paynetworx'
+    });
+    if (payoutAmount <= 0) {
+      return res.status(400).send({ error: 'Withdrawal amount must be greater than the withdrawal fee', fee: money.toDollars(withdrawalFee) });
+    }
+
     // Step 3: Validate bank account information
     let achData = null;
     let bankAccountToken = null; // Declare in outer scope for use in DataAction check
@@ -613,32 +832,140 @@ export const processWithdrawal = async (req, res) => {
       };
     }
 
-    // Step 4: Create withdrawal transaction (status: pending)
-    transaction = await prisma.Transaction.create({
-      data: {
-        UserId: parseInt(userId),
-        Type: 'withdrawal',
-        Amount: withdrawalAmount,
-        Currency: currency.toUpperCase(),
-        Description: description || 'Withdrawal to bank account',
-        Status: 'pending',
-        Provider: 'paynetworx',
-        BankAccountId: bankAccountId ? parseInt(bankAccountId) : null
-      }
+    // Risk rules: a hit holds the withdrawal for an operator instead of paying it out. The amount stays
+    // in the wallet but is held (escrowService.getHeldWithdrawals); approving it pays out to a saved,
+    // tokenized bank account, so typed-in details are saved and tokenized now
+    const savedBankAccount = bankAccountToken || await findSavedBankAccount(parseInt(userId), bankAccount);
+    const riskFlags = await withdrawalRiskService.evaluateWithdrawal(prisma, {
+      userId: parseInt(userId),
+      amount: withdrawalAmount,
+      provider: 'paynetworx',
+      bankAccount: savedBankAccount,
+      sessionId: req.user?.sid
     });
 
-    // Step 5: Decrement wallet balance
-    await prisma.Users.update({
-      where: { id: parseInt(userId) },
-      data: { Wallet: { decrement: withdrawalAmount } }
+    if (riskFlags.length > 0) {
+      let payoutAccount = savedBankAccount;
+      if (!payoutAccount?.ProviderBankId) {
+        const routingNumber = payoutAccount ? payoutAccount.RoutingLast4 : bankAccount.routingNumber;
+        const accountType = payoutAccount ? payoutAccount.AccountType : bankAccount.accountType;
+        const accountHolderName = payoutAccount ? payoutAccount.AccountName : bankAccount.accountHolderName;
+
+        let tokenId;
+        try {
+          ({ tokenId } = await tokenizeBankAccount({
+            routingNumber,
+            accountNumber: bankAccount.accountNumber,
+            accountType,
+            accountHolderName,
+            userId: String(userId)
+          }));
+        } catch (tokenizeError) {
+          console.error('Bank account tokenization failed:', tokenizeError);
+          return res.status(400).send({ error: 'Bank account could not be verified. Please check your details and try again.' });
+        }
+
+        payoutAccount = payoutAccount
+          ? await prisma.BankAccount.update({ where: { id: payoutAccount.id }, data: { ProviderBankId: tokenId } })
+          : await prisma.BankAccount.create({
+            data: {
+              UserId: parseInt(userId),
+              Provider: 'paynetworx',
+              ProviderBankId: tokenId,
+              AccountType: accountType,
+              AccountName: accountHolderName,
+              AccountLast4: bankAccount.accountNumber.slice(-4),
+              RoutingLast4: routingNumber,
+              Active: true,
+              IsDefault: false
+            }
+          });
+      }
+
+      // Recheck under the user's row lock so concurrent withdrawals cannot hold the same balance twice
+      const heldTransaction = await prisma.$transaction(async (tx) => {
+        if (await escrowService.lockAvailableBalance(tx, parseInt(userId)) < withdrawalAmount) return null;
+
+        return await tx.Transaction.create({
+          data: {
+            UserId: parseInt(userId),
+            Type: 'withdrawal',
+            Amount: withdrawalAmount,
+            Currency: currency.toUpperCase(),
+            Description: description || 'Withdrawal to bank account',
+            Fee: withdrawalFee,
+            Status: 'review',
+            Provider: 'paynetworx',
+            BankAccountId: payoutAccount.id,
+            RiskFlags: riskFlags
+          }
+        });
+      });
+      if (!heldTransaction) {
+        return res.status(400).send({ error: 'Insufficient available balance' });
+      }
+
+      return res.status(202).send({
+        success: true,
+        transactionId: heldTransaction.id,
+        amount: money.toDollars(withdrawalAmount),
+        fee: money.toDollars(withdrawalFee),
+        netAmount: money.toDollars(payoutAmount),
+        currency: currency.toUpperCase(),
+        bankAccountId: payoutAccount.id,
+        status: 'review',
+        message: 'Your withdrawal is being reviewed before it is paid out. The amount is on hold until then.'
+      });
+    }
+
+    // Steps 4-5: Create the withdrawal transaction (status: pending) and debit the wallet (payout to the
+    // bank plus the withdrawal fee), rechecking the balance under the user's row lock so concurrent
+    // withdrawals cannot spend the same balance twice
+    transaction = await prisma.$transaction(async (tx) => {
+      if (await escrowService.lockAvailableBalance(tx, parseInt(userId)) < withdrawalAmount) return null;
+
+      const created = await tx.Transaction.create({
+        data: {
+          UserId: parseInt(userId),
+          Type: 'withdrawal',
+          Amount: withdrawalAmount,
+          Currency: currency.toUpperCase(),
+          Description: description || 'Withdrawal to bank account',
+          Fee: withdrawalFee,
+          Status: 'pending',
+          Provider: 'paynetworx',
+          BankAccountId: bankAccountId ? parseInt(bankAccountId) : null
+        }
+      });
+      await ledgerService.debitWallet(tx, {
+        userId: parseInt(userId),
+        amount: payoutAmount,
+        account: ledgerService.ACCOUNTS.PAYNETWORX,
+        reason: 'withdrawal',
+        referenceType: 'transaction',
+        referenceId: created.id,
+        transactionId: created.id
+      });
+      await feeService.recordFee(tx, {
+        userId: parseInt(userId),
+        fee: withdrawalFee,
+        type: 'withdrawal',
+        referenceType: 'transaction',
+        referenceId: created.id,
+        description: `Withdrawal #${created.id} fee`
+      });
+      return created;
     });
+    if (!transaction) {
+      return res.status(400).send({ error: 'Insufficient available balance' });
+    }
+    walletDebited = true;
 
     // Step 6: Call PayNetWorx ACH Credit API
     // Format amount with exactly 2 decimal places for currency validation
-    const formattedAmount = Number(withdrawalAmount).toFixed(2);
     const achCreditRequest = {
       Amount: {
-        Total: formattedAmount,
+        Total: money.formatAmount(payoutAmount),
         Currency: currency.toUpperCase()
       },
       PaymentMethod: achData,
@@ -663,7 +990,7 @@ export const processWithdrawal = async (req, res) => {
       achCreditRequest.DataAction = 'token/add';
     }
 
-    const pnxResponse = await pnxPaymentRequest('post', '/transaction/achcredit', achCreditRequest);
+    const pnxResponse = await pnxPaymentRequest('post', '/transaction/achcredit', achCreditRequest, req.idempotencyKey);
 
     // Step 7: Handle response
     const approved = pnxResponse.Approved === true;
@@ -674,6 +1001,7 @@ export const processWithdrawal = async (req, res) => {
         where: { id: transaction.id },
         data: {
           Status: 'completed',
+          SettlementStatus: 'pending',
           PaynetworxPaymentId: pnxResponse.TransactionID
         }
       });
@@ -735,9 +1063,11 @@ export const processWithdrawal = async (req, res) => {
       const responseData = {
         success: true,
         transactionId: transaction.id,
-        amount: withdrawalAmount,
+        amount: money.toDollars(withdrawalAmount),
+        fee: money.toDollars(withdrawalFee),
+        netAmount: money.toDollars(payoutAmount),
         currency: currency.toUpperCase(),
-        newBalance: availableBalance - withdrawalAmount,
+        newBalance: money.toDollars(availableBalance - withdrawalAmount),
         status: 'completed',
         paynetworxTransactionId: pnxResponse.TransactionID,
         message: 'Withdrawal processed successfully'
@@ -757,16 +1087,8 @@ export const processWithdrawal = async (req, res) => {
       
       return res.json(responseData);
     } else {
-      // Payment failed - reverse wallet decrement
-      await prisma.Users.update({
-        where: { id: parseInt(userId) },
-        data: { Wallet: { increment: withdrawalAmount } }
-      });
-
-      await prisma.Transaction.update({
-        where: { id: transaction.id },
-        data: { Status: 'failed' }
-      });
+      // Payment failed - reverse wallet debit
+      await reverseWithdrawal(transaction, pnxResponse.ResponseText || 'ACH credit not approved');
 
       return res.status(400).send({
         error: 'Withdrawal failed',
@@ -775,16 +1097,34 @@ export const processWithdrawal = async (req, res) => {
       });
     }
   } catch (e) {
-    // If wallet was decremented but API call failed, reverse it
+    // If wallet was debited but API call failed, reverse it
     if (transaction && transaction.Status === 'pending') {
       try {
-        await prisma.Users.update({
-          where: { id: parseInt(req.user?.userId || req.user?.id) },
-          data: { Wallet: { increment: Number(req.body.amount) } }
-        });
-        await prisma.Transaction.update({
-          where: { id: transaction.id },
-          data: { Status: 'failed' }
+        await prisma.$transaction(async (tx) => {
+          if (walletDebited) {
+            const fee = transaction.Fee;
+            await ledgerService.creditWallet(tx, {
+              userId: transaction.UserId,
+              amount: transaction.Amount - fee,
+              account: ledgerService.ACCOUNTS.PAYNETWORX,
+              reason: 'withdrawal_reversal',
+              referenceType: 'transaction',
+              referenceId: transaction.id,
+              transactionId: transaction.id,
+              description: e.message
+            });
+            await feeService.reverseFee(tx, {
+              userId: transaction.UserId,
+              fee,
+              type: 'withdrawal',
+              referenceType: 'transaction',
+              referenceId: transaction.id
+            });
+          }
+          await tx.Transaction.update({
+            where: { id: transaction.id },
+            data: { Status: 'failed' }
+          });
         });
       } catch (reversalError) {
         console.error('Error reversing withdrawal:', reversalError);
@@ -817,8 +1157,9 @@ export const processDepositWithBankAccount = async (req, res) => {
       providerBankToken
     } = req.body;
 
-    if (!amount || amount <= 0) {
-      return res.status(400).send({ error: 'Valid amount is required' });
+    const depositAmount = money.parseAmount(amount);
+    if (depositAmount === null || depositAmount <= 0) {
+      return res.status(400).send({ error: 'Amount must be positive with at most two decimal places' });
     }
 
     const user = await prisma.Users.findUnique({
@@ -830,7 +1171,11 @@ export const processDepositWithBankAccount = async (req, res) => {
       return res.status(404).send({ error: 'User not found' });
     }
 
-    const depositAmount = Number(amount);
+    const depositBlock = await responsibleGamingService.checkDepositAllowed(userId, depositAmount);
+    if (depositBlock) return res.status(403).send(depositBlock);
+
+    // Deposit fee is taken out of the amount debited
+    const { fee: depositFee } = await feeService.calculateFee(prisma, { type: 'deposit', amount: depositAmount, provider: 'paynetworx' });
 
     // Build ACH payload (same shape as withdrawal - Token+ACH or raw ACH)
     let achData = null;
@@ -940,16 +1285,16 @@ export const processDepositWithBankAccount = async (req, res) => {
         Amount: depositAmount,
         Currency: currency.toUpperCase(),
         Description: description || 'Deposit via ACH',
+        Fee: depositFee,
         Status: 'pending',
         Provider: 'paynetworx',
         BankAccountId: bankAccountId ? parseInt(bankAccountId) : null
       }
     });
 
-    const formattedAmount = Number(depositAmount).toFixed(2);
     const achDebitRequest = {
       Amount: {
-        Total: formattedAmount,
+        Total: money.formatAmount(depositAmount),
         Currency: currency.toUpperCase()
       },
       PaymentMethod: achData,
@@ -972,21 +1317,11 @@ export const processDepositWithBankAccount = async (req, res) => {
       achDebitRequest.DataAction = 'token/add';
     }
 
-    const pnxResponse = await pnxPaymentRequest('post', '/transaction/achdebit', achDebitRequest);
+    const pnxResponse = await pnxPaymentRequest('post', '/transaction/achdebit', achDebitRequest, req.idempotencyKey);
     const approved = pnxResponse.Approved === true;
 
     if (approved) {
-      await prisma.Users.update({
-        where: { id: parseInt(userId) },
-        data: { Wallet: { increment: depositAmount } }
-      });
-      await prisma.Transaction.update({
-        where: { id: transaction.id },
-        data: {
-          Status: 'completed',
-          PaynetworxPaymentId: pnxResponse.TransactionID
-        }
-      });
+      await completeDeposit(transaction, pnxResponse.TransactionID);
 
       if (pnxResponse.Token?.TokenID) {
         try {
@@ -1030,13 +1365,14 @@ export const processDepositWithBankAccount = async (req, res) => {
         }
       }
 
-      const currentBalance = Number(user.Wallet || 0) + depositAmount;
+      const currentBalance = (user.Wallet || 0) + depositAmount - depositFee;
       return res.json({
         success: true,
         transactionId: transaction.id,
-        amount: depositAmount,
+        amount: money.toDollars(depositAmount),
+        fee: money.toDollars(depositFee),
         currency: currency.toUpperCase(),
-        newBalance: currentBalance,
+        newBalance: money.toDollars(currentBalance),
         status: 'completed',
         paynetworxTransactionId: pnxResponse.TransactionID,
         message: 'Deposit processed successfully'
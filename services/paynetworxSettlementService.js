@@ -0,0 +1,395 @@
+import crypto from 'crypto';
+import cron from 'node-cron';
+import prisma from '../prisma/prisma.js';
+import * as ledgerService from './ledgerService.js';
+import * as feeService from './feeService.js';
+import * as paynetworxService from './paynetworxService.js';
+import * as depositReversalService from './depositReversalService.js';
+import * as chargebackService from './chargebackService.js';
+import * as paynetworxStatus from './paynetworxStatus.js';
+import * as money from './moneyService.js';
+
+// Asynchronous outcome of PayNetWorx payments. An approved payment is booked straight away and marked
+// SettlementStatus 'pending'; ACH debits and credits settle - or come back - days later, and card
+// deposits can be charged back. Outcomes arrive on the signed webhook (POST /paynetworx/webhook) and,
+// in case a webhook is missed, from a job that polls PayNetWorx for payments still pending.
+// - settled: SettlementStatus 'settled'
+// - returned (R01, R02 ...): deposits are taken back out of the wallet, withdrawals are paid back in
+// - charged_back: the card deposit is taken back out of the wallet, a Chargeback is opened and the account
+//   is put on hold (see chargebackService.js); staff can also record one PayNetWorx told them about otherwise
+// Reversals may leave the wallet negative when the money has already been spent.
+// Every notification is kept in PaynetworxEvent.
+
+export const SETTLEMENT_OUTCOMES = ['settled', 'returned', 'charged_back'];
+
+// NACHA return codes we see most, for when PayNetWorx sends a code without a reason
+export const ACH_RETURN_REASONS = {
+  R01: 'Insufficient funds',
+  R02: 'Account closed',
+  R03: 'No account / unable to locate account',
+  R04: 'Invalid account number',
+  R07: 'Authorization revoked by customer',
+  R08: 'Payment stopped',
+  R10: 'Customer advises not authorized',
+  R16: 'Account frozen',
+  R29: 'Corporate customer advises not authorized'
+};
+
+const POLL_MIN_AGE_MINUTES = parseInt(process.env.PAYNETWORX_SETTLEMENT_POLL_MIN_AGE_MINUTES || '60');
+const POLL_MAX_AGE_DAYS = parseInt(process.env.PAYNETWORX_SETTLEMENT_POLL_MAX_AGE_DAYS || '10');
+const POLL_BATCH_SIZE = 100;
+
+/**
+ * Map a PayNetWorx status or event type onto a settlement outcome
+ * @param {string} value - e.g. 'transaction.settled', 'Returned', 'CHARGEBACK'
+ * @returns {string|null} One of SETTLEMENT_OUTCOMES, or null when it is not a final outcome (or not a known status)
+ */
+const toOutcome = (value) => {
+  const status = paynetworxStatus.toPaynetworxStatus(value);
+  return SETTLEMENT_OUTCOMES.includes(status) ? status : null;
+};
+
+// A status PayNetWorx sent that we do not know - nothing is changed for it
+const isUnknownStatus = (type) => Boolean(type) && paynetworxStatus.toPaynetworxStatus(type) === null;
+
+/**
+ * Pull what we need out of a webhook payload or a polled PayNetWorx transaction
+ * @param {object} payload
+ * @returns {{ type: string|null, paynetworxTransactionId: string|null, outcome: string|null, returnCode: string|null, reason: string|null }}
+ */
+const parseNotification = (payload) => {
+  const type = payload.EventType || payload.Type || payload.SettlementStatus || payload.Status || null;
+  const returnCode = payload.ReturnCode || payload.ACH?.ReturnCode || null;
+  return {
+    type,
+    paynetworxTransactionId: payload.TransactionID || payload.Transaction?.TransactionID || null,
+    outcome: toOutcome(type) || (returnCode ? 'returned' : null),
+    returnCode,
+    reason: payload.ReturnReason || payload.Reason || payload.ResponseText || ACH_RETURN_REASONS[returnCode] || null
+  };
+};
+
+// Take a returned or charged-back deposit back out of the wallet, refunding the deposit fee.
+// Anything staff already refunded has left the wallet, so only the rest is taken. Returns what was taken.
+const reverseDeposit = async (tx, trx, outcome, description) => {
+  const fee = trx.Fee;
+  const refunded = await depositReversalService.getReversedAmount(tx, trx.id);
+  await feeService.reverseFee(tx, {
+    userId: trx.UserId,
+    fee,
+    type: 'deposit',
+    referenceType: 'transaction',
+    referenceId: trx.id,
+    description: `Deposit #${trx.id} fee refunded (${outcome})`
+  });
+  const amount = trx.Amount - refunded;
+  await ledgerService.debitWallet(tx, {
+    userId: trx.UserId,
+    amount,
+    account: ledgerService.ACCOUNTS.PAYNETWORX,
+    reason: `deposit_${outcome === 'charged_back' ? 'chargeback' : 'return'}`,
+    referenceType: 'transaction',
+    referenceId: trx.id,
+    transactionId: trx.id,
+    description
+  });
+  return amount;
+};
+
+// Pay a returned withdrawal back into the wallet, refunding the withdrawal fee
+const reverseWithdrawal = async (tx, trx, description) => {
+  const fee = trx.Fee;
+  await ledgerService.creditWallet(tx, {
+    userId: trx.UserId,
+    amount: trx.Amount - fee,
+    account: ledgerService.ACCOUNTS.PAYNETWORX,
+    reason: 'withdrawal_return',
+    referenceType: 'transaction',
+    referenceId: trx.id,
+    transactionId: trx.id,
+    description
+  });
+  await feeService.reverseFee(tx, {
+    userId: trx.UserId,
+    fee,
+    type: 'withdrawal',
+    referenceType: 'transaction',
+    referenceId: trx.id
+  });
+};
+
+/**
+ * Apply a settlement outcome to a completed PayNetWorx transaction.
+ * The status guard runs inside the transaction so an outcome delivered twice (webhook and poll) is
+ * applied once, and a payment that has been returned or charged back is never reversed again.
+ * @param {object} trx - Transaction row
+ * @param {{ outcome: string, returnCode?: string, reason?: string, source?: string }} settlement
+ *   source ('webhook' | 'poll' | 'admin') is recorded on a chargeback
+ * @returns {Promise<boolean>} false if there was nothing to change
+ */
+export const applySettlement = async (trx, { outcome, returnCode = null, reason = null, source = 'webhook' }) => {
+  const unreversed = {
+    id: trx.id,
+    Status: 'completed',
+    OR: [{ SettlementStatus: null }, { SettlementStatus: { in: ['pending', 'settled'] } }]
+  };
+
+  if (outcome === 'settled') {
+    const updated = await prisma.Transaction.updateMany({
+      where: { id: trx.id, Status: 'completed', OR: [{ SettlementStatus: null }, { SettlementStatus: 'pending' }] },
+      data: { SettlementStatus: 'settled', SettledAt: new Date() }
+    });
+    return updated.count > 0;
+  }
+
+  if (outcome === 'charged_back' && trx.Type !== 'deposit') {
+    throw new Error(`Chargeback received for ${trx.Type} transaction ${trx.id}`);
+  }
+  if (!['deposit', 'withdrawal'].includes(trx.Type)) {
+    throw new Error(`Cannot reverse ${trx.Type} transaction ${trx.id}`);
+  }
+
+  const description = [outcome === 'charged_back' ? 'Chargeback' : 'ACH return', returnCode, reason]
+    .filter(Boolean)
+    .join(' - ');
+
+  return await prisma.$transaction(async (tx) => {
+    const updated = await tx.Transaction.updateMany({
+      where: unreversed,
+      data: {
+        Status: outcome,
+        SettlementStatus: outcome,
+        SettledAt: new Date(),
+        ReturnCode: returnCode,
+        ReturnReason: reason
+      }
+    });
+    if (updated.count === 0) return false;
+
+    if (trx.Type === 'deposit') {
+      const { Wallet: walletBefore } = await tx.Users.findUnique({ where: { id: trx.UserId }, select: { Wallet: true } });
+      const amount = await reverseDeposit(tx, trx, outcome, description);
+      if (outcome === 'charged_back') {
+        await chargebackService.openChargeback(tx, { trx, amount, walletBefore, reasonCode: returnCode, reason, source });
+      }
+    } else {
+      await reverseWithdrawal(tx, trx, description);
+    }
+    return true;
+  });
+};
+
+/**
+ * Record a notification and apply it to the matching transaction
+ * @param {{ eventId: string, source: 'webhook'|'poll', payload: object }} notification
+ * @returns {Promise<{ status: string, duplicate?: boolean, transactionId?: number, applied?: boolean }>}
+ */
+export const processNotification = async ({ eventId, source, payload }) => {
+  const parsed = parseNotification(payload);
+
+  const existing = await prisma.PaynetworxEvent.findUnique({ where: { EventId: eventId } });
+  if (existing && existing.Status !== 'failed') {
+    return { status: existing.Status, duplicate: true, transactionId: existing.TransactionId };
+  }
+
+  // Stored as failed until it has been applied, so an event interrupted half-way is retried
+  const event = existing || await prisma.PaynetworxEvent.create({
+    data: {
+      EventId: eventId,
+      Source: source,
+      Type: parsed.type,
+      PaynetworxTransaction: parsed.paynetworxTransactionId,
+      Payload: payload,
+      Status: 'failed'
+    }
+  });
+
+  const finish = (status, data = {}) => prisma.PaynetworxEvent.update({
+    where: { id: event.id },
+    data: { Status: status, ProcessedAt: new Date(), Error: null, ...data }
+  });
+
+  try {
+    if (!parsed.outcome || !parsed.paynetworxTransactionId) {
+      if (!parsed.outcome && isUnknownStatus(parsed.type)) {
+        console.warn(`[PayNetWorx] Unknown status '${parsed.type}' for ${parsed.paynetworxTransactionId} - ignored`);
+        await finish('ignored', { Error: `Unknown status: ${parsed.type}` });
+      } else {
+        await finish('ignored');
+      }
+      return { status: 'ignored' };
+    }
+
+    const trx = await prisma.Transaction.findFirst({
+      where: { PaynetworxPaymentId: parsed.paynetworxTransactionId, Provider: 'paynetworx' }
+    });
+    if (!trx) {
+      await finish('ignored', { Error: 'No matching transaction' });
+      return { status: 'ignored' };
+    }
+
+    const applied = await applySettlement(trx, { ...parsed, source });
+    if (applied && parsed.outcome !== 'settled') {
+      console.log(`[PayNetWorx] Transaction ${trx.id} ${parsed.outcome} (${parsed.returnCode || 'no code'}) - wallet reversed`);
+    }
+
+    await finish('processed', { TransactionId: trx.id });
+    return { status: 'processed', transactionId: trx.id, applied };
+  } catch (error) {
+    await prisma.PaynetworxEvent.update({
+      where: { id: event.id },
+      data: { Status: 'failed', Error: error.message }
+    });
+    throw error;
+  }
+};
+
+// POST /api/admin/transactions/:transactionId/chargeback - record a card deposit chargeback PayNetWorx
+// reported outside the webhook (e.g. a dispute notice by email)
+export const recordChargeback = async (req, res) => {
+  try {
+    const transactionId = parseInt(req.params.transactionId);
+    const reasonCode = String(req.body.reasonCode || '').trim() || null;
+    const reason = String(req.body.reason || '').trim();
+
+    if (isNaN(transactionId)) {
+      return res.status(400).send({ error: 'Valid transactionId is required' });
+    }
+    if (!reason) {
+      return res.status(400).send({ error: 'A reason is required' });
+    }
+
+    const trx = await prisma.Transaction.findUnique({ where: { id: transactionId } });
+    if (!trx) {
+      return res.status(404).send({ error: 'Transaction not found' });
+    }
+    if (trx.Type !== 'deposit' || trx.Provider !== 'paynetworx' || trx.BankAccountId) {
+      return res.status(400).send({ error: 'Only PayNetWorx card deposits can be charged back' });
+    }
+
+    const applied = await applySettlement(trx, { outcome: 'charged_back', returnCode: reasonCode, reason, source: 'admin' });
+    if (!applied) {
+      return res.status(409).send({ error: `Deposit cannot be charged back (status: ${trx.Status})` });
+    }
+
+    const chargeback = await prisma.Chargeback.findUnique({ where: { TransactionId: trx.id } });
+    const user = await prisma.Users.findUnique({ where: { id: trx.UserId }, select: { Wallet: true } });
+
+    res.locals.auditDetails = {
+      chargebackId: chargeback.id,
+      amount: money.toDollars(chargeback.Amount),
+      shortfall: money.toDollars(chargeback.Shortfall),
+      reasonCode
+    };
+
+    res.status(201).send({
+      success: true,
+      chargeback: chargebackService.formatChargeback(chargeback),
+      balance: money.toDollars(user.Wallet)
+    });
+  } catch (err) {
+    console.error('Error recording chargeback:', err);
+    res.status(500).send({ error: 'Failed to record chargeback' });
+  }
+};
+
+// POST /paynetworx/webhook - signed settlement, return and chargeback notifications
+export const handleWebhook = async (req, res) => {
+  try {
+    const payload = req.body;
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return res.status(400).send({ error: 'Invalid webhook payload' });
+    }
+
+    // Redeliveries carry the same EventID; fall back to the body's hash when there isn't one
+    const eventId = payload.EventID || payload.EventId ||
+      crypto.createHash('sha256').update(req.rawBody || JSON.stringify(payload)).digest('hex');
+
+    const result = await processNotification({ eventId: String(eventId), source: 'webhook', payload });
+    res.status(200).send({ received: true, ...result });
+  } catch (error) {
+    // A 5xx makes PayNetWorx redeliver, and failed events are processed again
+    console.error('Error processing PayNetWorx webhook:', error);
+    res.status(500).send({ error: 'Failed to process webhook' });
+  }
+};
+
+/**
+ * Ask PayNetWorx about every payment still awaiting settlement that is old enough to have moved
+ * and young enough to still be worth polling (older ones are left to the webhook)
+ * @returns {Promise<{ checked: number, updated: number, errors: object[] }>}
+ */
+export const pollPendingSettlements = async () => {
+  const now = Date.now();
+  const transactions = await prisma.Transaction.findMany({
+    where: {
+      Provider: 'paynetworx',
+      Status: 'completed',
+      SettlementStatus: 'pending',
+      PaynetworxPaymentId: { not: null },
+      created_at: {
+        lte: new Date(now - POLL_MIN_AGE_MINUTES * 60 * 1000),
+        gte: new Date(now - POLL_MAX_AGE_DAYS * 24 * 60 * 60 * 1000)
+      }
+    },
+    orderBy: { created_at: 'asc' },
+    take: POLL_BATCH_SIZE
+  });
+
+  const errors = [];
+  let updated = 0;
+
+  for (const trx of transactions) {
+    try {
+      const pnx = await paynetworxService.getPaynetworxTransaction(trx.PaynetworxPaymentId);
+      const parsed = parseNotification({ TransactionID: trx.PaynetworxPaymentId, ...pnx });
+      if (!parsed.outcome) {
+        if (isUnknownStatus(parsed.type)) {
+          console.warn(`[PayNetWorx] Unknown status '${parsed.type}' for transaction ${trx.id} - left pending`);
+        }
+        continue;
+      }
+
+      // One event per outcome, so a later poll that sees the same outcome is a duplicate
+      const result = await processNotification({
+        eventId: `poll:${trx.PaynetworxPaymentId}:${parsed.outcome}`,
+        source: 'poll',
+        payload: { TransactionID: trx.PaynetworxPaymentId, ...pnx }
+      });
+      if (result.applied) updated++;
+    } catch (error) {
+      console.error(`[PayNetWorx] Error polling transaction ${trx.id}:`, error.message);
+      errors.push({ transactionId: trx.id, error: error.message });
+    }
+  }
+
+  if (transactions.length > 0) {
+    console.log(`[PayNetWorx] Settlement poll checked ${transactions.length} payments, ${updated} updated, ${errors.length} errors`);
+  }
+
+  return { checked: transactions.length, updated, errors };
+};
+
+/**
+ * Start the settlement polling job
+ * Runs every 30 minutes by default (override with PAYNETWORX_SETTLEMENT_POLL_CRON)
+ */
+export const startSettlementPoller = () => {
+  const schedule = process.env.PAYNETWORX_SETTLEMENT_POLL_CRON || '*/30 * * * *';
+
+  cron.schedule(schedule, async () => {
+    try {
+      await pollPendingSettlements();
+    } catch (error) {
+      console.error('[PayNetWorx] Error in settlement poll:', error);
+    }
+  });
+
+  // Also run immediately on startup to catch anything that moved while the server was down
+  console.log('[PayNetWorx] Starting settlement poller...');
+  pollPendingSettlements().catch(error => {
+    console.error('[PayNetWorx] Error in initial settlement poll:', error);
+  });
+
+  console.log(`[PayNetWorx] Settlement poller started (${schedule})`);
+};
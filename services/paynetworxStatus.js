@@ -0,0 +1,28 @@
+// The statuses PayNetWorx reports for a payment - the Status column of the settlement file, SettlementStatus /
+// Status on GET /transactions/:id and the webhook EventType ('transaction.<status>') - and what each one
+// means here. Values are matched exactly (case-insensitively); anything else is unknown and callers leave
+// the payment as it is and log the value, so a new status can never finalize money by accident.
+
+export const PAYNETWORX_STATUSES = {
+  pending: 'pending',
+  approved: 'pending',
+  authorized: 'pending',
+  captured: 'pending',
+  unsettled: 'pending',
+  pending_settlement: 'pending',
+  settled: 'settled',
+  declined: 'declined',
+  returned: 'returned',
+  chargeback: 'charged_back',
+  charged_back: 'charged_back'
+};
+
+/**
+ * Classify a PayNetWorx status or webhook event type
+ * @param {string} value - e.g. 'settled', 'Returned', 'transaction.chargeback'
+ * @returns {string|null} 'pending' | 'settled' | 'declined' | 'returned' | 'charged_back', or null when unknown
+ */
+export const toPaynetworxStatus = (value) => {
+  const normalized = String(value ?? '').trim().toLowerCase().replace(/^transaction\./, '');
+  return Object.hasOwn(PAYNETWORX_STATUSES, normalized) ? PAYNETWORX_STATUSES[normalized] : null;
+};
@@ -0,0 +1,534 @@
+import cron from 'node-cron';
+import prisma from '../prisma/prisma.js';
+import * as ledgerService from './ledgerService.js';
+import * as money from './moneyService.js';
+import * as paynetworxService from './paynetworxService.js';
+import * as paynetworxStatus from './paynetworxStatus.js';
+import * as settlementFile from './settlementFile.js';
+import * as transactionRules from './transactionRules.js';
+
+// Daily reconciliation report. Each run checks:
+// - every Users.Wallet against the ledger (ledger_drift) and against the balance its Transaction rows add
+//   up to (transaction_drift) - deposits less withdrawals, fees, voids and refunds, plus/minus game results
+//   and adjustments, plus wallet ledger entries with no Transaction behind them (signup bonus, opening balance)
+// - the day's PayNetWorx transactions against PayNetWorx's own records: missing on either side, a different
+//   amount, or a different outcome (approved / declined / returned / charged back)
+// PayNetWorx's records come from its daily settlement file (PAYNETWORX_SETTLEMENT_FILE_DIR, see
+// settlementFile.js) or, without a file, from looking up each transaction through the API, which cannot
+// spot payments we have no row for. How each Transaction row counts is in transactionRules.js.
+// Amounts are compared in cents; reports are stored in ReconciliationReport (amounts in dollars) and can be
+// downloaded as CSV.
+
+export const RECONCILIATION_SOURCES = ['file', 'api'];
+
+const PAYNETWORX_TYPES = ['deposit', 'withdrawal', 'void', 'refund'];
+
+const CSV_COLUMNS = [
+  'category', 'kind', 'userId', 'username', 'transactionId', 'paynetworxTransactionId',
+  'expected', 'actual', 'difference', 'detail'
+];
+
+const getActorId = (req) => parseInt(req.user?.userId || req.user?.id);
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const yesterday = () => toDateString(new Date(Date.now() - 24 * 60 * 60 * 1000));
+
+/**
+ * Expected wallet balance per user, rebuilt from Transaction rows
+ * @returns {Promise<{ expected: Map<number, number>, unclassified: { type: string, count: number }[] }>}
+ */
+const computeExpectedBalances = async () => {
+  const [groups, refundsOfReturned, untracked] = await Promise.all([
+    prisma.Transaction.groupBy({
+      by: ['UserId', 'Type', 'Status', 'Provider'],
+      _sum: { Amount: true, Fee: true },
+      _count: { _all: true }
+    }),
+    // Voids/refunds of a deposit that was later returned or charged back were not taken twice
+    prisma.Transaction.groupBy({
+      by: ['UserId'],
+      where: {
+        Type: { in: ['void', 'refund'] },
+        Status: { in: transactionRules.ACTIVE_REVERSAL_STATUSES },
+        ReversalOf: { Status: { in: transactionRules.REVERSED_OUTCOMES } }
+      },
+      _sum: { Amount: true }
+    }),
+    prisma.LedgerEntry.groupBy({
+      by: ['UserId'],
+      where: { Account: ledgerService.ACCOUNTS.USER_WALLET, TransactionId: null },
+      _sum: { Amount: true }
+    })
+  ]);
+
+  const expected = new Map();
+  const add = (userId, amount) => expected.set(userId, (expected.get(userId) || 0) + amount);
+
+  const unclassified = new Map();
+  for (const group of groups) {
+    const effect = transactionRules.walletEffect(group, group._sum.Amount || 0, group._sum.Fee || 0);
+    if (effect === null) {
+      unclassified.set(group.Type, (unclassified.get(group.Type) || 0) + group._count._all);
+      continue;
+    }
+    add(group.UserId, effect);
+  }
+  for (const row of refundsOfReturned) add(row.UserId, row._sum.Amount || 0);
+  for (const row of untracked) add(row.UserId, row._sum.Amount || 0);
+
+  return {
+    expected,
+    unclassified: [...unclassified.entries()].map(([type, count]) => ({ type, count }))
+  };
+};
+
+/**
+ * Check every wallet against the ledger and against its transactions
+ * @returns {Promise<{ discrepancies: object[], summary: object }>}
+ */
+const reconcileWalletBalances = async () => {
+  const [users, ledger, { expected, unclassified }] = await Promise.all([
+    prisma.Users.findMany({ select: { id: true, Username: true, Wallet: true } }),
+    ledgerService.reconcileWallets(),
+    computeExpectedBalances()
+  ]);
+
+  const discrepancies = ledger.mismatches.map(m => ({
+    category: 'wallet',
+    kind: 'ledger_drift',
+    userId: m.userId,
+    username: m.username,
+    expected: money.toDollars(m.ledgerBalance),
+    actual: money.toDollars(m.wallet),
+    difference: money.toDollars(m.drift),
+    detail: 'Users.Wallet does not match the sum of the wallet ledger'
+  }));
+
+  let totalWallets = 0;
+  let totalExpected = 0;
+  let transactionDrift = 0;
+  for (const user of users) {
+    const wallet = user.Wallet || 0;
+    const expectedBalance = expected.get(user.id) || 0;
+    totalWallets += wallet;
+    totalExpected += expectedBalance;
+
+    const drift = wallet - expectedBalance;
+    if (drift !== 0) {
+      transactionDrift++;
+      discrepancies.push({
+        category: 'wallet',
+        kind: 'transaction_drift',
+        userId: user.id,
+        username: user.Username,
+        expected: money.toDollars(expectedBalance),
+        actual: money.toDollars(wallet),
+        difference: money.toDollars(drift),
+        detail: 'Users.Wallet does not match what the user\'s transactions add up to'
+      });
+    }
+  }
+
+  return {
+    discrepancies,
+    summary: {
+      usersChecked: users.length,
+      ledgerDrift: ledger.mismatches.length,
+      transactionDrift,
+      totalWallets: money.toDollars(totalWallets),
+      totalExpected: money.toDollars(totalExpected),
+      unclassifiedTransactions: unclassified
+    }
+  };
+};
+
+// Where a PayNetWorx transaction stands, in the settlement file's terms (null for a status we do not know)
+const lookedUpStatus = (pnx) => {
+  if (pnx.Approved === false) return 'declined';
+  const reported = pnx.SettlementStatus || pnx.Status;
+  return reported ? paynetworxStatus.toPaynetworxStatus(reported) : 'pending';
+};
+
+// Look each transaction up through the API; a 404 means PayNetWorx has no record of it
+const lookUpPaynetworxRecords = async (transactions) => {
+  const records = [];
+  const failures = [];
+
+  for (const trx of transactions) {
+    try {
+      const pnx = await paynetworxService.getPaynetworxTransaction(trx.PaynetworxPaymentId);
+      records.push({
+        paynetworxTransactionId: trx.PaynetworxPaymentId,
+        type: pnx.Type || null,
+        amount: money.parseAmount(pnx.Amount?.Total ?? pnx.Amount ?? 0),
+        status: lookedUpStatus(pnx),
+        reportedStatus: pnx.SettlementStatus || pnx.Status || null,
+        returnCode: pnx.ReturnCode || null
+      });
+    } catch (error) {
+      if (error.response?.status === 404) continue;
+      failures.push({ trx, error: error.message });
+    }
+  }
+
+  return { records, failures };
+};
+
+// What PayNetWorx should have moved for a transaction, in cents: withdrawals pay out the amount less the fee
+const paynetworxAmount = (trx) => (trx.Type === 'withdrawal' ? trx.Amount - trx.Fee : trx.Amount);
+
+/**
+ * Compare a day's PayNetWorx transactions with PayNetWorx's records
+ * @param {string} date - YYYY-MM-DD (UTC)
+ * @param {string} source - 'file' | 'api'
+ * @returns {Promise<{ discrepancies: object[], summary: object }>}
+ */
+const reconcilePaynetworx = async (date, source) => {
+  const start = new Date(`${date}T00:00:00.000Z`);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+
+  const transactions = await prisma.Transaction.findMany({
+    where: {
+      Provider: 'paynetworx',
+      Type: { in: PAYNETWORX_TYPES },
+      created_at: { gte: start, lt: end }
+    },
+    include: { Users: { select: { Username: true } } },
+    orderBy: { id: 'asc' }
+  });
+
+  const referenced = transactions.filter(t => t.PaynetworxPaymentId);
+  const { records, failures } = source === 'file'
+    ? { records: await settlementFile.readSettlementFile(date), failures: [] }
+    : await lookUpPaynetworxRecords(referenced);
+
+  const discrepancy = (kind, trx, fields) => ({
+    category: 'paynetworx',
+    kind,
+    userId: trx?.UserId ?? null,
+    username: trx?.Users?.Username ?? null,
+    transactionId: trx?.id ?? null,
+    paynetworxTransactionId: trx?.PaynetworxPaymentId ?? null,
+    ...fields
+  });
+
+  const discrepancies = [];
+
+  for (const { trx, error } of failures) {
+    discrepancies.push(discrepancy('lookup_failed', trx, { detail: `PayNetWorx lookup failed: ${error}` }));
+  }
+
+  // A booked payment with no PayNetWorx reference cannot be matched at all
+  for (const trx of transactions) {
+    if (!trx.PaynetworxPaymentId && transactionRules.BOOKED_STATUSES.includes(trx.Status)) {
+      discrepancies.push(discrepancy('missing_reference', trx, {
+        actual: money.toDollars(trx.Amount),
+        detail: `${trx.Type} is ${trx.Status} here but has no PayNetWorx TransactionID`
+      }));
+    }
+  }
+
+  const recordsById = new Map(records.map(r => [r.paynetworxTransactionId, r]));
+  const failedIds = new Set(failures.map(f => f.trx.PaynetworxPaymentId));
+
+  for (const trx of referenced) {
+    if (failedIds.has(trx.PaynetworxPaymentId)) continue;
+
+    const record = recordsById.get(trx.PaynetworxPaymentId);
+    if (!record) {
+      if (transactionRules.BOOKED_STATUSES.includes(trx.Status)) {
+        discrepancies.push(discrepancy('missing_at_paynetworx', trx, {
+          expected: money.toDollars(paynetworxAmount(trx)),
+          detail: `${trx.Type} is ${trx.Status} here but PayNetWorx has no record of it`
+        }));
+      }
+      continue;
+    }
+
+    const expectedAmount = paynetworxAmount(trx);
+    if (record.amount !== expectedAmount) {
+      // An amount we could not read (null) is reported without a difference
+      discrepancies.push(discrepancy('amount_mismatch', trx, {
+        expected: money.toDollars(expectedAmount),
+        actual: money.toDollars(record.amount),
+        difference: record.amount === null ? null : money.toDollars(record.amount - expectedAmount),
+        detail: `PayNetWorx ${record.type || trx.Type} amount differs`
+      }));
+    }
+
+    if (record.status === null) {
+      discrepancies.push(discrepancy('unknown_status', trx, {
+        expected: trx.Status,
+        actual: record.reportedStatus,
+        detail: `PayNetWorx reported a status we do not recognise ('${record.reportedStatus}') - not compared`
+      }));
+      continue;
+    }
+
+    const statusMismatch = transactionRules.compareStatus(trx, record.status);
+    if (statusMismatch) {
+      discrepancies.push(discrepancy('status_mismatch', trx, {
+        expected: trx.Status,
+        actual: record.status,
+        detail: record.returnCode ? `${statusMismatch} (${record.returnCode})` : statusMismatch
+      }));
+    }
+  }
+
+  // Payments in the settlement file we have no row for (the file can list payments made on other days)
+  let missingLocally = 0;
+  if (source === 'file') {
+    const ids = records.map(r => r.paynetworxTransactionId).filter(Boolean);
+    const known = await prisma.Transaction.findMany({
+      where: { PaynetworxPaymentId: { in: ids } },
+      select: { PaynetworxPaymentId: true }
+    });
+    const knownIds = new Set(known.map(t => t.PaynetworxPaymentId));
+
+    for (const record of records) {
+      if (knownIds.has(record.paynetworxTransactionId) || record.status === 'declined') continue;
+      missingLocally++;
+      discrepancies.push(discrepancy('missing_locally', null, {
+        paynetworxTransactionId: record.paynetworxTransactionId,
+        actual: money.toDollars(record.amount),
+        detail: `PayNetWorx ${record.type || 'payment'} (${record.status}) has no transaction here`
+      }));
+    }
+  }
+
+  const count = (kind) => discrepancies.filter(d => d.kind === kind).length;
+
+  return {
+    discrepancies,
+    summary: {
+      source,
+      paymentsChecked: transactions.length,
+      paynetworxRecords: records.length,
+      missingReference: count('missing_reference'),
+      missingAtPaynetworx: count('missing_at_paynetworx'),
+      missingLocally,
+      amountMismatch: count('amount_mismatch'),
+      statusMismatch: count('status_mismatch'),
+      lookupFailed: failures.length
+    }
+  };
+};
+
+/**
+ * Run a reconciliation for a day and store the report
+ * @param {{ date?: string, source?: string, requestedById?: number }} options
+ *   date is YYYY-MM-DD (UTC), yesterday by default; source defaults to 'file' when
+ *   PAYNETWORX_SETTLEMENT_FILE_DIR is set, otherwise 'api'
+ * @returns {Promise<object>} The ReconciliationReport; a failed run is stored with Status 'failed' and rethrown
+ */
+export const runReconciliation = async ({ date = yesterday(), source = settlementFile.SETTLEMENT_FILE_DIR ? 'file' : 'api', requestedById = null } = {}) => {
+  const report = await prisma.ReconciliationReport.create({
+    data: {
+      ReportDate: new Date(`${date}T00:00:00.000Z`),
+      Source: source,
+      RequestedById: requestedById
+    }
+  });
+
+  try {
+    const wallets = await reconcileWalletBalances();
+    const payments = await reconcilePaynetworx(date, source);
+    const discrepancies = [...wallets.discrepancies, ...payments.discrepancies];
+
+    return await prisma.ReconciliationReport.update({
+      where: { id: report.id },
+      data: {
+        Status: 'completed',
+        UsersChecked: wallets.summary.usersChecked,
+        PaymentsChecked: payments.summary.paymentsChecked,
+        DiscrepancyCount: discrepancies.length,
+        Summary: { wallets: wallets.summary, paynetworx: payments.summary },
+        Discrepancies: discrepancies,
+        CompletedAt: new Date()
+      }
+    });
+  } catch (error) {
+    await prisma.ReconciliationReport.update({
+      where: { id: report.id },
+      data: { Status: 'failed', Error: error.message, CompletedAt: new Date() }
+    });
+    error.reportId = report.id;
+    throw error;
+  }
+};
+
+const formatReport = (r, { withDiscrepancies = false } = {}) => ({
+  id: r.id,
+  date: toDateString(r.ReportDate),
+  source: r.Source,
+  status: r.Status,
+  usersChecked: r.UsersChecked,
+  paymentsChecked: r.PaymentsChecked,
+  discrepancyCount: r.DiscrepancyCount,
+  summary: r.Summary,
+  error: r.Error,
+  requestedBy: r.RequestedById,
+  created_at: r.CreatedAt.toISOString(),
+  completed_at: r.CompletedAt ? r.CompletedAt.toISOString() : null,
+  ...(withDiscrepancies ? { discrepancies: r.Discrepancies || [] } : {})
+});
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// GET /api/admin/reconciliation/reports - newest first, without their discrepancies
+export const listReports = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 30 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    if (pageNum < 1 || limitNum < 1 || limitNum > 100) {
+      return res.status(400).send({ error: 'Invalid pagination parameters' });
+    }
+
+    const where = status ? { Status: status } : {};
+    const [reports, totalCount] = await Promise.all([
+      prisma.ReconciliationReport.findMany({
+        where,
+        omit: { Discrepancies: true },
+        orderBy: { id: 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum
+      }),
+      prisma.ReconciliationReport.count({ where })
+    ]);
+
+    res.status(200).send({
+      reports: reports.map(r => formatReport(r)),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        totalCount,
+        limit: limitNum
+      }
+    });
+  } catch (err) {
+    console.error('Error listing reconciliation reports:', err);
+    res.status(500).send({ error: 'Failed to list reconciliation reports' });
+  }
+};
+
+// GET /api/admin/reconciliation/reports/:reportId
+export const getReport = async (req, res) => {
+  try {
+    const reportId = parseInt(req.params.reportId);
+    if (isNaN(reportId)) {
+      return res.status(400).send({ error: 'Valid reportId is required' });
+    }
+
+    const report = await prisma.ReconciliationReport.findUnique({ where: { id: reportId } });
+    if (!report) {
+      return res.status(404).send({ error: 'Report not found' });
+    }
+
+    res.status(200).send(formatReport(report, { withDiscrepancies: true }));
+  } catch (err) {
+    console.error('Error getting reconciliation report:', err);
+    res.status(500).send({ error: 'Failed to get reconciliation report' });
+  }
+};
+
+// GET /api/admin/reconciliation/reports/:reportId/download - the discrepancies as CSV
+export const downloadReport = async (req, res) => {
+  try {
+    const reportId = parseInt(req.params.reportId);
+    if (isNaN(reportId)) {
+      return res.status(400).send({ error: 'Valid reportId is required' });
+    }
+
+    const report = await prisma.ReconciliationReport.findUnique({ where: { id: reportId } });
+    if (!report) {
+      return res.status(404).send({ error: 'Report not found' });
+    }
+    if (report.Status !== 'completed') {
+      return res.status(409).send({ error: `Report is ${report.Status}`, message: report.Error || undefined });
+    }
+
+    const lines = [
+      CSV_COLUMNS.join(','),
+      ...(report.Discrepancies || []).map(d => CSV_COLUMNS.map(column => csvValue(d[column])).join(','))
+    ];
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`reconciliation-${toDateString(report.ReportDate)}-${report.id}.csv`);
+    res.status(200).send(`${lines.join('\n')}\n`);
+  } catch (err) {
+    console.error('Error downloading reconciliation report:', err);
+    res.status(500).send({ error: 'Failed to download reconciliation report' });
+  }
+};
+
+// POST /api/admin/reconciliation/reports - run a reconciliation now
+export const createReport = async (req, res) => {
+  try {
+    const { date, source } = req.body;
+
+    if (date !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00.000Z`)))) {
+      return res.status(400).send({ error: 'date must be YYYY-MM-DD' });
+    }
+    if (date && date > toDateString(new Date())) {
+      return res.status(400).send({ error: 'Cannot reconcile a day that has not happened yet' });
+    }
+    if (source !== undefined && !RECONCILIATION_SOURCES.includes(source)) {
+      return res.status(400).send({ error: 'Invalid source', validSources: RECONCILIATION_SOURCES });
+    }
+    if (source === 'file' && !settlementFile.SETTLEMENT_FILE_DIR) {
+      return res.status(400).send({ error: 'PAYNETWORX_SETTLEMENT_FILE_DIR is not configured' });
+    }
+
+    let report;
+    try {
+      report = await runReconciliation({ date, source, requestedById: getActorId(req) });
+    } catch (error) {
+      console.error('Reconciliation failed:', error);
+      return res.status(500).send({ error: 'Reconciliation failed', message: error.message, reportId: error.reportId });
+    }
+
+    res.locals.auditDetails = { reportId: report.id, date: toDateString(report.ReportDate), discrepancies: report.DiscrepancyCount };
+
+    res.status(201).send(formatReport(report, { withDiscrepancies: true }));
+  } catch (err) {
+    console.error('Error running reconciliation:', err);
+    res.status(500).send({ error: 'Failed to run reconciliation' });
+  }
+};
+
+/**
+ * Start the daily reconciliation job for the previous UTC day
+ * Runs at 03:00 by default (override with RECONCILIATION_CRON)
+ */
+export const startReconciliationJob = () => {
+  const schedule = process.env.RECONCILIATION_CRON || '0 3 * * *';
+
+  const run = async () => {
+    const report = await runReconciliation();
+    console.log(`[Reconciliation] Report #${report.id} for ${toDateString(report.ReportDate)}: ${report.DiscrepancyCount} discrepancies`);
+  };
+
+  cron.schedule(schedule, async () => {
+    try {
+      await run();
+    } catch (error) {
+      console.error('[Reconciliation] Error in daily reconciliation:', error);
+    }
+  });
+
+  // Catch up on yesterday if the server was down when it was due
+  prisma.ReconciliationReport.findFirst({
+    where: { ReportDate: new Date(`${yesterday()}T00:00:00.000Z`), Status: 'completed' }
+  }).then(existing => (existing ? null : run())).catch(error => {
+    console.error('[Reconciliation] Error in catch-up reconciliation:', error);
+  });
+
+  console.log(`[Reconciliation] Daily reconciliation started (${schedule})`);
+};
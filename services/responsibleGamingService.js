@@ -0,0 +1,459 @@
+import prisma from '../prisma/prisma.js';
+import * as escrowService from './escrowService.js';
+import * as money from './moneyService.js';
+
+// Responsible gaming controls a user sets on themselves:
+// - deposit, wager and loss limits per rolling day / week / month (GamingLimit)
+// - a cool-off (Users.CoolOffUntil) and self-exclusion (Users.SelfExcludedAt / SelfExcludedUntil,
+//   no end date = permanent), both of which block deposits and wagers until they run out
+// Lowering a limit takes effect immediately. Raising or removing one only takes effect after
+// LIMIT_INCREASE_DELAY_HOURS, and neither a cool-off nor a self-exclusion can be shortened.
+// Deposit handlers call checkDepositAllowed and challenge handlers call checkWagerAllowed.
+
+export const LIMIT_TYPES = ['deposit', 'wager', 'loss'];
+
+const PERIOD_DAYS = { daily: 1, weekly: 7, monthly: 30 };
+export const LIMIT_PERIODS = Object.keys(PERIOD_DAYS);
+
+const COOL_OFF_DAYS = { '24h': 1, '7d': 7, '30d': 30 };
+const SELF_EXCLUSION_MONTHS = { '6m': 6, '1y': 12, '5y': 60, permanent: null };
+
+const LIMIT_INCREASE_DELAY_HOURS = parseInt(process.env.RG_LIMIT_INCREASE_DELAY_HOURS || '24');
+
+// Deposits count towards the limit from the moment they are submitted
+const COUNTED_DEPOSIT_STATUSES = ['pending', 'pending_3ds', 'completed'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const periodStart = (period, now = new Date()) => new Date(now.getTime() - PERIOD_DAYS[period] * DAY_MS);
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+};
+
+/**
+ * Whether a user is self-excluded right now
+ * @param {{ SelfExcludedAt: Date|null, SelfExcludedUntil: Date|null }} user
+ */
+const isSelfExcluded = (user, now = new Date()) =>
+  Boolean(user.SelfExcludedAt) && (!user.SelfExcludedUntil || user.SelfExcludedUntil > now);
+
+const isCoolingOff = (user, now = new Date()) => Boolean(user.CoolOffUntil) && user.CoolOffUntil > now;
+
+/**
+ * A user's limits with any increase or removal whose delay has passed applied
+ * @param {number} userId
+ * @returns {Promise<object[]>} GamingLimit rows
+ */
+export const getEffectiveLimits = async (userId) => {
+  const now = new Date();
+  const limits = await prisma.GamingLimit.findMany({
+    where: { UserId: userId },
+    orderBy: { id: 'asc' }
+  });
+
+  const effective = [];
+  for (const limit of limits) {
+    if (!limit.PendingEffectiveAt || limit.PendingEffectiveAt > now) {
+      effective.push(limit);
+      continue;
+    }
+
+    if (limit.PendingRemoval) {
+      await prisma.GamingLimit.deleteMany({ where: { id: limit.id, PendingEffectiveAt: limit.PendingEffectiveAt } });
+      continue;
+    }
+
+    effective.push(await prisma.GamingLimit.update({
+      where: { id: limit.id },
+      data: { Amount: limit.PendingAmount, PendingAmount: null, PendingEffectiveAt: null }
+    }));
+  }
+
+  return effective;
+};
+
+/**
+ * How much of each limit type a user has used in a period
+ * Wagers count every stake locked in escrow that was not refunded; losses are game losses
+ * net of game winnings, never below zero.
+ * @param {number} userId
+ * @param {string} type - One of LIMIT_TYPES
+ * @param {string} period - One of LIMIT_PERIODS
+ * @returns {Promise<number>} cents
+ */
+export const getUsage = async (userId, type, period) => {
+  const since = periodStart(period);
+
+  if (type === 'deposit') {
+    const deposits = await prisma.Transaction.aggregate({
+      where: { UserId: userId, Type: 'deposit', Status: { in: COUNTED_DEPOSIT_STATUSES }, created_at: { gte: since } },
+      _sum: { Amount: true }
+    });
+    return deposits._sum.Amount || 0;
+  }
+
+  if (type === 'wager') {
+    const wagers = await prisma.ChallengeEscrow.aggregate({
+      where: { UserId: userId, Status: { in: ['locked', 'released'] }, CreatedAt: { gte: since } },
+      _sum: { Amount: true }
+    });
+    return wagers._sum.Amount || 0;
+  }
+
+  const [losses, winnings] = await Promise.all(['game_loss', 'game_payout'].map(gameType =>
+    prisma.Transaction.aggregate({
+      where: { UserId: userId, Type: gameType, Status: 'completed', created_at: { gte: since } },
+      _sum: { Amount: true }
+    })
+  ));
+  return Math.max(0, (losses._sum.Amount || 0) - (winnings._sum.Amount || 0));
+};
+
+const exclusionBlock = (user, now = new Date()) => {
+  if (isSelfExcluded(user, now)) {
+    return {
+      error: 'Your account is self-excluded from deposits and wagering',
+      responsibleGaming: { reason: 'self_excluded', until: user.SelfExcludedUntil }
+    };
+  }
+  if (isCoolingOff(user, now)) {
+    return {
+      error: 'Your account is in a cool-off period',
+      responsibleGaming: { reason: 'cool_off', until: user.CoolOffUntil }
+    };
+  }
+  return null;
+};
+
+// First limit of the given types that amount would take the user over, as an error payload
+const limitBlock = async (userId, types, amount) => {
+  const limits = (await getEffectiveLimits(userId)).filter(l => types.includes(l.Type));
+
+  for (const limit of limits) {
+    const used = await getUsage(userId, limit.Type, limit.Period);
+    const remaining = Math.max(0, limit.Amount - used);
+    if (amount > remaining) {
+      return {
+        error: `This would exceed your ${limit.Period} ${limit.Type} limit of ${money.formatDollars(limit.Amount)}`,
+        responsibleGaming: {
+          reason: 'limit',
+          type: limit.Type,
+          period: limit.Period,
+          limit: money.toDollars(limit.Amount),
+          used: money.toDollars(used),
+          remaining: money.toDollars(remaining)
+        }
+      };
+    }
+  }
+
+  return null;
+};
+
+const getExclusionState = (userId) => prisma.Users.findUnique({
+  where: { id: userId },
+  select: { id: true, CoolOffUntil: true, SelfExcludedAt: true, SelfExcludedUntil: true }
+});
+
+/**
+ * Check a deposit against the user's cool-off, self-exclusion and deposit limits
+ * @param {number|string} userId
+ * @param {number} amount - cents
+ * @returns {Promise<object|null>} An error payload (answer with 403) when the deposit is not allowed, otherwise null
+ */
+export const checkDepositAllowed = async (userId, amount) => {
+  const user = await getExclusionState(parseInt(userId));
+  if (!user) return null;
+
+  return exclusionBlock(user) || await limitBlock(user.id, ['deposit'], amount);
+};
+
+/**
+ * Check a wager against the user's cool-off, self-exclusion, wager limits and loss limits.
+ * The whole stake counts towards the loss limit since all of it can be lost.
+ * @param {number|string} userId
+ * @param {number} amount - Stake in cents the user is adding (0 when only confirming an existing one)
+ * @returns {Promise<object|null>} An error payload (answer with 403) when the wager is not allowed, otherwise null
+ */
+export const checkWagerAllowed = async (userId, amount) => {
+  const user = await getExclusionState(parseInt(userId));
+  if (!user) return null;
+
+  return exclusionBlock(user) || await limitBlock(user.id, ['wager', 'loss'], amount);
+};
+
+/**
+ * Withdraw every stake a user still has waiting on an opponent: cancel their open and pending
+ * challenges and decline their outstanding requests, unlocking the escrow. Accepted challenges
+ * play out as normal.
+ * @param {number} userId
+ * @returns {Promise<{ challengesCancelled: number, requestsWithdrawn: number }>}
+ */
+const withdrawOpenWagers = async (userId) => {
+  return await prisma.$transaction(async (tx) => {
+    const challenges = await tx.Challenges.findMany({
+      where: { ChallengerId: userId, Status: { in: ['open', 'pending'] } },
+      select: { id: true }
+    });
+
+    for (const challenge of challenges) {
+      const cancelled = await tx.Challenges.updateMany({
+        where: { id: challenge.id, Status: { in: ['open', 'pending'] } },
+        data: { Status: 'cancelled', ChallengeRequests: [] }
+      });
+      if (cancelled.count === 0) continue;
+
+      await escrowService.refundEscrow(tx, { ChallengeId: challenge.id });
+      await tx.Challenge_Requests.updateMany({
+        where: { ChallengeId: challenge.id, Status: { in: ['request', 'pending'] } },
+        data: { Status: 'declined' }
+      });
+    }
+
+    const requests = await tx.Challenge_Requests.findMany({
+      where: { ChallengerId: userId, Status: { in: ['request', 'pending'] } },
+      include: { Challenges: { select: { id: true, ChallengeRequests: true } } }
+    });
+
+    for (const request of requests) {
+      await tx.Challenge_Requests.update({
+        where: { id: request.id },
+        data: { Status: 'declined' }
+      });
+      await escrowService.refundEscrow(tx, { RequestId: request.id });
+
+      await tx.Challenges.update({
+        where: { id: request.Challenges.id },
+        data: { ChallengeRequests: (request.Challenges.ChallengeRequests || []).filter(id => id !== request.id) }
+      });
+    }
+
+    return { challengesCancelled: challenges.length, requestsWithdrawn: requests.length };
+  });
+};
+
+const formatLimit = (limit) => ({
+  type: limit.Type,
+  period: limit.Period,
+  amount: money.toDollars(limit.Amount),
+  pending: limit.PendingEffectiveAt ? {
+    amount: limit.PendingRemoval ? null : money.toDollars(limit.PendingAmount),
+    removal: limit.PendingRemoval,
+    effectiveAt: limit.PendingEffectiveAt
+  } : null
+});
+
+/**
+ * A user's limits, current usage and exclusion status
+ * @param {number} userId
+ */
+export const getResponsibleGamingState = async (userId) => {
+  const user = await getExclusionState(userId);
+  if (!user) return null;
+
+  const limits = await getEffectiveLimits(userId);
+  const now = new Date();
+
+  return {
+    limits: await Promise.all(limits.map(async limit => {
+      const used = await getUsage(userId, limit.Type, limit.Period);
+      return {
+        ...formatLimit(limit),
+        used: money.toDollars(used),
+        remaining: money.toDollars(Math.max(0, limit.Amount - used))
+      };
+    })),
+    coolOff: isCoolingOff(user, now) ? { until: user.CoolOffUntil } : null,
+    selfExclusion: isSelfExcluded(user, now) ? {
+      since: user.SelfExcludedAt,
+      until: user.SelfExcludedUntil,
+      permanent: !user.SelfExcludedUntil
+    } : null,
+    limitIncreaseDelayHours: LIMIT_INCREASE_DELAY_HOURS
+  };
+};
+
+// GET /responsible-gaming - the current user's limits, usage and exclusion status
+export const getMyResponsibleGaming = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    const state = await getResponsibleGamingState(userId);
+    if (!state) {
+      return res.status(404).send({ error: 'User not found' });
+    }
+
+    res.status(200).send(state);
+  } catch (err) {
+    console.error('Error getting responsible gaming settings:', err);
+    res.status(500).send({ error: 'Failed to get responsible gaming settings' });
+  }
+};
+
+// PUT /responsible-gaming/limits - set, lower, raise or remove (amount: null) a limit
+export const setLimit = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    const { type, period, amount } = req.body;
+
+    if (!LIMIT_TYPES.includes(type)) {
+      return res.status(400).send({ error: 'Invalid limit type', validTypes: LIMIT_TYPES });
+    }
+    if (!LIMIT_PERIODS.includes(period)) {
+      return res.status(400).send({ error: 'Invalid limit period', validPeriods: LIMIT_PERIODS });
+    }
+
+    let requested = null;
+    if (amount !== null && amount !== undefined) {
+      requested = money.parseAmount(amount);
+      if (requested === null || requested < 0) {
+        return res.status(400).send({ error: 'amount must be zero or more with at most two decimal places, or null to remove the limit' });
+      }
+    }
+
+    const current = (await getEffectiveLimits(userId)).find(l => l.Type === type && l.Period === period);
+    const where = { UserId_Type_Period: { UserId: userId, Type: type, Period: period } };
+    let limit;
+    let appliesAt = new Date();
+
+    if (!current && requested === null) {
+      return res.status(400).send({ error: 'There is no limit to remove' });
+    }
+
+    if (requested !== null && (!current || requested <= current.Amount)) {
+      // Tightening (or a first limit) protects the user, so it applies immediately and drops any pending increase
+      limit = await prisma.GamingLimit.upsert({
+        where,
+        create: { UserId: userId, Type: type, Period: period, Amount: requested },
+        update: { Amount: requested, PendingAmount: null, PendingRemoval: false, PendingEffectiveAt: null }
+      });
+    } else {
+      appliesAt = new Date(Date.now() + LIMIT_INCREASE_DELAY_HOURS * 60 * 60 * 1000);
+      limit = await prisma.GamingLimit.update({
+        where,
+        data: {
+          PendingAmount: requested,
+          PendingRemoval: requested === null,
+          PendingEffectiveAt: appliesAt
+        }
+      });
+    }
+
+    res.status(200).send({
+      success: true,
+      message: limit.PendingEffectiveAt
+        ? `Your limit change will take effect in ${LIMIT_INCREASE_DELAY_HOURS} hours`
+        : 'Your limit has been updated',
+      limit: formatLimit(limit),
+      appliesAt
+    });
+  } catch (err) {
+    console.error('Error setting responsible gaming limit:', err);
+    res.status(500).send({ error: 'Failed to set limit' });
+  }
+};
+
+// POST /responsible-gaming/cool-off - take a break from deposits and wagering
+export const startCoolOff = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    const { duration } = req.body;
+
+    if (!Object.hasOwn(COOL_OFF_DAYS, duration)) {
+      return res.status(400).send({ error: 'Invalid duration', validDurations: Object.keys(COOL_OFF_DAYS) });
+    }
+
+    const user = await getExclusionState(userId);
+    if (!user) {
+      return res.status(404).send({ error: 'User not found' });
+    }
+
+    // A cool-off can be extended but never shortened
+    const requestedUntil = new Date(Date.now() + COOL_OFF_DAYS[duration] * DAY_MS);
+    const until = isCoolingOff(user) && user.CoolOffUntil > requestedUntil ? user.CoolOffUntil : requestedUntil;
+
+    await prisma.Users.update({ where: { id: userId }, data: { CoolOffUntil: until } });
+    const withdrawn = await withdrawOpenWagers(userId);
+
+    res.status(200).send({
+      success: true,
+      message: 'Your cool-off period has started. Deposits and wagers are blocked until it ends.',
+      coolOffUntil: until,
+      ...withdrawn
+    });
+  } catch (err) {
+    console.error('Error starting cool-off:', err);
+    res.status(500).send({ error: 'Failed to start cool-off' });
+  }
+};
+
+// POST /responsible-gaming/self-exclusion - exclude yourself for a fixed term or permanently (confirm: true)
+export const selfExclude = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    const { duration, confirm } = req.body;
+
+    if (!Object.hasOwn(SELF_EXCLUSION_MONTHS, duration)) {
+      return res.status(400).send({ error: 'Invalid duration', validDurations: Object.keys(SELF_EXCLUSION_MONTHS) });
+    }
+    if (confirm !== true) {
+      return res.status(400).send({ error: 'Self-exclusion cannot be undone early. Send confirm: true to proceed.' });
+    }
+
+    const user = await getExclusionState(userId);
+    if (!user) {
+      return res.status(404).send({ error: 'User not found' });
+    }
+
+    const now = new Date();
+    const months = SELF_EXCLUSION_MONTHS[duration];
+    let until = months === null ? null : addMonths(now, months);
+
+    // An active exclusion can be extended but never shortened
+    if (isSelfExcluded(user, now) && (!user.SelfExcludedUntil || (until && user.SelfExcludedUntil > until))) {
+      until = user.SelfExcludedUntil;
+    }
+
+    await prisma.Users.update({
+      where: { id: userId },
+      data: {
+        SelfExcludedAt: isSelfExcluded(user, now) ? user.SelfExcludedAt : now,
+        SelfExcludedUntil: until
+      }
+    });
+    const withdrawn = await withdrawOpenWagers(userId);
+
+    res.status(200).send({
+      success: true,
+      message: 'You are now self-excluded. You can still withdraw your balance.',
+      selfExcludedUntil: until,
+      permanent: until === null,
+      ...withdrawn
+    });
+  } catch (err) {
+    console.error('Error self-excluding:', err);
+    res.status(500).send({ error: 'Failed to self-exclude' });
+  }
+};
+
+// Staff view of a user's responsible gaming settings
+export const getUserResponsibleGaming = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    if (isNaN(userId)) {
+      return res.status(400).send({ error: 'Valid userId is required' });
+    }
+
+    const state = await getResponsibleGamingState(userId);
+    if (!state) {
+      return res.status(404).send({ error: 'User not found' });
+    }
+
+    res.status(200).send({ userId, ...state });
+  } catch (err) {
+    console.error('Error getting responsible gaming settings:', err);
+    res.status(500).send({ error: 'Failed to get responsible gaming settings' });
+  }
+};
@@ -0,0 +1,310 @@
+import prisma from '../prisma/prisma.js';
+import * as emailService from './emailService.js';
+import * as accountTokenService from './accountTokenService.js';
+
+// Brute-force protection for the unauthenticated auth routes (see middleware/bruteForce.js).
+// Failures are counted per key in AuthThrottle - per IP, and per account (email) where the route has one:
+// - after DELAY_AFTER_FAILURES failures each further attempt must wait 1s, 2s, 4s ... up to MAX_DELAY_SECONDS
+// - at the policy limit the key is locked for lockMinutes; account lockouts email the owner an unlock link
+// - a failure older than FAILURE_WINDOW_MINUTES starts the count again
+// 2FA codes entered by a signed-in user (step-up, X-2FA-Code, recovery codes, disabling 2FA) are counted
+// per user id under the 'step_up' policy instead (see twoFactorService.verifyStepUpCode).
+// Every lockout and unlock is written to SecurityEvent.
+
+export const THROTTLE_POLICIES = {
+  login: { accountLimit: 10, ipLimit: 50, lockMinutes: 15 },
+  login_2fa: { accountLimit: 5, ipLimit: 50, lockMinutes: 15 },
+  register: { ipLimit: 5, lockMinutes: 60, countSuccess: true },
+  verify_email: { ipLimit: 20, lockMinutes: 15 },
+  step_up: { userLimit: 5, lockMinutes: 15 }
+};
+
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 60;
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.AUTH_FAILURE_WINDOW_MINUTES || '30');
+const UNLOCK_TOKEN_TTL_HOURS = 24;
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const accountKey = (action, email) => `${action}:account:${normalizeEmail(email)}`;
+const ipKey = (action, ip) => `${action}:ip:${ip || 'unknown'}`;
+const userKey = (action, userId) => `${action}:user:${userId}`;
+
+/**
+ * Whether a key may attempt again right now
+ * @param {string} key
+ * @returns {Promise<{ blocked: boolean, locked: boolean, retryAfterSeconds: number }>}
+ */
+export const getThrottleStatus = async (key) => {
+  const row = await prisma.AuthThrottle.findUnique({ where: { Key: key } });
+  const now = Date.now();
+
+  if (row?.LockedUntil && row.LockedUntil.getTime() > now) {
+    return { blocked: true, locked: true, retryAfterSeconds: Math.ceil((row.LockedUntil.getTime() - now) / 1000) };
+  }
+
+  if (row?.LastFailureAt && row.Failures >= DELAY_AFTER_FAILURES) {
+    const delaySeconds = Math.min(2 ** (row.Failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+    const nextAllowedAt = row.LastFailureAt.getTime() + delaySeconds * 1000;
+    if (nextAllowedAt > now) {
+      return { blocked: true, locked: false, retryAfterSeconds: Math.ceil((nextAllowedAt - now) / 1000) };
+    }
+  }
+
+  return { blocked: false, locked: false, retryAfterSeconds: 0 };
+};
+
+/**
+ * Count a failure against a key, locking it once the limit is reached
+ * @returns {Promise<boolean>} Whether this failure locked the key
+ */
+const recordFailure = async (key, limit, lockMinutes) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000);
+
+  const existing = await prisma.AuthThrottle.findUnique({ where: { Key: key } });
+  const stale = !existing?.LastFailureAt || existing.LastFailureAt < windowStart;
+  const failures = stale ? 1 : existing.Failures + 1;
+
+  if (failures >= limit) {
+    await prisma.AuthThrottle.upsert({
+      where: { Key: key },
+      create: { Key: key, Failures: 0, LastFailureAt: now, LockedUntil: new Date(now.getTime() + lockMinutes * 60 * 1000) },
+      update: { Failures: 0, LastFailureAt: now, LockedUntil: new Date(now.getTime() + lockMinutes * 60 * 1000) }
+    });
+    return true;
+  }
+
+  await prisma.AuthThrottle.upsert({
+    where: { Key: key },
+    create: { Key: key, Failures: failures, LastFailureAt: now },
+    update: { Failures: failures, LastFailureAt: now }
+  });
+  return false;
+};
+
+const clearThrottle = async (keys) => {
+  await prisma.AuthThrottle.deleteMany({ where: { Key: { in: keys } } });
+};
+
+/**
+ * Write a security event
+ * @param {{ userId?: number, type: string, ip?: string, details?: object }} event
+ */
+export const recordSecurityEvent = async ({ userId = null, type, ip = null, details = null }) => {
+  return await prisma.SecurityEvent.create({
+    data: { UserId: userId, Type: type, Ip: ip, Details: details }
+  });
+};
+
+// Email the account owner an unlock link
+const sendUnlockEmail = async (user, lockMinutes) => {
+  const token = await accountTokenService.issueToken(user.id, 'account_unlock', UNLOCK_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+  try {
+    await emailService.sendAccountLockedEmail(user.Email, token, user.Username, lockMinutes);
+  } catch (emailError) {
+    console.error('Error sending account locked email:', emailError);
+  }
+};
+
+/**
+ * Keys a request is throttled under
+ * @param {string} action - Key of THROTTLE_POLICIES
+ * @param {{ ip: string, account?: string, userId?: number }} subject
+ * @returns {string[]}
+ */
+export const throttleKeys = (action, { ip, account, userId }) => {
+  const policy = THROTTLE_POLICIES[action];
+  return [
+    ...(policy.ipLimit ? [ipKey(action, ip)] : []),
+    ...(policy.accountLimit && account ? [accountKey(action, account)] : []),
+    ...(policy.userLimit && userId ? [userKey(action, userId)] : [])
+  ];
+};
+
+/**
+ * Record the outcome of an attempt: count failures (and successes for countSuccess policies),
+ * lock keys that hit their limit, and clear the account counter on success
+ * @param {string} action - Key of THROTTLE_POLICIES
+ * @param {{ ip: string, account?: string, userId?: number, succeeded: boolean }} attempt
+ */
+export const recordAttempt = async (action, { ip, account, userId, succeeded }) => {
+  const policy = THROTTLE_POLICIES[action];
+
+  if (succeeded && !policy.countSuccess) {
+    if (policy.accountLimit && account) await clearThrottle([accountKey(action, account)]);
+    if (policy.userLimit && userId) await clearThrottle([userKey(action, userId)]);
+    return;
+  }
+
+  if (policy.userLimit && userId && await recordFailure(userKey(action, userId), policy.userLimit, policy.lockMinutes)) {
+    await recordSecurityEvent({ userId, type: 'user_locked', ip, details: { action, lockMinutes: policy.lockMinutes } });
+  }
+
+  if (policy.ipLimit && await recordFailure(ipKey(action, ip), policy.ipLimit, policy.lockMinutes)) {
+    await recordSecurityEvent({ type: 'ip_locked', ip, details: { action, lockMinutes: policy.lockMinutes } });
+  }
+
+  if (policy.accountLimit && account && await recordFailure(accountKey(action, account), policy.accountLimit, policy.lockMinutes)) {
+    const user = await prisma.Users.findFirst({
+      where: { Email: { equals: normalizeEmail(account), mode: 'insensitive' } },
+      select: { id: true, Email: true, Username: true }
+    });
+
+    await recordSecurityEvent({
+      userId: user?.id || null,
+      type: 'account_locked',
+      ip,
+      details: { action, account: normalizeEmail(account), lockMinutes: policy.lockMinutes }
+    });
+
+    if (user) await sendUnlockEmail(user, policy.lockMinutes);
+  }
+};
+
+// Lift every account-level lock for a user
+const unlockAccount = async (user, { ip, method, actorId = null }) => {
+  const keys = Object.keys(THROTTLE_POLICIES)
+    .filter(action => THROTTLE_POLICIES[action].accountLimit)
+    .map(action => accountKey(action, user.Email));
+  await clearThrottle(keys);
+
+  await recordSecurityEvent({
+    userId: user.id,
+    type: 'account_unlocked',
+    ip,
+    details: { method, ...(actorId ? { actorId } : {}) }
+  });
+};
+
+// POST /account/unlock/request - resend the unlock link (same answer whether or not the account exists)
+export const requestUnlock = async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    if (!email) {
+      return res.status(400).send({ message: 'Email is required' });
+    }
+
+    const status = await getThrottleStatus(accountKey('login', email));
+    if (status.locked) {
+      const user = await prisma.Users.findFirst({
+        where: { Email: { equals: email, mode: 'insensitive' } },
+        select: { id: true, Email: true, Username: true }
+      });
+      if (user) await sendUnlockEmail(user, Math.ceil(status.retryAfterSeconds / 60));
+    }
+
+    res.status(200).send({ message: 'If that account is locked, an unlock link has been sent.' });
+  } catch (err) {
+    console.error('Error requesting account unlock:', err);
+    res.status(500).send({ message: 'Failed to request unlock' });
+  }
+};
+
+// POST /account/unlock - unlock with the emailed token
+export const confirmUnlock = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).send({ message: 'Unlock token is required' });
+    }
+
+    const stored = await accountTokenService.consumeToken(prisma, token, 'account_unlock');
+    if (!stored) {
+      return res.status(400).send({ message: 'Invalid or expired unlock token' });
+    }
+
+    const user = await prisma.Users.findUnique({
+      where: { id: stored.UserId },
+      select: { id: true, Email: true }
+    });
+    if (!user) {
+      return res.status(404).send({ message: 'User not found' });
+    }
+
+    await unlockAccount(user, { ip: req.clientIP || null, method: 'email' });
+
+    res.status(200).send({ message: 'Account unlocked. You can log in again.' });
+  } catch (err) {
+    console.error('Error unlocking account:', err);
+    res.status(500).send({ message: 'Failed to unlock account' });
+  }
+};
+
+// Staff unlock from the admin API
+export const adminUnlockAccount = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    if (isNaN(userId)) {
+      return res.status(400).send({ error: 'Valid userId is required' });
+    }
+
+    const user = await prisma.Users.findUnique({
+      where: { id: userId },
+      select: { id: true, Email: true }
+    });
+    if (!user) {
+      return res.status(404).send({ error: 'User not found' });
+    }
+
+    await unlockAccount(user, {
+      ip: req.clientIP || null,
+      method: 'staff',
+      actorId: parseInt(req.user?.userId || req.user?.id)
+    });
+
+    res.status(200).send({ success: true, message: 'Account unlocked' });
+  } catch (err) {
+    console.error('Error unlocking account:', err);
+    res.status(500).send({ error: 'Failed to unlock account' });
+  }
+};
+
+// List security events, newest first
+export const listSecurityEvents = async (req, res) => {
+  try {
+    const { userId, type, ip, page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    if (pageNum < 1 || limitNum < 1 || limitNum > 200) {
+      return res.status(400).send({ error: 'Invalid pagination parameters' });
+    }
+
+    const where = {
+      ...(userId ? { UserId: parseInt(userId) } : {}),
+      ...(type ? { Type: type } : {}),
+      ...(ip ? { Ip: ip } : {})
+    };
+
+    const [events, totalCount] = await Promise.all([
+      prisma.SecurityEvent.findMany({
+        where,
+        orderBy: { id: 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum
+      }),
+      prisma.SecurityEvent.count({ where })
+    ]);
+
+    res.status(200).send({
+      events: events.map(e => ({
+        id: e.id,
+        userId: e.UserId,
+        type: e.Type,
+        ip: e.Ip,
+        details: e.Details,
+        created_at: e.CreatedAt.toISOString()
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        totalCount,
+        limit: limitNum
+      }
+    });
+  } catch (err) {
+    console.error('Error listing security events:', err);
+    res.status(500).send({ error: 'Failed to list security events' });
+  }
+};
@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../prisma/prisma.js';
+import * as multiAccountService from './multiAccountService.js';
+
+// Server-side sessions for signed-in devices.
+// - Login creates a UserSession and returns a short-lived access token (JWT with the session id as `sid`)
+//   plus an opaque refresh token
+// - POST /token/refresh trades a refresh token for a new access/refresh pair (rotation)
+// - Revoking a session (logout, logout everywhere, password change) is stored in the database,
+//   so it survives restarts and applies to every instance
+// - Where each session is used from (IP, device) is kept in SessionActivity for multi-account detection
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionError = (message, status) => Object.assign(new Error(message), { sessionError: true, status });
+
+const issueRefreshToken = async (client, sessionId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await client.SessionRefreshToken.create({
+    data: { SessionId: sessionId, TokenHash: hashToken(refreshToken) }
+  });
+  return refreshToken;
+};
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user.id, email: user.Email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+/**
+ * Start a session for a user who just authenticated
+ * @param {{ id: number, Email: string }} user
+ * @param {object} req - Express request (device name and id, user agent and client IP are recorded)
+ * @param {string} [event] - SessionActivity event: 'login' or 'register'
+ * @returns {Promise<{ accessToken: string, refreshToken: string, expiresIn: string, sessionId: number }>}
+ */
+export const createSession = async (user, req, event = 'login') => {
+  return await prisma.$transaction(async (tx) => {
+    const session = await tx.UserSession.create({
+      data: {
+        UserId: user.id,
+        DeviceName: req.body?.deviceName ? String(req.body.deviceName).slice(0, 100) : null,
+        UserAgent: req.headers['user-agent'] || null,
+        Ip: req.clientIP || null,
+        ExpiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+      }
+    });
+    await multiAccountService.recordActivity(tx, { userId: user.id, sessionId: session.id, event, req });
+
+    const refreshToken = await issueRefreshToken(tx, session.id);
+
+    return {
+      accessToken: signAccessToken(user, session.id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      sessionId: session.id
+    };
+  });
+};
+
+/**
+ * Whether an access token's session is still usable
+ * @param {number} sessionId
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+  const session = await prisma.UserSession.findUnique({
+    where: { id: sessionId },
+    select: { RevokedAt: true, ExpiresAt: true }
+  });
+  return !!session && !session.RevokedAt && session.ExpiresAt > new Date();
+};
+
+/**
+ * Trade a refresh token for a new access/refresh token pair
+ * Reusing an already-rotated refresh token revokes the session, since it means the token leaked.
+ * @param {string} refreshToken
+ * @returns {Promise<{ accessToken: string, refreshToken: string, expiresIn: string, sessionId: number, userId: number }>}
+ */
+export const rotateRefreshToken = async (refreshToken) => {
+  const stored = await prisma.SessionRefreshToken.findUnique({
+    where: { TokenHash: hashToken(refreshToken) },
+    include: { UserSession: { include: { Users: { select: { id: true, Email: true, Active: true } } } } }
+  });
+
+  if (!stored) throw sessionError('Invalid refresh token', 401);
+
+  const session = stored.UserSession;
+  if (session.RevokedAt) throw sessionError('Session has been revoked', 401);
+  if (session.ExpiresAt <= new Date()) throw sessionError('Session has expired', 401);
+
+  if (stored.UsedAt) {
+    await revokeSessions({ id: session.id }, 'refresh_token_reuse');
+    throw sessionError('Refresh token has already been used; session revoked', 401);
+  }
+
+  if (session.Users.Active === false) throw sessionError('Account is inactive', 403);
+
+  return await prisma.$transaction(async (tx) => {
+    // Guarded so two concurrent refreshes with the same token cannot both succeed
+    const claimed = await tx.SessionRefreshToken.updateMany({
+      where: { id: stored.id, UsedAt: null },
+      data: { UsedAt: new Date() }
+    });
+    if (claimed.count === 0) throw sessionError('Refresh token has already been used', 401);
+
+    await tx.UserSession.update({
+      where: { id: session.id },
+      data: { LastUsedAt: new Date() }
+    });
+
+    const nextRefreshToken = await issueRefreshToken(tx, session.id);
+
+    return {
+      accessToken: signAccessToken(session.Users, session.id),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      sessionId: session.id,
+      userId: session.UserId
+    };
+  });
+};
+
+/**
+ * Revoke every active session matching a filter
+ * @param {object} where - UserSession filter, e.g. { id } or { UserId }
+ * @param {string} reason - Stored as RevokedReason
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeSessions = async (where, reason) => {
+  const result = await prisma.UserSession.updateMany({
+    where: { ...where, RevokedAt: null },
+    data: { RevokedAt: new Date(), RevokedReason: reason }
+  });
+  return result.count;
+};
+
+// POST /token/refresh
+export const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+    if (!token) {
+      return res.status(400).send({ error: 'refreshToken is required' });
+    }
+
+    const tokens = await rotateRefreshToken(String(token));
+
+    try {
+      await multiAccountService.recordRefresh(tokens.sessionId, tokens.userId, req);
+    } catch (activityError) {
+      // The client already holds the rotated tokens
+      console.error('Error recording session activity:', activityError);
+    }
+
+    res.status(200).send({
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      sessionId: tokens.sessionId
+    });
+  } catch (error) {
+    if (error.sessionError) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).send({ error: 'Token refresh failed' });
+  }
+};
+
+// List the current user's active sessions (one per signed-in device)
+export const listSessions = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+
+    const sessions = await prisma.UserSession.findMany({
+      where: { UserId: userId, RevokedAt: null, ExpiresAt: { gt: new Date() } },
+      orderBy: { LastUsedAt: 'desc' }
+    });
+
+    res.status(200).send({
+      sessions: sessions.map(s => ({
+        id: s.id,
+        deviceName: s.DeviceName,
+        userAgent: s.UserAgent,
+        ip: s.Ip,
+        createdAt: s.CreatedAt,
+        lastUsedAt: s.LastUsedAt,
+        expiresAt: s.ExpiresAt,
+        current: s.id === req.user.sid
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).send({ error: 'Failed to list sessions' });
+  }
+};
+
+// Sign out one of the current user's devices
+export const revokeSession = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    const sessionId = parseInt(req.params.sessionId);
+
+    if (isNaN(sessionId)) {
+      return res.status(400).send({ error: 'Valid sessionId is required' });
+    }
+
+    const revoked = await revokeSessions({ id: sessionId, UserId: userId }, 'revoked');
+    if (revoked === 0) {
+      return res.status(404).send({ error: 'Session not found' });
+    }
+
+    res.status(200).send({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).send({ error: 'Failed to revoke session' });
+  }
+};
+
+// Log out everywhere: revoke every session of the current user
+export const logoutEverywhere = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+
+    const revoked = await revokeSessions({ UserId: userId }, 'logout_all');
+
+    await prisma.Users.update({
+      where: { id: userId },
+      data: { JWT: null, Online: false }
+    });
+
+    res.status(200).send({ success: true, message: 'Logged out on all devices', sessionsRevoked: revoked });
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).send({ error: 'Logout failed' });
+  }
+};
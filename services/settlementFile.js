@@ -0,0 +1,82 @@
+import fs from 'fs/promises';
+import path from 'path';
+import * as money from './moneyService.js';
+import * as paynetworxStatus from './paynetworxStatus.js';
+
+// PayNetWorx's daily settlement file: PAYNETWORX_SETTLEMENT_FILE_DIR holds one settlement-YYYY-MM-DD.csv per
+// day (fixtures/paynetworx has a sample) with a header row naming the TransactionID, Type, Amount (dollars),
+// Status and ReturnCode columns. Used by the reconciliation report (see reconciliationService.js).
+
+export const SETTLEMENT_FILE_DIR = process.env.PAYNETWORX_SETTLEMENT_FILE_DIR || null;
+
+// Split CSV text into rows of fields, honouring quoted fields
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+
+  return rows;
+};
+
+/**
+ * Read PayNetWorx's settlement file for a day
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<{ paynetworxTransactionId: string, type: string, amount: number|null, status: string|null, reportedStatus: string|null, returnCode: string|null }[]>}
+ *   status is null when PayNetWorx reported one we do not recognise
+ */
+export const readSettlementFile = async (date) => {
+  const file = path.join(SETTLEMENT_FILE_DIR, `settlement-${date}.csv`);
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`Settlement file not found: ${file}`);
+    throw error;
+  }
+
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.map(name => name.trim());
+
+  return rows.map(values => {
+    const record = Object.fromEntries(columns.map((name, i) => [name, (values[i] || '').trim()]));
+    return {
+      paynetworxTransactionId: record.TransactionID,
+      type: record.Type || null,
+      amount: money.parseAmount(record.Amount || 0),
+      status: paynetworxStatus.toPaynetworxStatus(record.Status),
+      reportedStatus: record.Status || null,
+      returnCode: record.ReturnCode || null
+    };
+  });
+};
@@ -1,10 +1,11 @@
 import prisma from '../prisma/prisma.js';
+import * as money from './moneyService.js';
 
 export class SimpleRankingService {
   // Normalization thresholds (99th percentile caps)
   static MAX_MATCHES = 500;
   static MAX_WINS = 400;
-  static MAX_EARNINGS = 10000; // $10,000 in cents
+  static MAX_EARNINGS = 1000000; // $10,000 in cents
 
   // Weights for ranking components
   static WEIGHT_MATCHES_PLAYED = 0.50;
@@ -231,14 +232,12 @@ export class SimpleRankingService {
         });
 
         // Sum all BetAmounts from wins
-        const userEarnings = wins.reduce((sum, match) => {
-          return sum + parseFloat(match.BetAmount);
-        }, 0);
+        const userEarnings = money.sum(wins.map(match => match.BetAmount));
 
         // Update Earnings field
         await prisma.Users.update({
           where: { id: user.id },
-          data: { Earnings: Math.round(userEarnings) }
+          data: { Earnings: userEarnings }
         });
 
         processedCount++;
@@ -249,7 +248,7 @@ export class SimpleRankingService {
         }
       }
 
-      console.log(`Earnings backfill complete! Processed ${processedCount} users with total earnings: $${(totalEarnings / 100).toFixed(2)}`);
+      console.log(`Earnings backfill complete! Processed ${processedCount} users with total earnings: ${money.formatDollars(totalEarnings)}`);
       return { processedCount, totalEarnings };
     } catch (error) {
       console.error('Earnings backfill failed:', error);
@@ -334,7 +333,7 @@ export class SimpleRankingService {
             contribution: Math.round(normalizedWon * SimpleRankingService.WEIGHT_MATCHES_WON * 1000)
           },
           lifetimeEarnings: {
-            value: lifetimeEarnings,
+            value: money.toDollars(lifetimeEarnings),
             normalized: normalizedEarnings,
             weight: SimpleRankingService.WEIGHT_EARNINGS,
             contribution: Math.round(normalizedEarnings * SimpleRankingService.WEIGHT_EARNINGS * 1000)
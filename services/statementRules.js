@@ -0,0 +1,59 @@
+// How wallet statements are cut and classified: the period a request asks for, and which kind of line
+// (and summary column) each ledger entry is. Kept free of the database (see test/statementRules.test.js).
+
+export const MAX_RANGE_DAYS = 366;
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SUMMARY_TYPES = ['deposit', 'withdrawal', 'payout', 'wager_loss', 'fee', 'other'];
+
+// What kind of line a ledger entry is, from its journal reason
+export const entryType = (reason, amount) => {
+  if (reason === 'challenge_settlement') return amount >= 0 ? 'payout' : 'wager_loss';
+  if (reason === 'deposit' || reason === 'chargeback_reversal') return 'deposit';
+  if (reason === 'withdrawal') return 'withdrawal';
+  if (reason === 'withdrawal_reversal' || reason === 'withdrawal_return') return 'withdrawal_reversal';
+  if (reason.endsWith('_fee_refund')) return 'fee_refund';
+  if (reason.endsWith('_fee')) return 'fee';
+  if (reason.startsWith('deposit_')) return 'deposit_reversal';
+  if (reason === 'signup_bonus') return 'bonus';
+  if (reason.startsWith('admin_adjustment')) return 'adjustment';
+  return 'other';
+};
+
+// Which summary column a line type adds to (reversals net against what they reverse)
+export const summaryType = (type) => {
+  if (type === 'deposit_reversal') return 'deposit';
+  if (type === 'withdrawal_reversal') return 'withdrawal';
+  if (type === 'fee_refund') return 'fee';
+  return SUMMARY_TYPES.includes(type) ? type : 'other';
+};
+
+/**
+ * Read the statement period from the query: ?month=YYYY-MM or ?from=YYYY-MM-DD&to=YYYY-MM-DD,
+ * defaulting to the current month so far
+ * @param {object} query
+ * @returns {{ from: Date, to: Date } | { error: string }} from inclusive, to exclusive
+ */
+export const parsePeriod = ({ month, from, to }) => {
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00.000Z`));
+
+  if (month !== undefined) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) return { error: 'month must be YYYY-MM' };
+    const start = new Date(`${month}-01T00:00:00.000Z`);
+    const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    return { from: start, to: end };
+  }
+
+  if (from === undefined && to === undefined) {
+    const now = new Date();
+    return { from: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)), to: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) + DAY_MS) };
+  }
+  if (!isDate(from) || !isDate(to)) return { error: 'from and to must both be YYYY-MM-DD' };
+
+  const start = new Date(`${from}T00:00:00.000Z`);
+  const end = new Date(new Date(`${to}T00:00:00.000Z`).getTime() + DAY_MS);
+  if (end <= start) return { error: 'to must not be before from' };
+  if ((end - start) / DAY_MS > MAX_RANGE_DAYS) return { error: `A statement can cover at most ${MAX_RANGE_DAYS} days` };
+
+  return { from: start, to: end };
+};
@@ -0,0 +1,392 @@
+import PDFDocument from 'pdfkit';
+import prisma from '../prisma/prisma.js';
+import * as ledgerService from './ledgerService.js';
+import * as money from './moneyService.js';
+import * as statementRules from './statementRules.js';
+
+// Wallet statements for a date range, built from the ledger: the opening balance is the sum of the
+// user's 'user_wallet' entries before the range, and every entry in it is a line with a running balance.
+// Wager locks and their refunds (challenge escrow) do not move the wallet, so they are listed as lines
+// with a held amount and no change to the balance; the settled wager shows up as a payout or loss.
+// Ranges are whole UTC days, from and to inclusive, at most MAX_RANGE_DAYS long (see statementRules.js).
+// Statements come as JSON, CSV or PDF; staff can also export every user's summary (or every line) as CSV.
+
+const EXPORT_BATCH_SIZE = 5000;
+
+export const STATEMENT_FORMATS = ['json', 'csv', 'pdf'];
+
+const LINE_COLUMNS = ['date', 'type', 'description', 'reference', 'amount', 'held', 'balance'];
+const EXPORT_SUMMARY_COLUMNS = ['userId', 'username', 'email', 'openingBalance', ...statementRules.SUMMARY_TYPES, 'closingBalance'];
+const EXPORT_LINE_COLUMNS = ['userId', 'username', ...LINE_COLUMNS.filter(column => column !== 'held' && column !== 'balance')];
+
+const TYPE_LABELS = {
+  deposit: 'Deposit',
+  deposit_reversal: 'Deposit reversed',
+  withdrawal: 'Withdrawal',
+  withdrawal_reversal: 'Withdrawal returned',
+  payout: 'Challenge winnings',
+  wager_loss: 'Challenge wager lost',
+  wager_lock: 'Wager locked',
+  wager_release: 'Wager returned',
+  fee: 'Fee',
+  fee_refund: 'Fee refunded',
+  bonus: 'Bonus',
+  adjustment: 'Adjustment',
+  other: 'Other'
+};
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Build a user's statement
+ * @param {number} userId
+ * @param {{ from: Date, to: Date }} period - from inclusive, to exclusive
+ * @returns {Promise<object|null>} Amounts in cents; null when the user does not exist
+ */
+export const buildStatement = async (userId, { from, to }) => {
+  const user = await prisma.Users.findUnique({
+    where: { id: userId },
+    select: { id: true, Username: true, Email: true }
+  });
+  if (!user) return null;
+
+  const walletEntries = { UserId: userId, Account: ledgerService.ACCOUNTS.USER_WALLET };
+  const [opening, entries, escrows] = await Promise.all([
+    prisma.LedgerEntry.aggregate({
+      where: { ...walletEntries, CreatedAt: { lt: from } },
+      _sum: { Amount: true }
+    }),
+    prisma.LedgerEntry.findMany({
+      where: { ...walletEntries, CreatedAt: { gte: from, lt: to } },
+      include: { LedgerJournal: true },
+      orderBy: { id: 'asc' }
+    }),
+    prisma.ChallengeEscrow.findMany({
+      where: {
+        UserId: userId,
+        OR: [
+          { CreatedAt: { gte: from, lt: to } },
+          { Status: 'refunded', ReleasedAt: { gte: from, lt: to } }
+        ]
+      }
+    })
+  ]);
+
+  const lines = entries.map(e => {
+    const type = statementRules.entryType(e.LedgerJournal.Reason, e.Amount);
+    const reference = e.LedgerJournal.ReferenceType
+      ? `${e.LedgerJournal.ReferenceType} #${e.LedgerJournal.ReferenceId}`
+      : null;
+    return {
+      date: e.CreatedAt,
+      type,
+      description: e.LedgerJournal.Description || TYPE_LABELS[type],
+      reference,
+      amount: e.Amount,
+      held: 0
+    };
+  });
+
+  for (const escrow of escrows) {
+    if (escrow.CreatedAt >= from && escrow.CreatedAt < to) {
+      lines.push({
+        date: escrow.CreatedAt,
+        type: 'wager_lock',
+        description: `${TYPE_LABELS.wager_lock} on challenge #${escrow.ChallengeId}`,
+        reference: `challenge #${escrow.ChallengeId}`,
+        amount: 0,
+        held: escrow.Amount
+      });
+    }
+    if (escrow.Status === 'refunded' && escrow.ReleasedAt >= from && escrow.ReleasedAt < to) {
+      lines.push({
+        date: escrow.ReleasedAt,
+        type: 'wager_release',
+        description: `${TYPE_LABELS.wager_release} from challenge #${escrow.ChallengeId}`,
+        reference: `challenge #${escrow.ChallengeId}`,
+        amount: 0,
+        held: -escrow.Amount
+      });
+    }
+  }
+
+  // Stable sort keeps ledger order for entries written at the same moment
+  lines.sort((a, b) => a.date - b.date);
+
+  const openingBalance = opening._sum.Amount || 0;
+  const totals = Object.fromEntries(statementRules.SUMMARY_TYPES.map(type => [type, 0]));
+  let balance = openingBalance;
+  for (const line of lines) {
+    balance += line.amount;
+    line.balance = balance;
+    if (line.amount !== 0) totals[statementRules.summaryType(line.type)] += line.amount;
+  }
+
+  return {
+    user: { id: user.id, username: user.Username, email: user.Email },
+    from,
+    to,
+    openingBalance,
+    closingBalance: balance,
+    totals,
+    lines
+  };
+};
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => values.map(csvValue).join(',');
+
+// Last day covered, for display (to is exclusive)
+const lastDay = (to) => toDateString(new Date(to.getTime() - statementRules.DAY_MS));
+
+const formatLine = (line) => ({
+  date: line.date.toISOString(),
+  type: line.type,
+  description: line.description,
+  reference: line.reference,
+  amount: money.toDollars(line.amount),
+  held: money.toDollars(line.held),
+  balance: money.toDollars(line.balance)
+});
+
+const formatStatement = (statement) => ({
+  user: statement.user,
+  from: toDateString(statement.from),
+  to: lastDay(statement.to),
+  currency: 'USD',
+  openingBalance: money.toDollars(statement.openingBalance),
+  closingBalance: money.toDollars(statement.closingBalance),
+  totals: Object.fromEntries(Object.entries(statement.totals).map(([type, amount]) => [type, money.toDollars(amount)])),
+  lines: statement.lines.map(formatLine)
+});
+
+const statementCsv = (statement) => {
+  const formatted = formatStatement(statement);
+  return [
+    csvRow(['Statement', formatted.user.username || formatted.user.email, `${formatted.from} to ${formatted.to}`]),
+    csvRow(['Opening balance', formatted.openingBalance]),
+    '',
+    LINE_COLUMNS.join(','),
+    ...formatted.lines.map(line => csvRow(LINE_COLUMNS.map(column => line[column]))),
+    '',
+    ...statementRules.SUMMARY_TYPES.map(type => csvRow([`Total ${TYPE_LABELS[type].toLowerCase()}`, formatted.totals[type]])),
+    csvRow(['Closing balance', formatted.closingBalance])
+  ].join('\n') + '\n';
+};
+
+// Write the statement to a PDF document (A4, one table row per line, new page as needed)
+const writeStatementPdf = (doc, statement) => {
+  const formatted = formatStatement(statement);
+  const columns = [
+    { key: 'date', title: 'Date', width: 70 },
+    { key: 'description', title: 'Description', width: 235 },
+    { key: 'amount', title: 'Amount', width: 70, align: 'right' },
+    { key: 'held', title: 'Held', width: 60, align: 'right' },
+    { key: 'balance', title: 'Balance', width: 70, align: 'right' }
+  ];
+  const left = doc.page.margins.left;
+
+  const row = (values, { bold = false } = {}) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    let height = 0;
+    for (const column of columns) {
+      const text = values[column.key] ?? '';
+      doc.text(String(text), x, y, { width: column.width - 6, align: column.align || 'left' });
+      height = Math.max(height, doc.y - y);
+      x += column.width;
+    }
+    doc.x = left;
+    doc.y = y + height + 4;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).text('GGVerse wallet statement');
+  doc.font('Helvetica').fontSize(10)
+    .text(`${formatted.user.username || ''} <${formatted.user.email || ''}> - account #${formatted.user.id}`)
+    .text(`${formatted.from} to ${formatted.to} (UTC), amounts in USD`)
+    .moveDown()
+    .text(`Opening balance: ${money.formatDollars(statement.openingBalance)}`)
+    .text(`Closing balance: ${money.formatDollars(statement.closingBalance)}`)
+    .moveDown();
+
+  row(Object.fromEntries(columns.map(column => [column.key, column.title])), { bold: true });
+  for (const line of statement.lines) {
+    row({
+      date: toDateString(line.date),
+      description: line.reference ? `${line.description} (${line.reference})` : line.description,
+      amount: line.amount ? money.formatDollars(line.amount) : '',
+      held: line.held ? money.formatDollars(line.held) : '',
+      balance: money.formatDollars(line.balance)
+    });
+  }
+  if (statement.lines.length === 0) {
+    doc.font('Helvetica').fontSize(9).text('No activity in this period.');
+  }
+
+  doc.moveDown().font('Helvetica-Bold').fontSize(10).text('Totals', left);
+  doc.font('Helvetica').fontSize(9);
+  for (const type of statementRules.SUMMARY_TYPES) {
+    doc.text(`${TYPE_LABELS[type]}: ${money.formatDollars(statement.totals[type])}`);
+  }
+};
+
+// GET /wallet/statements/:userId - a statement for ?month=YYYY-MM or ?from&to, as ?format=json|csv|pdf
+export const getStatement = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const { format = 'json' } = req.query;
+
+    if (isNaN(userId)) {
+      return res.status(400).send({ error: 'Valid userId is required' });
+    }
+    if (!STATEMENT_FORMATS.includes(format)) {
+      return res.status(400).send({ error: 'Invalid format', validFormats: STATEMENT_FORMATS });
+    }
+    const period = statementRules.parsePeriod(req.query);
+    if (period.error) {
+      return res.status(400).send({ error: period.error });
+    }
+
+    const statement = await buildStatement(userId, period);
+    if (!statement) {
+      return res.status(404).send({ error: 'User not found' });
+    }
+
+    const filename = `statement-${userId}-${toDateString(period.from)}-${lastDay(period.to)}`;
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.attachment(`${filename}.csv`);
+      return res.status(200).send(statementCsv(statement));
+    }
+
+    if (format === 'pdf') {
+      const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: 'GGVerse wallet statement' } });
+      res.set('Content-Type', 'application/pdf');
+      res.attachment(`${filename}.pdf`);
+      res.status(200);
+      doc.pipe(res);
+      writeStatementPdf(doc, statement);
+      doc.end();
+      return;
+    }
+
+    res.status(200).send(formatStatement(statement));
+  } catch (err) {
+    console.error('Error building statement:', err);
+    if (res.headersSent) return res.end();
+    res.status(500).send({ error: 'Failed to build statement' });
+  }
+};
+
+// Every wallet ledger entry in a period, in id order, a batch at a time
+async function* walletEntriesIn({ from, to }) {
+  let cursor = 0;
+  while (true) {
+    const batch = await prisma.LedgerEntry.findMany({
+      where: {
+        Account: ledgerService.ACCOUNTS.USER_WALLET,
+        CreatedAt: { gte: from, lt: to },
+        id: { gt: cursor }
+      },
+      include: { LedgerJournal: true },
+      orderBy: { id: 'asc' },
+      take: EXPORT_BATCH_SIZE
+    });
+    if (batch.length === 0) return;
+    yield batch;
+    cursor = batch[batch.length - 1].id;
+  }
+}
+
+// GET /api/admin/statements/export - every user's statement for a period as CSV:
+// one summary row per user with activity or a balance (?detail=summary), or every ledger line (?detail=lines)
+export const exportStatements = async (req, res) => {
+  try {
+    const { detail = 'summary' } = req.query;
+    if (!['summary', 'lines'].includes(detail)) {
+      return res.status(400).send({ error: 'Invalid detail', validDetails: ['summary', 'lines'] });
+    }
+    const period = statementRules.parsePeriod(req.query);
+    if (period.error) {
+      return res.status(400).send({ error: period.error });
+    }
+
+    const users = await prisma.Users.findMany({ select: { id: true, Username: true, Email: true } });
+    const usersById = new Map(users.map(u => [u.id, u]));
+    const filename = `statements-${detail}-${toDateString(period.from)}-${lastDay(period.to)}.csv`;
+
+    res.locals.auditDetails = { from: toDateString(period.from), to: lastDay(period.to), detail };
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(filename);
+    res.status(200);
+
+    if (detail === 'lines') {
+      res.write(`${EXPORT_LINE_COLUMNS.join(',')}\n`);
+      for await (const batch of walletEntriesIn(period)) {
+        res.write(batch.map(e => {
+          const type = statementRules.entryType(e.LedgerJournal.Reason, e.Amount);
+          return csvRow([
+            e.UserId,
+            usersById.get(e.UserId)?.Username,
+            e.CreatedAt.toISOString(),
+            type,
+            e.LedgerJournal.Description || TYPE_LABELS[type],
+            e.LedgerJournal.ReferenceType ? `${e.LedgerJournal.ReferenceType} #${e.LedgerJournal.ReferenceId}` : null,
+            money.toDollars(e.Amount)
+          ]);
+        }).join('\n') + '\n');
+      }
+      return res.end();
+    }
+
+    const openings = await prisma.LedgerEntry.groupBy({
+      by: ['UserId'],
+      where: { Account: ledgerService.ACCOUNTS.USER_WALLET, CreatedAt: { lt: period.from } },
+      _sum: { Amount: true }
+    });
+    const summaries = new Map();
+    const summaryFor = (userId) => {
+      if (!summaries.has(userId)) {
+        summaries.set(userId, { opening: 0, totals: Object.fromEntries(statementRules.SUMMARY_TYPES.map(type => [type, 0])) });
+      }
+      return summaries.get(userId);
+    };
+    for (const opening of openings) {
+      summaryFor(opening.UserId).opening = opening._sum.Amount || 0;
+    }
+    for await (const batch of walletEntriesIn(period)) {
+      for (const e of batch) {
+        summaryFor(e.UserId).totals[statementRules.summaryType(statementRules.entryType(e.LedgerJournal.Reason, e.Amount))] += e.Amount;
+      }
+    }
+
+    res.write(`${EXPORT_SUMMARY_COLUMNS.join(',')}\n`);
+    for (const [userId, summary] of [...summaries.entries()].sort(([a], [b]) => a - b)) {
+      const closing = summary.opening + money.sum(Object.values(summary.totals));
+      if (summary.opening === 0 && closing === 0 && Object.values(summary.totals).every(t => t === 0)) continue;
+      const user = usersById.get(userId);
+      res.write(csvRow([
+        userId,
+        user?.Username,
+        user?.Email,
+        money.toDollars(summary.opening),
+        ...statementRules.SUMMARY_TYPES.map(type => money.toDollars(summary.totals[type])),
+        money.toDollars(closing)
+      ]) + '\n');
+    }
+    res.end();
+  } catch (err) {
+    console.error('Error exporting statements:', err);
+    if (res.headersSent) return res.end();
+    res.status(500).send({ error: 'Failed to export statements' });
+  }
+};
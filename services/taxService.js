@@ -0,0 +1,498 @@
+import crypto from 'crypto';
+import prisma from '../prisma/prisma.js';
+import * as ledgerService from './ledgerService.js';
+import * as kycService from './kycService.js';
+import * as money from './moneyService.js';
+
+// Winnings tax reporting (1099-style).
+// A tax year's net winnings come from the ledger, per calendar year in UTC: challenge settlements won,
+// less wagers lost and payout fees (net of refunds). Users whose net winnings reach TAX_REPORTING_THRESHOLD
+// (dollars, default 600) are reportable for that year and are listed in the year-end export.
+// Tax details are collected as a W-9 (TaxProfile), only after KYC: the name and SSN must match the
+// approved verification. When a settlement takes a winner over the threshold without a W-9 on file a
+// TaxWithholdingFlag is raised and withdrawals are withheld (middleware/taxInfo.js) until they submit one.
+// The full TIN is stored encrypted and only leaves the service in the admin export.
+
+export const TAX_CLASSIFICATIONS = ['individual', 'sole_proprietor', 'llc', 'c_corporation', 's_corporation', 'partnership', 'trust_estate'];
+export const TIN_TYPES = ['ssn', 'ein'];
+
+// Dollars in the env, cents here
+const REPORTING_THRESHOLD = money.amountSetting(process.env.TAX_REPORTING_THRESHOLD, 600);
+const FIRST_TAX_YEAR = 2000;
+
+// Classifications reported under the person's own name, which must match their KYC
+const PERSONAL_CLASSIFICATIONS = ['individual', 'sole_proprietor'];
+
+const EXPORT_COLUMNS = [
+  'taxYear', 'userId', 'username', 'email', 'legalName', 'businessName', 'taxClassification', 'tinType', 'tin',
+  'addressLine1', 'addressLine2', 'city', 'state', 'postalCode',
+  'winnings', 'wagersLost', 'fees', 'netWinnings', 'w9OnFile', 'withholding'
+];
+
+const getActorId = (req) => parseInt(req.user?.userId || req.user?.id);
+
+// TINs are encrypted with a key derived from TAX_ENCRYPTION_KEY, which has no fallback: without it
+// W-9s cannot be saved or exported
+const getEncryptionKey = () => {
+  if (!process.env.TAX_ENCRYPTION_KEY) {
+    throw new Error('TAX_ENCRYPTION_KEY is not set');
+  }
+  return crypto.createHash('sha256').update(process.env.TAX_ENCRYPTION_KEY).digest();
+};
+
+const encryptTin = (tin) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(tin, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+};
+
+const decryptTin = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const formatTin = (tinType, tin) => (tinType === 'ssn'
+  ? `${tin.slice(0, 3)}-${tin.slice(3, 5)}-${tin.slice(5)}`
+  : `${tin.slice(0, 2)}-${tin.slice(2)}`);
+
+// Whether a TIN of the given type could have been issued
+const isValidTin = (tinType, tin) => {
+  if (!/^\d{9}$/.test(tin)) return false;
+  if (tinType === 'ein') return !tin.startsWith('00');
+  const [area, group, serial] = [tin.slice(0, 3), tin.slice(3, 5), tin.slice(5)];
+  return area !== '000' && area !== '666' && !area.startsWith('9') && group !== '00' && serial !== '0000';
+};
+
+const currentTaxYear = () => new Date().getUTCFullYear();
+
+/**
+ * Read a tax year from the query
+ * @param {string|undefined} value
+ * @param {number} fallback - Year used when none is given
+ * @returns {{ year: number } | { error: string }}
+ */
+const parseYear = (value, fallback) => {
+  if (value === undefined) return { year: fallback };
+  const year = Number(value);
+  if (!Number.isInteger(year) || year < FIRST_TAX_YEAR || year > currentTaxYear()) {
+    return { error: `year must be between ${FIRST_TAX_YEAR} and ${currentTaxYear()}` };
+  }
+  return { year };
+};
+
+const yearRange = (year) => ({ gte: new Date(Date.UTC(year, 0, 1)), lt: new Date(Date.UTC(year + 1, 0, 1)) });
+
+/**
+ * Net winnings per user for a tax year
+ * @param {object} client - Prisma client or interactive transaction client
+ * @param {number} year
+ * @param {number} [userId] - Only this user
+ * @returns {Promise<Map<number, { winnings: number, wagersLost: number, fees: number, net: number }>>} Cents
+ */
+export const getYearWinnings = async (client, year, userId = undefined) => {
+  const walletEntries = {
+    Account: ledgerService.ACCOUNTS.USER_WALLET,
+    CreatedAt: yearRange(year),
+    ...(userId !== undefined ? { UserId: userId } : {})
+  };
+  const settlement = { ...walletEntries, LedgerJournal: { Reason: 'challenge_settlement' } };
+
+  const [won, lost, fees] = await Promise.all([
+    client.LedgerEntry.groupBy({ by: ['UserId'], where: { ...settlement, Amount: { gt: 0 } }, _sum: { Amount: true } }),
+    client.LedgerEntry.groupBy({ by: ['UserId'], where: { ...settlement, Amount: { lt: 0 } }, _sum: { Amount: true } }),
+    client.LedgerEntry.groupBy({
+      by: ['UserId'],
+      where: { ...walletEntries, LedgerJournal: { Reason: { in: ['payout_fee', 'payout_fee_refund'] } } },
+      _sum: { Amount: true }
+    })
+  ]);
+
+  const totals = new Map();
+  const totalFor = (id) => {
+    if (!totals.has(id)) totals.set(id, { winnings: 0, wagersLost: 0, fees: 0, net: 0 });
+    return totals.get(id);
+  };
+  // Wallet entries are negative for what the user paid, so losses and fees are flipped to positive
+  for (const row of won) totalFor(row.UserId).winnings += row._sum.Amount || 0;
+  for (const row of lost) totalFor(row.UserId).wagersLost -= row._sum.Amount || 0;
+  for (const row of fees) totalFor(row.UserId).fees -= row._sum.Amount || 0;
+  for (const total of totals.values()) total.net = total.winnings - total.wagersLost - total.fees;
+
+  return totals;
+};
+
+/**
+ * Raise a withholding flag when a user's net winnings this year have reached the reporting threshold
+ * and there is no W-9 on file. Call inside the transaction that settled their winnings.
+ * @param {object} tx - Interactive transaction client
+ * @param {number} userId
+ * @returns {Promise<object|null>} The open TaxWithholdingFlag, or null when none is needed
+ */
+export const flagIfReportable = async (tx, userId) => {
+  const profile = await tx.TaxProfile.findUnique({ where: { UserId: userId }, select: { id: true } });
+  if (profile) return null;
+
+  const year = currentTaxYear();
+  const total = (await getYearWinnings(tx, year, userId)).get(userId);
+  if (!total || total.net < REPORTING_THRESHOLD) return null;
+
+  return await tx.TaxWithholdingFlag.upsert({
+    where: { UserId_TaxYear: { UserId: userId, TaxYear: year } },
+    create: { UserId: userId, TaxYear: year, NetWinnings: total.net },
+    update: { NetWinnings: total.net }
+  });
+};
+
+/**
+ * Check whether a user's withdrawals are withheld for missing tax information
+ * @param {number} userId
+ * @param {object} client - Prisma client or interactive transaction client
+ * @returns {Promise<object|null>} An error payload when they must submit a W-9 first, otherwise null
+ */
+export const checkTaxInfo = async (userId, client = prisma) => {
+  const flags = await client.TaxWithholdingFlag.findMany({
+    where: { UserId: userId, Status: 'open' },
+    orderBy: { TaxYear: 'asc' }
+  });
+  if (flags.length === 0) return null;
+
+  return {
+    error: `Your winnings reached ${money.formatDollars(REPORTING_THRESHOLD)} in a tax year. Submit your tax information (W-9) before withdrawing.`,
+    taxInfoRequired: true,
+    taxYears: flags.map(f => f.TaxYear)
+  };
+};
+
+const formatProfile = (profile) => ({
+  legalName: profile.LegalName,
+  businessName: profile.BusinessName,
+  taxClassification: profile.TaxClassification,
+  tinType: profile.TinType,
+  tinLast4: profile.TinLast4,
+  address: {
+    line1: profile.AddressLine1,
+    line2: profile.AddressLine2,
+    city: profile.City,
+    state: profile.State,
+    postalCode: profile.PostalCode
+  },
+  certifiedAt: profile.CertifiedAt,
+  updatedAt: profile.UpdatedAt
+});
+
+const formatFlag = (flag) => ({
+  id: flag.id,
+  userId: flag.UserId,
+  taxYear: flag.TaxYear,
+  netWinnings: money.toDollars(flag.NetWinnings),
+  status: flag.Status,
+  createdAt: flag.CreatedAt,
+  clearedAt: flag.ClearedAt
+});
+
+const formatWinnings = (total) => ({
+  winnings: money.toDollars(total.winnings),
+  wagersLost: money.toDollars(total.wagersLost),
+  fees: money.toDollars(total.fees),
+  netWinnings: money.toDollars(total.net)
+});
+
+const NO_WINNINGS = { winnings: 0, wagersLost: 0, fees: 0, net: 0 };
+
+// GET /tax - the current user's W-9 status and net winnings for ?year (default this year)
+export const getMyTaxInfo = async (req, res) => {
+  try {
+    const userId = getActorId(req);
+    const { year, error } = parseYear(req.query.year, currentTaxYear());
+    if (error) {
+      return res.status(400).send({ error });
+    }
+
+    const [profile, winnings, flags] = await Promise.all([
+      prisma.TaxProfile.findUnique({ where: { UserId: userId } }),
+      getYearWinnings(prisma, year, userId),
+      prisma.TaxWithholdingFlag.findMany({ where: { UserId: userId, Status: 'open' }, orderBy: { TaxYear: 'asc' } })
+    ]);
+    const total = winnings.get(userId) || NO_WINNINGS;
+
+    res.status(200).send({
+      taxYear: year,
+      ...formatWinnings(total),
+      reportingThreshold: money.toDollars(REPORTING_THRESHOLD),
+      reportable: total.net >= REPORTING_THRESHOLD,
+      w9: profile ? { status: 'on_file', ...formatProfile(profile) } : { status: 'not_submitted' },
+      withholding: flags.map(formatFlag)
+    });
+  } catch (err) {
+    console.error('Error getting tax information:', err);
+    res.status(500).send({ error: 'Failed to get tax information' });
+  }
+};
+
+// POST /tax/w9 - submit (or update) the current user's W-9; needs approved KYC.
+// The address defaults to the one verified by KYC.
+export const submitW9 = async (req, res) => {
+  try {
+    const userId = getActorId(req);
+    const {
+      legalName, businessName, taxClassification = 'individual', tinType = 'ssn', tin, certify,
+      addressLine1, addressLine2, city, state, postalCode
+    } = req.body;
+
+    if (!TAX_CLASSIFICATIONS.includes(taxClassification)) {
+      return res.status(400).send({ error: 'Invalid taxClassification', validClassifications: TAX_CLASSIFICATIONS });
+    }
+    if (!TIN_TYPES.includes(tinType)) {
+      return res.status(400).send({ error: 'Invalid tinType', validTinTypes: TIN_TYPES });
+    }
+    if (taxClassification === 'individual' && tinType !== 'ssn') {
+      return res.status(400).send({ error: 'Individuals must provide an SSN' });
+    }
+    if (!legalName || !String(legalName).trim()) {
+      return res.status(400).send({ error: 'legalName is required' });
+    }
+    const digits = String(tin || '').replace(/[\s-]/g, '');
+    if (!isValidTin(tinType, digits)) {
+      return res.status(400).send({ error: `tin must be a valid ${tinType.toUpperCase()} (9 digits)` });
+    }
+    if (certify !== true) {
+      return res.status(400).send({ error: 'You must certify, under penalties of perjury, that the information is correct (certify: true)' });
+    }
+
+    const { verified, verification } = await kycService.getKycState(userId);
+    if (!verified) {
+      return res.status(403).send({
+        error: 'Identity verification is required before submitting tax information',
+        kycRequired: true
+      });
+    }
+
+    // The name and SSN on the W-9 must be the ones KYC verified
+    const name = String(legalName).trim().replace(/\s+/g, ' ');
+    if (PERSONAL_CLASSIFICATIONS.includes(taxClassification)) {
+      const lowerName = name.toLowerCase();
+      if (!lowerName.includes(verification.FirstName.toLowerCase()) || !lowerName.includes(verification.LastName.toLowerCase())) {
+        return res.status(400).send({ error: 'legalName must match the name on your verified identity' });
+      }
+    }
+    if (tinType === 'ssn' && verification.SsnLast4 && verification.SsnLast4 !== digits.slice(-4)) {
+      return res.status(400).send({ error: 'The SSN does not match your verified identity' });
+    }
+
+    const address = addressLine1
+      ? { AddressLine1: addressLine1, AddressLine2: addressLine2 || null, City: city, State: state, PostalCode: postalCode }
+      : {
+        AddressLine1: verification.AddressLine1,
+        AddressLine2: verification.AddressLine2,
+        City: verification.City,
+        State: verification.State,
+        PostalCode: verification.PostalCode
+      };
+    const missing = ['City', 'State', 'PostalCode'].filter(field => !address[field] || !String(address[field]).trim());
+    if (missing.length > 0) {
+      return res.status(400).send({ error: `Missing address fields: ${missing.map(f => f[0].toLowerCase() + f.slice(1)).join(', ')}` });
+    }
+
+    const data = {
+      KycVerificationId: verification.id,
+      LegalName: name,
+      BusinessName: businessName ? String(businessName).trim() : null,
+      TaxClassification: taxClassification,
+      TinType: tinType,
+      Tin: encryptTin(digits),
+      TinLast4: digits.slice(-4),
+      ...address,
+      CertifiedAt: new Date()
+    };
+
+    const { profile, cleared } = await prisma.$transaction(async (tx) => {
+      const profile = await tx.TaxProfile.upsert({
+        where: { UserId: userId },
+        create: { UserId: userId, ...data },
+        update: data
+      });
+      const cleared = await tx.TaxWithholdingFlag.updateMany({
+        where: { UserId: userId, Status: 'open' },
+        data: { Status: 'cleared', ClearedAt: new Date() }
+      });
+      return { profile, cleared };
+    });
+
+    res.status(200).send({
+      message: 'Tax information saved',
+      w9: { status: 'on_file', ...formatProfile(profile) },
+      withholdingCleared: cleared.count > 0
+    });
+  } catch (err) {
+    console.error('Error saving tax information:', err);
+    res.status(500).send({ error: 'Failed to save tax information' });
+  }
+};
+
+// Reportable users for a year, highest net winnings first, with their W-9 and withholding flag
+const getReportable = async (year) => {
+  const winnings = await getYearWinnings(prisma, year);
+  const reportable = [...winnings.entries()]
+    .filter(([, total]) => total.net >= REPORTING_THRESHOLD)
+    .sort(([, a], [, b]) => b.net - a.net);
+  const userIds = reportable.map(([userId]) => userId);
+
+  const [users, profiles, flags] = await Promise.all([
+    prisma.Users.findMany({ where: { id: { in: userIds } }, select: { id: true, Username: true, Email: true } }),
+    prisma.TaxProfile.findMany({ where: { UserId: { in: userIds } } }),
+    prisma.TaxWithholdingFlag.findMany({ where: { UserId: { in: userIds }, TaxYear: year } })
+  ]);
+  const usersById = new Map(users.map(u => [u.id, u]));
+  const profilesByUser = new Map(profiles.map(p => [p.UserId, p]));
+  const flagsByUser = new Map(flags.map(f => [f.UserId, f]));
+
+  return reportable.map(([userId, total]) => ({
+    userId,
+    user: usersById.get(userId),
+    total,
+    profile: profilesByUser.get(userId) || null,
+    flag: flagsByUser.get(userId) || null
+  }));
+};
+
+// GET /api/admin/tax/reportable - users whose net winnings for ?year (default last year) reached the threshold
+export const listReportable = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    if (pageNum < 1 || limitNum < 1 || limitNum > 200) {
+      return res.status(400).send({ error: 'Invalid pagination parameters' });
+    }
+    const { year, error } = parseYear(req.query.year, currentTaxYear() - 1);
+    if (error) {
+      return res.status(400).send({ error });
+    }
+
+    const reportable = await getReportable(year);
+    const missingW9 = reportable.filter(r => !r.profile).length;
+
+    res.status(200).send({
+      taxYear: year,
+      reportingThreshold: money.toDollars(REPORTING_THRESHOLD),
+      totalReportable: reportable.length,
+      missingW9,
+      users: reportable.slice((pageNum - 1) * limitNum, pageNum * limitNum).map(r => ({
+        userId: r.userId,
+        username: r.user?.Username,
+        email: r.user?.Email,
+        ...formatWinnings(r.total),
+        w9: r.profile ? { status: 'on_file', ...formatProfile(r.profile) } : { status: 'not_submitted' },
+        withholding: r.flag ? formatFlag(r.flag) : null
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(reportable.length / limitNum),
+        totalCount: reportable.length,
+        limit: limitNum
+      }
+    });
+  } catch (err) {
+    console.error('Error listing reportable winnings:', err);
+    res.status(500).send({ error: 'Failed to list reportable winnings' });
+  }
+};
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// GET /api/admin/tax/reportable/export - year-end CSV of reportable users with their full TIN, for filing
+export const exportReportable = async (req, res) => {
+  try {
+    const { year, error } = parseYear(req.query.year, currentTaxYear() - 1);
+    if (error) {
+      return res.status(400).send({ error });
+    }
+
+    const reportable = await getReportable(year);
+    const rows = reportable.map(({ userId, user, total, profile, flag }) => [
+      year,
+      userId,
+      user?.Username,
+      user?.Email,
+      profile?.LegalName,
+      profile?.BusinessName,
+      profile?.TaxClassification,
+      profile?.TinType,
+      profile ? formatTin(profile.TinType, decryptTin(profile.Tin)) : null,
+      profile?.AddressLine1,
+      profile?.AddressLine2,
+      profile?.City,
+      profile?.State,
+      profile?.PostalCode,
+      money.toDollars(total.winnings),
+      money.toDollars(total.wagersLost),
+      money.toDollars(total.fees),
+      money.toDollars(total.net),
+      profile ? 'yes' : 'no',
+      flag?.Status || ''
+    ].map(csvValue).join(','));
+
+    res.locals.auditDetails = { taxYear: year, reportable: reportable.length, missingW9: reportable.filter(r => !r.profile).length };
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`tax-reportable-${year}.csv`);
+    res.status(200).send([EXPORT_COLUMNS.join(','), ...rows].join('\n') + '\n');
+  } catch (err) {
+    console.error('Error exporting reportable winnings:', err);
+    res.status(500).send({ error: 'Failed to export reportable winnings' });
+  }
+};
+
+// GET /api/admin/tax/withholding-flags - withholding flags, open ones by default
+export const listWithholdingFlags = async (req, res) => {
+  try {
+    const { status = 'open', year, page = 1, limit = 50 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    if (pageNum < 1 || limitNum < 1 || limitNum > 200) {
+      return res.status(400).send({ error: 'Invalid pagination parameters' });
+    }
+    if (!['open', 'cleared', 'all'].includes(status)) {
+      return res.status(400).send({ error: 'Invalid status', validStatuses: ['open', 'cleared', 'all'] });
+    }
+
+    const where = {
+      ...(status === 'all' ? {} : { Status: status }),
+      ...(year ? { TaxYear: parseInt(year) } : {})
+    };
+
+    const [flags, totalCount] = await Promise.all([
+      prisma.TaxWithholdingFlag.findMany({
+        where,
+        include: { Users: { select: { id: true, Username: true, Email: true } } },
+        orderBy: { CreatedAt: 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum
+      }),
+      prisma.TaxWithholdingFlag.count({ where })
+    ]);
+
+    res.status(200).send({
+      flags: flags.map(f => ({
+        ...formatFlag(f),
+        user: { id: f.Users.id, username: f.Users.Username, email: f.Users.Email }
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        totalCount,
+        limit: limitNum
+      }
+    });
+  } catch (err) {
+    console.error('Error listing withholding flags:', err);
+    res.status(500).send({ error: 'Failed to list withholding flags' });
+  }
+};
@@ -1,142 +1,287 @@
 import prisma from '../prisma/prisma.js';
-import cron from 'node-cron';
+import * as escrowService from './escrowService.js';
+import * as ledgerService from './ledgerService.js';
+import * as feeService from './feeService.js';
+import * as accountHoldService from './accountHoldService.js';
+import * as taxService from './taxService.js';
+import * as paynetworxService from './paynetworxService.js';
+import * as money from './moneyService.js';
+import * as transactionRules from './transactionRules.js';
+
+// Venmo/CashApp transactions are settled by hand, so each one waits in an operator review queue
+// (Status 'pending') until it is approved or rejected:
+// - deposits are only credited once an operator has confirmed the money arrived
+// - withdrawals are held out of the available balance while pending (escrowService.getHeldWithdrawals);
+//   approving debits the wallet after the operator has paid out, rejecting releases the hold
+// processAt is when the user was told to expect the transaction; the queue is worked oldest first.
+// Every decision records the reviewer, a note and the external reference (handle, $tag or payment ID).
+// Withdrawals of a user whose account is on hold, or who owes a W-9 (see taxService.js), cannot be approved
+// until the hold is released or the W-9 is on file.
+// PayNetWorx withdrawals that broke a withdrawal risk rule wait in the same queue with Status 'review'
+// (see withdrawalRiskService.js); approving one debits the wallet and sends the ACH payout, whose
+// PayNetWorx TransactionID becomes the external reference.
+
+const REVIEW_PROVIDERS = transactionRules.REVIEWED_WITHDRAWAL_PROVIDERS;
+
+// The status a transaction waits for review in
+const awaitingStatus = (transaction) => (transaction.Provider === 'paynetworx' ? 'review' : 'pending');
+
+const inReviewQueue = (transaction) =>
+  REVIEW_PROVIDERS.includes(transaction.Provider) ||
+  (transaction.Provider === 'paynetworx' && transaction.Type === 'withdrawal' &&
+    (transaction.Status === 'review' || Boolean(transaction.ReviewedAt)));
+
+const getActorId = (req) => parseInt(req.user?.userId || req.user?.id);
+
+const reviewError = (message, status) => Object.assign(new Error(message), { reviewError: true, status });
+
+const formatReviewItem = (t) => ({
+  id: t.id,
+  type: t.Type,
+  provider: t.Provider,
+  amount: money.toDollars(t.Amount),
+  fee: money.toDollars(t.Fee),
+  netAmount: money.toDollars(t.Amount - t.Fee),
+  status: t.Status,
+  description: t.Description,
+  externalReference: t.ExternalReference,
+  reviewNote: t.ReviewNote,
+  reviewedBy: t.ReviewedById,
+  reviewedAt: t.ReviewedAt,
+  processAt: t.processAt,
+  overdue: t.Status === 'pending' && Boolean(t.processAt) && t.processAt < new Date(),
+  riskFlags: t.RiskFlags || [],
+  created_at: t.created_at.toISOString(),
+  user: t.Users ? { id: t.Users.id, username: t.Users.Username, email: t.Users.Email } : undefined
+});
 
 /**
- * Process pending Venmo/CashApp transactions that have reached their processAt time
- * This function should be called periodically (e.g., every minute) via cron job
+ * Approve a transaction in the review queue: credit a deposit (less its fee) or debit a withdrawal
+ * (payout plus fee). The status guard runs inside the transaction so a transaction is only settled once.
+ * A held PayNetWorx withdrawal is then paid out; if PayNetWorx does not accept it the debit is reversed.
+ * @param {number} transactionId
+ * @param {{ reviewerId: number, note: string, externalReference?: string, requestId?: string }} review
+ *   externalReference is required except for PayNetWorx; requestId is sent to PayNetWorx as Request-ID
+ * @returns {Promise<object>} The updated Transaction
  */
-export const processPendingTransactions = async () => {
-  try {
-    const now = new Date();
-    
-    // Find all pending transactions where processAt has passed
-    const pendingTransactions = await prisma.Transaction.findMany({
-      where: {
-        Status: 'pending',
-        Provider: {
-          in: ['venmo', 'cashapp']
-        },
-        processAt: {
-          lte: now
-        }
-      },
-      include: {
-        Users: {
-          select: {
-            id: true,
-            Username: true,
-            Wallet: true
-          }
-        }
-      },
-      orderBy: {
-        processAt: 'asc' // Process oldest first
+export const approveTransaction = async (transactionId, { reviewerId, note, externalReference = null, requestId = null }) => {
+  const approved = await prisma.$transaction(async (tx) => {
+    const transaction = await tx.Transaction.findUnique({ where: { id: transactionId } });
+    if (!transaction || !inReviewQueue(transaction)) {
+      throw reviewError('Transaction not found in the review queue', 404);
+    }
+    const payout = transaction.Provider === 'paynetworx';
+    if (!payout && !externalReference) {
+      throw reviewError('externalReference (handle, $tag or payment ID) is required to approve', 400);
+    }
+
+    const updated = await tx.Transaction.updateMany({
+      where: { id: transactionId, Status: awaitingStatus(transaction) },
+      data: {
+        // A PayNetWorx payout is 'pending' (debited) until PayNetWorx accepts the ACH credit
+        Status: payout ? 'pending' : 'completed',
+        ReviewNote: note,
+        ExternalReference: externalReference,
+        ReviewedById: reviewerId,
+        ReviewedAt: new Date()
       }
     });
-
-    if (pendingTransactions.length === 0) {
-      return { processed: 0, errors: [] };
+    if (updated.count === 0) {
+      throw reviewError(`Transaction has already been reviewed (status: ${transaction.Status})`, 409);
     }
 
-    console.log(`[TransactionProcessor] Found ${pendingTransactions.length} pending transactions to process`);
-
-    const errors = [];
-    let processed = 0;
-
-    for (const transaction of pendingTransactions) {
-      try {
-        const user = transaction.Users;
-        if (!user) {
-          console.error(`[TransactionProcessor] User not found for transaction ${transaction.id}`);
-          errors.push({ transactionId: transaction.id, error: 'User not found' });
-          continue;
-        }
-
-        const amount = Number(transaction.Amount);
-        const currentWallet = Number(user.Wallet);
-
-        if (transaction.Type === 'deposit') {
-          // For deposits: add funds to wallet
-          const newBalance = currentWallet + amount;
-          
-          await prisma.$transaction([
-            prisma.Users.update({
-              where: { id: user.id },
-              data: { Wallet: newBalance }
-            }),
-            prisma.Transaction.update({
-              where: { id: transaction.id },
-              data: { Status: 'completed' }
-            })
-          ]);
-
-          console.log(`[TransactionProcessor] Processed deposit: Transaction ${transaction.id}, User ${user.id}, Amount $${amount}, New Balance $${newBalance}`);
-          processed++;
-
-        } else if (transaction.Type === 'withdrawal') {
-          // For withdrawals: deduct funds from wallet
-          // Double-check sufficient funds (in case balance changed)
-          if (currentWallet < amount) {
-            console.error(`[TransactionProcessor] Insufficient funds for withdrawal: Transaction ${transaction.id}, User ${user.id}, Balance $${currentWallet}, Requested $${amount}`);
-            
-            // Mark transaction as failed
-            await prisma.Transaction.update({
-              where: { id: transaction.id },
-              data: { Status: 'failed' }
-            });
-            
-            errors.push({ 
-              transactionId: transaction.id, 
-              error: `Insufficient funds. Balance: $${currentWallet}, Requested: $${amount}` 
-            });
-            continue;
-          }
-
-          const newBalance = currentWallet - amount;
-          
-          await prisma.$transaction([
-            prisma.Users.update({
-              where: { id: user.id },
-              data: { Wallet: newBalance }
-            }),
-            prisma.Transaction.update({
-              where: { id: transaction.id },
-              data: { Status: 'completed' }
-            })
-          ]);
-
-          console.log(`[TransactionProcessor] Processed withdrawal: Transaction ${transaction.id}, User ${user.id}, Amount $${amount}, New Balance $${newBalance}`);
-          processed++;
-        }
-      } catch (error) {
-        console.error(`[TransactionProcessor] Error processing transaction ${transaction.id}:`, error);
-        errors.push({ transactionId: transaction.id, error: error.message });
+    const amount = transaction.Amount;
+    const fee = transaction.Fee;
+
+    if (transaction.Type === 'deposit') {
+      await ledgerService.creditWallet(tx, {
+        userId: transaction.UserId,
+        amount,
+        account: ledgerService.providerAccount(transaction.Provider),
+        reason: 'deposit',
+        referenceType: transaction.Provider,
+        referenceId: transaction.id,
+        transactionId: transaction.id
+      });
+      await feeService.recordFee(tx, {
+        userId: transaction.UserId,
+        fee,
+        type: 'deposit',
+        referenceType: 'transaction',
+        referenceId: transaction.id,
+        description: `Deposit #${transaction.id} fee`
+      });
+    } else if (transaction.Type === 'withdrawal') {
+      if ((await accountHoldService.getActiveHolds(transaction.UserId, tx)).length > 0) {
+        throw reviewError('The user\'s account is on hold - reject the withdrawal or release the hold first', 409);
       }
+      if (await taxService.checkTaxInfo(transaction.UserId, tx)) {
+        throw reviewError('The user\'s withdrawals are withheld until they submit a W-9', 409);
+      }
+
+      // The hold was released by the status change, so the whole amount must still be available
+      const availableBalance = await escrowService.lockAvailableBalance(tx, transaction.UserId);
+      if (availableBalance < amount) {
+        throw reviewError(`Insufficient funds. Available: ${money.formatDollars(availableBalance)}, Requested: ${money.formatDollars(amount)}`, 409);
+      }
+
+      // Provider pays out the amount less the fee; the fee goes to platform revenue
+      await ledgerService.debitWallet(tx, {
+        userId: transaction.UserId,
+        amount: amount - fee,
+        account: ledgerService.providerAccount(transaction.Provider),
+        reason: 'withdrawal',
+        referenceType: payout ? 'transaction' : transaction.Provider,
+        referenceId: transaction.id,
+        transactionId: transaction.id
+      });
+      await feeService.recordFee(tx, {
+        userId: transaction.UserId,
+        fee,
+        type: 'withdrawal',
+        referenceType: 'transaction',
+        referenceId: transaction.id,
+        description: `Withdrawal #${transaction.id} fee`
+      });
+    } else {
+      throw reviewError(`Cannot review a ${transaction.Type} transaction`, 400);
     }
 
-    console.log(`[TransactionProcessor] Completed: ${processed} processed, ${errors.length} errors`);
-    return { processed, errors };
-  } catch (error) {
-    console.error('[TransactionProcessor] Fatal error:', error);
-    return { processed: 0, errors: [{ error: error.message }] };
+    return await tx.Transaction.findUnique({ where: { id: transactionId } });
+  });
+
+  if (approved.Provider !== 'paynetworx') return approved;
+
+  const { transaction, error } = await paynetworxService.payoutReviewedWithdrawal(approved, requestId);
+  if (error) {
+    throw reviewError(`PayNetWorx did not accept the payout (${error}). The withdrawal was marked failed and the wallet re-credited.`, 502);
   }
+  return transaction;
 };
 
 /**
- * Start the transaction processor cron job
- * Runs every minute to check for pending transactions
+ * Reject a transaction in the review queue. Nothing was credited or debited yet, so a rejected
+ * deposit is simply closed and a rejected withdrawal's hold is released.
+ * @param {number} transactionId
+ * @param {{ reviewerId: number, note: string, externalReference?: string }} review
+ * @returns {Promise<object>} The updated Transaction
  */
-export const startTransactionProcessor = () => {
-  // Run every minute: * * * * *
-  cron.schedule('* * * * *', async () => {
-    await processPendingTransactions();
-  });
+export const rejectTransaction = async (transactionId, { reviewerId, note, externalReference = null }) => {
+  const transaction = await prisma.Transaction.findUnique({ where: { id: transactionId } });
+  if (!transaction || !inReviewQueue(transaction)) {
+    throw reviewError('Transaction not found in the review queue', 404);
+  }
 
-  // Also run immediately on startup to catch any overdue transactions
-  console.log('[TransactionProcessor] Starting transaction processor...');
-  processPendingTransactions().catch(error => {
-    console.error('[TransactionProcessor] Error in initial run:', error);
+  const updated = await prisma.Transaction.updateMany({
+    where: { id: transactionId, Status: awaitingStatus(transaction) },
+    data: {
+      Status: 'rejected',
+      ReviewNote: note,
+      ExternalReference: externalReference,
+      ReviewedById: reviewerId,
+      ReviewedAt: new Date()
+    }
   });
+  if (updated.count === 0) {
+    throw reviewError(`Transaction has already been reviewed (status: ${transaction.Status})`, 409);
+  }
+
+  return await prisma.Transaction.findUnique({ where: { id: transactionId } });
+};
+
+// GET /api/admin/payment-reviews - the review queue, oldest first
+// status 'pending' lists everything awaiting review, held PayNetWorx withdrawals included
+export const listReviewQueue = async (req, res) => {
+  try {
+    const { provider, type, status = 'pending', page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    if (pageNum < 1 || limitNum < 1 || limitNum > 200) {
+      return res.status(400).send({ error: 'Invalid pagination parameters' });
+    }
+    const queueProviders = [...REVIEW_PROVIDERS, 'paynetworx'];
+    if (provider && !queueProviders.includes(provider)) {
+      return res.status(400).send({ error: 'Invalid provider', validProviders: queueProviders });
+    }
+    if (type && !['deposit', 'withdrawal'].includes(type)) {
+      return res.status(400).send({ error: 'Invalid type', validTypes: ['deposit', 'withdrawal'] });
+    }
 
-  console.log('[TransactionProcessor] Transaction processor started (runs every minute via cron)');
+    // PayNetWorx withdrawals are only in the queue while held ('review') or once reviewed
+    const held = status === 'pending'
+      ? { Provider: 'paynetworx', Type: 'withdrawal', Status: 'review' }
+      : { Provider: 'paynetworx', Type: 'withdrawal', Status: status, ReviewedAt: { not: null } };
+    const manual = { Provider: { in: REVIEW_PROVIDERS }, Status: status };
+
+    const where = {
+      Type: type || { in: ['deposit', 'withdrawal'] },
+      ...(provider ? (provider === 'paynetworx' ? held : { ...manual, Provider: provider }) : { OR: [manual, held] })
+    };
+
+    const [transactions, totalCount] = await Promise.all([
+      prisma.Transaction.findMany({
+        where,
+        include: { Users: { select: { id: true, Username: true, Email: true } } },
+        orderBy: [{ processAt: 'asc' }, { id: 'asc' }],
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum
+      }),
+      prisma.Transaction.count({ where })
+    ]);
+
+    res.status(200).send({
+      transactions: transactions.map(formatReviewItem),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        totalCount,
+        limit: limitNum
+      }
+    });
+  } catch (err) {
+    console.error('Error listing payment reviews:', err);
+    res.status(500).send({ error: 'Failed to list payment reviews' });
+  }
 };
+
+const reviewHandler = (decision) => async (req, res) => {
+  try {
+    const transactionId = parseInt(req.params.transactionId);
+    const note = String(req.body.note || '').trim();
+    const externalReference = String(req.body.externalReference || '').trim() || null;
+
+    if (isNaN(transactionId)) {
+      return res.status(400).send({ error: 'Valid transactionId is required' });
+    }
+    if (!note) {
+      return res.status(400).send({ error: 'A note is required' });
+    }
+    const review = { reviewerId: getActorId(req), note, externalReference, requestId: req.idempotencyKey };
+    const transaction = decision === 'approve'
+      ? await approveTransaction(transactionId, review)
+      : await rejectTransaction(transactionId, review);
+
+    res.locals.auditDetails = {
+      type: transaction.Type,
+      provider: transaction.Provider,
+      amount: money.toDollars(transaction.Amount),
+      status: transaction.Status,
+      externalReference: transaction.ExternalReference
+    };
+
+    res.status(200).send({ success: true, transaction: formatReviewItem(transaction) });
+  } catch (err) {
+    if (err.reviewError) {
+      return res.status(err.status).send({ error: err.message });
+    }
+    console.error(`Error processing payment review (${decision}):`, err);
+    res.status(500).send({ error: 'Failed to review transaction' });
+  }
+};
+
+// POST /api/admin/payment-reviews/:transactionId/approve - credit the deposit / debit the withdrawal
+export const approveReview = reviewHandler('approve');
+
+// POST /api/admin/payment-reviews/:transactionId/reject - close the deposit / release the withdrawal
+export const rejectReview = reviewHandler('reject');
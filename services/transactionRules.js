@@ -0,0 +1,71 @@
+// How Transaction rows move a wallet and which PayNetWorx outcomes they must match. Kept free of the
+// database so reconciliation's rules can be checked on their own (see test/transactionRules.test.js).
+
+// Withdrawals that are paid out by hand and only debited once approved
+export const REVIEWED_WITHDRAWAL_PROVIDERS = ['venmo', 'cashapp'];
+
+// Voids and refunds that have left the wallet (or are on their way out)
+export const ACTIVE_REVERSAL_STATUSES = ['pending', 'completed'];
+
+export const REVERSED_OUTCOMES = ['returned', 'charged_back'];
+
+// Statuses of a payment that went through at PayNetWorx and was booked here
+export const BOOKED_STATUSES = ['completed', 'voided', 'refunded', ...REVERSED_OUTCOMES];
+
+/**
+ * What a group of Transaction rows did to the wallet
+ * @param {{ Type: string, Status: string, Provider: string }} group
+ * @param {number} amount - Sum of Amount (cents)
+ * @param {number} fee - Sum of Fee (cents)
+ * @returns {number|null} null for a transaction type we do not know how to book
+ */
+export const walletEffect = ({ Type, Status, Provider }, amount, fee) => {
+  switch (Type) {
+    case 'deposit':
+      // A returned or charged-back deposit was taken back out in full; refunds made before that are
+      // added back separately (see reconciliationService.js)
+      return ['completed', 'voided', 'refunded'].includes(Status) ? amount : 0;
+    case 'withdrawal': {
+      // PayNetWorx withdrawals are debited when requested, Venmo/CashApp ones once approved; the fee is
+      // a separate 'fee' row
+      const debited = REVIEWED_WITHDRAWAL_PROVIDERS.includes(Provider)
+        ? Status === 'completed'
+        : ['pending', 'completed'].includes(Status);
+      return debited ? fee - amount : 0;
+    }
+    case 'void':
+    case 'refund':
+      return ACTIVE_REVERSAL_STATUSES.includes(Status) ? -amount : 0;
+    case 'fee':
+    case 'game_loss':
+      return -amount;
+    case 'fee_refund':
+    case 'game_payout':
+    case 'adjustment':
+      return amount;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Why a transaction's status disagrees with PayNetWorx's
+ * @param {{ Status: string }} trx
+ * @param {string} pnxStatus - From paynetworxStatus.toPaynetworxStatus
+ * @returns {string|null}
+ */
+export const compareStatus = (trx, pnxStatus) => {
+  const booked = BOOKED_STATUSES.includes(trx.Status);
+  if (pnxStatus === 'declined') {
+    return booked ? `Booked here (${trx.Status}) but declined at PayNetWorx` : null;
+  }
+  if (!booked) {
+    return `PayNetWorx shows ${pnxStatus} but it is ${trx.Status} here`;
+  }
+  // Returns and chargebacks must be booked as exactly that
+  const reversed = REVERSED_OUTCOMES.includes(pnxStatus) || REVERSED_OUTCOMES.includes(trx.Status);
+  if (reversed && pnxStatus !== trx.Status) {
+    return `PayNetWorx shows ${pnxStatus} but it is ${trx.Status} here`;
+  }
+  return null;
+};
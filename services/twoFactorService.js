@@ -0,0 +1,423 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+import prisma from '../prisma/prisma.js';
+import * as securityService from './securityService.js';
+
+// TOTP two-factor authentication (RFC 6238: SHA-1, 6 digits, 30 second steps).
+// - Enrollment: a pending secret is generated, and becomes active once the user proves they can
+//   produce a code from it; ten single-use recovery codes are issued at that point
+// - Login: a correct password for a 2FA user returns a short-lived challenge token instead of a
+//   session; POST /login/2fa trades it plus a code for the session
+// - Step-up: sensitive routes (see middleware/stepUp.js) need a code verified in the last few minutes
+// Secrets are stored AES-256-GCM encrypted; a TOTP step is accepted only once per user.
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'GGVerse';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_EXPIRES_IN = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (encoded) => {
+  let bits = '';
+  for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// Secrets are encrypted with a key derived from TWO_FACTOR_ENCRYPTION_KEY, which has no fallback so a
+// JWT secret rotation cannot lock users out. Secrets enrolled when the key was unset were encrypted with
+// '2fa:<JWT_SECRET>' - set TWO_FACTOR_ENCRYPTION_KEY to that value to keep reading them.
+const getEncryptionKey = () => {
+  if (!process.env.TWO_FACTOR_ENCRYPTION_KEY) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY is not set');
+  }
+  return crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY).digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the TOTP code for a secret at a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step
+ * @returns {string}
+ */
+export const generateTotp = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(binary).padStart(DIGITS, '0');
+};
+
+/**
+ * Find the time step a code belongs to, allowing one step of clock drift either way
+ * @returns {number|null} The matching step, or null if the code is wrong
+ */
+const matchTotpStep = (secret, code) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+};
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+// Replace a user's recovery codes and return the new plaintext codes
+const replaceRecoveryCodes = async (tx, userId) => {
+  const codes = generateRecoveryCodes();
+  await tx.TwoFactorRecoveryCode.deleteMany({ where: { UserId: userId } });
+  await tx.TwoFactorRecoveryCode.createMany({
+    data: codes.map(code => ({ UserId: userId, CodeHash: hashRecoveryCode(code) }))
+  });
+  return codes;
+};
+
+/**
+ * Check a 2FA code for a user with 2FA enabled: a current TOTP code or an unused recovery code
+ * Each TOTP step and each recovery code is accepted once.
+ * @param {number} userId
+ * @param {string} code
+ * @returns {Promise<'totp'|'recovery'|null>} How the user verified, or null if the code was rejected
+ */
+export const verifyUserCode = async (userId, code) => {
+  if (!code) return null;
+
+  const user = await prisma.Users.findUnique({
+    where: { id: userId },
+    select: { TwoFactorEnabled: true, TwoFactorSecret: true, TwoFactorLastStep: true }
+  });
+  if (!user?.TwoFactorEnabled || !user.TwoFactorSecret) return null;
+
+  const step = matchTotpStep(decryptSecret(user.TwoFactorSecret), code);
+  if (step !== null) {
+    // Guarded so the same code cannot be replayed, even concurrently
+    const accepted = await prisma.Users.updateMany({
+      where: {
+        id: userId,
+        OR: [{ TwoFactorLastStep: null }, { TwoFactorLastStep: { lt: step } }]
+      },
+      data: { TwoFactorLastStep: step }
+    });
+    return accepted.count === 1 ? 'totp' : null;
+  }
+
+  const recovery = await prisma.TwoFactorRecoveryCode.findFirst({
+    where: { UserId: userId, CodeHash: hashRecoveryCode(code), UsedAt: null }
+  });
+  if (!recovery) return null;
+
+  const used = await prisma.TwoFactorRecoveryCode.updateMany({
+    where: { id: recovery.id, UsedAt: null },
+    data: { UsedAt: new Date() }
+  });
+  return used.count === 1 ? 'recovery' : null;
+};
+
+/**
+ * verifyUserCode for a signed-in user, throttled per user by the securityService 'step_up' policy.
+ * Every route that takes a code from a signed-in user goes through here, so failures on one count for all.
+ * @param {number} userId
+ * @param {string} code
+ * @param {{ ip?: string }} options
+ * @returns {Promise<{ method: 'totp'|'recovery'|null, throttle?: { locked: boolean, retryAfterSeconds: number } }>}
+ *   throttle is set when the code was not checked because the user is delayed or locked
+ */
+export const verifyStepUpCode = async (userId, code, { ip = null } = {}) => {
+  for (const key of securityService.throttleKeys('step_up', { ip, userId })) {
+    const status = await securityService.getThrottleStatus(key);
+    if (status.blocked) return { method: null, throttle: status };
+  }
+
+  const method = await verifyUserCode(userId, code);
+  await securityService.recordAttempt('step_up', { ip, userId, succeeded: Boolean(method) });
+  return { method };
+};
+
+/**
+ * Answer a request whose code was not checked because of the step-up throttle
+ * @param {object} res
+ * @param {{ locked: boolean, retryAfterSeconds: number }} throttle
+ */
+export const sendThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfterSeconds));
+  return res.status(429).send({
+    error: throttle.locked
+      ? 'Too many invalid verification codes. Two-factor verification is locked - try again later.'
+      : 'Too many invalid verification codes. Please wait before trying again.',
+    locked: throttle.locked,
+    retryAfterSeconds: throttle.retryAfterSeconds
+  });
+};
+
+/**
+ * Short-lived token proving the password step of a 2FA login succeeded
+ * @param {{ id: number }} user
+ */
+export const createLoginChallenge = (user) =>
+  jwt.sign({ id: user.id, purpose: '2fa_login' }, process.env.JWT_SECRET, { expiresIn: LOGIN_CHALLENGE_EXPIRES_IN });
+
+/**
+ * @param {string} challengeToken
+ * @returns {number|null} The user id the challenge was issued for
+ */
+export const verifyLoginChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(String(challengeToken), process.env.JWT_SECRET);
+    return decoded.purpose === '2fa_login' ? decoded.id : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Email of the account a login challenge was issued for (brute-force tracking on /login/2fa)
+ * @param {string} challengeToken
+ * @returns {Promise<string|null>}
+ */
+export const getLoginChallengeEmail = async (challengeToken) => {
+  const userId = challengeToken ? verifyLoginChallenge(challengeToken) : null;
+  if (!userId) return null;
+  const user = await prisma.Users.findUnique({ where: { id: userId }, select: { Email: true } });
+  return user?.Email || null;
+};
+
+/**
+ * Record a successful step-up on the caller's session
+ * @param {number} sessionId
+ */
+export const markStepUp = async (sessionId) => {
+  await prisma.UserSession.update({
+    where: { id: sessionId },
+    data: { StepUpAt: new Date() }
+  });
+};
+
+// GET /2fa - enrollment status
+export const getStatus = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+
+    const [user, remainingRecoveryCodes] = await Promise.all([
+      prisma.Users.findUnique({ where: { id: userId }, select: { TwoFactorEnabled: true } }),
+      prisma.TwoFactorRecoveryCode.count({ where: { UserId: userId, UsedAt: null } })
+    ]);
+
+    res.status(200).send({
+      enabled: !!user?.TwoFactorEnabled,
+      remainingRecoveryCodes: user?.TwoFactorEnabled ? remainingRecoveryCodes : 0
+    });
+  } catch (error) {
+    console.error('Error getting 2FA status:', error);
+    res.status(500).send({ error: 'Failed to get 2FA status' });
+  }
+};
+
+// POST /2fa/enroll - generate a pending secret for the authenticator app
+export const beginEnrollment = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+
+    const user = await prisma.Users.findUnique({
+      where: { id: userId },
+      select: { Email: true, TwoFactorEnabled: true }
+    });
+    if (!user) {
+      return res.status(404).send({ error: 'User not found' });
+    }
+    if (user.TwoFactorEnabled) {
+      return res.status(400).send({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await prisma.Users.update({
+      where: { id: userId },
+      data: { TwoFactorPendingSecret: encryptSecret(secret) }
+    });
+
+    const label = encodeURIComponent(`${ISSUER}:${user.Email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+    res.status(200).send({ secret, otpauthUrl });
+  } catch (error) {
+    console.error('Error starting 2FA enrollment:', error);
+    res.status(500).send({ error: 'Failed to start 2FA enrollment' });
+  }
+};
+
+// POST /2fa/enroll/verify - confirm the authenticator works, enable 2FA and issue recovery codes
+export const confirmEnrollment = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    const { code } = req.body;
+
+    const user = await prisma.Users.findUnique({
+      where: { id: userId },
+      select: { TwoFactorEnabled: true, TwoFactorPendingSecret: true }
+    });
+    if (!user?.TwoFactorPendingSecret || user.TwoFactorEnabled) {
+      return res.status(400).send({ error: 'No 2FA enrollment in progress' });
+    }
+
+    const step = matchTotpStep(decryptSecret(user.TwoFactorPendingSecret), code);
+    if (step === null) {
+      return res.status(400).send({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await tx.Users.update({
+        where: { id: userId },
+        data: {
+          TwoFactorEnabled: true,
+          TwoFactorSecret: user.TwoFactorPendingSecret,
+          TwoFactorPendingSecret: null,
+          TwoFactorLastStep: step
+        }
+      });
+      return await replaceRecoveryCodes(tx, userId);
+    });
+
+    // Enrolling counts as a step-up for the current session
+    if (req.user.sid) await markStepUp(req.user.sid);
+
+    res.status(200).send({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe - they will not be shown again.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Error confirming 2FA enrollment:', error);
+    res.status(500).send({ error: 'Failed to enable 2FA' });
+  }
+};
+
+// POST /2fa/step-up - verify a code so sensitive actions are allowed for a few minutes
+export const stepUp = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    const { method, throttle } = await verifyStepUpCode(userId, req.body.code, { ip: req.clientIP });
+    if (throttle) return sendThrottled(res, throttle);
+    if (!method) {
+      return res.status(401).send({ error: 'Invalid verification code' });
+    }
+
+    await markStepUp(req.user.sid);
+    res.status(200).send({ success: true, method });
+  } catch (error) {
+    console.error('Error verifying 2FA step-up:', error);
+    res.status(500).send({ error: 'Failed to verify code' });
+  }
+};
+
+// POST /2fa/recovery-codes - replace recovery codes (needs a current code)
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    const { method, throttle } = await verifyStepUpCode(userId, req.body.code, { ip: req.clientIP });
+    if (throttle) return sendThrottled(res, throttle);
+    if (!method) {
+      return res.status(401).send({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => replaceRecoveryCodes(tx, userId));
+    res.status(200).send({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).send({ error: 'Failed to regenerate recovery codes' });
+  }
+};
+
+// POST /2fa/disable - needs both the password and a current code
+export const disable = async (req, res) => {
+  try {
+    const userId = parseInt(req.user?.userId || req.user?.id);
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).send({ error: 'Password and verification code are required' });
+    }
+
+    const user = await prisma.Users.findUnique({
+      where: { id: userId },
+      select: { Password: true, TwoFactorEnabled: true }
+    });
+    if (!user?.TwoFactorEnabled) {
+      return res.status(400).send({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const passwordMatch = await bcrypt.compare(password, user.Password);
+    if (!passwordMatch) {
+      return res.status(400).send({ error: 'Password is incorrect' });
+    }
+
+    const { method, throttle } = await verifyStepUpCode(userId, code, { ip: req.clientIP });
+    if (throttle) return sendThrottled(res, throttle);
+    if (!method) {
+      return res.status(401).send({ error: 'Invalid verification code' });
+    }
+
+    await prisma.$transaction([
+      prisma.Users.update({
+        where: { id: userId },
+        data: {
+          TwoFactorEnabled: false,
+          TwoFactorSecret: null,
+          TwoFactorPendingSecret: null,
+          TwoFactorLastStep: null
+        }
+      }),
+      prisma.TwoFactorRecoveryCode.deleteMany({ where: { UserId: userId } })
+    ]);
+
+    res.status(200).send({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling 2FA:', error);
+    res.status(500).send({ error: 'Failed to disable 2FA' });
+  }
+};
@@ -3,13 +3,20 @@ import jwt from 'jsonwebtoken';
 import * as emailService from '../services/emailService.js';
 import * as cloudinaryService from '../services/cloudinaryService.js';
 import prisma from '../prisma/prisma.js';
+import * as ledgerService from './ledgerService.js';
+import * as money from './moneyService.js';
+import * as sessionService from './sessionService.js';
+import * as multiAccountService from './multiAccountService.js';
+import * as securityService from './securityService.js';
+import * as twoFactorService from './twoFactorService.js';
 import { SimpleRankingService } from './simpleRankingService.js';
 
-// Token blacklist (in production, use Redis or database)
-const tokenBlacklist = new Set();
+// Wallet credit every new account starts with (cents), posted to the ledger as a signup bonus
+const SIGNUP_BONUS = 2000;
 
 // Authentication middleware
-export const authenticateToken = (req, res, next) => {
+// Access tokens carry their session id (sid); a token stops working once its session is revoked
+export const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -17,18 +24,27 @@ export const authenticateToken = (req, res, next) => {
     return res.status(401).send({ error: 'Access token required' });
   }
 
-  // Check if token is blacklisted
-  if (tokenBlacklist.has(token)) {
-    return res.status(401).send({ error: 'Token has been invalidated' });
+  let user;
+  try {
+    user = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(403).send({ error: 'Invalid or expired token' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).send({ error: 'Invalid or expired token' });
+  try {
+    if (!(await sessionService.isSessionActive(user.sid))) {
+      return res.status(401).send({ error: 'Token has been invalidated' });
+    }
+  } catch (error) {
+    console.error('Session check error:', error);
+    if (error.code === 'P1001') {
+      return res.status(503).send({ error: 'Database temporarily unavailable. Please try again.' });
     }
-    req.user = user;
-    next();
-  });
+    return res.status(500).send({ error: 'Authentication failed' });
+  }
+
+  req.user = user;
+  next();
 };
 
 // Token validation endpoint
@@ -64,13 +80,8 @@ export const validateToken = async (req, res) => {
 // Logout endpoint
 export const logout = async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-    
-    // Add token to blacklist
-    if (token) {
-      tokenBlacklist.add(token);
-    }
+    // Revoke this device's session; other devices stay signed in
+    await sessionService.revokeSessions({ id: req.user.sid }, 'logout');
 
     // Clear JWT field in database
     await prisma.Users.update({
@@ -123,6 +134,21 @@ export const registerUser = async(req, res) => {
         }
     }
 
+    // Report registrations on a device another account has signed in on
+    const deviceId = multiAccountService.getDeviceId(req);
+    const accountsOnDevice = await multiAccountService.findAccountsOnDevice(deviceId);
+    if (accountsOnDevice.length > 0) {
+        await securityService.recordSecurityEvent({
+            type: 'duplicate_device_registration',
+            ip: clientIP || null,
+            details: { email, deviceId, existingUserIds: accountsOnDevice }
+        });
+        const deviceError = multiAccountService.checkRegistrationDevice(accountsOnDevice);
+        if (deviceError) {
+            return res.status(400).send(deviceError);
+        }
+    }
+
     try {
         const hashed = await bcrypt.hash(password, 12);
 
@@ -130,7 +156,7 @@ export const registerUser = async(req, res) => {
             Username: username || email,
             Email: email,
             Password: hashed,
-            Wallet: 20,
+            Wallet: 0,      // Signup bonus is credited through the ledger below
             Rank: 0,        // Will be assigned position after rank calculation
             RankScore: 0,   // Performance score (0-1000)
             Earnings: 0,    // Initialize lifetime earnings
@@ -139,7 +165,18 @@ export const registerUser = async(req, res) => {
             ip: clientIP || null
         };
 
-        const newUser = await prisma.Users.create({data: userObj})
+        const newUser = await prisma.$transaction(async (tx) => {
+            const created = await tx.Users.create({data: userObj})
+            await ledgerService.creditWallet(tx, {
+                userId: created.id,
+                amount: SIGNUP_BONUS,
+                account: ledgerService.ACCOUNTS.PROMOTIONS,
+                reason: 'signup_bonus',
+                referenceType: 'user',
+                referenceId: created.id
+            })
+            return { ...created, Wallet: created.Wallet + SIGNUP_BONUS }
+        })
 
         // Calculate initial rank (will be 0 for new user with no matches)
         try {
@@ -150,9 +187,11 @@ export const registerUser = async(req, res) => {
             // Don't fail registration if rank update fails
         }
 
-        const token = jwt.sign({ id: newUser.id, email }, process.env.JWT_SECRET, {
-            expiresIn: process.env.JWT_EXPIRES_IN,
-        });
+        const { accessToken: token, refreshToken, expiresIn } = await sessionService.createSession(
+            { id: newUser.id, Email: email },
+            req,
+            'register'
+        );
 
         await prisma.Users.update({
             where: { id: newUser.id },
@@ -165,11 +204,13 @@ export const registerUser = async(req, res) => {
         return res.status(200).send({
           message: "User created",
           token: token,
+          refreshToken,
+          expiresIn,
           user: {
             id: newUser.id,
             Email: newUser.Email,
             Username: newUser.Username,
-            Wallet: newUser.Wallet,
+            Wallet: money.toDollars(newUser.Wallet),
             Rank: newUser.Rank,
             Avatar: newUser.Avatar,
             Authenticated: newUser.Authenticated,
@@ -215,10 +256,52 @@ export const decodePassword = async(req, res) => {
     }
 }
 
+// Start a session for a user who passed every login check and send the login response
+const completeLogin = async (user, req, res) => {
+    const clientIP = req.clientIP;
+
+    const { accessToken: token, refreshToken, expiresIn } = await sessionService.createSession(user, req);
+
+    // Prepare update data - only update IP if it's null/empty (set once on first login)
+    const updateData = {
+        JWT: token,
+        Online: true
+    };
+    
+    // Only set IP if it doesn't exist yet (first login only) - every session's IP and device is in SessionActivity
+    if (clientIP && (!user.ip || user.ip === null || user.ip === '')) {
+        updateData.ip = clientIP;
+    }
+
+    // Store JWT in database and update IP if needed
+    await prisma.Users.update({
+        where: { id: user.id },
+        data: updateData
+    });
+
+    return res.status(200).send({ 
+        message: 'Login successful', 
+        token, 
+        refreshToken,
+        expiresIn,
+        verified: user.Authenticated,
+        user: {
+            id: user.id,
+            Email: user.Email,
+            Username: user.Username,
+            Wallet: money.toDollars(user.Wallet),
+            Rank: user.Rank,
+            Avatar: user.Avatar,
+            Authenticated: user.Authenticated,
+            Badges: user.Badges,
+            JWT: user.JWT,
+        }
+    });
+};
+
 export const login = async(req, res) => {
     const email = req.body.email;
     const password = req.body.password;
-    const clientIP = req.clientIP;
 
     if(!email || !password) {
         return res.status(400).send({message: 'Email and password are required'});
@@ -244,46 +327,50 @@ export const login = async(req, res) => {
             return res.status(400).send({message: 'Please verify your email before logging in'});
         }
 
-        const token = jwt.sign(
-            { id: user.id, email: user.Email },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '12h' }
-        );
+        // Password is right but the account needs a second factor: no session until POST /login/2fa
+        if (user.TwoFactorEnabled) {
+            return res.status(200).send({
+                message: 'Two-factor verification required',
+                twoFactorRequired: true,
+                challengeToken: twoFactorService.createLoginChallenge(user)
+            });
+        }
 
-        // Prepare update data - only update IP if it's null/empty (set once on first login)
-        const updateData = {
-            JWT: token,
-            Online: true
-        };
-        
-        // Only set IP if it doesn't exist yet (first login only)
-        if (clientIP && (!user.ip || user.ip === null || user.ip === '')) {
-            updateData.ip = clientIP;
+        return await completeLogin(user, req, res);
+
+    } catch(err) {
+        console.log(err);
+        return res.status(400).send({message: 'Login error'});
+    }
+}
+
+// Second login step for accounts with 2FA: challenge token from /login plus a TOTP or recovery code
+export const loginTwoFactor = async(req, res) => {
+    const { challengeToken, code } = req.body;
+
+    if(!challengeToken || !code) {
+        return res.status(400).send({message: 'Challenge token and verification code are required'});
+    }
+
+    try {
+        const userId = twoFactorService.verifyLoginChallenge(challengeToken);
+        if (!userId) {
+            return res.status(401).send({message: 'Login challenge is invalid or has expired. Please log in again.'});
         }
 
-        // Store JWT in database and update IP if needed
-        await prisma.Users.update({
-            where: { id: user.id },
-            data: updateData
-        });
+        const method = await twoFactorService.verifyUserCode(userId, code);
+        if (!method) {
+            return res.status(401).send({message: 'Invalid verification code'});
+        }
 
-        return res.status(200).send({ 
-            message: 'Login successful', 
-            token, 
-            verified: user.Authenticated,
-            user: {
-                id: user.id,
-                Email: user.Email,
-                Username: user.Username,
-                Wallet: user.Wallet,
-                Rank: user.Rank,
-                Avatar: user.Avatar,
-                Authenticated: user.Authenticated,
-                Badges: user.Badges,
-                JWT: user.JWT,
-            }
+        const user = await prisma.Users.findUnique({
+            where: { id: userId }
         });
+        if (!user) {
+            return res.status(400).send({message: 'Invalid credentials'});
+        }
 
+        return await completeLogin(user, req, res);
     } catch(err) {
         console.log(err);
         return res.status(400).send({message: 'Login error'});
@@ -294,7 +381,7 @@ export const verifyEmail = async(req, res) => {
     const token = req.query.token;
 
     if(!token) {
-        return res.status(500).send({message: 'Missing verification token'});
+        return res.status(400).send({message: 'Missing verification token'});
     }
 
     try {
@@ -311,7 +398,7 @@ export const verifyEmail = async(req, res) => {
             id: user.id,
             Email: user.Email,
             Username: user.Username,
-            Wallet: user.Wallet,
+            Wallet: money.toDollars(user.Wallet),
             Rank: user.Rank,
             Avatar: user.Avatar,
             //createdAt: user.created_at,
@@ -322,7 +409,7 @@ export const verifyEmail = async(req, res) => {
           }});
     } catch(err) {
         console.log(err)
-        return res.status(500).send({err: "Invalid or expired token"});
+        return res.status(400).send({err: "Invalid or expired token"});
     }
 }
 
@@ -368,7 +455,7 @@ export const getCurrentUser = async (req, res) => {
         id: userData.id,
         Username: userData.Username,
         Email: userData.Email,
-        Wallet: userData.Wallet,
+        Wallet: money.toDollars(userData.Wallet),
         Rank: userData.Rank,
         Discord: userData.Discord,
         Avatar: userData.Avatar,
@@ -376,7 +463,7 @@ export const getCurrentUser = async (req, res) => {
         Console: userData.Console,
         Authenticated: userData.Authenticated,
         Streak: userData.Streak,
-        Earnings: userData.Earnings ? userData.Earnings : 0,
+        Earnings: money.toDollars(userData.Earnings || 0),
         WinsLosses: userData.WinsLosses,
         Badges: userData.Badges,
         Rivals: userData.Rivals,
@@ -501,12 +588,12 @@ export const getUsers = async (req, res) => {
       // Accumulate monthly earnings
       for (const row of earningsAsP1) {
         if (row.P1 !== null && statsMap[row.P1] !== undefined) {
-          statsMap[row.P1].earnings += Number(row._sum.BetAmount) || 0;
+          statsMap[row.P1].earnings += row._sum.BetAmount || 0;
         }
       }
       for (const row of earningsAsP2) {
         if (row.P2 !== null && statsMap[row.P2] !== undefined) {
-          statsMap[row.P2].earnings += Number(row._sum.BetAmount) || 0;
+          statsMap[row.P2].earnings += row._sum.BetAmount || 0;
         }
       }
 
@@ -548,7 +635,7 @@ export const getUsers = async (req, res) => {
       }));
     }
 
-    res.status(200).send(usersWithStats);
+    res.status(200).send(usersWithStats.map(u => ({ ...u, Earnings: money.toDollars(u.Earnings || 0) })));
   } catch (err) {
     console.error('Error fetching users:', err);
     res.status(500).send({ message: 'Failed to fetch users' });
@@ -587,7 +674,7 @@ export const getUserById = async (req, res) => {
     res.status(200).send({
       message: 'User fetched successfully',
       success: true,
-      user
+      user: { ...user, Earnings: money.toDollars(user.Earnings || 0) }
     });
   } catch (err) {
     console.error('Error fetching user by ID:', err);
@@ -729,8 +816,8 @@ export const updateUserProfile = async (req, res) => {
       message: 'Profile updated successfully',
       user: {
         ...updatedUser,
-        Wallet: updatedUser.Wallet,
-        Earnings: updatedUser.Earnings ? updatedUser.Earnings : 0,
+        Wallet: money.toDollars(updatedUser.Wallet),
+        Earnings: money.toDollars(updatedUser.Earnings || 0),
         Badges: updatedUser.Badges
       }
     });
@@ -806,12 +893,8 @@ export const changePassword = async (req, res) => {
       }
     });
 
-    // Add current token to blacklist
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-    if (token) {
-      tokenBlacklist.add(token);
-    }
+    // Sign out every device, including this one
+    await sessionService.revokeSessions({ UserId: user.id }, 'password_change');
 
     res.status(200).send({ 
       message: 'Password changed successfully. Please log in again.' 
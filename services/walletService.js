@@ -1,6 +1,10 @@
-import Decimal from 'decimal.js';
 import prisma from '../prisma/prisma.js';
+import * as money from './moneyService.js';
 import * as paynetworxService from './paynetworxService.js';
+import * as escrowService from './escrowService.js';
+import * as feeService from './feeService.js';
+import * as responsibleGamingService from './responsibleGamingService.js';
+import * as withdrawalRiskService from './withdrawalRiskService.js';
 
 // Get current wallet balance for a user
 export const getWalletBalance = async (req, res) => {
@@ -26,11 +30,19 @@ export const getWalletBalance = async (req, res) => {
       return res.status(404).send({ error: 'User not found' });
     }
 
+    // Wagers locked in challenge escrow and withdrawals awaiting review stay in the wallet
+    // but cannot be spent or withdrawn
+    const escrowedAmount = await escrowService.getLockedBalance(user.id);
+    const pendingWithdrawals = await escrowService.getHeldWithdrawals(user.id);
+
     res.json({
       userId: user.id,
       username: user.Username,
       email: user.Email,
-      balance: user.Wallet,
+      balance: money.toDollars(user.Wallet),
+      availableBalance: money.toDollars(Math.max(0, user.Wallet - escrowedAmount - pendingWithdrawals)),
+      escrowedAmount: money.toDollars(escrowedAmount),
+      pendingWithdrawals: money.toDollars(pendingWithdrawals),
       currency: 'USD'
     });
   } catch (err) {
@@ -78,12 +90,12 @@ export const getTransactionHistory = async (req, res) => {
     };
 
     // Add type filter if provided
-    if (type && ['deposit', 'withdrawal', 'transfer', 'game_payout', 'game_loss'].includes(type)) {
+    if (type && ['deposit', 'withdrawal', 'transfer', 'game_payout', 'game_loss', 'fee', 'fee_refund', 'adjustment', 'void', 'refund'].includes(type)) {
       whereClause.Type = type;
     }
 
-    // Add provider filter if provided (venmo, cashapp, paynetworx)
-    if (provider && ['venmo', 'cashapp', 'paynetworx'].includes(provider)) {
+    // Add provider filter if provided (venmo, cashapp, paynetworx, wallet for challenge settlements)
+    if (provider && ['venmo', 'cashapp', 'paynetworx', 'wallet'].includes(provider)) {
       whereClause.Provider = provider;
     }
 
@@ -103,6 +115,8 @@ export const getTransactionHistory = async (req, res) => {
         Paynetworx3DSId: true,
         Status: true,
         Provider: true,
+        Fee: true,
+        ReversalOfId: true,
         created_at: true,
       }
     });
@@ -123,14 +137,16 @@ export const getTransactionHistory = async (req, res) => {
       transactions: transactions.map(t => ({
         id: t.id,
         type: t.Type,
-        amount: t.Amount,
+        amount: money.toDollars(t.Amount),
         currency: t.Currency,
         description: t.Description,
         status: t.Status,
         provider: t.Provider,
+        fee: money.toDollars(t.Fee),
         created_at: t.created_at.toISOString(),
         paynetworxPaymentId: t.PaynetworxPaymentId,
-        paynetworx3DSId: t.Paynetworx3DSId
+        paynetworx3DSId: t.Paynetworx3DSId,
+        reversalOf: t.ReversalOfId
       })),
       pagination: {
         currentPage: pageNum,
@@ -160,8 +176,9 @@ export const addFunds = async (req, res) => {
 
     const { amount, currency = 'USD', paymentMethodId, bankAccountId, bankAccount, description } = req.body;
     
-    if (!amount || amount <= 0) {
-      return res.status(400).send({ error: 'Valid amount is required' });
+    const cents = money.parseAmount(amount);
+    if (cents === null || cents <= 0) {
+      return res.status(400).send({ error: 'Amount must be positive with at most two decimal places' });
     }
 
     // If paymentMethodId is provided, use saved PayNetWorx card token
@@ -193,6 +210,19 @@ export const addFunds = async (req, res) => {
   }
 }; 
 
+// When an operator is expected to have reviewed a Venmo/CashApp request (Transaction.processAt, the
+// review queue's target). Nothing happens automatically at that time, so it is not a promise.
+const expectedReviewBy = () => {
+  const minutes = process.env.VENMO_CASHAPP_PROCESSING_MINUTES
+    ? parseInt(process.env.VENMO_CASHAPP_PROCESSING_MINUTES)
+    : 5; // Default to 5 minutes for testing
+  const hours = minutes / 60;
+  return {
+    processAt: new Date(Date.now() + minutes * 60 * 1000),
+    processingDuration: `${hours} hour${hours !== 1 ? 's' : ''}`
+  };
+};
+
 // CRUD add/withdraw methods specifically for venmo/cashapp
 export const withdrawFundsCRUD = async (req, res) => {
   const { amount, provider: providerParam } = req.body;
@@ -208,41 +238,57 @@ export const withdrawFundsCRUD = async (req, res) => {
 
     if (!user) return res.status(404).send({ error: 'User not found' });
     
-    const wallet = Number(user.Wallet);
-    const numAmount = Number(amount);
-    if (isNaN(numAmount) || numAmount <= 0) return res.status(400).send({ error: 'Valid amount is required' });
-    if (wallet < numAmount) return res.status(400).send({ error: 'Insufficient funds' });
-
-    // Calculate processing time (24 hours, or 5 minutes for testing)
-    const processingMinutes = process.env.VENMO_CASHAPP_PROCESSING_MINUTES 
-      ? parseInt(process.env.VENMO_CASHAPP_PROCESSING_MINUTES) 
-      : 5; // Default to 5 minutes for testing
-    const processingMs = processingMinutes * 60 * 1000;
-    const processingHours = processingMinutes / 60;
-    
-    // Calculate processAt time (processing period from now)
-    const processAt = new Date(Date.now() + processingMs);
+    const cents = money.parseAmount(amount);
+    if (cents === null || cents <= 0) return res.status(400).send({ error: 'Amount must be positive with at most two decimal places' });
 
-    // For withdrawals, DON'T update balance immediately - it will be updated after processing time
-    // Create transaction with 'pending' status
-    const transaction = await prisma.Transaction.create({
-      data: {
-        UserId: parseInt(userId),
-        Type: 'withdrawal',
-        Amount: numAmount,
-        Currency: 'USD',
-        Description: provider === 'venmo' ? 'Withdrawal via Venmo' : 'Withdrawal via CashApp',
-        Status: 'pending',
-        Provider: provider,
-        processAt: processAt
-      }
+    // Withdrawal fee is taken out of the amount paid out
+    const { fee, net } = await feeService.calculateFee(prisma, { type: 'withdrawal', amount: cents, provider });
+    if (net <= 0) return res.status(400).send({ error: 'Withdrawal amount must be greater than the withdrawal fee', fee: money.toDollars(fee) });
+
+    // Every Venmo/CashApp withdrawal is reviewed; risk rule hits are kept on it for the operator
+    const riskFlags = await withdrawalRiskService.evaluateWithdrawal(prisma, {
+      userId: user.id,
+      amount: cents,
+      provider,
+      sessionId: req.user?.sid
+    });
+
+    const { processAt, processingDuration } = expectedReviewBy();
+
+    // For withdrawals, DON'T update balance immediately - the amount is held until an operator
+    // approves (wallet debited) or rejects (hold released) the payout. Funds locked in challenge escrow
+    // cannot be withdrawn; the check and the hold run under the user's row lock so concurrent requests
+    // cannot hold the same balance twice
+    const { transaction, availableBalance } = await prisma.$transaction(async (tx) => {
+      const availableBalance = await escrowService.lockAvailableBalance(tx, user.id);
+      if (availableBalance < cents) return { transaction: null, availableBalance };
+
+      const transaction = await tx.Transaction.create({
+        data: {
+          UserId: parseInt(userId),
+          Type: 'withdrawal',
+          Amount: cents,
+          Currency: 'USD',
+          Description: provider === 'venmo' ? 'Withdrawal via Venmo' : 'Withdrawal via CashApp',
+          Fee: fee,
+          Status: 'pending',
+          Provider: provider,
+          processAt: processAt,
+          RiskFlags: riskFlags.length > 0 ? riskFlags : undefined
+        }
+      });
+      return { transaction, availableBalance };
     });
+    if (!transaction) return res.status(400).send({ error: 'Insufficient funds', availableBalance: money.toDollars(availableBalance) });
 
     res.status(200).send({ 
-      message: 'Withdrawal request submitted successfully. Funds will be deducted from your wallet after the processing period.',
+      message: 'Withdrawal request submitted successfully. The amount is on hold until an operator confirms the payout.',
       transactionId: transaction.id,
+      fee: money.toDollars(fee),
+      netAmount: money.toDollars(net),
       processAt: processAt.toISOString(),
-      processingDuration: `${processingHours} hour${processingHours !== 1 ? 's' : ''}`
+      processingDuration,
+      expectedBy: processAt.toISOString()
     });
   } catch (err) {
     console.error('Error withdrawing funds:', err);
@@ -264,28 +310,27 @@ export const addFundsCRUD = async (req, res) => {
 
     if (!user) return res.status(404).send({ error: 'User not found' });
 
-    const numAmount = Number(amount);
-    if (isNaN(numAmount) || numAmount <= 0) return res.status(400).send({ error: 'Valid amount is required' });
+    const cents = money.parseAmount(amount);
+    if (cents === null || cents <= 0) return res.status(400).send({ error: 'Amount must be positive with at most two decimal places' });
 
-    // Calculate processing time (24 hours, or 5 minutes for testing)
-    const processingMinutes = process.env.VENMO_CASHAPP_PROCESSING_MINUTES 
-      ? parseInt(process.env.VENMO_CASHAPP_PROCESSING_MINUTES) 
-      : 5; // Default to 5 minutes for testing
-    const processingMs = processingMinutes * 60 * 1000;
-    const processingHours = processingMinutes / 60;
-    
-    // Calculate processAt time (processing period from now)
-    const processAt = new Date(Date.now() + processingMs);
+    const depositBlock = await responsibleGamingService.checkDepositAllowed(userId, cents);
+    if (depositBlock) return res.status(403).send(depositBlock);
+
+    // Deposit fee is taken out of the amount credited
+    const { fee, net } = await feeService.calculateFee(prisma, { type: 'deposit', amount: cents, provider });
+
+    const { processAt, processingDuration } = expectedReviewBy();
 
-    // For deposits, DON'T update balance immediately - it will be updated after processing time
-    // Create transaction with 'pending' status
+    // For deposits, DON'T update balance immediately - funds are credited once an operator has
+    // confirmed the payment arrived
     const transaction = await prisma.Transaction.create({
       data: {
         UserId: parseInt(userId),
         Type: 'deposit',
-        Amount: numAmount,
+        Amount: cents,
         Currency: 'USD',
         Description: provider === 'venmo' ? 'Deposit via Venmo' : 'Deposit via CashApp',
+        Fee: fee,
         Status: 'pending',
         Provider: provider,
         processAt: processAt
@@ -293,10 +338,13 @@ export const addFundsCRUD = async (req, res) => {
     });
 
     res.status(200).send({ 
-      message: 'Deposit request submitted successfully. Funds will be added to your wallet after the processing period.',
+      message: 'Deposit request submitted successfully. Funds will be added to your wallet once an operator confirms the payment.',
       transactionId: transaction.id,
+      fee: money.toDollars(fee),
+      netAmount: money.toDollars(net),
       processAt: processAt.toISOString(),
-      processingDuration: `${processingHours} hour${processingHours !== 1 ? 's' : ''}`
+      processingDuration,
+      expectedBy: processAt.toISOString()
     });
   } catch (err) {
     console.error('Error adding funds:', err);
@@ -0,0 +1,247 @@
+import prisma from '../prisma/prisma.js';
+import * as money from './moneyService.js';
+
+// Withdrawal risk rules are WithdrawalRiskRule rows, evaluated before any payout is sent:
+// - new_bank_account: the first payout to a bank account added less than Threshold hours ago
+// - deposit_ratio: less than Threshold % of the deposits made in the last WindowHours has been wagered
+//   (deposit-and-withdraw card laundering)
+// - daily_cap: withdrawals in the last WindowHours, this one included, above Threshold cents
+// - min_matches: fewer than Threshold completed matches
+// - new_device: requested from a device first signed in on less than Threshold hours ago
+// A hit never fails the withdrawal: PayNetWorx withdrawals are held in the payment review queue instead
+// of being paid out, and Venmo/CashApp ones (reviewed anyway) carry the hits for the operator.
+// The hits are stored on Transaction.RiskFlags; they are not shown to the user.
+
+export const RULE_TYPES = ['new_bank_account', 'deposit_ratio', 'daily_cap', 'min_matches', 'new_device'];
+
+const DEFAULT_WINDOW_HOURS = { deposit_ratio: 720, daily_cap: 24 };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const hoursSince = (date) => (Date.now() - date.getTime()) / HOUR_MS;
+
+const windowStart = (rule) => new Date(Date.now() - (rule.WindowHours ?? DEFAULT_WINDOW_HOURS[rule.Type]) * HOUR_MS);
+
+// Each check returns why the withdrawal breaks the rule, or null
+const checks = {
+  new_bank_account: async (client, rule, { provider, bankAccount }) => {
+    // Venmo/CashApp payouts go to a handle, not a bank account
+    if (provider !== 'paynetworx') return null;
+    if (!bankAccount) return 'Payout to bank details not saved on the account';
+
+    const age = hoursSince(bankAccount.created_at);
+    if (age >= rule.Threshold) return null;
+
+    const previousPayouts = await client.Transaction.count({
+      where: { BankAccountId: bankAccount.id, Type: 'withdrawal', Status: 'completed' }
+    });
+    if (previousPayouts > 0) return null;
+
+    return `First payout to a bank account added ${Math.floor(age)} hour(s) ago`;
+  },
+
+  deposit_ratio: async (client, rule, { userId }) => {
+    const since = windowStart(rule);
+    const [deposits, wagers] = await Promise.all([
+      client.Transaction.aggregate({
+        where: { UserId: userId, Type: 'deposit', Status: 'completed', created_at: { gte: since } },
+        _sum: { Amount: true }
+      }),
+      client.ChallengeEscrow.aggregate({
+        where: { UserId: userId, Status: { in: ['locked', 'released'] }, CreatedAt: { gte: since } },
+        _sum: { Amount: true }
+      })
+    ]);
+    const deposited = deposits._sum.Amount || 0;
+    const wagered = wagers._sum.Amount || 0;
+    if (deposited === 0 || wagered * 100 >= deposited * rule.Threshold) return null;
+
+    return `Wagered ${money.formatDollars(wagered)} of ${money.formatDollars(deposited)} deposited since ${since.toISOString()} (${rule.Threshold}% required)`;
+  },
+
+  daily_cap: async (client, rule, { userId, amount }) => {
+    const since = windowStart(rule);
+    const withdrawals = await client.Transaction.aggregate({
+      where: {
+        UserId: userId,
+        Type: 'withdrawal',
+        Status: { in: ['pending', 'review', 'completed'] },
+        created_at: { gte: since }
+      },
+      _sum: { Amount: true }
+    });
+    const total = (withdrawals._sum.Amount || 0) + amount;
+    if (total <= rule.Threshold) return null;
+
+    return `${money.formatDollars(total)} withdrawn since ${since.toISOString()} including this request (cap ${money.formatDollars(rule.Threshold)})`;
+  },
+
+  min_matches: async (client, rule, { userId }) => {
+    const matchesPlayed = await client.Match_History.count({
+      where: {
+        Status: 2, // Completed
+        OR: [{ P1: userId }, { P2: userId }]
+      }
+    });
+    if (matchesPlayed >= rule.Threshold) return null;
+
+    return `${matchesPlayed} completed match(es), ${rule.Threshold} required`;
+  },
+
+  new_device: async (client, rule, { userId, sessionId }) => {
+    if (!sessionId) return null;
+
+    const session = await client.UserSession.findUnique({ where: { id: sessionId } });
+    if (!session) return null;
+
+    const age = hoursSince(session.CreatedAt);
+    if (age >= rule.Threshold) return null;
+
+    // A new session on a browser/app the user already signed in with is not a new device
+    const earlierSessions = await client.UserSession.count({
+      where: { UserId: userId, UserAgent: session.UserAgent, CreatedAt: { lt: session.CreatedAt } }
+    });
+    if (earlierSessions > 0) return null;
+
+    return `Requested from a device first signed in on ${Math.floor(age)} hour(s) ago`;
+  }
+};
+
+/**
+ * Run the active rules for a provider against a withdrawal request
+ * @param {object} client - Prisma client or interactive transaction client
+ * @param {{ userId: number, amount: number, provider: string, bankAccount?: object|null, sessionId?: number|null }} withdrawal
+ *   amount in cents; bankAccount is the saved BankAccount being paid to (PayNetWorx), null for unsaved details;
+ *   sessionId is the `sid` of the user's access token
+ * @returns {Promise<{ ruleId: number, type: string, name: string, detail: string }[]>} The rules it breaks
+ */
+export const evaluateWithdrawal = async (client, { userId, amount, provider, bankAccount = null, sessionId = null }) => {
+  const rules = await client.WithdrawalRiskRule.findMany({
+    where: {
+      Active: true,
+      OR: [{ Provider: null }, { Provider: provider }]
+    },
+    orderBy: { id: 'asc' }
+  });
+
+  const hits = [];
+  for (const rule of rules) {
+    const check = checks[rule.Type];
+    if (!check) continue;
+
+    const detail = await check(client, rule, { userId, amount, provider, bankAccount, sessionId });
+    if (detail) {
+      hits.push({ ruleId: rule.id, type: rule.Type, name: rule.Name, detail });
+    }
+  }
+  return hits;
+};
+
+const formatRule = (rule) => ({
+  id: rule.id,
+  name: rule.Name,
+  type: rule.Type,
+  provider: rule.Provider,
+  // daily_cap is an amount, the other thresholds are counts
+  threshold: rule.Type === 'daily_cap' ? money.toDollars(rule.Threshold) : rule.Threshold,
+  windowHours: rule.WindowHours,
+  active: rule.Active,
+  createdAt: rule.CreatedAt
+});
+
+// Validate and map a rule request body onto WithdrawalRiskRule columns
+const parseRuleBody = (body, existing = null) => {
+  const data = {};
+
+  if (!existing || body.name !== undefined) {
+    if (!body.name) return { error: 'name is required' };
+    data.Name = String(body.name);
+  }
+  if (!existing || body.type !== undefined) {
+    if (!RULE_TYPES.includes(body.type)) return { error: 'Invalid rule type', validTypes: RULE_TYPES };
+    data.Type = body.type;
+  }
+
+  const type = data.Type || existing.Type;
+  if (!existing || body.threshold !== undefined || data.Type) {
+    const threshold = type === 'daily_cap' ? money.parseAmount(body.threshold) : Number(body.threshold);
+    if (threshold === null || !Number.isInteger(threshold) || threshold < 0) {
+      return {
+        error: type === 'daily_cap'
+          ? 'threshold must be a non-negative amount with at most two decimal places'
+          : 'threshold must be a non-negative whole number'
+      };
+    }
+    if (type === 'deposit_ratio' && threshold > 100) return { error: 'threshold must be between 0 and 100' };
+    data.Threshold = threshold;
+  }
+  if (body.windowHours !== undefined) {
+    const windowHours = body.windowHours === null ? null : Number(body.windowHours);
+    if (windowHours !== null && (!Number.isInteger(windowHours) || windowHours < 1)) {
+      return { error: 'windowHours must be a whole number of hours' };
+    }
+    data.WindowHours = windowHours;
+  }
+  if (body.provider !== undefined) data.Provider = body.provider || null;
+  if (body.active !== undefined) data.Active = Boolean(body.active);
+
+  return { data };
+};
+
+// Admin: list withdrawal risk rules
+export const getRiskRules = async (req, res) => {
+  try {
+    const rules = await prisma.WithdrawalRiskRule.findMany({ orderBy: [{ Type: 'asc' }, { id: 'asc' }] });
+    res.status(200).send({ rules: rules.map(formatRule) });
+  } catch (err) {
+    console.error('Error getting withdrawal risk rules:', err);
+    res.status(500).send({ error: 'Failed to get withdrawal risk rules' });
+  }
+};
+
+// Admin: create a withdrawal risk rule
+export const createRiskRule = async (req, res) => {
+  try {
+    const { data, ...error } = parseRuleBody(req.body || {});
+    if (!data) return res.status(400).send(error);
+
+    const rule = await prisma.WithdrawalRiskRule.create({ data });
+    res.status(201).send({ message: 'Withdrawal risk rule created', rule: formatRule(rule) });
+  } catch (err) {
+    console.error('Error creating withdrawal risk rule:', err);
+    res.status(500).send({ error: 'Failed to create withdrawal risk rule' });
+  }
+};
+
+// Admin: update a withdrawal risk rule
+export const updateRiskRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const existing = await prisma.WithdrawalRiskRule.findUnique({ where: { id: parseInt(ruleId) } });
+    if (!existing) return res.status(404).send({ error: 'Withdrawal risk rule not found' });
+
+    const { data, ...error } = parseRuleBody(req.body || {}, existing);
+    if (!data) return res.status(400).send(error);
+
+    const rule = await prisma.WithdrawalRiskRule.update({ where: { id: existing.id }, data });
+    res.status(200).send({ message: 'Withdrawal risk rule updated', rule: formatRule(rule) });
+  } catch (err) {
+    console.error('Error updating withdrawal risk rule:', err);
+    res.status(500).send({ error: 'Failed to update withdrawal risk rule' });
+  }
+};
+
+// Admin: deactivate a withdrawal risk rule (kept so RiskFlags still point at it)
+export const deleteRiskRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const existing = await prisma.WithdrawalRiskRule.findUnique({ where: { id: parseInt(ruleId) } });
+    if (!existing) return res.status(404).send({ error: 'Withdrawal risk rule not found' });
+
+    await prisma.WithdrawalRiskRule.update({ where: { id: existing.id }, data: { Active: false } });
+    res.status(200).send({ message: 'Withdrawal risk rule deactivated' });
+  } catch (err) {
+    console.error('Error deactivating withdrawal risk rule:', err);
+    res.status(500).send({ error: 'Failed to deactivate withdrawal risk rule' });
+  }
+};
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as money from '../services/moneyService.js';
+
+describe('parseAmount', () => {
+  it('parses dollars from numbers and strings into cents', () => {
+    assert.equal(money.parseAmount(10), 1000);
+    assert.equal(money.parseAmount(10.5), 1050);
+    assert.equal(money.parseAmount('10.50'), 1050);
+    assert.equal(money.parseAmount(' 7 '), 700);
+    assert.equal(money.parseAmount('0.1'), 10);
+    assert.equal(money.parseAmount(-3.25), -325);
+    assert.equal(money.parseAmount(0), 0);
+  });
+
+  it('rejects fractions of a cent, including float drift', () => {
+    assert.equal(money.parseAmount('1.005'), null);
+    assert.equal(money.parseAmount(0.1 + 0.2), null);
+  });
+
+  it('rejects values that are not amounts', () => {
+    for (const value of [null, undefined, '', '   ', 'abc', '10,00', true, false, NaN, Infinity]) {
+      assert.equal(money.parseAmount(value), null, `${String(value)} should be rejected`);
+    }
+  });
+});
+
+describe('percentOf', () => {
+  it('takes a percentage of cents', () => {
+    assert.equal(money.percentOf(1000, 2.5), 25);
+    assert.equal(money.percentOf(1000, '7.5'), 75);
+    assert.equal(money.percentOf(0, 10), 0);
+  });
+
+  it('rounds half up to a whole cent', () => {
+    assert.equal(money.percentOf(999, 2.5), 25); // 24.975
+    assert.equal(money.percentOf(101, 50), 51); // 50.5
+    assert.equal(money.percentOf(1001, 10), 100); // 100.1
+  });
+});
+
+describe('amountSetting', () => {
+  it('reads dollars from a setting, falling back when it is missing or invalid', () => {
+    assert.equal(money.amountSetting('25', 600), 2500);
+    assert.equal(money.amountSetting(undefined, 600), 60000);
+    assert.equal(money.amountSetting('1.005', '2.50'), 250);
+  });
+});
+
+describe('toDollars / formatAmount / formatDollars', () => {
+  it('converts cents back to dollars for responses', () => {
+    assert.equal(money.toDollars(1050), 10.5);
+    assert.equal(money.toDollars(-5), -0.05);
+    assert.equal(money.toDollars(null), null);
+    assert.equal(money.toDollars(undefined), null);
+  });
+
+  it('formats cents with two decimals', () => {
+    assert.equal(money.formatAmount(1250), '12.50');
+    assert.equal(money.formatAmount(7), '0.07');
+    assert.equal(money.formatDollars(1250), '$12.50');
+    assert.equal(money.formatDollars(-300), '-$3.00');
+  });
+});
+
+describe('assertCents', () => {
+  it('passes whole cents through and throws for anything else', () => {
+    assert.equal(money.assertCents(1050), 1050);
+    assert.throws(() => money.assertCents(10.5, 'wager'), /wager must be a whole number of cents/);
+    assert.throws(() => money.assertCents('1050'), /amount must be a whole number of cents/);
+  });
+});
+
+describe('sum', () => {
+  it('adds cents, treating missing amounts as zero', () => {
+    assert.equal(money.sum([100, null, 250, undefined]), 350);
+    assert.equal(money.sum([]), 0);
+  });
+});
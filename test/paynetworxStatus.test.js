@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toPaynetworxStatus } from '../services/paynetworxStatus.js';
+
+describe('toPaynetworxStatus', () => {
+  it('classifies the documented statuses', () => {
+    assert.equal(toPaynetworxStatus('settled'), 'settled');
+    assert.equal(toPaynetworxStatus('returned'), 'returned');
+    assert.equal(toPaynetworxStatus('charged_back'), 'charged_back');
+    assert.equal(toPaynetworxStatus('declined'), 'declined');
+    assert.equal(toPaynetworxStatus('pending'), 'pending');
+  });
+
+  it('ignores case and the webhook event prefix', () => {
+    assert.equal(toPaynetworxStatus('Settled'), 'settled');
+    assert.equal(toPaynetworxStatus('CHARGEBACK'), 'charged_back');
+    assert.equal(toPaynetworxStatus('transaction.returned'), 'returned');
+  });
+
+  it('does not treat statuses that only mention settlement as settled', () => {
+    assert.equal(toPaynetworxStatus('unsettled'), 'pending');
+    assert.equal(toPaynetworxStatus('pending_settlement'), 'pending');
+    assert.equal(toPaynetworxStatus('settlement_failed'), null);
+    assert.equal(toPaynetworxStatus('return_reversed'), null);
+  });
+
+  it('returns null for unknown or missing values', () => {
+    assert.equal(toPaynetworxStatus('mystery'), null);
+    assert.equal(toPaynetworxStatus(''), null);
+    assert.equal(toPaynetworxStatus(undefined), null);
+    assert.equal(toPaynetworxStatus('toString'), null);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The settlement file directory is read when the module loads
+process.env.PAYNETWORX_SETTLEMENT_FILE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/paynetworx');
+const { parseCsv, readSettlementFile } = await import('../services/settlementFile.js');
+
+describe('parseCsv', () => {
+  it('splits rows and fields', () => {
+    assert.deepEqual(parseCsv('a,b,c\n1,2,3\n'), [['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  it('honours quoted fields with commas, quotes and newlines', () => {
+    assert.deepEqual(parseCsv('id,note\n1,"a, b"\n2,"say ""hi"""\n3,"two\nlines"'), [
+      ['id', 'note'],
+      ['1', 'a, b'],
+      ['2', 'say "hi"'],
+      ['3', 'two\nlines']
+    ]);
+  });
+
+  it('accepts CRLF line endings and skips blank lines', () => {
+    assert.deepEqual(parseCsv('a,b\r\n\r\n1,\r\n'), [['a', 'b'], ['1', '']]);
+  });
+});
+
+describe('readSettlementFile', () => {
+  it('reads the day\'s settlement file into records', async () => {
+    const records = await readSettlementFile('2026-10-18');
+
+    assert.equal(records.length, 6);
+    assert.deepEqual(records[0], {
+      paynetworxTransactionId: 'pnx_fixture_0001',
+      type: 'sale',
+      amount: 5000,
+      status: 'settled',
+      reportedStatus: 'settled',
+      returnCode: null
+    });
+    assert.deepEqual(records[1], {
+      paynetworxTransactionId: 'pnx_fixture_0002',
+      type: 'achdebit',
+      amount: 10000,
+      status: 'returned',
+      reportedStatus: 'returned',
+      returnCode: 'R01'
+    });
+    assert.equal(records[2].amount, 4850);
+    assert.deepEqual(records.map(r => r.status), ['settled', 'returned', 'pending', 'declined', 'settled', 'charged_back']);
+  });
+
+  it('fails when there is no file for the day', async () => {
+    await assert.rejects(readSettlementFile('2026-10-17'), /Settlement file not found/);
+  });
+});
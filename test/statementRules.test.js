@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { entryType, summaryType, parsePeriod } from '../services/statementRules.js';
+
+describe('entryType', () => {
+  it('splits challenge settlements into payouts and losses by sign', () => {
+    assert.equal(entryType('challenge_settlement', 2500), 'payout');
+    assert.equal(entryType('challenge_settlement', -2500), 'wager_loss');
+  });
+
+  it('maps journal reasons to statement line types', () => {
+    const cases = {
+      deposit: 'deposit',
+      chargeback_reversal: 'deposit',
+      withdrawal: 'withdrawal',
+      withdrawal_reversal: 'withdrawal_reversal',
+      withdrawal_return: 'withdrawal_reversal',
+      payout_fee: 'fee',
+      withdrawal_fee: 'fee',
+      withdrawal_fee_refund: 'fee_refund',
+      deposit_chargeback: 'deposit_reversal',
+      deposit_refund: 'deposit_reversal',
+      deposit_return: 'deposit_reversal',
+      signup_bonus: 'bonus',
+      admin_adjustment_goodwill: 'adjustment',
+      opening_balance: 'other'
+    };
+    for (const [reason, type] of Object.entries(cases)) {
+      assert.equal(entryType(reason, -100), type, reason);
+    }
+  });
+});
+
+describe('summaryType', () => {
+  it('nets reversals and refunds against what they reverse', () => {
+    assert.equal(summaryType('deposit_reversal'), 'deposit');
+    assert.equal(summaryType('withdrawal_reversal'), 'withdrawal');
+    assert.equal(summaryType('fee_refund'), 'fee');
+    assert.equal(summaryType('payout'), 'payout');
+  });
+
+  it('puts everything else under other', () => {
+    assert.equal(summaryType('bonus'), 'other');
+    assert.equal(summaryType('adjustment'), 'other');
+  });
+});
+
+describe('parsePeriod', () => {
+  it('covers a whole month', () => {
+    const period = parsePeriod({ month: '2026-02' });
+    assert.equal(period.from.toISOString(), '2026-02-01T00:00:00.000Z');
+    assert.equal(period.to.toISOString(), '2026-03-01T00:00:00.000Z');
+  });
+
+  it('includes both ends of a date range', () => {
+    const period = parsePeriod({ from: '2026-01-01', to: '2026-01-31' });
+    assert.equal(period.from.toISOString(), '2026-01-01T00:00:00.000Z');
+    assert.equal(period.to.toISOString(), '2026-02-01T00:00:00.000Z');
+  });
+
+  it('rejects malformed, reversed and overlong ranges', () => {
+    assert.ok(parsePeriod({ month: '2026-13' }).error);
+    assert.ok(parsePeriod({ from: '2026-01-01' }).error);
+    assert.ok(parsePeriod({ from: '2026-02-01', to: '2026-01-01' }).error);
+    assert.ok(parsePeriod({ from: '2025-01-01', to: '2026-01-02' }).error);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { walletEffect, compareStatus } from '../services/transactionRules.js';
+
+describe('walletEffect', () => {
+  it('counts deposits once they are booked', () => {
+    assert.equal(walletEffect({ Type: 'deposit', Status: 'completed', Provider: 'paynetworx' }, 5000, 100), 5000);
+    assert.equal(walletEffect({ Type: 'deposit', Status: 'refunded', Provider: 'paynetworx' }, 5000, 100), 5000);
+    assert.equal(walletEffect({ Type: 'deposit', Status: 'pending', Provider: 'venmo' }, 5000, 100), 0);
+    assert.equal(walletEffect({ Type: 'deposit', Status: 'returned', Provider: 'paynetworx' }, 5000, 100), 0);
+  });
+
+  it('debits PayNetWorx withdrawals when requested and reviewed ones when approved', () => {
+    assert.equal(walletEffect({ Type: 'withdrawal', Status: 'pending', Provider: 'paynetworx' }, 5000, 150), -4850);
+    assert.equal(walletEffect({ Type: 'withdrawal', Status: 'review', Provider: 'paynetworx' }, 5000, 150), 0);
+    assert.equal(walletEffect({ Type: 'withdrawal', Status: 'failed', Provider: 'paynetworx' }, 5000, 150), 0);
+    assert.equal(walletEffect({ Type: 'withdrawal', Status: 'pending', Provider: 'venmo' }, 5000, 150), 0);
+    assert.equal(walletEffect({ Type: 'withdrawal', Status: 'completed', Provider: 'cashapp' }, 5000, 150), -4850);
+  });
+
+  it('books reversals, fees and settlements', () => {
+    assert.equal(walletEffect({ Type: 'refund', Status: 'completed', Provider: 'paynetworx' }, 1000, 0), -1000);
+    assert.equal(walletEffect({ Type: 'void', Status: 'failed', Provider: 'paynetworx' }, 1000, 0), 0);
+    assert.equal(walletEffect({ Type: 'fee', Status: 'completed', Provider: 'wallet' }, 150, 0), -150);
+    assert.equal(walletEffect({ Type: 'fee_refund', Status: 'completed', Provider: 'wallet' }, 150, 0), 150);
+    assert.equal(walletEffect({ Type: 'game_loss', Status: 'completed', Provider: 'wallet' }, 2500, 0), -2500);
+    assert.equal(walletEffect({ Type: 'game_payout', Status: 'completed', Provider: 'wallet' }, 2500, 0), 2500);
+    assert.equal(walletEffect({ Type: 'adjustment', Status: 'completed', Provider: 'wallet' }, -700, 0), -700);
+  });
+
+  it('returns null for unknown transaction types', () => {
+    assert.equal(walletEffect({ Type: 'mystery', Status: 'completed', Provider: 'wallet' }, 100, 0), null);
+  });
+});
+
+describe('compareStatus', () => {
+  it('accepts matching statuses', () => {
+    assert.equal(compareStatus({ Status: 'completed' }, 'settled'), null);
+    assert.equal(compareStatus({ Status: 'completed' }, 'pending'), null);
+    assert.equal(compareStatus({ Status: 'returned' }, 'returned'), null);
+    assert.equal(compareStatus({ Status: 'failed' }, 'declined'), null);
+  });
+
+  it('flags money booked here that PayNetWorx declined', () => {
+    assert.match(compareStatus({ Status: 'completed' }, 'declined'), /declined at PayNetWorx/);
+  });
+
+  it('flags money PayNetWorx moved that is not booked here', () => {
+    assert.match(compareStatus({ Status: 'pending' }, 'settled'), /PayNetWorx shows settled but it is pending here/);
+  });
+
+  it('requires returns and chargebacks to be booked as such', () => {
+    assert.match(compareStatus({ Status: 'completed' }, 'returned'), /shows returned/);
+    assert.match(compareStatus({ Status: 'charged_back' }, 'settled'), /shows settled but it is charged_back/);
+    assert.match(compareStatus({ Status: 'returned' }, 'charged_back'), /shows charged_back/);
+  });
+});